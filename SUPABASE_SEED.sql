@@ -1,12 +1,11 @@
 -- Seed data for Multi-Tenant Asset Manager
 -- Run this in Supabase SQL Editor after running SUPABASE_SETUP.sql
+-- (as the postgres user, which bypasses row-level security)
 -- This creates test organizations, users, and categories
 
 -- Clear existing data (optional - uncomment if you want to reset)
--- DELETE FROM "Asset";
--- DELETE FROM "Category";
--- DELETE FROM "User";
--- DELETE FROM "Organization";
+-- (CASCADE also empties every table that references organizations or users)
+-- TRUNCATE TABLE "Organization", "User", "LoginThrottle" CASCADE;
 
 -- ============================================
 -- TENANT 1: ACME CORP
@@ -32,19 +31,17 @@ ON CONFLICT DO NOTHING;
 -- Create Acme user with hashed password
 -- Password: password123
 -- Hash generated with bcrypt (salt rounds: 10)
-WITH acme_org AS (
-    SELECT "id" FROM "Organization" WHERE "slug" = 'acme-corp'
-)
-INSERT INTO "User" ("id", "email", "password", "role", "organizationId")
-SELECT 
-    gen_random_uuid(),
-    'admin@acme.com',
-    '$2b$10$7SEmXD6a5fu8avHF3MN.Q.x9qtBiWGwKKOfY9rJoGC6caghKq49.i', -- password123
-    'ADMIN',
-    acme_org.id
-FROM acme_org
+INSERT INTO "User" ("id", "email", "password")
+VALUES (gen_random_uuid(), 'admin@acme.com', '$2b$10$7SEmXD6a5fu8avHF3MN.Q.x9qtBiWGwKKOfY9rJoGC6caghKq49.i') -- password123
 ON CONFLICT ("email") DO NOTHING;
 
+-- Make them ADMIN of Acme Corp (the role is per organization)
+INSERT INTO "Membership" ("id", "role", "userId", "organizationId")
+SELECT gen_random_uuid(), 'ADMIN', u.id, o.id
+FROM "User" u, "Organization" o
+WHERE u.email = 'admin@acme.com' AND o.slug = 'acme-corp'
+ON CONFLICT ("userId", "organizationId") DO NOTHING;
+
 -- ============================================
 -- TENANT 2: GLOBEX CORP
 -- ============================================
@@ -68,19 +65,17 @@ ON CONFLICT DO NOTHING;
 -- Create Globex user with hashed password
 -- Password: password123
 -- Hash generated with bcrypt (salt rounds: 10)
-WITH globex_org AS (
-    SELECT "id" FROM "Organization" WHERE "slug" = 'globex'
-)
-INSERT INTO "User" ("id", "email", "password", "role", "organizationId")
-SELECT 
-    gen_random_uuid(),
-    'hank@globex.com',
-    '$2b$10$xUfE1Ppd9.jU.xclFp/g4.Z4pWdWEoi/OG8eLWOn4HDMwqWBNIL8y', -- password123
-    'ADMIN',
-    globex_org.id
-FROM globex_org
+INSERT INTO "User" ("id", "email", "password")
+VALUES (gen_random_uuid(), 'hank@globex.com', '$2b$10$xUfE1Ppd9.jU.xclFp/g4.Z4pWdWEoi/OG8eLWOn4HDMwqWBNIL8y') -- password123
 ON CONFLICT ("email") DO NOTHING;
 
+-- Make them ADMIN of Globex Corp (the role is per organization)
+INSERT INTO "Membership" ("id", "role", "userId", "organizationId")
+SELECT gen_random_uuid(), 'ADMIN', u.id, o.id
+FROM "User" u, "Organization" o
+WHERE u.email = 'hank@globex.com' AND o.slug = 'globex'
+ON CONFLICT ("userId", "organizationId") DO NOTHING;
+
 -- ============================================
 -- VERIFICATION QUERIES
 -- ============================================
@@ -90,15 +85,19 @@ SELECT 'Organizations' as table_name, COUNT(*) as count FROM "Organization"
 UNION ALL
 SELECT 'Users', COUNT(*) FROM "User"
 UNION ALL
+SELECT 'Memberships', COUNT(*) FROM "Membership"
+UNION ALL
 SELECT 'Categories', COUNT(*) FROM "Category";
 
 -- View created data
-SELECT 'Acme Corp Users' as info, email, role FROM "User" u
-JOIN "Organization" o ON u."organizationId" = o.id
+SELECT 'Acme Corp Users' as info, email, m.role FROM "User" u
+JOIN "Membership" m ON m."userId" = u.id
+JOIN "Organization" o ON m."organizationId" = o.id
 WHERE o.slug = 'acme-corp'
 UNION ALL
-SELECT 'Globex Corp Users', email, role FROM "User" u
-JOIN "Organization" o ON u."organizationId" = o.id
+SELECT 'Globex Corp Users', email, m.role FROM "User" u
+JOIN "Membership" m ON m."userId" = u.id
+JOIN "Organization" o ON m."organizationId" = o.id
 WHERE o.slug = 'globex';
 
 -- ============================================
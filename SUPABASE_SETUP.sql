@@ -6,27 +6,91 @@ CREATE TABLE IF NOT EXISTS "Organization" (
     "id" TEXT NOT NULL,
     "name" TEXT NOT NULL,
     "slug" TEXT NOT NULL,
+    "requireMfa" BOOLEAN NOT NULL DEFAULT false,
+    "passwordLoginDisabled" BOOLEAN NOT NULL DEFAULT false,
     CONSTRAINT "Organization_pkey" PRIMARY KEY ("id")
 );
 
+-- Create Role enum (ADMIN, MEMBER, VIEWER - see backend/src/config/roles.js)
+DO $$ BEGIN
+    CREATE TYPE "Role" AS ENUM ('ADMIN', 'MEMBER', 'VIEWER');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
 -- Create User table with UUID
 CREATE TABLE IF NOT EXISTS "User" (
     "id" TEXT NOT NULL,
     "email" TEXT NOT NULL,
     "password" TEXT NOT NULL,
-    "role" TEXT NOT NULL DEFAULT 'MEMBER',
-    "organizationId" TEXT NOT NULL,
+    "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "mfaSecret" TEXT,
+    "mfaPendingSecret" TEXT,
+    "mfaLastUsedStep" INTEGER,
+    "mfaRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "lockedUntil" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT "User_pkey" PRIMARY KEY ("id")
 );
 
+-- Create Membership table (a user's role in one organization - users can belong to several)
+CREATE TABLE IF NOT EXISTS "Membership" (
+    "id" TEXT NOT NULL,
+    "role" "Role" NOT NULL DEFAULT 'MEMBER',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "oidcSubject" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "userId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    CONSTRAINT "Membership_pkey" PRIMARY KEY ("id")
+);
+
 -- Create Category table with UUID
 CREATE TABLE IF NOT EXISTS "Category" (
     "id" TEXT NOT NULL,
     "name" TEXT NOT NULL,
     "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
     CONSTRAINT "Category_pkey" PRIMARY KEY ("id")
 );
 
+-- Create AssetStatusKind enum (what a status means, see backend/src/services/assetStatuses.js)
+DO $$ BEGIN
+    CREATE TYPE "AssetStatusKind" AS ENUM ('IN_SERVICE', 'MAINTENANCE', 'RETIRED');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create AssetStatus table (each organization's asset statuses and the moves allowed between them)
+-- Organizations without statuses get active / maintenance / retired on first use
+CREATE TABLE IF NOT EXISTS "AssetStatus" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "color" TEXT NOT NULL,
+    "kind" "AssetStatusKind" NOT NULL DEFAULT 'IN_SERVICE',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "transitions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "AssetStatus_pkey" PRIMARY KEY ("id")
+);
+
+-- Create Location table (tree of sites, buildings, rooms... - parentId null at the top)
+CREATE TABLE IF NOT EXISTS "Location" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "parentId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
 -- Create Asset table with UUID
 CREATE TABLE IF NOT EXISTS "Asset" (
     "id" TEXT NOT NULL,
@@ -35,21 +99,337 @@ CREATE TABLE IF NOT EXISTS "Asset" (
     "status" TEXT NOT NULL,
     "organizationId" TEXT NOT NULL,
     "categoryId" TEXT NOT NULL,
+    "locationId" TEXT,
+    "customFields" JSONB NOT NULL DEFAULT '{}',
+    "searchVector" tsvector,
+    "deletedAt" TIMESTAMP(3),
+    "deletedById" TEXT,
+    "deletedByApiKeyId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
     CONSTRAINT "Asset_pkey" PRIMARY KEY ("id")
 );
 
+-- Create CustomFieldType enum (see backend/src/services/customFields.js)
+DO $$ BEGIN
+    CREATE TYPE "CustomFieldType" AS ENUM ('TEXT', 'NUMBER', 'DATE', 'ENUM', 'BOOLEAN');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create CustomField table (typed extra fields of a category's assets, values in Asset.customFields)
+CREATE TABLE IF NOT EXISTS "CustomField" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "type" "CustomFieldType" NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "options" TEXT[],
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "categoryId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "CustomField_pkey" PRIMARY KEY ("id")
+);
+
+-- Create AssetRevisionAction enum (see backend/src/services/assetHistory.js)
+DO $$ BEGIN
+    CREATE TYPE "AssetRevisionAction" AS ENUM ('CREATE', 'UPDATE', 'REVERT');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create AssetRevision table (immutable history of asset changes: before / after values)
+CREATE TABLE IF NOT EXISTS "AssetRevision" (
+    "id" TEXT NOT NULL,
+    "action" "AssetRevisionAction" NOT NULL,
+    "before" JSONB,
+    "after" JSONB NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "userId" TEXT,
+    "apiKeyId" TEXT,
+    "revertedFromId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AssetRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- Create AuditLog table (append-only log of logins, asset and user changes)
+CREATE TABLE IF NOT EXISTS "AuditLog" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "userId" TEXT,
+    "apiKeyId" TEXT,
+    "actorName" TEXT,
+    "targetType" TEXT,
+    "targetId" TEXT,
+    "details" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "requestId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- Create AssetAssignment table (check-out / check-in of assets to people)
+CREATE TABLE IF NOT EXISTS "AssetAssignment" (
+    "id" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "assigneeId" TEXT,
+    "externalName" TEXT,
+    "dueDate" DATE,
+    "checkoutNote" TEXT,
+    "checkedOutAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "checkedOutBy" TEXT,
+    "checkedInAt" TIMESTAMP(3),
+    "checkedInBy" TEXT,
+    "checkinNote" TEXT,
+    "organizationId" TEXT NOT NULL,
+    CONSTRAINT "AssetAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- Create AssetMovement table (movement history of assets between locations)
+CREATE TABLE IF NOT EXISTS "AssetMovement" (
+    "id" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "fromLocationId" TEXT,
+    "fromPath" TEXT,
+    "toLocationId" TEXT,
+    "toPath" TEXT,
+    "movedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "movedBy" TEXT,
+    "organizationId" TEXT NOT NULL,
+    CONSTRAINT "AssetMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- Create MaintenanceFrequency and WorkOrderStatus enums (see backend/src/services/maintenance.js)
+DO $$ BEGIN
+    CREATE TYPE "MaintenanceFrequency" AS ENUM ('DAYS', 'MONTHS');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+DO $$ BEGIN
+    CREATE TYPE "WorkOrderStatus" AS ENUM ('OPEN', 'DONE', 'CANCELLED');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create MaintenancePlan table (recurring maintenance of one asset or of a category)
+CREATE TABLE IF NOT EXISTS "MaintenancePlan" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "assetId" TEXT,
+    "categoryId" TEXT,
+    "frequency" "MaintenanceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL,
+    "dayOfMonth" INTEGER,
+    "nextDueDate" DATE NOT NULL,
+    "assigneeId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "MaintenancePlan_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "MaintenancePlan_target_check" CHECK (("assetId" IS NULL) <> ("categoryId" IS NULL))
+);
+
+-- Create WorkOrder table (maintenance work on an asset, opened by a plan or by hand)
+CREATE TABLE IF NOT EXISTS "WorkOrder" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "planId" TEXT,
+    "status" "WorkOrderStatus" NOT NULL DEFAULT 'OPEN',
+    "dueDate" DATE,
+    "assigneeId" TEXT,
+    "notes" TEXT,
+    "cost" DECIMAL(12,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "closedBy" TEXT,
+    "previousStatus" TEXT,
+    "organizationId" TEXT NOT NULL,
+    CONSTRAINT "WorkOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- Create Invitation table (email invitations, only the token hash is stored)
+CREATE TABLE IF NOT EXISTS "Invitation" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "Role" NOT NULL DEFAULT 'MEMBER',
+    "tokenHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "invitedById" TEXT,
+    CONSTRAINT "Invitation_pkey" PRIMARY KEY ("id")
+);
+
+-- Create RefreshToken table (rotating sessions, only the token hash is stored)
+CREATE TABLE IF NOT EXISTS "RefreshToken" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "familyId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "viaSso" BOOLEAN NOT NULL DEFAULT false,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "replacedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "RefreshToken_pkey" PRIMARY KEY ("id")
+);
+
+-- Create PasswordResetToken table ("forgot password" links, only the token hash is stored)
+CREATE TABLE IF NOT EXISTS "PasswordResetToken" (
+    "id" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PasswordResetToken_pkey" PRIMARY KEY ("id")
+);
+
+-- Create ApiKey table (keys for scripts and tools, only the key hash is stored)
+CREATE TABLE IF NOT EXISTS "ApiKey" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "lastUsedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "createdById" TEXT,
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- Create LoginAttempt table (failed logins, kept 90 days)
+CREATE TABLE IF NOT EXISTS "LoginAttempt" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LoginAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- Create LoginThrottle table (failure counters when LOGIN_THROTTLE_STORE=postgres)
+CREATE TABLE IF NOT EXISTS "LoginThrottle" (
+    "key" TEXT NOT NULL,
+    "failures" INTEGER NOT NULL,
+    "lastFailureAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "LoginThrottle_pkey" PRIMARY KEY ("key")
+);
+
+-- Create OidcConfig table (single sign-on settings, one per organization)
+CREATE TABLE IF NOT EXISTS "OidcConfig" (
+    "id" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "issuer" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "clientSecret" TEXT NOT NULL,
+    "allowedDomains" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "defaultRole" "Role" NOT NULL DEFAULT 'MEMBER',
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    CONSTRAINT "OidcConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- Create OidcLoginRequest table (single sign-on logins in progress, short-lived)
+CREATE TABLE IF NOT EXISTS "OidcLoginRequest" (
+    "id" TEXT NOT NULL,
+    "stateHash" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "handoffHash" TEXT,
+    "handoffUsedAt" TIMESTAMP(3),
+    "organizationId" TEXT NOT NULL,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "OidcLoginRequest_pkey" PRIMARY KEY ("id")
+);
+
 -- Create unique indexes
 CREATE UNIQUE INDEX IF NOT EXISTS "Organization_name_key" ON "Organization"("name");
 CREATE UNIQUE INDEX IF NOT EXISTS "Organization_slug_key" ON "Organization"("slug");
 CREATE UNIQUE INDEX IF NOT EXISTS "User_email_key" ON "User"("email");
-CREATE UNIQUE INDEX IF NOT EXISTS "Asset_serialNumber_key" ON "Asset"("serialNumber");
+CREATE UNIQUE INDEX IF NOT EXISTS "Membership_userId_organizationId_key" ON "Membership"("userId", "organizationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "Membership_organizationId_oidcSubject_key" ON "Membership"("organizationId", "oidcSubject");
+-- Serial numbers are unique among the assets that are not in the trash
+CREATE UNIQUE INDEX IF NOT EXISTS "Asset_organizationId_serialNumber_key" ON "Asset"("organizationId", "serialNumber") WHERE "deletedAt" IS NULL;
+CREATE INDEX IF NOT EXISTS "Asset_organizationId_deletedAt_idx" ON "Asset"("organizationId", "deletedAt");
+CREATE INDEX IF NOT EXISTS "Asset_organizationId_name_idx" ON "Asset"("organizationId", "name");
+CREATE INDEX IF NOT EXISTS "Asset_organizationId_status_idx" ON "Asset"("organizationId", "status");
+CREATE INDEX IF NOT EXISTS "Asset_organizationId_categoryId_idx" ON "Asset"("organizationId", "categoryId");
+CREATE INDEX IF NOT EXISTS "Asset_organizationId_locationId_idx" ON "Asset"("organizationId", "locationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "AssetStatus_organizationId_key_key" ON "AssetStatus"("organizationId", "key");
+CREATE INDEX IF NOT EXISTS "Location_organizationId_parentId_idx" ON "Location"("organizationId", "parentId");
+CREATE INDEX IF NOT EXISTS "AssetMovement_assetId_movedAt_idx" ON "AssetMovement"("assetId", "movedAt");
+CREATE INDEX IF NOT EXISTS "MaintenancePlan_organizationId_isActive_nextDueDate_idx" ON "MaintenancePlan"("organizationId", "isActive", "nextDueDate");
+CREATE UNIQUE INDEX IF NOT EXISTS "WorkOrder_planId_assetId_dueDate_key" ON "WorkOrder"("planId", "assetId", "dueDate");
+CREATE INDEX IF NOT EXISTS "WorkOrder_organizationId_status_dueDate_idx" ON "WorkOrder"("organizationId", "status", "dueDate");
+CREATE INDEX IF NOT EXISTS "WorkOrder_assetId_createdAt_idx" ON "WorkOrder"("assetId", "createdAt");
+CREATE INDEX IF NOT EXISTS "CustomField_organizationId_idx" ON "CustomField"("organizationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "CustomField_categoryId_key_key" ON "CustomField"("categoryId", "key");
+CREATE INDEX IF NOT EXISTS "AssetRevision_assetId_createdAt_idx" ON "AssetRevision"("assetId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AssetRevision_organizationId_idx" ON "AssetRevision"("organizationId");
+CREATE INDEX IF NOT EXISTS "AuditLog_organizationId_createdAt_idx" ON "AuditLog"("organizationId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AuditLog_organizationId_action_createdAt_idx" ON "AuditLog"("organizationId", "action", "createdAt");
+CREATE INDEX IF NOT EXISTS "AuditLog_organizationId_userId_createdAt_idx" ON "AuditLog"("organizationId", "userId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AssetAssignment_assetId_checkedOutAt_idx" ON "AssetAssignment"("assetId", "checkedOutAt");
+CREATE INDEX IF NOT EXISTS "AssetAssignment_organizationId_assigneeId_idx" ON "AssetAssignment"("organizationId", "assigneeId");
+-- At most one open assignment (not checked in) per asset
+CREATE UNIQUE INDEX IF NOT EXISTS "AssetAssignment_assetId_open_key" ON "AssetAssignment"("assetId") WHERE "checkedInAt" IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS "Invitation_tokenHash_key" ON "Invitation"("tokenHash");
+CREATE INDEX IF NOT EXISTS "Invitation_organizationId_idx" ON "Invitation"("organizationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "RefreshToken_tokenHash_key" ON "RefreshToken"("tokenHash");
+CREATE INDEX IF NOT EXISTS "RefreshToken_familyId_idx" ON "RefreshToken"("familyId");
+CREATE INDEX IF NOT EXISTS "RefreshToken_userId_idx" ON "RefreshToken"("userId");
+CREATE INDEX IF NOT EXISTS "RefreshToken_organizationId_idx" ON "RefreshToken"("organizationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "PasswordResetToken_tokenHash_key" ON "PasswordResetToken"("tokenHash");
+CREATE INDEX IF NOT EXISTS "PasswordResetToken_userId_idx" ON "PasswordResetToken"("userId");
+CREATE UNIQUE INDEX IF NOT EXISTS "ApiKey_keyHash_key" ON "ApiKey"("keyHash");
+CREATE INDEX IF NOT EXISTS "ApiKey_organizationId_idx" ON "ApiKey"("organizationId");
+CREATE INDEX IF NOT EXISTS "LoginAttempt_email_createdAt_idx" ON "LoginAttempt"("email", "createdAt");
+CREATE INDEX IF NOT EXISTS "LoginAttempt_userId_createdAt_idx" ON "LoginAttempt"("userId", "createdAt");
+CREATE INDEX IF NOT EXISTS "LoginAttempt_createdAt_idx" ON "LoginAttempt"("createdAt");
+CREATE UNIQUE INDEX IF NOT EXISTS "OidcConfig_organizationId_key" ON "OidcConfig"("organizationId");
+CREATE UNIQUE INDEX IF NOT EXISTS "OidcLoginRequest_stateHash_key" ON "OidcLoginRequest"("stateHash");
+CREATE UNIQUE INDEX IF NOT EXISTS "OidcLoginRequest_handoffHash_key" ON "OidcLoginRequest"("handoffHash");
+CREATE INDEX IF NOT EXISTS "OidcLoginRequest_expiresAt_idx" ON "OidcLoginRequest"("expiresAt");
 
 -- Add foreign keys
-ALTER TABLE "User" 
-    ADD CONSTRAINT "User_organizationId_fkey" 
+ALTER TABLE "Membership" 
+    ADD CONSTRAINT "Membership_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "Membership" 
+    ADD CONSTRAINT "Membership_organizationId_fkey" 
     FOREIGN KEY ("organizationId") 
     REFERENCES "Organization"("id") 
-    ON DELETE RESTRICT ON UPDATE CASCADE;
+    ON DELETE CASCADE ON UPDATE CASCADE;
 
 ALTER TABLE "Category" 
     ADD CONSTRAINT "Category_organizationId_fkey" 
@@ -68,3 +448,373 @@ ALTER TABLE "Asset"
     FOREIGN KEY ("categoryId") 
     REFERENCES "Category"("id") 
     ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Asset" 
+    ADD CONSTRAINT "Asset_deletedById_fkey" 
+    FOREIGN KEY ("deletedById") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "Asset" 
+    ADD CONSTRAINT "Asset_deletedByApiKeyId_fkey" 
+    FOREIGN KEY ("deletedByApiKeyId") 
+    REFERENCES "ApiKey"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "CustomField" 
+    ADD CONSTRAINT "CustomField_categoryId_fkey" 
+    FOREIGN KEY ("categoryId") 
+    REFERENCES "Category"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "CustomField" 
+    ADD CONSTRAINT "CustomField_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "AssetRevision" 
+    ADD CONSTRAINT "AssetRevision_assetId_fkey" 
+    FOREIGN KEY ("assetId") 
+    REFERENCES "Asset"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "AssetRevision" 
+    ADD CONSTRAINT "AssetRevision_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetRevision" 
+    ADD CONSTRAINT "AssetRevision_apiKeyId_fkey" 
+    FOREIGN KEY ("apiKeyId") 
+    REFERENCES "ApiKey"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetRevision" 
+    ADD CONSTRAINT "AssetRevision_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "AuditLog" 
+    ADD CONSTRAINT "AuditLog_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "AssetAssignment" 
+    ADD CONSTRAINT "AssetAssignment_assetId_fkey" 
+    FOREIGN KEY ("assetId") 
+    REFERENCES "Asset"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "AssetAssignment" 
+    ADD CONSTRAINT "AssetAssignment_assigneeId_fkey" 
+    FOREIGN KEY ("assigneeId") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetAssignment" 
+    ADD CONSTRAINT "AssetAssignment_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Asset" 
+    ADD CONSTRAINT "Asset_locationId_fkey" 
+    FOREIGN KEY ("locationId") 
+    REFERENCES "Location"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetStatus" 
+    ADD CONSTRAINT "AssetStatus_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Location" 
+    ADD CONSTRAINT "Location_parentId_fkey" 
+    FOREIGN KEY ("parentId") 
+    REFERENCES "Location"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Location" 
+    ADD CONSTRAINT "Location_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "AssetMovement" 
+    ADD CONSTRAINT "AssetMovement_assetId_fkey" 
+    FOREIGN KEY ("assetId") 
+    REFERENCES "Asset"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "AssetMovement" 
+    ADD CONSTRAINT "AssetMovement_fromLocationId_fkey" 
+    FOREIGN KEY ("fromLocationId") 
+    REFERENCES "Location"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetMovement" 
+    ADD CONSTRAINT "AssetMovement_toLocationId_fkey" 
+    FOREIGN KEY ("toLocationId") 
+    REFERENCES "Location"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "AssetMovement" 
+    ADD CONSTRAINT "AssetMovement_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "MaintenancePlan" 
+    ADD CONSTRAINT "MaintenancePlan_assetId_fkey" 
+    FOREIGN KEY ("assetId") 
+    REFERENCES "Asset"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "MaintenancePlan" 
+    ADD CONSTRAINT "MaintenancePlan_categoryId_fkey" 
+    FOREIGN KEY ("categoryId") 
+    REFERENCES "Category"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "MaintenancePlan" 
+    ADD CONSTRAINT "MaintenancePlan_assigneeId_fkey" 
+    FOREIGN KEY ("assigneeId") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "MaintenancePlan" 
+    ADD CONSTRAINT "MaintenancePlan_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "WorkOrder" 
+    ADD CONSTRAINT "WorkOrder_assetId_fkey" 
+    FOREIGN KEY ("assetId") 
+    REFERENCES "Asset"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "WorkOrder" 
+    ADD CONSTRAINT "WorkOrder_planId_fkey" 
+    FOREIGN KEY ("planId") 
+    REFERENCES "MaintenancePlan"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "WorkOrder" 
+    ADD CONSTRAINT "WorkOrder_assigneeId_fkey" 
+    FOREIGN KEY ("assigneeId") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "WorkOrder" 
+    ADD CONSTRAINT "WorkOrder_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "Invitation" 
+    ADD CONSTRAINT "Invitation_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "Invitation" 
+    ADD CONSTRAINT "Invitation_invitedById_fkey" 
+    FOREIGN KEY ("invitedById") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "RefreshToken" 
+    ADD CONSTRAINT "RefreshToken_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "RefreshToken" 
+    ADD CONSTRAINT "RefreshToken_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "PasswordResetToken" 
+    ADD CONSTRAINT "PasswordResetToken_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "ApiKey" 
+    ADD CONSTRAINT "ApiKey_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "ApiKey" 
+    ADD CONSTRAINT "ApiKey_createdById_fkey" 
+    FOREIGN KEY ("createdById") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "LoginAttempt" 
+    ADD CONSTRAINT "LoginAttempt_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "OidcConfig" 
+    ADD CONSTRAINT "OidcConfig_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "OidcLoginRequest" 
+    ADD CONSTRAINT "OidcLoginRequest_organizationId_fkey" 
+    FOREIGN KEY ("organizationId") 
+    REFERENCES "Organization"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+ALTER TABLE "OidcLoginRequest" 
+    ADD CONSTRAINT "OidcLoginRequest_userId_fkey" 
+    FOREIGN KEY ("userId") 
+    REFERENCES "User"("id") 
+    ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Row-level security: second tenant isolation layer (see backend/src/db/tenant.js)
+-- The app sets app.current_org for each query; roles with BYPASSRLS skip these policies
+ALTER TABLE "Asset" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Asset" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "Asset_tenant_isolation" ON "Asset"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "Category" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Category" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "Category_tenant_isolation" ON "Category"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "CustomField" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "CustomField" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "CustomField_tenant_isolation" ON "CustomField"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "AssetStatus" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetStatus" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "AssetStatus_tenant_isolation" ON "AssetStatus"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "Location" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Location" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "Location_tenant_isolation" ON "Location"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "MaintenancePlan" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "MaintenancePlan" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "MaintenancePlan_tenant_isolation" ON "MaintenancePlan"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "WorkOrder" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "WorkOrder" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "WorkOrder_tenant_isolation" ON "WorkOrder"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- Asset revisions are immutable: only read and insert, no update or delete policy
+ALTER TABLE "AssetRevision" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetRevision" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "AssetRevision_tenant_read" ON "AssetRevision"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+CREATE POLICY "AssetRevision_tenant_insert" ON "AssetRevision"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- The audit log is append-only the same way
+ALTER TABLE "AuditLog" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AuditLog" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "AuditLog_tenant_read" ON "AuditLog"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+CREATE POLICY "AuditLog_tenant_insert" ON "AuditLog"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- Custody history is kept: read, insert and update (check-in), no delete policy
+ALTER TABLE "AssetAssignment" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetAssignment" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "AssetAssignment_tenant_read" ON "AssetAssignment"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+CREATE POLICY "AssetAssignment_tenant_insert" ON "AssetAssignment"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+CREATE POLICY "AssetAssignment_tenant_update" ON "AssetAssignment"
+    FOR UPDATE
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- Movement history is append-only too
+ALTER TABLE "AssetMovement" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetMovement" FORCE ROW LEVEL SECURITY;
+CREATE POLICY "AssetMovement_tenant_read" ON "AssetMovement"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+CREATE POLICY "AssetMovement_tenant_insert" ON "AssetMovement"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- No row-level security on User: accounts are shared between organizations and
+-- looked up before any organization is known (login, invitations, SSO). The
+-- application keeps them apart, through Membership (see migration 20260225090000_user_outside_rls)
+
+-- Full-text search on assets (GET /api/assets/search, see migration 20260207090000_asset_search)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION asset_search_vector(asset_name TEXT, serial_number TEXT, category_name TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('simple', coalesce(asset_name, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(serial_number, '')), 'B')
+        || setweight(to_tsvector('simple', coalesce(category_name, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION asset_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" := asset_search_vector(
+        NEW."name",
+        NEW."serialNumber",
+        (SELECT c."name" FROM "Category" c WHERE c."id" = NEW."categoryId")
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Asset_searchVector_update" ON "Asset";
+CREATE TRIGGER "Asset_searchVector_update"
+    BEFORE INSERT OR UPDATE OF "name", "serialNumber", "categoryId" ON "Asset"
+    FOR EACH ROW EXECUTE FUNCTION asset_search_vector_update();
+
+CREATE OR REPLACE FUNCTION category_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    UPDATE "Asset"
+    SET "searchVector" = asset_search_vector("name", "serialNumber", NEW."name")
+    WHERE "categoryId" = NEW."id";
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Category_searchVector_update" ON "Category";
+CREATE TRIGGER "Category_searchVector_update"
+    AFTER UPDATE OF "name" ON "Category"
+    FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+    EXECUTE FUNCTION category_search_vector_update();
+
+CREATE INDEX IF NOT EXISTS "Asset_searchVector_idx" ON "Asset" USING GIN ("searchVector");
+CREATE INDEX IF NOT EXISTS "Asset_serialNumber_idx" ON "Asset" USING GIN ("serialNumber" gin_trgm_ops);
@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('ADMIN', 'MEMBER', 'VIEWER');
+
+-- AlterTable
+-- Existing roles were free text: normalize the case and map anything unknown to MEMBER
+ALTER TABLE "User" ALTER COLUMN "role" DROP DEFAULT;
+ALTER TABLE "User" ALTER COLUMN "role" TYPE "Role" USING (
+    CASE UPPER("role")
+        WHEN 'ADMIN' THEN 'ADMIN'
+        WHEN 'VIEWER' THEN 'VIEWER'
+        ELSE 'MEMBER'
+    END
+)::"Role";
+ALTER TABLE "User" ALTER COLUMN "role" SET DEFAULT 'MEMBER';
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "requireMfa" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "mfaEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "mfaLastUsedStep" INTEGER,
+ADD COLUMN     "mfaPendingSecret" TEXT,
+ADD COLUMN     "mfaRecoveryCodes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "mfaSecret" TEXT;
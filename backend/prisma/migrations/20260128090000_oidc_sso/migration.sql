@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "Organization" ADD COLUMN     "passwordLoginDisabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "oidcSubject" TEXT;
+
+-- CreateTable
+CREATE TABLE "OidcConfig" (
+    "id" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "issuer" TEXT NOT NULL,
+    "clientId" TEXT NOT NULL,
+    "clientSecret" TEXT NOT NULL,
+    "allowedDomains" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "defaultRole" "Role" NOT NULL DEFAULT 'MEMBER',
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OidcConfig_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OidcLoginRequest" (
+    "id" TEXT NOT NULL,
+    "stateHash" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "handoffHash" TEXT,
+    "handoffUsedAt" TIMESTAMP(3),
+    "organizationId" TEXT NOT NULL,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OidcLoginRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_organizationId_oidcSubject_key" ON "User"("organizationId", "oidcSubject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OidcConfig_organizationId_key" ON "OidcConfig"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OidcLoginRequest_stateHash_key" ON "OidcLoginRequest"("stateHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OidcLoginRequest_handoffHash_key" ON "OidcLoginRequest"("handoffHash");
+
+-- CreateIndex
+CREATE INDEX "OidcLoginRequest_expiresAt_idx" ON "OidcLoginRequest"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "OidcConfig" ADD CONSTRAINT "OidcConfig_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OidcLoginRequest" ADD CONSTRAINT "OidcLoginRequest_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OidcLoginRequest" ADD CONSTRAINT "OidcLoginRequest_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "Membership" (
+    "id" TEXT NOT NULL,
+    "role" "Role" NOT NULL DEFAULT 'MEMBER',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "oidcSubject" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "Membership_pkey" PRIMARY KEY ("id")
+);
+
+-- Every existing user becomes a member of their organization, keeping role, status and SSO identity
+INSERT INTO "Membership" ("id", "role", "isActive", "oidcSubject", "createdAt", "userId", "organizationId")
+SELECT gen_random_uuid()::TEXT, "role", "isActive", "oidcSubject", "createdAt", "id", "organizationId"
+FROM "User";
+
+-- AlterTable
+-- Sessions are now scoped to one organization: existing ones belong to the user's organization
+ALTER TABLE "RefreshToken" ADD COLUMN     "organizationId" TEXT,
+ADD COLUMN     "viaSso" BOOLEAN NOT NULL DEFAULT false;
+
+UPDATE "RefreshToken" SET "organizationId" = "User"."organizationId"
+FROM "User"
+WHERE "RefreshToken"."userId" = "User"."id";
+
+ALTER TABLE "RefreshToken" ALTER COLUMN "organizationId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "User" DROP CONSTRAINT "User_organizationId_fkey";
+
+-- DropIndex
+DROP INDEX "User_organizationId_oidcSubject_key";
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "isActive",
+DROP COLUMN "oidcSubject",
+DROP COLUMN "organizationId",
+DROP COLUMN "role";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Membership_userId_organizationId_key" ON "Membership"("userId", "organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Membership_organizationId_oidcSubject_key" ON "Membership"("organizationId", "oidcSubject");
+
+-- CreateIndex
+CREATE INDEX "RefreshToken_organizationId_idx" ON "RefreshToken"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "Membership" ADD CONSTRAINT "Membership_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Membership" ADD CONSTRAINT "Membership_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RefreshToken" ADD CONSTRAINT "RefreshToken_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE CASCADE ON UPDATE CASCADE;
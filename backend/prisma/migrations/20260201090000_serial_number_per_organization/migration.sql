@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "Asset_serialNumber_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_organizationId_serialNumber_key" ON "Asset"("organizationId", "serialNumber");
@@ -0,0 +1,44 @@
+-- Row-level security: a second tenant isolation layer behind the tenant-scoped
+-- Prisma client (src/db/tenant.js). Queries made through req.db run in a
+-- transaction that first sets app.current_org to the organization's ID.
+--
+-- FORCE applies the policies to the table owner too. Only roles with BYPASSRLS
+-- (or superusers) skip them - that's the DATABASE_ADMIN_URL connection used by
+-- the seed script and platform-admin code. Run migrations with it as well.
+
+-- Asset: only the current organization's rows
+ALTER TABLE "Asset" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Asset" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "Asset_tenant_isolation" ON "Asset"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- Category: only the current organization's rows
+ALTER TABLE "Category" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Category" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "Category_tenant_isolation" ON "Category"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- User: accounts are shared between organizations (see Membership), and login,
+-- password reset or invitations look them up before any organization is known.
+-- Without an organization context every account is visible; with one, only
+-- its members - plus accounts that belong to no organization yet (being created).
+ALTER TABLE "User" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "User" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "User_tenant_isolation" ON "User"
+    USING (
+        NULLIF(current_setting('app.current_org', TRUE), '') IS NULL
+        OR EXISTS (
+            SELECT 1 FROM "Membership" m
+            WHERE m."userId" = "User"."id" AND m."organizationId" = current_setting('app.current_org', TRUE)
+        )
+        OR NOT EXISTS (
+            SELECT 1 FROM "Membership" m
+            WHERE m."userId" = "User"."id"
+        )
+    )
+    WITH CHECK (TRUE);
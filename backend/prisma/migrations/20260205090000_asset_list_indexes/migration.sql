@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "Asset_organizationId_name_idx" ON "Asset"("organizationId", "name");
+
+-- CreateIndex
+CREATE INDEX "Asset_organizationId_status_idx" ON "Asset"("organizationId", "status");
+
+-- CreateIndex
+CREATE INDEX "Asset_organizationId_categoryId_idx" ON "Asset"("organizationId", "categoryId");
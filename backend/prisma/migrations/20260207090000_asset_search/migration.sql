@@ -0,0 +1,60 @@
+-- Full-text search on assets (GET /api/assets/search, see assetController.js)
+
+-- Trigram matching for serial number fragments and typos
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "Asset" ADD COLUMN "searchVector" tsvector;
+
+-- Search document of one asset: the name counts most, then the serial number,
+-- then the category name. 'simple' = no language stemming (names and serials
+-- are not English prose).
+CREATE OR REPLACE FUNCTION asset_search_vector(asset_name TEXT, serial_number TEXT, category_name TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('simple', coalesce(asset_name, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(serial_number, '')), 'B')
+        || setweight(to_tsvector('simple', coalesce(category_name, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Keep the column up to date when an asset is created or edited
+CREATE OR REPLACE FUNCTION asset_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    NEW."searchVector" := asset_search_vector(
+        NEW."name",
+        NEW."serialNumber",
+        (SELECT c."name" FROM "Category" c WHERE c."id" = NEW."categoryId")
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Asset_searchVector_update"
+    BEFORE INSERT OR UPDATE OF "name", "serialNumber", "categoryId" ON "Asset"
+    FOR EACH ROW EXECUTE FUNCTION asset_search_vector_update();
+
+-- Renaming a category changes the search document of its assets
+CREATE OR REPLACE FUNCTION category_search_vector_update() RETURNS trigger AS $$
+BEGIN
+    UPDATE "Asset"
+    SET "searchVector" = asset_search_vector("name", "serialNumber", NEW."name")
+    WHERE "categoryId" = NEW."id";
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Category_searchVector_update"
+    AFTER UPDATE OF "name" ON "Category"
+    FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+    EXECUTE FUNCTION category_search_vector_update();
+
+-- Existing assets
+UPDATE "Asset" a
+SET "searchVector" = asset_search_vector(a."name", a."serialNumber", c."name")
+FROM "Category" c
+WHERE c."id" = a."categoryId";
+
+-- CreateIndex
+CREATE INDEX "Asset_searchVector_idx" ON "Asset" USING GIN ("searchVector");
+
+-- CreateIndex
+CREATE INDEX "Asset_serialNumber_idx" ON "Asset" USING GIN ("serialNumber" gin_trgm_ops);
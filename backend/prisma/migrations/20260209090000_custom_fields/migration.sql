@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "CustomFieldType" AS ENUM ('TEXT', 'NUMBER', 'DATE', 'ENUM', 'BOOLEAN');
+
+-- AlterTable
+ALTER TABLE "Asset" ADD COLUMN     "customFields" JSONB NOT NULL DEFAULT '{}';
+
+-- CreateTable
+CREATE TABLE "CustomField" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "type" "CustomFieldType" NOT NULL,
+    "required" BOOLEAN NOT NULL DEFAULT false,
+    "options" TEXT[],
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "categoryId" TEXT NOT NULL,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CustomField_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CustomField_organizationId_idx" ON "CustomField"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CustomField_categoryId_key_key" ON "CustomField"("categoryId", "key");
+
+-- AddForeignKey
+ALTER TABLE "CustomField" ADD CONSTRAINT "CustomField_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CustomField" ADD CONSTRAINT "CustomField_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security, like Category (see the row_level_security migration)
+ALTER TABLE "CustomField" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "CustomField" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "CustomField_tenant_isolation" ON "CustomField"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
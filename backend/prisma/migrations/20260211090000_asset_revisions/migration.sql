@@ -0,0 +1,81 @@
+-- Timestamps on every tenant-owned table. Rows that existed before this
+-- migration get the migration time - their real creation time is unknown.
+-- updatedAt is set by Prisma (@updatedAt): the default only fills existing rows.
+
+-- AlterTable
+ALTER TABLE "Asset" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Asset" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Category" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "CustomField" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "CustomField" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "Membership" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Membership" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "Invitation" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Invitation" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "ApiKey" ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "ApiKey" ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- CreateEnum
+CREATE TYPE "AssetRevisionAction" AS ENUM ('CREATE', 'UPDATE', 'REVERT');
+
+-- CreateTable
+CREATE TABLE "AssetRevision" (
+    "id" TEXT NOT NULL,
+    "action" "AssetRevisionAction" NOT NULL,
+    "before" JSONB,
+    "after" JSONB NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "userId" TEXT,
+    "apiKeyId" TEXT,
+    "revertedFromId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AssetRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AssetRevision_assetId_createdAt_idx" ON "AssetRevision"("assetId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AssetRevision_organizationId_idx" ON "AssetRevision"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "AssetRevision" ADD CONSTRAINT "AssetRevision_assetId_fkey" FOREIGN KEY ("assetId") REFERENCES "Asset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetRevision" ADD CONSTRAINT "AssetRevision_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetRevision" ADD CONSTRAINT "AssetRevision_apiKeyId_fkey" FOREIGN KEY ("apiKeyId") REFERENCES "ApiKey"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetRevision" ADD CONSTRAINT "AssetRevision_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security: revisions are immutable. There is no UPDATE or DELETE
+-- policy, so the application can only read and insert its organization's
+-- revisions. (Deleting an asset still removes its revisions: foreign key
+-- actions are not subject to row-level security.)
+ALTER TABLE "AssetRevision" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetRevision" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "AssetRevision_tenant_read" ON "AssetRevision"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+
+CREATE POLICY "AssetRevision_tenant_insert" ON "AssetRevision"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
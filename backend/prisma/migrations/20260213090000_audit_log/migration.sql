@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "userId" TEXT,
+    "apiKeyId" TEXT,
+    "actorName" TEXT,
+    "targetType" TEXT,
+    "targetId" TEXT,
+    "details" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "requestId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_organizationId_createdAt_idx" ON "AuditLog"("organizationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_organizationId_action_createdAt_idx" ON "AuditLog"("organizationId", "action", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_organizationId_userId_createdAt_idx" ON "AuditLog"("organizationId", "userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security: the audit log is append-only. There is no UPDATE or
+-- DELETE policy, so the application can only read and insert its
+-- organization's entries - not even an admin can erase their tracks.
+ALTER TABLE "AuditLog" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AuditLog" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "AuditLog_tenant_read" ON "AuditLog"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+
+CREATE POLICY "AuditLog_tenant_insert" ON "AuditLog"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
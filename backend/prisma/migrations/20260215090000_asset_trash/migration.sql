@@ -0,0 +1,28 @@
+-- Recycle bin for assets (see src/services/trash.js). Deleting an asset now
+-- sets deletedAt (and who deleted it); the row is only removed by a
+-- permanent delete from the Trash page or by the purge job.
+
+-- AlterTable
+ALTER TABLE "Asset" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "deletedById" TEXT,
+ADD COLUMN     "deletedByApiKeyId" TEXT;
+
+-- Serial numbers stay unique per organization, but only among assets that
+-- are not in the trash: a trashed asset doesn't block creating a new one
+-- with its serial number (restoring it is refused while the serial is taken).
+-- Partial index - Prisma can't describe it, so it isn't in schema.prisma.
+
+-- DropIndex
+DROP INDEX "Asset_organizationId_serialNumber_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_organizationId_serialNumber_key" ON "Asset"("organizationId", "serialNumber") WHERE "deletedAt" IS NULL;
+
+-- CreateIndex
+CREATE INDEX "Asset_organizationId_deletedAt_idx" ON "Asset"("organizationId", "deletedAt");
+
+-- AddForeignKey
+ALTER TABLE "Asset" ADD CONSTRAINT "Asset_deletedById_fkey" FOREIGN KEY ("deletedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Asset" ADD CONSTRAINT "Asset_deletedByApiKeyId_fkey" FOREIGN KEY ("deletedByApiKeyId") REFERENCES "ApiKey"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,59 @@
+-- Check-out / check-in of assets to people (see src/controllers/assignmentController.js)
+
+-- CreateTable
+CREATE TABLE "AssetAssignment" (
+    "id" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "assigneeId" TEXT,
+    "externalName" TEXT,
+    "dueDate" DATE,
+    "checkoutNote" TEXT,
+    "checkedOutAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "checkedOutBy" TEXT,
+    "checkedInAt" TIMESTAMP(3),
+    "checkedInBy" TEXT,
+    "checkinNote" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "AssetAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AssetAssignment_assetId_checkedOutAt_idx" ON "AssetAssignment"("assetId", "checkedOutAt");
+
+-- CreateIndex
+CREATE INDEX "AssetAssignment_organizationId_assigneeId_idx" ON "AssetAssignment"("organizationId", "assigneeId");
+
+-- An asset is checked out to one person at a time: at most one open
+-- assignment per asset. Partial index - Prisma can't describe it, so it
+-- isn't in schema.prisma.
+CREATE UNIQUE INDEX "AssetAssignment_assetId_open_key" ON "AssetAssignment"("assetId") WHERE "checkedInAt" IS NULL;
+
+-- AddForeignKey
+ALTER TABLE "AssetAssignment" ADD CONSTRAINT "AssetAssignment_assetId_fkey" FOREIGN KEY ("assetId") REFERENCES "Asset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetAssignment" ADD CONSTRAINT "AssetAssignment_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetAssignment" ADD CONSTRAINT "AssetAssignment_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security: custody history is kept. The application can read,
+-- insert and update (check-in) its organization's assignments, but there is
+-- no DELETE policy. (Purging an asset still removes its assignments: foreign
+-- key actions are not subject to row-level security.)
+ALTER TABLE "AssetAssignment" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetAssignment" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "AssetAssignment_tenant_read" ON "AssetAssignment"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+
+CREATE POLICY "AssetAssignment_tenant_insert" ON "AssetAssignment"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+CREATE POLICY "AssetAssignment_tenant_update" ON "AssetAssignment"
+    FOR UPDATE
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
@@ -0,0 +1,84 @@
+-- Location tree and asset movements (see src/services/locations.js)
+
+-- AlterTable
+ALTER TABLE "Asset" ADD COLUMN "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Location" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "parentId" TEXT,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AssetMovement" (
+    "id" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "fromLocationId" TEXT,
+    "fromPath" TEXT,
+    "toLocationId" TEXT,
+    "toPath" TEXT,
+    "movedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "movedBy" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "AssetMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Asset_organizationId_locationId_idx" ON "Asset"("organizationId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "Location_organizationId_parentId_idx" ON "Location"("organizationId", "parentId");
+
+-- CreateIndex
+CREATE INDEX "AssetMovement_assetId_movedAt_idx" ON "AssetMovement"("assetId", "movedAt");
+
+-- AddForeignKey
+ALTER TABLE "Asset" ADD CONSTRAINT "Asset_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Location" ADD CONSTRAINT "Location_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Location" ADD CONSTRAINT "Location_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetMovement" ADD CONSTRAINT "AssetMovement_assetId_fkey" FOREIGN KEY ("assetId") REFERENCES "Asset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetMovement" ADD CONSTRAINT "AssetMovement_fromLocationId_fkey" FOREIGN KEY ("fromLocationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetMovement" ADD CONSTRAINT "AssetMovement_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "Location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssetMovement" ADD CONSTRAINT "AssetMovement_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security: only the current organization's locations
+ALTER TABLE "Location" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Location" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "Location_tenant_isolation" ON "Location"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+-- Row-level security: movement history is append-only. The application can
+-- read and insert its organization's movements, never change or delete them
+-- (purging an asset still removes them: foreign key actions are not subject
+-- to row-level security, neither is SET NULL when a location is deleted).
+ALTER TABLE "AssetMovement" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetMovement" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "AssetMovement_tenant_read" ON "AssetMovement"
+    FOR SELECT
+    USING ("organizationId" = current_setting('app.current_org', TRUE));
+
+CREATE POLICY "AssetMovement_tenant_insert" ON "AssetMovement"
+    FOR INSERT
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
@@ -0,0 +1,100 @@
+-- Maintenance plans and work orders (see src/services/maintenance.js)
+
+-- CreateEnum
+CREATE TYPE "MaintenanceFrequency" AS ENUM ('DAYS', 'MONTHS');
+
+-- CreateEnum
+CREATE TYPE "WorkOrderStatus" AS ENUM ('OPEN', 'DONE', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "MaintenancePlan" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "assetId" TEXT,
+    "categoryId" TEXT,
+    "frequency" "MaintenanceFrequency" NOT NULL,
+    "interval" INTEGER NOT NULL,
+    "dayOfMonth" INTEGER,
+    "nextDueDate" DATE NOT NULL,
+    "assigneeId" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MaintenancePlan_pkey" PRIMARY KEY ("id"),
+    -- A plan is for one asset or for a category, never both (nor neither)
+    CONSTRAINT "MaintenancePlan_target_check" CHECK (("assetId" IS NULL) <> ("categoryId" IS NULL))
+);
+
+-- CreateTable
+CREATE TABLE "WorkOrder" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "assetId" TEXT NOT NULL,
+    "planId" TEXT,
+    "status" "WorkOrderStatus" NOT NULL DEFAULT 'OPEN',
+    "dueDate" DATE,
+    "assigneeId" TEXT,
+    "notes" TEXT,
+    "cost" DECIMAL(12,2),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdBy" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "closedBy" TEXT,
+    "organizationId" TEXT NOT NULL,
+
+    CONSTRAINT "WorkOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MaintenancePlan_organizationId_isActive_nextDueDate_idx" ON "MaintenancePlan"("organizationId", "isActive", "nextDueDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkOrder_planId_assetId_dueDate_key" ON "WorkOrder"("planId", "assetId", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "WorkOrder_organizationId_status_dueDate_idx" ON "WorkOrder"("organizationId", "status", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "WorkOrder_assetId_createdAt_idx" ON "WorkOrder"("assetId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "MaintenancePlan" ADD CONSTRAINT "MaintenancePlan_assetId_fkey" FOREIGN KEY ("assetId") REFERENCES "Asset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenancePlan" ADD CONSTRAINT "MaintenancePlan_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenancePlan" ADD CONSTRAINT "MaintenancePlan_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenancePlan" ADD CONSTRAINT "MaintenancePlan_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkOrder" ADD CONSTRAINT "WorkOrder_assetId_fkey" FOREIGN KEY ("assetId") REFERENCES "Asset"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkOrder" ADD CONSTRAINT "WorkOrder_planId_fkey" FOREIGN KEY ("planId") REFERENCES "MaintenancePlan"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkOrder" ADD CONSTRAINT "WorkOrder_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WorkOrder" ADD CONSTRAINT "WorkOrder_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Row-level security: only the current organization's plans and work orders
+ALTER TABLE "MaintenancePlan" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "MaintenancePlan" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "MaintenancePlan_tenant_isolation" ON "MaintenancePlan"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
+
+ALTER TABLE "WorkOrder" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "WorkOrder" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "WorkOrder_tenant_isolation" ON "WorkOrder"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
@@ -0,0 +1,49 @@
+-- Per-organization asset statuses and workflow (see src/services/assetStatuses.js)
+
+-- CreateEnum
+CREATE TYPE "AssetStatusKind" AS ENUM ('IN_SERVICE', 'MAINTENANCE', 'RETIRED');
+
+-- CreateTable
+CREATE TABLE "AssetStatus" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "color" TEXT NOT NULL,
+    "kind" "AssetStatusKind" NOT NULL DEFAULT 'IN_SERVICE',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "transitions" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "organizationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AssetStatus_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AssetStatus_organizationId_key_key" ON "AssetStatus"("organizationId", "key");
+
+-- AddForeignKey
+ALTER TABLE "AssetStatus" ADD CONSTRAINT "AssetStatus_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "Organization"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable: the status a work order's asset had before it went into maintenance
+ALTER TABLE "WorkOrder" ADD COLUMN "previousStatus" TEXT;
+
+-- Existing organizations keep today's three statuses, any move allowed
+-- (DEFAULT_STATUSES in src/services/assetStatuses.js)
+INSERT INTO "AssetStatus" ("id", "key", "label", "color", "kind", "position", "isDefault", "transitions", "organizationId", "updatedAt")
+SELECT gen_random_uuid()::TEXT, s."key", s."label", s."color", s."kind"::"AssetStatusKind", s."position", s."isDefault", s."transitions", o."id", CURRENT_TIMESTAMP
+FROM "Organization" o
+CROSS JOIN (VALUES
+    ('active', 'Active', 'green', 'IN_SERVICE', 0, true, ARRAY['maintenance', 'retired']),
+    ('maintenance', 'Maintenance', 'amber', 'MAINTENANCE', 1, false, ARRAY['active', 'retired']),
+    ('retired', 'Retired', 'gray', 'RETIRED', 2, false, ARRAY['active', 'maintenance'])
+) AS s("key", "label", "color", "kind", "position", "isDefault", "transitions");
+
+-- Row-level security: only the current organization's statuses
+ALTER TABLE "AssetStatus" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "AssetStatus" FORCE ROW LEVEL SECURITY;
+
+CREATE POLICY "AssetStatus_tenant_isolation" ON "AssetStatus"
+    USING ("organizationId" = current_setting('app.current_org', TRUE))
+    WITH CHECK ("organizationId" = current_setting('app.current_org', TRUE));
@@ -0,0 +1,17 @@
+-- Take User out of row-level security (added by the row_level_security migration).
+--
+-- Accounts are shared between organizations (see Membership), and login,
+-- sessions, password reset, invitations, SSO and two-factor look them up
+-- before any organization is known - through the shared Prisma client, with
+-- no app.current_org set. The policy had to let every row through in that
+-- case, and almost every User query is that case: it isolated nothing while
+-- looking like it did.
+--
+-- User isolation is done by the application: organization screens reach
+-- users through the caller's Membership rows (req.db, see src/db/tenant.js),
+-- and routes that change the whole account only take the account's own
+-- session (see src/middleware/requireUser.js, src/middleware/rejectSsoSession.js).
+DROP POLICY "User_tenant_isolation" ON "User";
+
+ALTER TABLE "User" NO FORCE ROW LEVEL SECURITY;
+ALTER TABLE "User" DISABLE ROW LEVEL SECURITY;
@@ -14,11 +14,15 @@
  * - Creates 2 organizations (Acme Corp and Globex Corp)
  * - Each has its own users and categories
  * - Demonstrates data isolation between tenants
+ * - One consultant belongs to both (try the organization switcher)
+ * 
+ * Writes every organization's data at once, so it uses the privileged
+ * connection that bypasses row-level security (DATABASE_ADMIN_URL, see src/db/admin.js).
  */
 
-const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const prisma = new PrismaClient();
+const { getAdminClient } = require('../src/db/admin');
+const prisma = getAdminClient();
 
 /**
  * MAIN SEED FUNCTION
@@ -32,23 +36,17 @@ async function main() {
   /**
    * STEP 1: CLEANUP - DELETE EXISTING DATA
    * 
-   * IMPORTANT: Delete in REVERSE order of dependencies!
-   * 
-   * Database relationships (foreign keys):
-   * - Assets depend on Categories and Organizations
-   * - Categories depend on Organizations
-   * - Users depend on Organizations
+   * Almost every table depends on Organizations or Users (foreign keys):
+   * Assets, Categories, Memberships, the audit log, asset statuses... and
+   * most of those keys are ON DELETE RESTRICT. Deleting table by table would
+   * have to follow that order - and fail as soon as a new table is added.
    * 
-   * If we try to delete Organizations first, it fails because
-   * Assets/Categories/Users still reference them.
-   * 
-   * Order: Assets → Categories → Users → Organizations
+   * TRUNCATE ... CASCADE empties Organizations and Users together with every
+   * table that references them, whatever tables exist today.
+   * LoginThrottle references nothing: it is listed so old lockouts go too.
    */
   console.log('🧹 Cleaning existing data...');
-  await prisma.asset.deleteMany();      // Delete all assets first
-  await prisma.category.deleteMany();   // Then categories
-  await prisma.user.deleteMany();       // Then users
-  await prisma.organization.deleteMany(); // Finally organizations
+  await prisma.$executeRaw`TRUNCATE TABLE "Organization", "User", "LoginThrottle" CASCADE`;
   console.log('✅ Database cleared.');
 
   /**
@@ -94,8 +92,31 @@ async function main() {
     data: {
       email: 'admin@acme.com',
       password: hashedPassword1, // Store hashed password, NOT plain text!
-      role: 'ADMIN',
-      organizationId: acme.id, // Link user to organization
+      // Role in this organization (see Membership in schema.prisma)
+      memberships: { create: { role: 'ADMIN', organizationId: acme.id } },
+    },
+  });
+
+  /**
+   * ONE USER PER ROLE
+   * 
+   * Lets you try the role-based permissions (see src/config/roles.js):
+   * - MEMBER can create and edit assets, but not delete them
+   * - VIEWER can only read
+   */
+  await prisma.user.create({
+    data: {
+      email: 'member@acme.com',
+      password: hashedPassword1,
+      memberships: { create: { role: 'MEMBER', organizationId: acme.id } },
+    },
+  });
+
+  await prisma.user.create({
+    data: {
+      email: 'viewer@acme.com',
+      password: hashedPassword1,
+      memberships: { create: { role: 'VIEWER', organizationId: acme.id } },
     },
   });
 
@@ -127,11 +148,28 @@ async function main() {
     data: {
       email: 'hank@globex.com',
       password: hashedPassword2,
-      role: 'ADMIN',
-      organizationId: globex.id,
+      memberships: { create: { role: 'ADMIN', organizationId: globex.id } },
+    },
+  });
+
+  /**
+   * STEP 4: A USER IN BOTH ORGANIZATIONS
+   * 
+   * One account, one role per organization: VIEWER at Acme, ADMIN at Globex.
+   * Password login lands in Acme (the oldest membership); switch from the nav bar.
+   */
+  const consultant = await prisma.user.create({
+    data: {
+      email: 'consultant@example.com',
+      password: hashedPassword1,
+      memberships: { create: { role: 'VIEWER', organizationId: acme.id } },
     },
   });
 
+  await prisma.membership.create({
+    data: { role: 'ADMIN', userId: consultant.id, organizationId: globex.id },
+  });
+
   /**
    * SEED COMPLETE
    * 
@@ -140,7 +178,10 @@ async function main() {
    */
   console.log('✨ Seed Finished!');
   console.log('Acme User: admin@acme.com / password123');
+  console.log('Acme Member: member@acme.com / password123');
+  console.log('Acme Viewer: viewer@acme.com / password123');
   console.log('Globex User: hank@globex.com / password123');
+  console.log('Both organizations: consultant@example.com / password123');
 }
 
 /**
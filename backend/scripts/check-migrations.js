@@ -0,0 +1,89 @@
+/**
+ * CHECK THE HAND-WRITTEN INDEXES IN MIGRATIONS
+ * 
+ * Some indexes can't be described in schema.prisma, so they only exist in
+ * migration SQL. `prisma migrate dev` doesn't know about them: the migrations
+ * it generates may drop them, or recreate them without their WHERE clause.
+ * 
+ * Run it after generating a migration (and in CI):
+ *   npm run check-migrations
+ * 
+ * It replays every migration, in order, and fails if the last statement
+ * touching one of these indexes doesn't leave it the way the app needs it.
+ * Fix a failing migration by deleting the statements about the index.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'prisma', 'migrations');
+
+/**
+ * INDEXES MANAGED BY HAND
+ * 
+ * - name: the index
+ * - expected: what its CREATE statement must contain
+ * - why: shown when the check fails
+ */
+const MANUAL_INDEXES = [
+  {
+    name: 'Asset_organizationId_serialNumber_key',
+    expected: /WHERE\s+"deletedAt"\s+IS\s+NULL/i,
+    why: 'serial numbers are unique per organization among assets that are not in the trash (asset_trash migration)'
+  }
+];
+
+/**
+ * Split a migration into statements, without its comments.
+ * 
+ * @param {string} sql
+ * @returns {string[]}
+ */
+const statementsOf = (sql) => sql
+  .replace(/--.*$/gm, '')
+  .split(';')
+  .map(statement => statement.trim())
+  .filter(Boolean);
+
+const main = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort(); // Named after their timestamp: this is the order they run in
+
+  // index name -> { state: 'missing' | 'ok' | 'wrong', migration }
+  const found = new Map(MANUAL_INDEXES.map(index => [index.name, { state: 'missing', migration: null }]));
+
+  for (const migration of migrations) {
+    const file = path.join(MIGRATIONS_DIR, migration, 'migration.sql');
+    if (!fs.existsSync(file)) continue;
+
+    for (const statement of statementsOf(fs.readFileSync(file, 'utf8'))) {
+      for (const index of MANUAL_INDEXES) {
+        if (!statement.includes(`"${index.name}"`)) continue;
+
+        if (/^DROP\s+INDEX/i.test(statement)) {
+          found.set(index.name, { state: 'missing', migration });
+        } else if (/^CREATE\s+(UNIQUE\s+)?INDEX/i.test(statement)) {
+          found.set(index.name, { state: index.expected.test(statement) ? 'ok' : 'wrong', migration });
+        }
+      }
+    }
+  }
+
+  const problems = MANUAL_INDEXES.filter(index => found.get(index.name).state !== 'ok');
+
+  for (const index of problems) {
+    const { state, migration } = found.get(index.name);
+    const what = state === 'missing' ? 'dropped' : 'recreated without its WHERE clause';
+    console.error(`✖ "${index.name}" is ${what}${migration ? ` by ${migration}` : ''}`);
+    console.error(`  It must stay as written by hand: ${index.why}.`);
+  }
+
+  if (problems.length > 0) {
+    process.exit(1);
+  }
+  console.log(`✅ ${MANUAL_INDEXES.length} hand-written index(es) intact in ${migrations.length} migrations`);
+};
+
+main();
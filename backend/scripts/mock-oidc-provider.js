@@ -0,0 +1,199 @@
+/**
+ * MOCK OPENID CONNECT PROVIDER
+ * 
+ * A tiny identity provider for trying single sign-on locally - no Okta or
+ * Entra ID account needed. NEVER use it in production: anyone can sign in
+ * as anyone.
+ * 
+ * Run it next to the backend:
+ *   npm run mock-oidc
+ * 
+ * Then, as an admin, open Security > Single sign-on and enter:
+ * - Issuer: http://localhost:5055
+ * - Client ID: asset-manager
+ * - Client secret: mock-secret
+ * - Allowed domains: the domain of your users (e.g. acme.com)
+ * 
+ * The login page asks for an email address and signs in as that person.
+ * 
+ * Environment variables (all optional):
+ * - MOCK_OIDC_PORT (default 5055)
+ * - MOCK_OIDC_CLIENT_ID (default "asset-manager")
+ * - MOCK_OIDC_CLIENT_SECRET (default "mock-secret")
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 5055;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'asset-manager';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+
+// Codes are valid for one minute, once
+const CODE_TTL_MS = 60 * 1000;
+
+/**
+ * SIGNING KEY
+ * 
+ * A new RSA key pair on every start - the backend fetches the public half
+ * from /jwks (and refetches when it sees an unknown key id).
+ */
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, email, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * DISCOVERY DOCUMENT
+ */
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+/**
+ * LOGIN PAGE
+ * 
+ * Shows a form with the authorization request in hidden fields.
+ */
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, response_type: responseType, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID) return res.status(400).send('Unknown client_id');
+  if (responseType !== 'code') return res.status(400).send('Only response_type=code is supported');
+  if (method !== 'S256' || !req.query.code_challenge) return res.status(400).send('PKCE (S256) is required');
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 360px; margin: 80px auto">
+  <h2>Mock identity provider</h2>
+  <p>Sign in as any email address. For local testing only.</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <input name="email" type="email" required placeholder="jane@acme.com" style="width: 100%; padding: 8px">
+    <label style="display: block; margin: 12px 0"><input type="checkbox" name="unverified"> Email not verified</label>
+    <button type="submit" style="padding: 8px 16px">Sign in</button>
+    <button type="submit" name="deny" value="1" style="padding: 8px 16px">Cancel</button>
+  </form>
+</body></html>`);
+});
+
+/**
+ * LOGIN FORM SUBMISSION
+ * 
+ * Redirects back to the client with a code (or an error if cancelled).
+ */
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email } = req.body;
+
+  if (clientId !== CLIENT_ID || !redirectUri) return res.status(400).send('Invalid request');
+
+  const target = new URL(redirectUri);
+  if (state) target.searchParams.set('state', state);
+
+  if (req.body.deny) {
+    target.searchParams.set('error', 'access_denied');
+    return res.redirect(target.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    nonce,
+    email: String(email).trim().toLowerCase(),
+    emailVerified: !req.body.unverified,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+/**
+ * Read client credentials from HTTP Basic or from the form body.
+ */
+const readClientCredentials = (req) => {
+  const header = req.get('authorization') || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { clientId: decodeURIComponent(id || ''), clientSecret: decodeURIComponent(secret || '') };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+};
+
+/**
+ * TOKEN ENDPOINT
+ * 
+ * Checks the client secret, the redirect URI and the PKCE verifier,
+ * then returns a signed ID token.
+ */
+app.post('/token', (req, res) => {
+  const { clientId, clientSecret } = readClientCredentials(req);
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  if (grantType !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const entry = codes.get(code);
+  codes.delete(code); // Single use
+
+  const expectedChallenge = codeVerifier
+    ? crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    : null;
+
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId
+    || entry.redirectUri !== redirectUri || entry.codeChallenge !== expectedChallenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign(
+    {
+      // Stable per email, like a real provider's user id
+      sub: crypto.createHash('sha256').update(entry.email).digest('hex').slice(0, 24),
+      email: entry.email,
+      email_verified: entry.emailVerified,
+      name: entry.email.split('@')[0],
+      nonce: entry.nonce
+    },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({ access_token: crypto.randomBytes(24).toString('base64url'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`🪪 Mock OIDC provider on ${ISSUER} (client_id "${CLIENT_ID}", client_secret "${CLIENT_SECRET}")`);
+});
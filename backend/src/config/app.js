@@ -0,0 +1,116 @@
+/**
+ * APPLICATION SETTINGS
+ * 
+ * Values read from environment variables (see ENV_SETUP.md), with
+ * development-friendly defaults.
+ */
+
+/**
+ * FRONTEND URL
+ * 
+ * Where the React app is served. Used to build links sent by email
+ * (invitations, password resets, ...). Same variable as the CORS origin in server.js.
+ */
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+/**
+ * API URL
+ * 
+ * Public address of this backend. Identity providers redirect the browser to
+ * <API_URL>/api/auth/sso/callback after a single sign-on login, so it must be
+ * reachable from users' browsers (e.g. https://your-app.up.railway.app).
+ */
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+/**
+ * INVITATION LIFETIME
+ * 
+ * Invitation links stop working after this many hours.
+ */
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 72;
+
+/**
+ * PASSWORD RESET LIFETIME
+ * 
+ * Password reset links stop working after this many minutes.
+ * Kept short: whoever holds the link can take over the account.
+ */
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+/**
+ * SESSION LIFETIMES
+ * 
+ * - ACCESS_TOKEN_TTL: lifetime of the JWT sent with every request.
+ *   Short, because it can't be revoked before it expires.
+ *   Any format understood by jsonwebtoken ("15m", "1h", ...).
+ * - REFRESH_TOKEN_TTL_DAYS: a session ends if it isn't refreshed within this many days.
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * TWO-FACTOR AUTHENTICATION
+ * 
+ * - MFA_ISSUER: name shown next to the code in authenticator apps
+ * - MFA_CHALLENGE_TTL: time between the password step and the code step
+ *   of a login (jsonwebtoken format, default 5 minutes)
+ */
+const MFA_ISSUER = process.env.MFA_ISSUER || 'AssetManager Pro';
+const MFA_CHALLENGE_TTL = process.env.MFA_CHALLENGE_TTL || '5m';
+
+/**
+ * LOGIN THROTTLING (see services/loginThrottle.js)
+ * 
+ * - LOGIN_THROTTLE_STORE: where failure counters live. "memory" (default) for a
+ *   single server, "postgres" when several instances share the load
+ * - LOGIN_FREE_ATTEMPTS_PER_IP / _PER_ACCOUNT: failures allowed before each new
+ *   attempt has to wait (1s, 2s, 4s, ... up to 15 minutes)
+ * - LOGIN_LOCKOUT_THRESHOLD: failures on one account before it is locked
+ * - LOGIN_LOCKOUT_MINUTES: how long a lockout lasts (admins can unlock earlier)
+ * - LOGIN_THROTTLE_WINDOW_MINUTES: counters are forgotten after this long without a failure
+ */
+const LOGIN_THROTTLE_STORE = process.env.LOGIN_THROTTLE_STORE || 'memory';
+const LOGIN_FREE_ATTEMPTS_PER_IP = Number(process.env.LOGIN_FREE_ATTEMPTS_PER_IP) || 10;
+const LOGIN_FREE_ATTEMPTS_PER_ACCOUNT = Number(process.env.LOGIN_FREE_ATTEMPTS_PER_ACCOUNT) || 3;
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_THROTTLE_WINDOW_MINUTES = Number(process.env.LOGIN_THROTTLE_WINDOW_MINUTES) || 15;
+
+/**
+ * TRASH RETENTION (see services/trash.js)
+ * 
+ * Deleted assets stay in the organization's trash, where admins can restore
+ * them, for this many days - then they are deleted for good.
+ */
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * PROXY
+ * 
+ * Behind a load balancer (Railway, Render, ...) every request comes from the
+ * proxy. TRUST_PROXY tells Express how many proxy hops to trust so req.ip is
+ * the real client address (needed by login throttling). Defaults to 1 hop in
+ * production and none in development.
+ */
+const TRUST_PROXY = process.env.TRUST_PROXY !== undefined
+  ? Number(process.env.TRUST_PROXY) || false
+  : (process.env.NODE_ENV === 'production' ? 1 : false);
+
+module.exports = {
+  FRONTEND_URL,
+  API_URL,
+  INVITATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  MFA_ISSUER,
+  MFA_CHALLENGE_TTL,
+  LOGIN_THROTTLE_STORE,
+  LOGIN_FREE_ATTEMPTS_PER_IP,
+  LOGIN_FREE_ATTEMPTS_PER_ACCOUNT,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_THROTTLE_WINDOW_MINUTES,
+  TRASH_RETENTION_DAYS,
+  TRUST_PROXY
+};
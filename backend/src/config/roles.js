@@ -0,0 +1,106 @@
+/**
+ * ROLES AND PERMISSIONS
+ * 
+ * Role-based access control (RBAC) for the whole API.
+ * 
+ * - A ROLE is stored per organization (Membership.role in schema.prisma) and copied
+ *   into the JWT of a session signed in to that organization.
+ * - A PERMISSION is a single action on a resource, written "resource:action".
+ * - ROLE_PERMISSIONS maps every role to the permissions it grants.
+ * 
+ * Routes never check role names directly - they ask for a permission
+ * (see middleware/authorize.js). Changing what a role may do only
+ * requires editing the table below.
+ */
+
+/**
+ * AVAILABLE ROLES
+ * 
+ * Must match the Role enum in prisma/schema.prisma.
+ * - ADMIN: full control over the organization's data
+ * - MEMBER: day-to-day work (create and edit assets)
+ * - VIEWER: read-only access
+ */
+const ROLES = {
+  ADMIN: 'ADMIN',
+  MEMBER: 'MEMBER',
+  VIEWER: 'VIEWER'
+};
+
+/**
+ * AVAILABLE PERMISSIONS
+ */
+const PERMISSIONS = {
+  ASSETS_READ: 'assets:read',
+  ASSETS_WRITE: 'assets:write',   // Create and update
+  ASSETS_DELETE: 'assets:delete', // Move to the trash
+  ASSETS_TRASH: 'assets:trash',   // List the trash, restore and permanently delete assets
+  USERS_MANAGE: 'users:manage',   // List, add, change role, deactivate, delete users
+  ORGANIZATION_MANAGE: 'organization:manage', // Organization settings (e.g. require MFA)
+  API_KEYS_MANAGE: 'api-keys:manage', // Create, list and revoke API keys
+  CATEGORIES_MANAGE: 'categories:manage', // Create, rename and delete asset categories
+  LOCATIONS_MANAGE: 'locations:manage', // Create, rename, move and delete locations
+  MAINTENANCE_MANAGE: 'maintenance:manage', // Create, change, pause and delete maintenance plans
+  ASSET_STATUSES_MANAGE: 'asset-statuses:manage', // Define asset statuses and the moves allowed between them
+  AUDIT_LOG_READ: 'audit-log:read' // Read and export the organization's audit log
+};
+
+/**
+ * ROLE -> PERMISSIONS TABLE
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    PERMISSIONS.ASSETS_READ,
+    PERMISSIONS.ASSETS_WRITE,
+    PERMISSIONS.ASSETS_DELETE,
+    PERMISSIONS.ASSETS_TRASH,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.ORGANIZATION_MANAGE,
+    PERMISSIONS.API_KEYS_MANAGE,
+    PERMISSIONS.CATEGORIES_MANAGE,
+    PERMISSIONS.LOCATIONS_MANAGE,
+    PERMISSIONS.MAINTENANCE_MANAGE,
+    PERMISSIONS.ASSET_STATUSES_MANAGE,
+    PERMISSIONS.AUDIT_LOG_READ
+  ],
+  [ROLES.MEMBER]: [
+    PERMISSIONS.ASSETS_READ,
+    PERMISSIONS.ASSETS_WRITE
+  ],
+  [ROLES.VIEWER]: [
+    PERMISSIONS.ASSETS_READ
+  ]
+};
+
+/**
+ * API KEY SCOPES
+ * 
+ * Permissions an API key can be granted (see controllers/apiKeyController.js).
+ * Keys are for asset automation only - they can never manage users,
+ * organization settings or other keys.
+ */
+const API_KEY_SCOPES = [
+  PERMISSIONS.ASSETS_READ,
+  PERMISSIONS.ASSETS_WRITE,
+  PERMISSIONS.ASSETS_DELETE
+];
+
+/**
+ * Get every permission granted by a role.
+ * Unknown roles (or tokens issued before roles existed) get no permissions.
+ * 
+ * @param {string} role
+ * @returns {string[]}
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a role grants a permission.
+ * 
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, API_KEY_SCOPES, getPermissions, hasPermission };
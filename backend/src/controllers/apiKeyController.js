@@ -0,0 +1,178 @@
+/**
+ * API KEY CONTROLLER
+ * 
+ * Lets admins manage their organization's API keys (see services/apiKeys.js):
+ * - POST /api/api-keys - Create a key (the full key is only in this response)
+ * - GET /api/api-keys - List keys (prefix only, never the key)
+ * - DELETE /api/api-keys/:id - Revoke a key
+ * 
+ * All routes need the 'api-keys:manage' permission (ADMIN only).
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const { API_KEY_SCOPES } = require('../config/roles');
+const { generateApiKey } = require('../services/apiKeys');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+// Longest allowed expiry - a forgotten key shouldn't work forever by accident
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * API KEY STATUS
+ * 
+ * Derived from the timestamps, like invitations.
+ * 
+ * @param {Object} apiKey
+ * @returns {'revoked'|'expired'|'active'}
+ */
+const getStatus = (apiKey) => {
+  if (apiKey.revokedAt) return 'revoked';
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * Shape a key for the client (the hash never leaves the server).
+ */
+const toResponse = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  status: getStatus(apiKey),
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * CREATE API KEY
+ * 
+ * Handler for POST /api/api-keys
+ * 
+ * Body:
+ * - name: what the key is for ("Procurement script")
+ * - scopes: non-empty subset of API_KEY_SCOPES (config/roles.js)
+ * - expiresInDays (optional): 1 to 365, no expiry when omitted
+ * 
+ * @param {Object} req - Contains req.body { name, scopes, expiresInDays? } and req.user
+ * @param {Object} res - Response object
+ */
+const createApiKey = async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  /**
+   * INPUT VALIDATION
+   */
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: "Name is required" });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}` });
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS)) {
+    return res.status(400).json({ error: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}` });
+  }
+
+  try {
+    const { key, prefix, keyHash } = generateApiKey();
+
+    // SECURITY: req.db always creates it in the admin's organization
+    const apiKey = await req.db.$transaction(async (tx) => {
+      const created = await tx.apiKey.create({
+        data: {
+          name: name.trim(),
+          prefix,
+          keyHash,
+          scopes: [...new Set(scopes)],
+          expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+          createdById: req.user.userId
+        }
+      });
+
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        targetType: 'api_key',
+        targetId: created.id,
+        details: { name: created.name, prefix: created.prefix, scopes: created.scopes, expiresAt: created.expiresAt }
+      });
+      return created;
+    });
+
+    // 201 = Created - "key" is returned this one time only
+    res.status(201).json({ ...toResponse(apiKey), key });
+  } catch (error) {
+    console.error("Create API key error:", error);
+    res.status(500).json({ error: "Failed to create API key" });
+  }
+};
+
+/**
+ * LIST API KEYS
+ * 
+ * Handler for GET /api/api-keys - newest first.
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await req.db.apiKey.findMany({ // SECURITY: Only this organization's keys
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(apiKeys.map(toResponse));
+  } catch (error) {
+    console.error("List API keys error:", error);
+    res.status(500).json({ error: "Failed to fetch API keys" });
+  }
+};
+
+/**
+ * REVOKE API KEY
+ * 
+ * Handler for DELETE /api/api-keys/:id
+ * 
+ * The row is kept (revokedAt is set) so the list still shows when the key
+ * stopped working. Revoked keys are rejected immediately by middleware/auth.js.
+ * 
+ * @param {Object} req - Contains req.params.id and req.db
+ * @param {Object} res - Response object
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const result = await req.db.$transaction(async (tx) => {
+      const revoked = await tx.apiKey.updateMany({
+        where: { id: req.params.id, revokedAt: null }, // SECURITY: tx - only this organization's keys
+        data: { revokedAt: new Date() }
+      });
+
+      if (revoked.count > 0) {
+        const apiKey = await tx.apiKey.findUnique({ where: { id: req.params.id } });
+        await recordAudit(tx, req, {
+          action: AUDIT_ACTIONS.API_KEY_REVOKE,
+          targetType: 'api_key',
+          targetId: apiKey.id,
+          details: { name: apiKey.name, prefix: apiKey.prefix }
+        });
+      }
+      return revoked;
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "API key not found or already revoked" });
+    }
+
+    res.json({ message: "API key revoked" });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+    res.status(500).json({ error: "Failed to revoke API key" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { createApiKey, listApiKeys, revokeApiKey };
@@ -2,63 +2,467 @@
  * ASSET CONTROLLER
  * 
  * This controller handles all asset-related operations (CRUD):
- * - GET /api/assets - List all assets for the user's organization
+ * - GET /api/assets - List the organization's assets, one page at a time (sort + filters)
+ * - GET /api/assets/search - Ranked full-text search (type-ahead)
  * - POST /api/assets - Create a new asset
  * - PATCH /api/assets/:id - Update an existing asset
- * - DELETE /api/assets/:id - Delete an asset
+ * - DELETE /api/assets/:id - Move an asset to the trash
+ * - GET /api/assets/:id/history - Revisions of an asset, as field-level diffs
+ * - POST /api/assets/:id/revert/:revisionId - Restore the values of a revision
  * 
  * IMPORTANT: All routes are protected by authentication middleware,
  * so req.user.orgId is guaranteed to exist and be valid.
+ * 
+ * Every query goes through req.db, the Prisma client scoped to that
+ * organization (see db/tenant.js): it adds organizationId to every filter
+ * and every created row, so a handler CANNOT read or change another
+ * organization's assets, even if it forgets to filter.
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - Read: ADMIN, MEMBER, VIEWER
+ * - Create / Update / Revert: ADMIN, MEMBER
+ * - Delete: ADMIN
+ * 
+ * History: create, update and revert record an immutable revision (who, when,
+ * values before and after) in the same transaction as the change
+ * (see services/assetHistory.js). Those and deletes also go to the
+ * organization's audit log (see services/auditLog.js).
+ * 
+ * Trash: deleting an asset only moves it to the organization's trash
+ * (deletedAt set, see services/trash.js). Every handler here ignores assets
+ * in the trash - they are listed, restored and deleted for good by
+ * trashController.js.
+ * 
+ * Locations: an asset can be placed in one of the organization's locations
+ * (locationId, see services/locations.js). Every change of location is
+ * recorded in the asset's movement history, and the list can be filtered by
+ * a location including everything below it.
+ * 
+ * Custody: the list shows who has each asset (check-out / check-in are in
+ * assignmentController.js). A checked-out asset can't be retired.
+ * 
+ * Statuses: each organization defines its own (see services/assetStatuses.js).
+ * status is one of their keys, and an update or revert may only move an
+ * asset along the organization's workflow (allowed transitions).
+ * 
+ * Custom fields: each asset stores the values of its category's typed fields
+ * in customFields (see services/customFields.js). They are validated on every
+ * create / update against the category's definitions.
+ */
+
+const { toPositiveInt, parsePagination, toPage } = require('../utils/pagination');
+const {
+  validateValues,
+  isValuesObject,
+  buildFieldFilters,
+  hasFieldFilters
+} = require('../services/customFields');
+const { snapshot, diffSnapshots, actorOf, lockAsset, recordRevision, auditDetails } = require('../services/assetHistory');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const { CURRENT_ASSIGNMENT, withAssignment, assertNotCheckedOut } = require('../services/assignments');
+const { loadLocations, descendantIds, findLocation, recordMovement, moveAsset } = require('../services/locations');
+const { assertNoOpenWorkOrders } = require('../services/maintenance');
+const { loadStatuses, findStatus, parseStatus, defaultStatus, isRetired, assertTransition } = require('../services/assetStatuses');
+
+// Category of assets created without a categoryId
+const DEFAULT_CATEGORY_NAME = 'General';
+
+/**
+ * SORTABLE COLUMNS
+ * 
+ * ?sort= value -> Prisma orderBy for one direction.
+ * Only these are accepted: sorting by an arbitrary field name from the
+ * URL would let clients sort by (and probe) columns we never show.
+ */
+const SORT_FIELDS = {
+  name: (order) => ({ name: order }),
+  serialNumber: (order) => ({ serialNumber: order }),
+  status: (order) => ({ status: order }),
+  category: (order) => ({ category: { name: order } })
+};
+
+// Longest accepted search text (?q=)
+const MAX_SEARCH_LENGTH = 100;
+
+// Number of search results: default and maximum (?limit=)
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Marks around the matched words in search highlights
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_STOP = '</mark>';
+
+/**
+ * FIND A CATEGORY FOR AN ASSET
+ * 
+ * categoryId comes from the client, so it must be checked: Prisma would
+ * happily link an asset to ANOTHER organization's category by ID.
+ * Looking it up through req.db only finds our own categories.
+ * 
+ * The category comes with its custom field definitions (fields), which the
+ * asset's values are validated against.
+ * 
+ * @param {Object} db - req.db
+ * @param {*} categoryId - From the request body
+ * @returns {Promise<Object>} The category, with its fields
+ * @throws {Error} status 400 if it isn't one of the organization's categories
+ */
+const findCategory = async (db, categoryId) => {
+  const category = typeof categoryId === 'string' && categoryId
+    ? await db.category.findUnique({ where: { id: categoryId }, include: { fields: true } })
+    : null;
+
+  if (!category) {
+    throw Object.assign(new Error("Category not found"), { status: 400 });
+  }
+  return category;
+};
+
+/**
+ * DEFAULT CATEGORY
+ * 
+ * Used when a client creates an asset without choosing a category
+ * (e.g. older API scripts): the organization's "General" category,
+ * created if it was renamed or deleted.
+ * 
+ * @param {Object} db - req.db
+ * @returns {Promise<Object>} The category, with its fields
+ */
+const getDefaultCategory = async (db) => {
+  const category = await db.category.findFirst({
+    where: { name: { equals: DEFAULT_CATEGORY_NAME, mode: 'insensitive' } },
+    include: { fields: true }
+  });
+
+  return category || db.category.create({ data: { name: DEFAULT_CATEGORY_NAME }, include: { fields: true } });
+};
+
+/**
+ * BUILD THE LIST FILTER
+ * 
+ * Turns the query string of GET /api/assets into a Prisma where clause.
+ * Every filter is optional; they are combined with AND. Assets in the trash
+ * are never listed.
+ * 
+ * @param {Object} query - req.query
+ * @param {Object[]} statuses - The organization's statuses (loadStatuses)
+ * @returns {Object} Prisma where (organizationId is added by req.db)
+ * @throws {Error} status 400 for an unknown status or a too long search
+ */
+const buildAssetFilter = (query, statuses) => {
+  const { status, categoryId, q } = query;
+  const where = { deletedAt: null };
+
+  if (status !== undefined) {
+    where.status = parseStatus(statuses, status).key;
+  }
+
+  // Another organization's categoryId simply matches nothing (req.db adds organizationId)
+  if (typeof categoryId === 'string' && categoryId) {
+    where.categoryId = categoryId;
+  }
+
+  // Substring search on name OR serial number, ignoring case
+  if (typeof q === 'string' && q.trim()) {
+    if (q.trim().length > MAX_SEARCH_LENGTH) {
+      throw Object.assign(new Error(`Search must be at most ${MAX_SEARCH_LENGTH} characters`), { status: 400 });
+    }
+    where.OR = [
+      { name: { contains: q.trim(), mode: 'insensitive' } },
+      { serialNumber: { contains: q.trim(), mode: 'insensitive' } }
+    ];
+  }
+
+  return where;
+};
+
+/**
+ * BUILD THE CUSTOM FIELD FILTERS
+ * 
+ * ?field.<key>=value filters on a custom field value. Field keys only mean
+ * something inside one category, so these filters need ?categoryId= too.
+ * 
+ * @param {Object} db - req.db
+ * @param {Object} query - req.query
+ * @returns {Promise<Object[]>} Conditions to AND with the other filters (empty when none)
+ * @throws {Error} status 400 without categoryId, or for an unknown field / invalid value
  */
+const buildCustomFieldFilter = async (db, query) => {
+  if (!hasFieldFilters(query)) return [];
 
-// Import the Prisma client singleton
-const prisma = require('../db/prisma');
+  if (typeof query.categoryId !== 'string' || !query.categoryId) {
+    throw Object.assign(new Error("Filtering on custom fields (field.<key>) requires a categoryId"), { status: 400 });
+  }
+
+  // Another organization's category has no fields for us: every key is unknown
+  const fields = await db.customField.findMany({ where: { categoryId: query.categoryId } });
+  return buildFieldFilters(query, fields);
+};
 
 /**
- * GET ALL ASSETS
+ * BUILD THE LOCATION FILTER
+ * 
+ * ?locationId= lists the assets of that location AND of every location
+ * below it (a building's assets include those of its rooms).
+ * 
+ * @param {Object} db - req.db
+ * @param {Object} query - req.query
+ * @returns {Promise<Object|null>} Condition on locationId, or null without the filter
+ */
+const buildLocationFilter = async (db, query) => {
+  if (typeof query.locationId !== 'string' || !query.locationId) return null;
+
+  // Another organization's location has no descendants for us and matches no asset
+  const locations = await loadLocations(db);
+  return { in: descendantIds(locations, query.locationId) };
+};
+
+/**
+ * Check a locationId from the request body.
+ * 
+ * @param {*} locationId
+ * @returns {boolean} true for undefined (not sent), null / '' (no location) or an ID
+ */
+const isValidLocationId = (locationId) => locationId === undefined || locationId === null || typeof locationId === 'string';
+
+/**
+ * BUILD THE SORT ORDER
+ * 
+ * @param {Object} query - req.query ({ sort, order })
+ * @returns {Object[]} Prisma orderBy
+ * @throws {Error} status 400 for an unknown column or direction
+ */
+const buildAssetOrder = (query) => {
+  const { sort = 'name', order = 'asc' } = query;
+
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    throw Object.assign(new Error(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`), { status: 400 });
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw Object.assign(new Error("order must be asc or desc"), { status: 400 });
+  }
+
+  // id breaks ties, so assets with the same name never swap between pages
+  return [SORT_FIELDS[sort](order), { id: 'asc' }];
+};
+
+/**
+ * GET ASSETS (PAGINATED)
  * 
  * Handler for GET /api/assets
  * 
  * Multi-tenant security:
  * - Only returns assets belonging to the user's organization
- * - Uses req.user.orgId from authentication middleware
+ * - req.db (set by auth middleware) adds organizationId: req.user.orgId
  * - This prevents users from seeing other organizations' assets
  * 
- * @param {Object} req - Contains req.user.orgId (set by auth middleware)
+ * Query parameters (all optional):
+ * - page, pageSize: which page (default 1) and its size (default 25, max 100)
+ * - sort: name | serialNumber | status | category (default name)
+ * - order: asc | desc (default asc)
+ * - status: only assets with this status (a key of GET /api/asset-statuses)
+ * - categoryId: only assets of that category
+ * - locationId: only assets of that location or of a location below it
+ * - q: text contained in the name or serial number (any case)
+ * - field.<key>: custom field value, with categoryId (text fields: contains, others: equals)
+ * 
+ * Response:
+ * {
+ *   data: [ ...assets of this page, with their category and assignment (who has it, or null) ],
+ *   pagination: { page, pageSize, total, totalPages },  // total = assets matching the filters
+ *   summary: { total, active: 12, ... }                  // whole organization, ignoring filters:
+ *                                                        // assets per status key, every status listed
+ * }
+ * 
+ * @param {Object} req - Contains req.query and req.db (set by auth middleware)
  * @param {Object} res - Response object
  */
 const getAssets = async (req, res) => {
   try {
+    const pagination = parsePagination(req.query);
+    const statuses = await loadStatuses(req.db);
+    const where = buildAssetFilter(req.query, statuses);
+    const orderBy = buildAssetOrder(req.query);
+
+    const fieldFilters = await buildCustomFieldFilter(req.db, req.query);
+    if (fieldFilters.length > 0) where.AND = fieldFilters;
+
+    const locationFilter = await buildLocationFilter(req.db, req.query);
+    if (locationFilter) where.locationId = locationFilter;
+
     /**
-     * DATABASE QUERY
+     * DATABASE QUERIES
      * 
-     * findMany() returns multiple records matching the condition.
+     * Three queries in one transaction (one snapshot of the data):
+     * 1. findMany() - just the requested page (skip + take)
+     * 2. count() - how many assets match the filters (for the pager)
+     * 3. groupBy() - assets per status for the statistics cards
      * 
-     * where: { organizationId: req.user.orgId }
-     * - Filters assets to only those belonging to the user's organization
-     * - This is CRITICAL for multi-tenant security!
+     * No organization filter needed: req.db filters assets to only those
+     * belonging to the user's organization (CRITICAL for multi-tenant security!)
      * 
      * include: { category: true }
      * - Also fetches the related category data for each asset
      * - This is a "join" operation - combines data from Asset and Category tables
-     * 
-     * Note: No orderBy specified - assets will be returned in database order.
-     * If you want to sort by creation date, you need to add a createdAt field
-     * to the Asset model in schema.prisma and create a migration.
+     * - assignments: only the open one - who has the asset now (see services/assignments.js)
      */
-    const assets = await prisma.asset.findMany({
-      where: { organizationId: req.user.orgId },
-      include: { category: true }
-    });
+    const [assets, total, byStatus] = await req.db.$transaction(async (tx) => Promise.all([
+      tx.asset.findMany({
+        where,
+        orderBy,
+        skip: pagination.skip,
+        take: pagination.take,
+        include: { category: true, assignments: CURRENT_ASSIGNMENT }
+      }),
+      tx.asset.count({ where }),
+      tx.asset.groupBy({ by: ['status'], where: { deletedAt: null }, _count: { _all: true } })
+    ]));
+
+    const summary = { total: 0 };
+    for (const status of statuses) summary[status.key] = 0;
+    for (const group of byStatus) {
+      summary[group.status] = group._count._all;
+      summary.total += group._count._all;
+    }
 
-    // Send the assets array as JSON response
-    res.json(assets);
+    res.json({ ...toPage(assets.map(withAssignment), total, pagination), summary });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Get assets error:", error);
     res.status(500).json({ error: "Failed to fetch assets" });
   }
 };
 
+/**
+ * BUILD A PREFIX SEARCH QUERY
+ * 
+ * Turns what the user typed into a Postgres tsquery where every word may be
+ * the start of a longer one, so "mac pro" finds "MacBook Pro":
+ * 
+ *   "mac pro" -> "mac:* & pro:*"
+ * 
+ * Only letters and digits are kept: tsquery has its own operators (&, |, !, ...)
+ * and user input must never be able to use them.
+ * 
+ * @param {string} text - Trimmed search text
+ * @returns {string} tsquery text ('' when there is no word at all)
+ */
+const toPrefixQuery = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .slice(0, 10)
+  .map(word => `${word}:*`)
+  .join(' & ');
+
+/**
+ * Highlight a fragment inside a text (first occurrence, any case).
+ * Used for serial numbers, which match on fragments rather than whole words.
+ * 
+ * @param {string} text - e.g. "SN-2024-0042"
+ * @param {string} fragment - e.g. "0042"
+ * @returns {string|null} e.g. "SN-2024-<mark>0042</mark>", or null if not found
+ */
+const highlightFragment = (text, fragment) => {
+  const index = text.toLowerCase().indexOf(fragment.toLowerCase());
+  if (index === -1) return null;
+  return text.slice(0, index)
+    + HIGHLIGHT_START + text.slice(index, index + fragment.length) + HIGHLIGHT_STOP
+    + text.slice(index + fragment.length);
+};
+
+/**
+ * SEARCH ASSETS
+ * 
+ * Handler for GET /api/assets/search?q=...&limit=10
+ * 
+ * Backed by Postgres (see the asset_search migration):
+ * - Full-text search on Asset."searchVector" (name, serial number and category
+ *   name, kept up to date by triggers, GIN index) - every word typed may be
+ *   the beginning of a word
+ * - Trigram matching on the serial number (pg_trgm, GIN index): fragments
+ *   ("0042") and near misses ("SN-2O24") still match
+ * 
+ * Results are ranked (ts_rank + trigram similarity, best first) and
+ * highlighted: matched words are wrapped in <mark></mark>. The client must
+ * treat the highlights as text with markers, NOT as HTML.
+ * 
+ * Multi-tenant security: this is raw SQL, which req.db does not rewrite, so
+ * the query filters on organizationId itself. It also runs inside
+ * req.db.$transaction, which sets app.current_org: row-level security
+ * applies as the second layer (see db/tenant.js).
+ * 
+ * Response: { data: [{ id, name, serialNumber, status, categoryId, customFields, category, rank, highlight }] }
+ * 
+ * @param {Object} req - Contains req.query { q, limit? }, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const searchAssets = async (req, res) => {
+  const text = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : toPositiveInt(req.query.limit);
+
+  if (!text) {
+    return res.status(400).json({ error: "Search text (q) is required" });
+  }
+  if (text.length > MAX_SEARCH_LENGTH) {
+    return res.status(400).json({ error: `Search must be at most ${MAX_SEARCH_LENGTH} characters` });
+  }
+  if (!limit || limit > MAX_SEARCH_LIMIT) {
+    return res.status(400).json({ error: `limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}` });
+  }
+
+  // ILIKE pattern for serial fragments - % and _ typed by the user are literal
+  const likePattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+  const headlineOptions = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=TRUE`;
+
+  try {
+    /**
+     * RAW SQL QUERY
+     * 
+     * $queryRaw with a tagged template: every ${...} becomes a query
+     * parameter ($1, $2, ...), never pasted into the SQL - no SQL injection.
+     */
+    const rows = await req.db.$transaction((tx) => tx.$queryRaw`
+      SELECT a."id", a."name", a."serialNumber", a."status", a."categoryId", a."customFields",
+             c."name" AS "categoryName",
+             ts_headline('simple', a."name", query.tsq, ${headlineOptions}) AS "nameHighlight",
+             ts_headline('simple', a."serialNumber", query.tsq, ${headlineOptions}) AS "serialNumberHighlight",
+             ts_headline('simple', c."name", query.tsq, ${headlineOptions}) AS "categoryHighlight",
+             COALESCE(ts_rank(a."searchVector", query.tsq), 0) + similarity(a."serialNumber", ${text}) AS "rank"
+      FROM "Asset" a
+      JOIN "Category" c ON c."id" = a."categoryId",
+           to_tsquery('simple', ${toPrefixQuery(text)}) AS query(tsq)
+      WHERE a."organizationId" = ${req.user.orgId}
+        AND a."deletedAt" IS NULL
+        AND (a."searchVector" @@ query.tsq
+             OR a."serialNumber" ILIKE ${likePattern}
+             OR a."serialNumber" % ${text})
+      ORDER BY "rank" DESC, a."name" ASC, a."id" ASC
+      LIMIT ${limit}
+    `);
+
+    res.json({
+      data: rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        serialNumber: row.serialNumber,
+        status: row.status,
+        categoryId: row.categoryId,
+        customFields: row.customFields,
+        category: { id: row.categoryId, name: row.categoryName },
+        rank: Number(row.rank),
+        highlight: {
+          name: row.nameHighlight,
+          serialNumber: highlightFragment(row.serialNumber, text) || row.serialNumberHighlight,
+          category: row.categoryHighlight
+        }
+      }))
+    });
+  } catch (error) {
+    console.error("Search assets error:", error);
+    res.status(500).json({ error: "Failed to search assets" });
+  }
+};
+
 /**
  * CREATE NEW ASSET
  * 
@@ -67,11 +471,13 @@ const getAssets = async (req, res) => {
  * Flow:
  * 1. Validate input data
  * 2. Check for duplicate serial numbers
- * 3. Get or create a default category
- * 4. Create the asset in database
- * 5. Return the created asset
+ * 3. Check the chosen category belongs to the organization (or use "General")
+ * 4. Validate the custom field values against that category's fields
+ * 5. Check the location (optional) belongs to the organization
+ * 6. Create the asset, its first revision and its first movement in database
+ * 7. Return the created asset
  * 
- * @param {Object} req - Contains req.body (asset data) and req.user.orgId
+ * @param {Object} req - Contains req.body (asset data) and req.db
  * @param {Object} res - Response object
  */
 const createAsset = async (req, res) => {
@@ -79,12 +485,9 @@ const createAsset = async (req, res) => {
    * EXTRACT DATA FROM REQUEST
    * 
    * Destructuring assignment extracts values from req.body
-   * Example: { name: "Laptop", serialNumber: "SN123", status: "active" }
+   * Example: { name: "Laptop", serialNumber: "SN123", status: "active", categoryId: "...", customFields: { ram: 16 }, locationId: "..." }
    */
-  const { name, serialNumber, status } = req.body;
-
-  // Get organization ID from authenticated user (set by auth middleware)
-  const orgId = req.user.orgId;
+  const { name, serialNumber, status, categoryId, customFields = {}, locationId } = req.body;
 
   /**
    * INPUT VALIDATION - LAYER 1: Required Fields
@@ -110,96 +513,129 @@ const createAsset = async (req, res) => {
     return res.status(400).json({ error: "Name and serial number cannot be empty" });
   }
 
-  /**
-   * INPUT VALIDATION - LAYER 3: Status Enum
-   * 
-   * Only allow specific status values (enum validation)
-   * This prevents invalid data from entering the database
-   * 
-   * validStatuses is an array of allowed values
-   * includes() checks if status is in that array
-   */
-  const validStatuses = ['active', 'maintenance', 'retired'];
-  if (status && !validStatuses.includes(status)) {
-    return res.status(400).json({ error: `Status must be one of: ${validStatuses.join(', ')}` });
+  if (!isValuesObject(customFields)) {
+    return res.status(400).json({ error: "customFields must be an object of { key: value }" });
+  }
+
+  if (!isValidLocationId(locationId)) {
+    return res.status(400).json({ error: "locationId must be a location ID or null" });
   }
 
   try {
     /**
      * CHECK FOR DUPLICATE SERIAL NUMBER
      * 
-     * Serial numbers should be unique (enforced by database schema)
-     * We check before creating to give a better error message
+     * Serial numbers are unique PER ORGANIZATION (enforced by the database:
+     * the unique index on organizationId + serialNumber, see the asset_trash migration).
+     * Different organizations can have the same serial numbers (multi-tenant),
+     * so we only ever look inside OUR organization (req.db) - whether another
+     * tenant owns this serial is never revealed.
+     * 
+     * Assets in the trash don't count: their serial number can be reused.
      * 
-     * findUnique() finds one record with matching serialNumber
+     * findFirst() returns the matching asset of our organization
      * If found, existingAsset will be the asset object
      * If not found, existingAsset will be null
      */
-    const existingAsset = await prisma.asset.findUnique({
-      where: { serialNumber }
+    const existingAsset = await req.db.asset.findFirst({
+      where: { serialNumber: serialNumber.trim(), deletedAt: null }
     });
 
-    /**
-     * SECURITY CHECK: Verify duplicate is in same organization
-     * 
-     * Even if serial number exists, we only care if it's in OUR organization
-     * Different organizations can have same serial numbers (multi-tenant)
-     */
-    if (existingAsset && existingAsset.organizationId === orgId) {
+    if (existingAsset) {
       // 409 = Conflict (resource already exists)
       return res.status(409).json({ error: "Serial number already exists" });
     }
 
     /**
-     * GET OR CREATE DEFAULT CATEGORY
+     * INPUT VALIDATION - STATUS
+     * 
+     * Statuses are defined per organization (see services/assetStatuses.js):
+     * only one of OUR status keys is accepted (400 otherwise). A new asset
+     * may start in any of them - the workflow only restricts later moves.
+     * Without a status it gets the organization's default one.
+     */
+    const statuses = await loadStatuses(req.db);
+    const initialStatus = status ? parseStatus(statuses, status) : defaultStatus(statuses);
+
+    /**
+     * RESOLVE THE CATEGORY
      * 
-     * Assets require a category. If organization has no categories yet,
-     * we create a default "General" category.
+     * Assets require a category. The client normally picks one (categoryId),
+     * which must be one of the organization's categories (400 otherwise).
+     * Without a categoryId the asset goes to "General".
+     */
+    const category = categoryId !== undefined && categoryId !== null && categoryId !== ''
+      ? await findCategory(req.db, categoryId)
+      : await getDefaultCategory(req.db);
+
+    /**
+     * VALIDATE CUSTOM FIELDS
      * 
-     * findFirst() returns the first matching record (or null)
-     * If no category exists, we create one
+     * Values must match the category's field types, required fields need a
+     * value, and keys of other categories are refused (400).
      */
-    let category = await prisma.category.findFirst({ where: { organizationId: orgId } });
-    if (!category) {
-      category = await prisma.category.create({
-        data: { name: 'General', organizationId: orgId }
-      });
-    }
+    const values = validateValues(category.fields, customFields, customFields);
+
+    // Optional - one of OUR locations (400 otherwise)
+    const location = locationId ? await findLocation(req.db, locationId) : null;
 
     /**
      * CREATE THE ASSET
      * 
-     * prisma.asset.create() inserts a new record into the database
+     * req.db.asset.create() inserts a new record into the database
      * 
      * data: { ... } - The data to insert
      * - name.trim() - Remove whitespace before storing
-     * - status || 'active' - Use provided status, or default to 'active'
-     * - organizationId - Ensures asset belongs to correct organization
+     * - initialStatus.key - The chosen status, or the organization's default
      * - categoryId - Links asset to a category
+     * - organizationId - Added by req.db: the asset always belongs to the user's organization
      * 
      * Returns the created asset object (with generated ID, timestamps, etc.)
+     * 
+     * The CREATE revision is written in the same transaction: an asset
+     * never exists without the start of its history. So is its first
+     * movement, when it's created in a location.
      */
-    const newAsset = await prisma.asset.create({
-      data: {
-        name: name.trim(),
-        serialNumber: serialNumber.trim(),
-        status: status || 'active',
-        organizationId: orgId,
-        categoryId: category.id
+    const newAsset = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.create({
+        data: {
+          name: name.trim(),
+          serialNumber: serialNumber.trim(),
+          status: initialStatus.key,
+          categoryId: category.id,
+          locationId: location?.id ?? null,
+          customFields: values
+        }
+      });
+
+      await recordRevision(tx, { assetId: asset.id, action: 'CREATE', before: null, after: snapshot(asset), user: req.user });
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.ASSET_CREATE,
+        targetType: 'asset',
+        targetId: asset.id,
+        details: { name: asset.name, serialNumber: asset.serialNumber }
+      });
+      if (location) {
+        await recordMovement(tx, req, { ...asset, locationId: null }, location.id);
       }
+      return asset;
     });
 
     // 201 = Created (successfully created new resource)
     res.status(201).json(newAsset);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Prisma Error:", error);
 
     /**
      * HANDLE PRISMA UNIQUE CONSTRAINT ERROR
      * 
      * Prisma error code P2002 = unique constraint violation
-     * This happens if serial number is duplicate (even after our check)
-     * Could happen in race condition (two requests at same time)
+     * This happens if serial number is duplicate in this organization
+     * (even after our check) - could happen in race condition
+     * (two requests at same time)
      */
     if (error.code === 'P2002') {
       return res.status(409).json({ error: "Serial number already exists" });
@@ -211,21 +647,25 @@ const createAsset = async (req, res) => {
 };
 
 /**
- * DELETE ASSET
+ * DELETE ASSET (MOVE TO THE TRASH)
  * 
  * Handler for DELETE /api/assets/:id
  * 
+ * The asset isn't removed: it goes to the organization's trash (deletedAt,
+ * deletedById / deletedByApiKeyId), where an admin can restore it until it
+ * is purged after TRASH_RETENTION_DAYS (see services/trash.js).
+ * 
  * CRITICAL SECURITY: Multi-tenant protection
  * - Only deletes assets belonging to the user's organization
- * - Uses deleteMany() with BOTH id AND organizationId
+ * - req.db adds organizationId to the updateMany() filter (BOTH id AND organizationId)
  * - This prevents users from deleting other organizations' assets
  * 
- * Why deleteMany() instead of delete()?
- * - delete() throws error if record doesn't exist
- * - deleteMany() returns count of deleted records (0 if none)
+ * Why updateMany() instead of update()?
+ * - update() throws error if record doesn't exist
+ * - updateMany() returns count of updated records (0 if none)
  * - We can check count to see if deletion succeeded
  * 
- * @param {Object} req - Contains req.params.id (from URL) and req.user.orgId
+ * @param {Object} req - Contains req.params.id (from URL) and req.db
  * @param {Object} res - Response object
  */
 const deleteAsset = async (req, res) => {
@@ -240,9 +680,6 @@ const deleteAsset = async (req, res) => {
    */
   const { id } = req.params;
 
-  // Get organization ID from authenticated user
-  const orgId = req.user.orgId;
-
   /**
    * INPUT VALIDATION
    * 
@@ -256,11 +693,11 @@ const deleteAsset = async (req, res) => {
     /**
      * SECURE DELETE OPERATION
      * 
-     * deleteMany() deletes all records matching the where condition
+     * updateMany() marks all records matching the where condition as deleted
      * 
-     * CRITICAL: We include organizationId in the where clause!
+     * CRITICAL: req.db includes organizationId in the where clause!
      * This ensures:
-     * 1. Asset exists with that ID
+     * 1. Asset exists with that ID (and isn't in the trash already)
      * 2. Asset belongs to user's organization
      * 
      * If someone tries to delete asset from another organization:
@@ -270,18 +707,31 @@ const deleteAsset = async (req, res) => {
      * 
      * This is a security best practice for multi-tenant applications!
      */
-    const deleted = await prisma.asset.deleteMany({
-      where: {
-        id: id,
-        organizationId: orgId  // SECURITY: Only delete from user's organization
+    const deleted = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.findUnique({ where: { id, deletedAt: null } });
+      const { userId, apiKeyId } = actorOf(req.user);
+
+      const result = await tx.asset.updateMany({
+        where: { id, deletedAt: null }, // SECURITY: tx only deletes from user's organization
+        data: { deletedAt: new Date(), deletedById: userId, deletedByApiKeyId: apiKeyId }
+      });
+
+      if (result.count > 0) {
+        await recordAudit(tx, req, {
+          action: AUDIT_ACTIONS.ASSET_DELETE,
+          targetType: 'asset',
+          targetId: id,
+          details: { name: asset.name, serialNumber: asset.serialNumber, status: asset.status, categoryId: asset.categoryId }
+        });
       }
+      return result;
     });
 
     /**
      * CHECK IF DELETION SUCCEEDED
      * 
      * deleted.count tells us how many records were deleted
-     * - 0 = No matching record (doesn't exist or wrong organization)
+     * - 0 = No matching record (doesn't exist, wrong organization or already in the trash)
      * - 1 = Successfully deleted
      * 
      * We return 404 (Not Found) if count is 0
@@ -291,8 +741,8 @@ const deleteAsset = async (req, res) => {
       return res.status(404).json({ error: "Asset not found or unauthorized" });
     }
 
-    // Success - asset was deleted
-    res.json({ message: "Asset deleted successfully" });
+    // Success - asset was moved to the trash
+    res.json({ message: "Asset moved to the trash" });
   } catch (error) {
     console.error("Delete asset error:", error);
     res.status(500).json({ error: "Failed to delete asset" });
@@ -306,7 +756,7 @@ const deleteAsset = async (req, res) => {
  * 
  * CRITICAL SECURITY: Multi-tenant protection
  * - Only updates assets belonging to the user's organization
- * - Uses updateMany() with BOTH id AND organizationId
+ * - req.db adds organizationId to the updateMany() filter (BOTH id AND organizationId)
  * - This prevents users from updating other organizations' assets
  * 
  * Why updateMany() instead of update()?
@@ -314,7 +764,7 @@ const deleteAsset = async (req, res) => {
  * - updateMany() returns count of updated records (0 if none)
  * - We can check count to see if update succeeded
  * 
- * @param {Object} req - Contains req.params.id (from URL), req.body (update data), and req.user.orgId
+ * @param {Object} req - Contains req.params.id (from URL), req.body (update data), req.user and req.db
  * @param {Object} res - Response object
  */
 const updateAsset = async (req, res) => {
@@ -323,11 +773,9 @@ const updateAsset = async (req, res) => {
    * 
    * - id: From URL parameters (req.params.id)
    * - Update data: From request body (req.body)
-   * - orgId: From authenticated user (req.user.orgId)
    */
   const { id } = req.params;
-  const { name, serialNumber, status } = req.body;
-  const orgId = req.user.orgId;
+  const { name, serialNumber, status, categoryId, customFields, locationId } = req.body;
 
   /**
    * INPUT VALIDATION
@@ -344,8 +792,8 @@ const updateAsset = async (req, res) => {
    * User must provide at least one field to update.
    * If all fields are missing, there's nothing to update.
    */
-  if (!name && !serialNumber && !status) {
-    return res.status(400).json({ error: "At least one field (name, serialNumber, or status) is required" });
+  if (!name && !serialNumber && !status && !categoryId && customFields === undefined && locationId === undefined) {
+    return res.status(400).json({ error: "At least one field (name, serialNumber, status, categoryId, customFields or locationId) is required" });
   }
 
   /**
@@ -362,95 +810,158 @@ const updateAsset = async (req, res) => {
     return res.status(400).json({ error: "Serial number cannot be empty" });
   }
 
-  /**
-   * INPUT VALIDATION - LAYER 3: Status Enum (if provided)
-   * 
-   * If status is provided, it must be one of the valid values.
-   */
-  const validStatuses = ['active', 'maintenance', 'retired'];
-  if (status && !validStatuses.includes(status)) {
-    return res.status(400).json({ error: `Status must be one of: ${validStatuses.join(', ')}` });
+  if (customFields !== undefined && !isValuesObject(customFields)) {
+    return res.status(400).json({ error: "customFields must be an object of { key: value }" });
+  }
+
+  if (!isValidLocationId(locationId)) {
+    return res.status(400).json({ error: "locationId must be a location ID or null" });
   }
 
   try {
     // Correction Policy: Allow serial number edits, but check for duplicates in same org
     if (serialNumber) {
-      const existingAsset = await prisma.asset.findUnique({
-        where: { serialNumber }
+      const existingAsset = await req.db.asset.findFirst({
+        where: { serialNumber: serialNumber.trim(), deletedAt: null }
       });
 
-      // Reject if serial number exists in same org and it's a different asset
-      if (existingAsset && existingAsset.organizationId === orgId && existingAsset.id !== id) {
+      // Reject if it's a different asset of our organization (the trash doesn't count)
+      if (existingAsset && existingAsset.id !== id) {
         return res.status(409).json({ error: "Serial number already exists" });
       }
     }
 
     /**
-     * BUILD UPDATE DATA OBJECT
-     * 
-     * Only include fields that were provided in the request.
-     * This allows partial updates (PATCH semantics).
+     * UPDATE IN ONE TRANSACTION
      * 
-     * Example: If only status is provided, only status gets updated.
+     * Reading the current values, updating and recording the revision happen
+     * together: the revision's "before" is exactly what was overwritten.
+     * lockAsset() holds the row until commit, so a simultaneous edit waits.
      */
-    const updateData = {};
-    if (name) updateData.name = name.trim();
-    if (serialNumber) updateData.serialNumber = serialNumber.trim();
-    if (status) updateData.status = status;
+    const updatedAsset = await req.db.$transaction(async (tx) => {
+      // SECURITY: only finds (and locks) assets of the user's organization
+      if (!(await lockAsset(tx, req.user.orgId, id))) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+      const current = await tx.asset.findUnique({ where: { id } });
 
-    /**
-     * SECURE UPDATE OPERATION
-     * 
-     * updateMany() updates all records matching the where condition.
-     * 
-     * CRITICAL: We include organizationId in the where clause!
-     * This ensures:
-     * 1. Asset exists with that ID
-     * 2. Asset belongs to user's organization
-     * 
-     * If someone tries to update asset from another organization:
-     * - The where clause won't match (different orgId)
-     * - updated.count will be 0
-     * - We return 404 (not found) - don't reveal it exists but belongs to another org
-     * 
-     * This is a security best practice for multi-tenant applications!
-     */
-    const updated = await prisma.asset.updateMany({
-      where: {
-        id: id,
-        organizationId: orgId  // SECURITY: Only update assets from user's organization
-      },
-      data: updateData
-    });
+      /**
+       * STATUS (if provided)
+       * 
+       * One of OUR statuses (400), reachable from the current one in the
+       * organization's workflow (409, see services/assetStatuses.js).
+       * Retiring: whoever has the asset must return it first, and its work must be done.
+       */
+      if (status) {
+        const statuses = await loadStatuses(tx);
+        parseStatus(statuses, status);
+        assertTransition(statuses, current.status, status);
+        if (isRetired(statuses, status) && !isRetired(statuses, current.status)) {
+          await assertNotCheckedOut(tx, id);
+          await assertNoOpenWorkOrders(tx, id);
+        }
+      }
 
-    /**
-     * CHECK IF UPDATE SUCCEEDED
-     * 
-     * updated.count tells us how many records were updated
-     * - 0 = No matching record (doesn't exist or wrong organization)
-     * - 1 = Successfully updated
-     * 
-     * We return 404 (Not Found) if count is 0
-     * This gives a generic error without revealing security details
-     */
-    if (updated.count === 0) {
-      return res.status(404).json({ error: "Asset not found or unauthorized" });
-    }
+      /**
+       * BUILD UPDATE DATA OBJECT
+       * 
+       * Only include fields that were provided in the request.
+       * This allows partial updates (PATCH semantics).
+       * 
+       * Example: If only status is provided, only status gets updated.
+       */
+      const updateData = {};
+      if (name) updateData.name = name.trim();
+      if (serialNumber) updateData.serialNumber = serialNumber.trim();
+      if (status) updateData.status = status;
+      const newCategory = categoryId ? await findCategory(tx, categoryId) : null; // Our categories only
+      if (newCategory) updateData.categoryId = newCategory.id;
 
-    /**
-     * FETCH UPDATED ASSET
-     * 
-     * After successful update, fetch the updated asset to return to client.
-     * This ensures client gets the latest data including any database defaults.
-     */
-    const updatedAsset = await prisma.asset.findUnique({
-      where: { id },
-      include: { category: true }
+      /**
+       * CUSTOM FIELDS
+       * 
+       * Re-validated when values are sent OR the category changes (the new
+       * category may have other fields, some of them required):
+       * - submitted values are merged over the stored ones; null removes one
+       * - values of fields the (new) category doesn't have are dropped
+       */
+      if (customFields !== undefined || categoryId) {
+        const category = newCategory || await findCategory(tx, current.categoryId);
+        updateData.customFields = validateValues(
+          category.fields,
+          { ...current.customFields, ...customFields },
+          customFields
+        );
+      }
+
+      /**
+       * SECURE UPDATE OPERATION
+       * 
+       * updateMany() updates all records matching the where condition.
+       * 
+       * CRITICAL: req.db includes organizationId in the where clause!
+       * This ensures:
+       * 1. Asset exists with that ID
+       * 2. Asset belongs to user's organization
+       * 
+       * If someone tries to update asset from another organization:
+       * - The where clause won't match (different orgId)
+       * - updated.count will be 0
+       * - We return 404 (not found) - don't reveal it exists but belongs to another org
+       * 
+       * This is a security best practice for multi-tenant applications!
+       */
+      const updated = await tx.asset.updateMany({
+        where: { id }, // SECURITY: req.db only updates assets from user's organization
+        data: updateData
+      });
+
+      if (updated.count === 0) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+
+      /**
+       * LOCATION
+       * 
+       * Not part of the revisions: a move is recorded in the asset's movement
+       * history instead (nothing when it stays where it is). null / '' removes
+       * the asset from its location.
+       */
+      if (locationId !== undefined) {
+        await moveAsset(tx, req, current, locationId || null);
+      }
+
+      /**
+       * FETCH UPDATED ASSET
+       * 
+       * After successful update, fetch the updated asset to return to client.
+       * This ensures client gets the latest data including any database defaults.
+       * Scoped like every other query - never an unfiltered read by id.
+       */
+      const asset = await tx.asset.findUnique({
+        where: { id },
+        include: { category: true }
+      });
+
+      // History: nothing is recorded if no value actually changed
+      const revision = await recordRevision(tx, { assetId: id, action: 'UPDATE', before: snapshot(current), after: snapshot(asset), user: req.user });
+      if (revision) {
+        await recordAudit(tx, req, {
+          action: AUDIT_ACTIONS.ASSET_UPDATE,
+          targetType: 'asset',
+          targetId: id,
+          details: auditDetails(asset, revision)
+        });
+      }
+      return asset;
     });
 
     // Success - return the updated asset
     res.json(updatedAsset);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Update asset error:", error);
 
     /**
@@ -469,5 +980,232 @@ const updateAsset = async (req, res) => {
   }
 };
 
+// Names of the tracked fields in the history (custom fields use their own label)
+const FIELD_LABELS = {
+  name: 'Name',
+  serialNumber: 'Serial number',
+  status: 'Status',
+  categoryId: 'Category'
+};
+
+/**
+ * Who made a revision, for the client.
+ * 
+ * @param {Object} revision - Loaded with user and apiKey
+ * @returns {Object|null} { type: 'user', id, email } or { type: 'apiKey', id, name };
+ *   null when the user or key has been deleted since
+ */
+const toActor = (revision) => {
+  if (revision.userId) {
+    // email is null when the user has left the organization (not visible any more)
+    return { type: 'user', id: revision.userId, email: revision.user?.email ?? null };
+  }
+  if (revision.apiKeyId) {
+    return { type: 'apiKey', id: revision.apiKeyId, name: revision.apiKey?.name ?? null };
+  }
+  return null;
+};
+
+/**
+ * ASSET HISTORY
+ * 
+ * Handler for GET /api/assets/:id/history?page=1&pageSize=25
+ * 
+ * Revisions newest first, each with its field-level diff:
+ * 
+ * {
+ *   data: [{
+ *     id, action, createdAt, revertedFromId,
+ *     actor: { type: 'user', id, email },
+ *     changes: [
+ *       { field: 'status', label: 'Status', before: 'active', after: 'retired' },
+ *       { field: 'categoryId', label: 'Category', before: { id, name }, after: { id, name } },
+ *       { field: 'customFields.ram', label: 'RAM (GB)', before: 8, after: 16 }
+ *     ]
+ *   }],
+ *   pagination: { page, pageSize, total, totalPages }
+ * }
+ * 
+ * Category changes come with the category names (null for a deleted
+ * category); custom fields with their current label (the key once the
+ * field has been deleted).
+ * 
+ * @param {Object} req - Contains req.params.id, req.query and req.db
+ * @param {Object} res - Response object
+ */
+const getAssetHistory = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const pagination = parsePagination(req.query);
+
+    const asset = await req.db.asset.findUnique({ where: { id, deletedAt: null } }); // SECURITY: our assets only
+    if (!asset) {
+      return res.status(404).json({ error: "Asset not found or unauthorized" });
+    }
+
+    const [revisions, total] = await req.db.$transaction(async (tx) => Promise.all([
+      tx.assetRevision.findMany({
+        where: { assetId: id },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: pagination.skip,
+        take: pagination.take,
+        include: {
+          user: { select: { email: true } },
+          apiKey: { select: { name: true } }
+        }
+      }),
+      tx.assetRevision.count({ where: { assetId: id } })
+    ]));
+
+    const diffs = revisions.map(revision => diffSnapshots(revision.before, revision.after));
+
+    // Names of every category and custom field mentioned on this page
+    const categoryIds = [...new Set(diffs.flat()
+      .filter(change => change.field === 'categoryId')
+      .flatMap(change => [change.before, change.after])
+      .filter(Boolean))];
+    const [categories, fields] = await req.db.$transaction(async (tx) => Promise.all([
+      tx.category.findMany({ where: { id: { in: categoryIds } }, select: { id: true, name: true } }),
+      tx.customField.findMany({ where: { categoryId: { in: [asset.categoryId, ...categoryIds] } }, select: { key: true, label: true } })
+    ]));
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+    const fieldLabels = new Map(fields.map(field => [field.key, field.label]));
+
+    const toCategory = (categoryId) => (categoryId ? { id: categoryId, name: categoryNames.get(categoryId) ?? null } : null);
+
+    const data = revisions.map((revision, index) => ({
+      id: revision.id,
+      action: revision.action,
+      createdAt: revision.createdAt,
+      revertedFromId: revision.revertedFromId,
+      actor: toActor(revision),
+      changes: diffs[index].map(change => {
+        if (change.field === 'categoryId') {
+          return { ...change, label: FIELD_LABELS.categoryId, before: toCategory(change.before), after: toCategory(change.after) };
+        }
+        if (change.field.startsWith('customFields.')) {
+          const key = change.field.slice('customFields.'.length);
+          return { ...change, label: fieldLabels.get(key) ?? key };
+        }
+        return { ...change, label: FIELD_LABELS[change.field] };
+      })
+    }));
+
+    res.json(toPage(data, total, pagination));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Asset history error:", error);
+    res.status(500).json({ error: "Failed to fetch asset history" });
+  }
+};
+
+/**
+ * REVERT ASSET
+ * 
+ * Handler for POST /api/assets/:id/revert/:revisionId
+ * 
+ * Puts the asset back to its values right after that revision. The revert is
+ * itself a new revision (action REVERT) - history is never rewritten, so a
+ * revert can be undone by reverting again.
+ * 
+ * The restored values must still be valid today:
+ * - the category must still exist (400)
+ * - so must the status (400), and the organization's workflow must allow
+ *   the move from the current status to it (409)
+ * - the serial number must not have been taken by another asset since (409)
+ * - an asset can't go back to a retired status while it is checked out or
+ *   has open work orders (409)
+ * - custom field values are checked against the category's current fields:
+ *   values of deleted fields are dropped, a field made required since must
+ *   be filled in (400 - edit the asset instead)
+ * 
+ * @param {Object} req - Contains req.params { id, revisionId }, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const revertAsset = async (req, res) => {
+  const { id, revisionId } = req.params;
+
+  try {
+    const asset = await req.db.$transaction(async (tx) => {
+      if (!(await lockAsset(tx, req.user.orgId, id))) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+
+      // Tenant validation: tx only finds OUR revisions - and it must be one of this asset's
+      const revision = await tx.assetRevision.findFirst({ where: { id: revisionId, assetId: id } });
+      if (!revision) {
+        throw Object.assign(new Error("Revision not found"), { status: 404 });
+      }
+
+      const current = await tx.asset.findUnique({ where: { id } });
+      const target = revision.after;
+
+      const statuses = await loadStatuses(tx);
+      if (!findStatus(statuses, target.status)) {
+        throw Object.assign(new Error("The status of this revision no longer exists"), { status: 400 });
+      }
+      assertTransition(statuses, current.status, target.status);
+      if (isRetired(statuses, target.status) && !isRetired(statuses, current.status)) {
+        await assertNotCheckedOut(tx, id);
+        await assertNoOpenWorkOrders(tx, id);
+      }
+
+      const category = await tx.category.findUnique({ where: { id: target.categoryId }, include: { fields: true } });
+      if (!category) {
+        throw Object.assign(new Error("The category of this revision no longer exists"), { status: 400 });
+      }
+
+      const duplicate = await tx.asset.findFirst({ where: { serialNumber: target.serialNumber, id: { not: id }, deletedAt: null } });
+      if (duplicate) {
+        throw Object.assign(new Error("Another asset now uses this revision's serial number"), { status: 409 });
+      }
+
+      await tx.asset.updateMany({
+        where: { id },
+        data: {
+          name: target.name,
+          serialNumber: target.serialNumber,
+          status: target.status,
+          categoryId: category.id,
+          customFields: validateValues(category.fields, target.customFields || {}) // No submitted keys: unknown ones are dropped
+        }
+      });
+
+      const reverted = await tx.asset.findUnique({ where: { id }, include: { category: true } });
+      const revertRevision = await recordRevision(tx, {
+        assetId: id,
+        action: 'REVERT',
+        before: snapshot(current),
+        after: snapshot(reverted),
+        user: req.user,
+        revertedFromId: revision.id
+      });
+      if (revertRevision) {
+        await recordAudit(tx, req, {
+          action: AUDIT_ACTIONS.ASSET_REVERT,
+          targetType: 'asset',
+          targetId: id,
+          details: { ...auditDetails(reverted, revertRevision), revisionId: revision.id }
+        });
+      }
+      return reverted;
+    });
+
+    res.json(asset);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "Another asset now uses this revision's serial number" });
+    }
+    console.error("Revert asset error:", error);
+    res.status(500).json({ error: "Failed to revert asset" });
+  }
+};
+
 // Export all controller functions so server.js can use them
-module.exports = { getAssets, createAsset, deleteAsset, updateAsset };
+module.exports = { getAssets, searchAssets, createAsset, deleteAsset, updateAsset, getAssetHistory, revertAsset };
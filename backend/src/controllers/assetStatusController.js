@@ -0,0 +1,243 @@
+/**
+ * ASSET STATUS CONTROLLER
+ * 
+ * The organization's asset statuses and the moves allowed between them
+ * (see services/assetStatuses.js):
+ * - GET /api/asset-statuses - Every status, in display order, with its number of assets
+ * - POST /api/asset-statuses - Add a status
+ * - PATCH /api/asset-statuses/:id - Change its label, color, kind, transitions, position or make it the default
+ * - DELETE /api/asset-statuses/:id - Delete a status no asset uses
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - List: anyone who can read assets (the asset list and forms need it)
+ * - Create / Update / Delete: 'asset-statuses:manage' (ADMIN)
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js). Changes lock the
+ * organization's statuses first, so two admins editing the workflow at the
+ * same time can't leave it without a default or with a dangling transition.
+ */
+
+const {
+  MAX_STATUSES,
+  loadStatuses,
+  toStatusResponse,
+  parseStatusDefinition,
+  parseStatusChanges
+} = require('../services/assetStatuses');
+
+/**
+ * Lock the organization's statuses for the rest of the transaction.
+ * Raw SQL bypasses the tenant extension: organizationId is filtered here.
+ * 
+ * @param {Object} tx - Transaction client of req.db
+ * @param {string} orgId
+ */
+const lockStatuses = (tx, orgId) => tx.$queryRaw`
+  SELECT "id" FROM "AssetStatus" WHERE "organizationId" = ${orgId} FOR UPDATE
+`;
+
+/**
+ * Number of assets per status key (the trash excluded).
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @returns {Promise<Map<string, number>>}
+ */
+const countAssets = async (db) => {
+  const groups = await db.asset.groupBy({ by: ['status'], where: { deletedAt: null }, _count: { _all: true } });
+  return new Map(groups.map(group => [group.status, group._count._all]));
+};
+
+/**
+ * The organization's statuses for the client.
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @returns {Promise<Object[]>} [{ ...toStatusResponse, assetCount }]
+ */
+const listResponse = async (db) => {
+  const statuses = await loadStatuses(db);
+  const counts = await countAssets(db);
+  return statuses.map(status => ({ ...toStatusResponse(status), assetCount: counts.get(status.key) || 0 }));
+};
+
+/**
+ * LIST STATUSES
+ * 
+ * Handler for GET /api/asset-statuses
+ * 
+ * [{ id, key, label, color, kind, position, isDefault, transitions: ['retired', ...], assetCount }]
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listStatuses = async (req, res) => {
+  try {
+    res.json(await listResponse(req.db)); // SECURITY: Only this organization's statuses
+  } catch (error) {
+    console.error("List asset statuses error:", error);
+    res.status(500).json({ error: "Failed to fetch asset statuses" });
+  }
+};
+
+/**
+ * CREATE STATUS
+ * 
+ * Handler for POST /api/asset-statuses
+ * 
+ * Body: { label: "In repair", color: "orange", kind: "MAINTENANCE", transitions: ["active"] }
+ * - key: defaults to one derived from the label ("in_repair"), never changes
+ * - transitions: where assets may go FROM the new status. To allow moves TO
+ *   it, add its key to the other statuses' transitions (PATCH).
+ * - isDefault: true to make it the status of new assets
+ * 
+ * Responds with the whole list, like PATCH and DELETE: one change may touch
+ * several statuses.
+ * 
+ * @param {Object} req - Contains req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const createStatus = async (req, res) => {
+  try {
+    const statuses = await req.db.$transaction(async (tx) => {
+      await lockStatuses(tx, req.user.orgId);
+      const current = await loadStatuses(tx);
+
+      if (current.length >= MAX_STATUSES) {
+        throw Object.assign(new Error(`An organization can have at most ${MAX_STATUSES} statuses`), { status: 400 });
+      }
+      const data = parseStatusDefinition(req.body, current);
+      if (current.some(status => status.key === data.key)) {
+        throw Object.assign(new Error(`A status with the key "${data.key}" already exists`), { status: 409 });
+      }
+
+      if (data.isDefault) {
+        await tx.assetStatus.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+      }
+      // SECURITY: tx always creates it in the user's organization
+      await tx.assetStatus.create({ data });
+      return listResponse(tx);
+    });
+
+    // 201 = Created
+    res.status(201).json(statuses);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // P2002 = unique constraint: the same key was added concurrently
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "A status with this key already exists" });
+    }
+    console.error("Create asset status error:", error);
+    res.status(500).json({ error: "Failed to create asset status" });
+  }
+};
+
+/**
+ * UPDATE STATUS
+ * 
+ * Handler for PATCH /api/asset-statuses/:id
+ * 
+ * Body (at least one): { label, color, kind, transitions, position, isDefault: true }
+ * The key never changes. Making a status the default takes it off the
+ * previous one. Assets already in the status are not touched: new rules
+ * apply to their next move.
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const updateStatus = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const statuses = await req.db.$transaction(async (tx) => {
+      await lockStatuses(tx, req.user.orgId);
+      const current = await loadStatuses(tx);
+
+      const status = current.find(s => s.id === id); // SECURITY: our statuses only
+      if (!status) {
+        throw Object.assign(new Error("Status not found"), { status: 404 });
+      }
+      const data = parseStatusChanges(status, req.body, current);
+
+      if (data.isDefault && !status.isDefault) {
+        await tx.assetStatus.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+      }
+      await tx.assetStatus.update({ where: { id }, data });
+      return listResponse(tx);
+    });
+
+    res.json(statuses);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update asset status error:", error);
+    res.status(500).json({ error: "Failed to update asset status" });
+  }
+};
+
+/**
+ * DELETE STATUS
+ * 
+ * Handler for DELETE /api/asset-statuses/:id
+ * 
+ * Refused (409) for the default status, and while any asset - in the trash
+ * too, it may be restored - is in it: move them to another status first.
+ * The status is also removed from the other statuses' transitions.
+ * Revisions keep the old key (reverting to one of them is refused).
+ * 
+ * @param {Object} req - Contains req.params.id, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const deleteStatus = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const statuses = await req.db.$transaction(async (tx) => {
+      await lockStatuses(tx, req.user.orgId);
+      const current = await loadStatuses(tx);
+
+      const status = current.find(s => s.id === id); // SECURITY: our statuses only
+      if (!status) {
+        throw Object.assign(new Error("Status not found"), { status: 404 });
+      }
+      if (status.isDefault) {
+        throw Object.assign(new Error("The default status can't be deleted - make another status the default first"), { status: 409 });
+      }
+      const assetCount = await tx.asset.count({ where: { status: status.key } });
+      if (assetCount > 0) {
+        throw Object.assign(
+          new Error(`${assetCount} asset(s) still have this status (the trash included) - move them to another status first`),
+          { status: 409 }
+        );
+      }
+
+      for (const other of current) {
+        if (other.transitions.includes(status.key)) {
+          await tx.assetStatus.update({
+            where: { id: other.id },
+            data: { transitions: other.transitions.filter(key => key !== status.key) }
+          });
+        }
+      }
+      await tx.assetStatus.delete({ where: { id } });
+      return listResponse(tx);
+    });
+
+    res.json(statuses);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Delete asset status error:", error);
+    res.status(500).json({ error: "Failed to delete asset status" });
+  }
+};
+
+module.exports = {
+  listStatuses,
+  createStatus,
+  updateStatus,
+  deleteStatus
+};
@@ -0,0 +1,358 @@
+/**
+ * ASSIGNMENT CONTROLLER
+ * 
+ * Who has which asset (custody, see services/assignments.js):
+ * - POST /api/assets/:id/checkout - Hand an asset to a member or an external person
+ * - POST /api/assets/:id/checkin - Get it back
+ * - GET /api/assets/:id/assignments - Custody history of an asset, newest first
+ * - GET /api/assets/mine - Assets the logged-in user has now ("My assets")
+ * - GET /api/assignees - Members an asset can be checked out to
+ * 
+ * An asset has at most one open assignment: checking out an asset somebody
+ * already has, or a retired one (a status of kind RETIRED, see
+ * services/assetStatuses.js), is refused (409). Assignments are never
+ * edited or deleted - check-in closes them, and they stay as the history.
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - Check-out / check-in / assignees: 'assets:write' (ADMIN, MEMBER)
+ * - Custody history / my assets: 'assets:read'
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const { parsePagination, toPage } = require('../utils/pagination');
+const { lockAsset } = require('../services/assetHistory');
+const { CURRENT_ASSIGNMENT, today, toAssignment, withAssignment, findOpenAssignment } = require('../services/assignments');
+const { AUDIT_ACTIONS, findActorName, recordAudit } = require('../services/auditLog');
+const { loadStatuses, isRetired } = require('../services/assetStatuses');
+const { parseDate } = require('../utils/validation');
+
+// Longest external person name and note
+const MAX_EXTERNAL_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Check an optional note.
+ * 
+ * @param {*} note
+ * @returns {string|null} The trimmed note (null when empty)
+ * @throws {Error} status 400 when it isn't a string or is too long
+ */
+const parseNote = (note) => {
+  if (note === undefined || note === null) return null;
+  if (typeof note !== 'string') {
+    throw Object.assign(new Error("note must be a string"), { status: 400 });
+  }
+  if (note.trim().length > MAX_NOTE_LENGTH) {
+    throw Object.assign(new Error(`note must be at most ${MAX_NOTE_LENGTH} characters`), { status: 400 });
+  }
+  return note.trim() || null;
+};
+
+/**
+ * Check an optional due date: "YYYY-MM-DD", today or later.
+ * 
+ * @param {*} dueDate
+ * @returns {Date|null}
+ * @throws {Error} status 400 for an invalid or past date
+ */
+const parseDueDate = (dueDate) => {
+  const date = parseDate(dueDate, 'dueDate');
+  if (date && dueDate < today()) {
+    throw Object.assign(new Error("dueDate can't be in the past"), { status: 400 });
+  }
+  return date;
+};
+
+/**
+ * CHECK OUT AN ASSET
+ * 
+ * Handler for POST /api/assets/:id/checkout
+ * 
+ * Body - exactly one of userId / externalName:
+ * {
+ *   userId: "...",              // an active member of the organization
+ *   externalName: "Jane Doe",   // or someone without an account (contractor, visitor...)
+ *   dueDate: "2025-06-30",      // optional - expected return date
+ *   note: "For the trade show"  // optional
+ * }
+ * 
+ * Refused (409) when the asset is retired or already checked out (check it
+ * in first). The asset row is locked for the transaction, so two check-outs
+ * of the same asset can't both succeed.
+ * 
+ * Response: 201 - the assignment (see toAssignment in services/assignments.js)
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const checkoutAsset = async (req, res) => {
+  const { id } = req.params;
+  const { userId, externalName } = req.body;
+
+  try {
+    const hasUser = userId !== undefined && userId !== null && userId !== '';
+    const hasExternal = typeof externalName === 'string' && externalName.trim().length > 0;
+
+    if (hasUser === hasExternal) {
+      return res.status(400).json({ error: "Give either userId (a member) or externalName (someone else)" });
+    }
+    if (hasUser && typeof userId !== 'string') {
+      return res.status(400).json({ error: "userId must be a string" });
+    }
+    if (hasExternal && externalName.trim().length > MAX_EXTERNAL_NAME_LENGTH) {
+      return res.status(400).json({ error: `externalName must be at most ${MAX_EXTERNAL_NAME_LENGTH} characters` });
+    }
+
+    const dueDate = parseDueDate(req.body.dueDate);
+    const note = parseNote(req.body.note);
+
+    const assignment = await req.db.$transaction(async (tx) => {
+      // SECURITY: only finds (and locks) assets of the user's organization, not in the trash
+      if (!(await lockAsset(tx, req.user.orgId, id))) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+
+      const asset = await tx.asset.findUnique({ where: { id } });
+      if (isRetired(await loadStatuses(tx), asset.status)) {
+        throw Object.assign(new Error("A retired asset can't be checked out"), { status: 409 });
+      }
+
+      const open = await findOpenAssignment(tx, id);
+      if (open) {
+        const holder = open.externalName || open.assignee?.email || 'someone';
+        throw Object.assign(new Error(`This asset is already checked out to ${holder} - check it in first`), { status: 409 });
+      }
+
+      // Tenant validation: tx only finds members of OUR organization
+      if (hasUser) {
+        const member = await tx.membership.findFirst({ where: { userId, isActive: true } });
+        if (!member) {
+          throw Object.assign(new Error("User not found or inactive"), { status: 400 });
+        }
+      }
+
+      const created = await tx.assetAssignment.create({
+        data: {
+          assetId: id,
+          ...(hasUser ? { assigneeId: userId } : { externalName: externalName.trim() }),
+          dueDate,
+          checkoutNote: note,
+          checkedOutBy: await findActorName(tx, req.user)
+        },
+        include: CURRENT_ASSIGNMENT.include
+      });
+
+      const result = toAssignment(created);
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.ASSET_CHECKOUT,
+        targetType: 'asset',
+        targetId: id,
+        details: {
+          name: asset.name,
+          serialNumber: asset.serialNumber,
+          assignee: result.assignee.email || result.assignee.name,
+          dueDate: result.dueDate
+        }
+      });
+      return result;
+    });
+
+    res.status(201).json(assignment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // The partial unique index (one open assignment per asset) caught a race
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "This asset is already checked out" });
+    }
+    console.error("Check out asset error:", error);
+    res.status(500).json({ error: "Failed to check out asset" });
+  }
+};
+
+/**
+ * CHECK IN AN ASSET
+ * 
+ * Handler for POST /api/assets/:id/checkin
+ * 
+ * Body (optional): { note: "Returned with a cracked screen" }
+ * 
+ * Closes the open assignment. Refused (409) when nobody has the asset.
+ * 
+ * Response: the closed assignment
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const checkinAsset = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const note = parseNote(req.body?.note);
+
+    const assignment = await req.db.$transaction(async (tx) => {
+      if (!(await lockAsset(tx, req.user.orgId, id))) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+
+      const open = await findOpenAssignment(tx, id);
+      if (!open) {
+        throw Object.assign(new Error("This asset isn't checked out"), { status: 409 });
+      }
+
+      // checkedInAt: null - not checked in by someone else in the meantime
+      const updated = await tx.assetAssignment.updateMany({
+        where: { id: open.id, checkedInAt: null },
+        data: { checkedInAt: new Date(), checkedInBy: await findActorName(tx, req.user), checkinNote: note }
+      });
+      if (updated.count === 0) {
+        throw Object.assign(new Error("This asset isn't checked out"), { status: 409 });
+      }
+
+      const closed = await tx.assetAssignment.findUnique({ where: { id: open.id }, include: CURRENT_ASSIGNMENT.include });
+      const asset = await tx.asset.findUnique({ where: { id } });
+
+      const result = toAssignment(closed);
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.ASSET_CHECKIN,
+        targetType: 'asset',
+        targetId: id,
+        details: {
+          name: asset.name,
+          serialNumber: asset.serialNumber,
+          assignee: result.assignee.email || result.assignee.name,
+          dueDate: result.dueDate
+        }
+      });
+      return result;
+    });
+
+    res.json(assignment);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Check in asset error:", error);
+    res.status(500).json({ error: "Failed to check in asset" });
+  }
+};
+
+/**
+ * CUSTODY HISTORY OF AN ASSET
+ * 
+ * Handler for GET /api/assets/:id/assignments?page=1&pageSize=25
+ * 
+ * Every check-out of the asset, newest first - the first one is still open
+ * (checkedInAt null) while somebody has the asset.
+ * 
+ * Response (see utils/pagination.js):
+ * { data: [ ...assignments ], pagination: { page, pageSize, total, totalPages } }
+ * 
+ * @param {Object} req - Contains req.params.id, req.query and req.db
+ * @param {Object} res - Response object
+ */
+const getAssetAssignments = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const pagination = parsePagination(req.query);
+
+    const result = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.findUnique({ where: { id, deletedAt: null } }); // SECURITY: our assets only
+      if (!asset) return null;
+
+      return Promise.all([
+        tx.assetAssignment.findMany({
+          where: { assetId: id },
+          orderBy: [{ checkedOutAt: 'desc' }, { id: 'asc' }],
+          skip: pagination.skip,
+          take: pagination.take,
+          include: CURRENT_ASSIGNMENT.include
+        }),
+        tx.assetAssignment.count({ where: { assetId: id } })
+      ]);
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Asset not found or unauthorized" });
+    }
+
+    const [assignments, total] = result;
+    res.json(toPage(assignments.map(toAssignment), total, pagination));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get asset assignments error:", error);
+    res.status(500).json({ error: "Failed to fetch custody history" });
+  }
+};
+
+/**
+ * MY ASSETS
+ * 
+ * Handler for GET /api/assets/mine
+ * 
+ * Assets checked out to the logged-in user in this organization, the
+ * soonest due first (no due date last). User sessions only (requireUser).
+ * 
+ * Response: { data: [ ...assets, with their category and assignment ] }
+ * 
+ * @param {Object} req - Contains req.user and req.db
+ * @param {Object} res - Response object
+ */
+const getMyAssets = async (req, res) => {
+  try {
+    const assets = await req.db.asset.findMany({
+      where: {
+        deletedAt: null,
+        assignments: { some: { checkedInAt: null, assigneeId: req.user.userId } }
+      },
+      include: { category: true, assignments: CURRENT_ASSIGNMENT }
+    });
+
+    const data = assets
+      .map(withAssignment)
+      .sort((a, b) => (a.assignment.dueDate || '9999-12-31').localeCompare(b.assignment.dueDate || '9999-12-31')
+        || a.name.localeCompare(b.name));
+
+    res.json({ data });
+  } catch (error) {
+    console.error("Get my assets error:", error);
+    res.status(500).json({ error: "Failed to fetch your assets" });
+  }
+};
+
+/**
+ * LIST ASSIGNEES
+ * 
+ * Handler for GET /api/assignees
+ * 
+ * Active members of the organization, for the check-out form. Unlike
+ * GET /api/users (users:manage), only ids and emails.
+ * 
+ * Response: [{ id, email }]
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listAssignees = async (req, res) => {
+  try {
+    const members = await req.db.membership.findMany({ // SECURITY: Only this organization's members
+      where: { isActive: true },
+      select: { user: { select: { id: true, email: true } } },
+      orderBy: { user: { email: 'asc' } }
+    });
+
+    res.json(members.map(member => member.user));
+  } catch (error) {
+    console.error("List assignees error:", error);
+    res.status(500).json({ error: "Failed to fetch members" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { checkoutAsset, checkinAsset, getAssetAssignments, getMyAssets, listAssignees };
@@ -0,0 +1,235 @@
+/**
+ * AUDIT LOG CONTROLLER
+ * 
+ * The organization's audit log (see services/auditLog.js):
+ * - GET /api/audit-log - One page of entries, newest first, with filters
+ * - GET /api/audit-log/export - Every matching entry as a CSV file
+ * 
+ * Filters (query string, all optional, combined with AND):
+ * - action: one of AUDIT_ACTIONS, e.g. ?action=user.update
+ * - userId: entries made by this user
+ * - targetType / targetId: entries about one thing, e.g. ?targetType=asset&targetId=...
+ * - requestId: the entry of one request (X-Request-Id)
+ * - from / to: ISO dates or timestamps; a date alone for "to" includes that whole day
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * both need 'audit-log:read' (ADMIN).
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js). There is no endpoint
+ * to change or delete entries.
+ */
+
+const { parsePagination, toPage } = require('../utils/pagination');
+const { toCsvRow } = require('../utils/csv');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+const VALID_ACTIONS = Object.values(AUDIT_ACTIONS);
+
+// Newest first; id breaks ties between entries of the same millisecond
+const AUDIT_ORDER = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+// Entries read per query while exporting - the file is streamed, never held in memory
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actorName', 'userId', 'apiKeyId', 'targetType', 'targetId',
+  'details', 'ipAddress', 'userAgent', 'requestId'
+];
+
+// "2026-02-13" (a whole day) vs "2026-02-13T09:00:00Z" (an exact time)
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a date filter.
+ * 
+ * @param {*} value - req.query.from or req.query.to
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Date|null} null when missing
+ * @throws {Error} status 400 if it isn't a date
+ */
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') return null;
+
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  if (Number.isNaN(date.getTime())) {
+    throw Object.assign(new Error(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`), { status: 400 });
+  }
+  return date;
+};
+
+/**
+ * Read a text filter (IDs, type names).
+ * 
+ * @param {*} value
+ * @param {string} name
+ * @returns {string|undefined}
+ * @throws {Error} status 400 for arrays and other non-strings (?userId=a&userId=b)
+ */
+const parseText = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value !== 'string') {
+    throw Object.assign(new Error(`${name} must be a single value`), { status: 400 });
+  }
+  return value;
+};
+
+/**
+ * BUILD THE FILTERS
+ * 
+ * Shared by the list and the export, so the CSV holds exactly what the
+ * screen shows.
+ * 
+ * @param {Object} query - req.query
+ * @returns {Object} Prisma where (organizationId is added by req.db)
+ * @throws {Error} status 400 for an unknown action or an invalid date
+ */
+const buildAuditFilter = (query) => {
+  const action = parseText(query.action, 'action');
+  if (action && !VALID_ACTIONS.includes(action)) {
+    throw Object.assign(new Error(`action must be one of: ${VALID_ACTIONS.join(', ')}`), { status: 400 });
+  }
+
+  const from = parseDate(query.from, 'from');
+  let to = parseDate(query.to, 'to');
+  if (to && DATE_ONLY_REGEX.test(query.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000); // Up to the end of that day
+  }
+
+  return {
+    action,
+    userId: parseText(query.userId, 'userId'),
+    targetType: parseText(query.targetType, 'targetType'),
+    targetId: parseText(query.targetId, 'targetId'),
+    requestId: parseText(query.requestId, 'requestId'),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: from }),
+        ...(to && { lt: to })
+      }
+    })
+  };
+};
+
+/**
+ * Shape an entry for the client.
+ * 
+ * @param {Object} entry - AuditLog
+ * @returns {Object}
+ */
+const toResponse = (entry) => ({
+  id: entry.id,
+  createdAt: entry.createdAt,
+  action: entry.action,
+  actor: {
+    type: entry.apiKeyId ? 'apiKey' : (entry.userId ? 'user' : 'system'), // system: e.g. the trash purge job
+    id: entry.apiKeyId || entry.userId,
+    name: entry.actorName
+  },
+  targetType: entry.targetType,
+  targetId: entry.targetId,
+  details: entry.details,
+  ipAddress: entry.ipAddress,
+  userAgent: entry.userAgent,
+  requestId: entry.requestId
+});
+
+/**
+ * LIST AUDIT LOG
+ * 
+ * Handler for GET /api/audit-log?page=1&pageSize=25&action=...
+ * 
+ * Response (see utils/pagination.js):
+ * {
+ *   data: [{ id, createdAt, action, actor: { type, id, name }, targetType, targetId,
+ *            details, ipAddress, userAgent, requestId }],
+ *   pagination: { page, pageSize, total, totalPages }
+ * }
+ * 
+ * @param {Object} req - Contains req.query and req.db
+ * @param {Object} res - Response object
+ */
+const listAuditLog = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const where = buildAuditFilter(req.query);
+
+    // Both queries in one transaction: the total matches the page
+    const [entries, total] = await req.db.$transaction(async (tx) => Promise.all([
+      tx.auditLog.findMany({ where, orderBy: AUDIT_ORDER, skip: pagination.skip, take: pagination.take }),
+      tx.auditLog.count({ where })
+    ]));
+
+    res.json(toPage(entries.map(toResponse), total, pagination));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("List audit log error:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+};
+
+/**
+ * EXPORT AUDIT LOG (CSV)
+ * 
+ * Handler for GET /api/audit-log/export - same filters as the list, no paging.
+ * 
+ * The file is written while the entries are read, EXPORT_BATCH_SIZE at a
+ * time (cursor on the last entry sent), so a log of any size never sits in
+ * memory. The export itself is recorded in the log first: auditors want to
+ * know who took a copy.
+ * 
+ * @param {Object} req - Contains req.query, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const exportAuditLog = async (req, res) => {
+  let where;
+  try {
+    where = buildAuditFilter(req.query);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  try {
+    await recordAudit(req.db, req, {
+      action: AUDIT_ACTIONS.AUDIT_LOG_EXPORT,
+      details: { filters: where }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write(toCsvRow(CSV_COLUMNS));
+
+    let cursor = null;
+    for (;;) {
+      const batch = await req.db.auditLog.findMany({
+        where,
+        orderBy: AUDIT_ORDER,
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }) // Start after the last entry sent
+      });
+
+      for (const entry of batch) {
+        res.write(toCsvRow(CSV_COLUMNS.map(column => entry[column])));
+      }
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      cursor = batch[batch.length - 1].id;
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Export audit log error:", error);
+
+    // Once the file has started, the status can't change: cut it short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: "Failed to export audit log" });
+  }
+};
+
+module.exports = { listAuditLog, exportAuditLog };
@@ -1,24 +1,57 @@
 /**
  * AUTHENTICATION CONTROLLER
  * 
- * This controller handles user authentication (login).
+ * This controller handles user authentication (login, token refresh, logout,
+ * switching organization) and self-service organization signup (register).
  * Controllers contain the business logic for handling requests.
  * 
  * Security best practices implemented:
  * - Password hashing with bcrypt (never store plain text passwords!)
- * - JWT tokens for stateless authentication
+ * - Short-lived JWT access tokens + rotating, revocable refresh tokens
  * - Input validation to prevent malicious data
  */
 
 // Import the Prisma client singleton (single database connection)
 const prisma = require('../db/prisma');
 
-// JWT (JSON Web Token) - used to create secure authentication tokens
-const jwt = require('jsonwebtoken');
+// Row-level security context for the organization being created (see db/tenant.js)
+const { setTenant } = require('../db/tenant');
 
 // bcryptjs - library for hashing and comparing passwords securely
 const bcrypt = require('bcryptjs');
 
+// Slug helpers - turn an organization name into a URL-friendly identifier
+const { slugify, isValidSlug, SLUG_MIN_LENGTH, SLUG_MAX_LENGTH } = require('../utils/slug');
+
+// Shared input rules (email format, password policy)
+const { isValidEmail, isValidPassword, normalizeEmail, MIN_PASSWORD_LENGTH } = require('../utils/validation');
+
+// Roles (the organization creator becomes ADMIN)
+const { ROLES } = require('../config/roles');
+
+// Session service - access/refresh tokens shared by every sign-in endpoint
+const { createSession, signIn, rotateSession, endSession, revokeAllSessions } = require('../services/session');
+
+// Brute-force protection - backoff, lockout and failed attempt records
+const {
+  FAILURE_REASONS, assertLoginAllowed, recordLoginFailure, recordLoginSuccess
+} = require('../services/loginThrottle');
+
+// Organizations a user belongs to (see services/memberships.js)
+const { findActiveMembership, listActiveMemberships } = require('../services/memberships');
+
+// Audit log - refused sign-ins with a correct password are worth an entry too
+const { recordLoginFailureAudit } = require('../services/auditLog');
+
+/**
+ * DEFAULT CATEGORIES
+ * 
+ * Every new organization starts with this category set so assets can be
+ * created immediately. Admins manage them afterwards (categoryController.js);
+ * assets created without a category go to "General".
+ */
+const DEFAULT_CATEGORIES = ['General', 'Hardware', 'Software'];
+
 /**
  * LOGIN HANDLER
  * 
@@ -26,10 +59,15 @@ const bcrypt = require('bcryptjs');
  * 
  * Flow:
  * 1. Validate input (email format, required fields)
- * 2. Find user in database by email
- * 3. Compare provided password with hashed password in database
- * 4. If valid, create JWT token and return it
- * 5. If invalid, return error
+ * 2. Reject the attempt if this IP or account has failed too often (429)
+ * 3. Find user in database by email
+ * 4. Compare provided password with hashed password in database
+ * 5. If valid, pick the organization to sign in to (the user's first active
+ *    membership) - the response lists every membership, so the client
+ *    can switch organization (POST /api/auth/switch-org)
+ * 6. Create a session (access + refresh token) and return it,
+ *    or an MFA challenge when a second factor is needed
+ * 7. If invalid, record the failure and return error
  * 
  * @param {Object} req - Express request object (contains req.body with email/password)
  * @param {Object} res - Express response object (used to send response back)
@@ -60,21 +98,8 @@ const login = async (req, res) => {
     return res.status(400).json({ error: "Email and password are required" });
   }
 
-  /**
-   * EMAIL FORMAT VALIDATION
-   * 
-   * Regular expression (regex) checks if email has valid format:
-   * - ^[^\s@]+ = one or more non-whitespace, non-@ characters (username)
-   * - @ = literal @ symbol
-   * - [^\s@]+ = one or more non-whitespace, non-@ characters (domain)
-   * - \. = literal dot
-   * - [^\s@]+$ = one or more characters at end (TLD like .com)
-   * 
-   * Example valid: "user@example.com"
-   * Example invalid: "notanemail" or "user@"
-   */
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
+  // Email format check (see utils/validation.js)
+  if (!isValidEmail(email)) {
     return res.status(400).json({ error: "Invalid email format" });
   }
 
@@ -95,18 +120,25 @@ const login = async (req, res) => {
    * We use try/catch because database operations can fail (network issues, etc.)
    */
   try {
+    /**
+     * BRUTE-FORCE PROTECTION
+     * 
+     * Too many recent failures from this IP or for this email -> 429 Too Many
+     * Requests, with a Retry-After header (see services/loginThrottle.js).
+     * Checked before anything else, so a throttled guess is never even tried.
+     */
+    await assertLoginAllowed(email, req);
+
     /**
      * FIND USER IN DATABASE
      * 
      * findUnique() finds one record matching the condition.
-     * include: { organization: true } also fetches the related organization data.
      * 
      * This is a Prisma query - Prisma is an ORM (Object-Relational Mapping)
      * that makes database queries easier and safer.
      */
     const user = await prisma.user.findUnique({
-      where: { email },
-      include: { organization: true }
+      where: { email: normalizeEmail(email) } // Emails are stored lowercase (see utils/validation.js)
     });
 
     /**
@@ -117,9 +149,13 @@ const login = async (req, res) => {
      * Same message for wrong password = attackers can't tell which is wrong.
      */
     if (!user) {
+      await recordLoginFailure(email, req, FAILURE_REASONS.UNKNOWN_USER);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    // Locked accounts answer like throttled ones, whatever the password
+    await assertLoginAllowed(email, req, user);
+
     /**
      * PASSWORD VERIFICATION
      * 
@@ -140,50 +176,54 @@ const login = async (req, res) => {
      */
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(email, req, FAILURE_REASONS.INVALID_PASSWORD, user);
       return res.status(401).json({ error: "Invalid credentials" });
     }
 
+    // Correct password: forget this account's failures
+    await recordLoginSuccess(email);
+
     /**
-     * CREATE JWT TOKEN
+     * CHECK THE USER IS AN ACTIVE MEMBER SOMEWHERE
      * 
-     * JWT (JSON Web Token) is a standard way to securely transmit information.
+     * Admins can deactivate members of their organization (PATCH /api/users/:id).
+     * A user deactivated everywhere is rejected even with the correct password.
+     * We check AFTER the password so this message never reveals
+     * anything to someone who doesn't know the password.
      * 
-     * jwt.sign() creates a token containing:
-     * - Payload: { userId, orgId } - data we want to store in the token
-     * - Secret: JWT_SECRET - used to sign the token (proves it came from our server)
-     * - Options: { expiresIn: '24h' } - token expires after 24 hours
-     * 
-     * The token is a string that looks like: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+     * 403 = Forbidden (we know who you are, but you may not log in)
+     */
+    const memberships = await listActiveMemberships(user.id);
+    if (memberships.length === 0) {
+      await recordLoginFailureAudit(user, req, 'account_deactivated');
+      return res.status(403).json({ error: "Account deactivated. Contact your organization admin." });
+    }
+
+    /**
+     * PICK THE ORGANIZATION
      * 
-     * Client will send this token in future requests to prove they're logged in.
-     * We can decode it (without database lookup!) to get userId and orgId.
+     * Organizations can turn password login off and require single sign-on
+     * (see controllers/ssoController.js): they are skipped. Also checked
+     * after the password.
      */
-    const token = jwt.sign(
-      { userId: user.id, orgId: user.organizationId },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    const membership = memberships.find(m => !m.organization.passwordLoginDisabled);
+    if (!membership) {
+      await recordLoginFailureAudit(user, req, 'password_login_disabled');
+      return res.status(403).json({ error: "Your organization signs in with single sign-on. Use \"Sign in with SSO\"." });
+    }
 
     /**
-     * SEND SUCCESS RESPONSE
+     * CREATE SESSION AND SEND SUCCESS RESPONSE
      * 
-     * res.json() automatically:
-     * - Converts object to JSON
-     * - Sets Content-Type header to application/json
-     * - Sends response and ends the request
+     * signIn() creates the session: it signs a short-lived access token (JWT),
+     * stores a new refresh token and shapes the response body
+     * (the same payload as register()).
      * 
-     * We return:
-     * - token: Client stores this and sends it in Authorization header
-     * - user: Basic user info (we don't send password or sensitive data!)
+     * TWO-FACTOR AUTHENTICATION: if the user has MFA (or their organization
+     * requires it), signIn() returns { mfaRequired | mfaSetupRequired, mfaToken }
+     * instead, and the client finishes the login in controllers/mfaController.js.
      */
-    res.json({ 
-      token, 
-      user: { 
-        email: user.email, 
-        orgId: user.organizationId,
-        orgName: user.organization.name 
-      } 
-    });
+    res.json(await signIn(user, membership, req));
   } catch (error) {
     /**
      * ERROR HANDLING
@@ -191,11 +231,343 @@ const login = async (req, res) => {
      * If anything goes wrong (database error, etc.), we:
      * 1. Log the error for debugging (server-side)
      * 2. Send generic error to client (don't expose internal details!)
+     * 
+     * Throttling errors (429) carry their own message and wait time.
      */
+    if (error.status) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Login error:", error);
     res.status(500).json({ error: "Server login error" });
   }
 };
 
-// Export the login function so server.js can use it
-module.exports = { login };
\ No newline at end of file
+/**
+ * FIND A FREE SLUG
+ * 
+ * Organization.slug is unique, so "acme-corp" may already be taken.
+ * We look up every slug starting with the base and pick the first free
+ * variant: "acme-corp", "acme-corp-2", "acme-corp-3", ...
+ * 
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} base - Valid slug to start from
+ * @returns {Promise<string>} A slug that no organization uses yet
+ */
+const findAvailableSlug = async (tx, base) => {
+  const taken = await tx.organization.findMany({
+    where: { slug: { startsWith: base } },
+    select: { slug: true }
+  });
+  const takenSlugs = new Set(taken.map(org => org.slug));
+
+  let candidate = base;
+  let suffix = 2;
+  while (takenSlugs.has(candidate)) {
+    // Keep room for the suffix so the slug never exceeds SLUG_MAX_LENGTH
+    const ending = `-${suffix}`;
+    candidate = `${base.slice(0, SLUG_MAX_LENGTH - ending.length).replace(/-+$/, '')}${ending}`;
+    suffix++;
+  }
+  return candidate;
+};
+
+/**
+ * REGISTER HANDLER (SELF-SERVICE ORGANIZATION SIGNUP)
+ * 
+ * This function handles POST /api/auth/register requests.
+ * 
+ * It provisions a brand new tenant:
+ * 1. Validate input (organization name, optional slug, email, password)
+ * 2. Create the Organization with a unique slug
+ * 3. Create the default Category set (DEFAULT_CATEGORIES)
+ * 4. Create the first User with a bcrypt-hashed password, ADMIN of the organization
+ * 5. Return the same { token, user } payload as login()
+ * 
+ * Steps 2-4 run in ONE database transaction: either everything is created
+ * or nothing is (no half-provisioned organizations).
+ * 
+ * @param {Object} req - Contains req.body { organizationName, slug?, email, password }
+ * @param {Object} res - Response object
+ */
+const register = async (req, res) => {
+  const { organizationName, slug, email, password } = req.body;
+
+  /**
+   * INPUT VALIDATION - LAYER 1: Required Fields
+   */
+  if (!organizationName || !email || !password) {
+    return res.status(400).json({ error: "Organization name, email and password are required" });
+  }
+
+  /**
+   * INPUT VALIDATION - LAYER 2: Types and Formats
+   * 
+   * typeof checks protect against objects/arrays sent in JSON bodies.
+   */
+  if (typeof organizationName !== 'string' || organizationName.trim().length === 0) {
+    return res.status(400).json({ error: "Organization name cannot be empty" });
+  }
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "Invalid email format" });
+  }
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  /**
+   * INPUT VALIDATION - LAYER 3: Slug
+   * 
+   * The slug is optional:
+   * - If provided, it must be valid and we reject it (409) when taken,
+   *   because the user explicitly asked for that exact value.
+   * - If omitted, we derive it from the organization name and pick a free variant.
+   */
+  if (slug !== undefined && !isValidSlug(slug)) {
+    return res.status(400).json({
+      error: `Slug must be ${SLUG_MIN_LENGTH}-${SLUG_MAX_LENGTH} lowercase letters, digits or single dashes`
+    });
+  }
+
+  let baseSlug = slug || slugify(organizationName);
+  if (!slug && baseSlug.length < SLUG_MIN_LENGTH) {
+    // Names like "AB" or "株式会社" don't produce a usable slug - fall back to a generic one
+    baseSlug = baseSlug ? `${baseSlug}-org` : 'organization';
+  }
+
+  if (!process.env.JWT_SECRET) {
+    console.error("JWT_SECRET environment variable is not set!");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  try {
+    const normalizedEmail = normalizeEmail(email);
+
+    /**
+     * HASH THE PASSWORD BEFORE THE TRANSACTION
+     * 
+     * Hashing is intentionally slow; doing it outside the transaction
+     * keeps the database transaction short.
+     */
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    /**
+     * ATOMIC PROVISIONING
+     * 
+     * prisma.$transaction(async (tx) => { ... }) runs every query made
+     * through "tx" in a single transaction. If any query throws,
+     * all previous ones are rolled back.
+     */
+    const { user, membership } = await prisma.$transaction(async (tx) => {
+      // Emails are globally unique (User.email is @unique)
+      const existingUser = await tx.user.findUnique({ where: { email: normalizedEmail } });
+      if (existingUser) {
+        throw Object.assign(new Error("Email already registered"), { status: 409 });
+      }
+
+      let orgSlug = baseSlug;
+      if (slug) {
+        const existingOrg = await tx.organization.findUnique({ where: { slug } });
+        if (existingOrg) {
+          throw Object.assign(new Error("Slug already taken"), { status: 409 });
+        }
+      } else {
+        orgSlug = await findAvailableSlug(tx, baseSlug);
+      }
+
+      const organization = await tx.organization.create({
+        data: { name: organizationName.trim(), slug: orgSlug }
+      });
+
+      // Row-level security: the new organization's rows may only be written in its context
+      await setTenant(tx, organization.id);
+
+      await tx.category.createMany({
+        data: DEFAULT_CATEGORIES.map(name => ({ name, organizationId: organization.id }))
+      });
+
+      const newUser = await tx.user.create({
+        data: { email: normalizedEmail, password: hashedPassword }
+      });
+
+      const newMembership = await tx.membership.create({
+        data: {
+          userId: newUser.id,
+          organizationId: organization.id,
+          role: ROLES.ADMIN // The person creating the organization administers it
+        },
+        include: { organization: true }
+      });
+
+      return { user: newUser, membership: newMembership };
+    });
+
+    // 201 = Created - same payload as login so the client is signed in right away
+    res.status(201).json(await createSession(user, membership, req));
+  } catch (error) {
+    /**
+     * EXPECTED CONFLICTS
+     * 
+     * Errors we threw ourselves carry an HTTP status.
+     * P2002 = unique constraint violation: another request registered the
+     * same organization name, slug or email at the same time (race condition).
+     */
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      const target = String(error.meta?.target || '');
+      if (target.includes('name')) {
+        return res.status(409).json({ error: "Organization name already taken" });
+      }
+      if (target.includes('slug')) {
+        return res.status(409).json({ error: "Slug already taken" });
+      }
+      return res.status(409).json({ error: "Email already registered" });
+    }
+
+    console.error("Register error:", error);
+    res.status(500).json({ error: "Server registration error" });
+  }
+};
+
+/**
+ * REFRESH HANDLER
+ * 
+ * This function handles POST /api/auth/refresh requests.
+ * 
+ * The client sends its refresh token and gets a NEW access token AND a NEW
+ * refresh token (rotation). The old refresh token stops working.
+ * 
+ * Public route: the access token is usually expired when this is called.
+ * 
+ * @param {Object} req - Contains req.body { refreshToken }
+ * @param {Object} res - Response object
+ */
+const refresh = async (req, res) => {
+  if (!process.env.JWT_SECRET) {
+    console.error("JWT_SECRET environment variable is not set!");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  try {
+    res.json(await rotateSession(req.body.refreshToken, req));
+  } catch (error) {
+    // 401 = the refresh token is unknown, expired, revoked or was reused
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Refresh error:", error);
+    res.status(500).json({ error: "Server refresh error" });
+  }
+};
+
+/**
+ * SWITCH ORGANIZATION HANDLER
+ * 
+ * This function handles POST /api/auth/switch-org requests (authenticated).
+ * 
+ * Signs the user in to another of their organizations: a new session
+ * (access + refresh token) scoped to that membership, with its role.
+ * The session sent in the body (refreshToken) is ended.
+ * 
+ * Refused when:
+ * - The user isn't an active member of that organization (404)
+ * - The current session came from single sign-on: one organization's
+ *   identity provider can't vouch for the user in another one (403)
+ * - The target organization only allows SSO, or requires two-factor
+ *   authentication the user hasn't set up (403)
+ * 
+ * @param {Object} req - Contains req.body { orgId, refreshToken } and req.user
+ * @param {Object} res - Response object
+ */
+const switchOrganization = async (req, res) => {
+  const { orgId, refreshToken } = req.body;
+
+  if (typeof orgId !== 'string' || orgId.length === 0) {
+    return res.status(400).json({ error: "orgId is required" });
+  }
+
+  if (req.user.sso) {
+    return res.status(403).json({ error: "You signed in with single sign-on. Log out and log in again to switch organization." });
+  }
+
+  try {
+    const [user, membership] = await Promise.all([
+      prisma.user.findUnique({ where: { id: req.user.userId } }),
+      findActiveMembership(req.user.userId, orgId)
+    ]);
+
+    if (!user || !membership) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    const { organization } = membership;
+
+    if (organization.passwordLoginDisabled) {
+      return res.status(403).json({ error: `${organization.name} signs in with single sign-on. Use "Sign in with SSO".` });
+    }
+
+    if (organization.requireMfa && !user.mfaEnabled) {
+      return res.status(403).json({ error: `${organization.name} requires two-factor authentication. Set it up on the Security page first.` });
+    }
+
+    const session = await createSession(user, membership, req);
+
+    // The session of the previous organization is no longer needed
+    await endSession(refreshToken);
+
+    res.json(session);
+  } catch (error) {
+    console.error("Switch organization error:", error);
+    res.status(500).json({ error: "Failed to switch organization" });
+  }
+};
+
+/**
+ * LOGOUT HANDLER
+ * 
+ * This function handles POST /api/auth/logout requests.
+ * 
+ * Revokes the session the refresh token belongs to. Always answers 200,
+ * even for unknown tokens - logging out twice is not an error.
+ * 
+ * @param {Object} req - Contains req.body { refreshToken }
+ * @param {Object} res - Response object
+ */
+const logout = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Server logout error" });
+  }
+};
+
+/**
+ * LOGOUT ALL SESSIONS HANDLER
+ * 
+ * This function handles POST /api/auth/logout-all requests (authenticated).
+ * 
+ * Revokes every refresh token of the current user: all other browsers and
+ * devices are signed out at their next refresh (at most ACCESS_TOKEN_TTL later).
+ * 
+ * @param {Object} req - Contains req.user.userId
+ * @param {Object} res - Response object
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: "All sessions signed out", count: revoked.count });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ error: "Server logout error" });
+  }
+};
+
+// Export the handlers so server.js can use them
+module.exports = { login, register, refresh, switchOrganization, logout, logoutAll };
\ No newline at end of file
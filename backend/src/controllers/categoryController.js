@@ -0,0 +1,312 @@
+/**
+ * CATEGORY CONTROLLER
+ * 
+ * Asset categories of the user's organization (Hardware, Software, ...):
+ * - GET /api/categories - List categories with their number of assets and custom fields
+ * - POST /api/categories - Create a category
+ * - PATCH /api/categories/:id - Rename a category
+ * - DELETE /api/categories/:id - Delete a category (optionally moving its assets first)
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - List: anyone who can read assets (the asset forms need the list)
+ * - Create / Rename / Delete: 'categories:manage' (ADMIN)
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js). Category names are
+ * unique per organization, ignoring case.
+ * 
+ * Custom fields of a category are managed in customFieldController.js.
+ */
+
+const { snapshot, recordRevision, auditDetails } = require('../services/assetHistory');
+const { validateValues } = require('../services/customFields');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+// Longest allowed category name
+const MAX_NAME_LENGTH = 100;
+
+// Relations loaded with every category: asset count and custom fields (in form order)
+const CATEGORY_INCLUDE = {
+  _count: { select: { assets: true } },
+  fields: { orderBy: [{ position: 'asc' }, { createdAt: 'asc' }] }
+};
+
+/**
+ * Shape a category for the client.
+ * - assetCount lets the UI warn before deleting a category that is still used
+ *   (assets in the trash count: they keep their category until purged)
+ * - fields are the custom fields the asset forms show for this category
+ * 
+ * @param {Object} category - Category loaded with CATEGORY_INCLUDE
+ * @returns {Object}
+ */
+const toResponse = (category) => ({
+  id: category.id,
+  name: category.name,
+  assetCount: category._count.assets,
+  fields: category.fields.map(field => ({
+    id: field.id,
+    key: field.key,
+    label: field.label,
+    type: field.type,
+    required: field.required,
+    options: field.options,
+    position: field.position
+  }))
+});
+
+/**
+ * Check a category name from the request body.
+ * 
+ * @param {*} name
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return "Name is required";
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Find another category of the organization with the same name (any case).
+ * 
+ * @param {Object} db - req.db
+ * @param {string} name - Trimmed name
+ * @param {string} [excludeId] - The category being renamed
+ * @returns {Promise<Object|null>}
+ */
+const findDuplicate = (db, name, excludeId) => db.category.findFirst({
+  where: {
+    name: { equals: name, mode: 'insensitive' },
+    ...(excludeId && { id: { not: excludeId } })
+  }
+});
+
+/**
+ * LIST CATEGORIES
+ * 
+ * Handler for GET /api/categories - sorted by name.
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listCategories = async (req, res) => {
+  try {
+    const categories = await req.db.category.findMany({ // SECURITY: Only this organization's categories
+      orderBy: { name: 'asc' },
+      include: CATEGORY_INCLUDE
+    });
+
+    res.json(categories.map(toResponse));
+  } catch (error) {
+    console.error("List categories error:", error);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+};
+
+/**
+ * CREATE CATEGORY
+ * 
+ * Handler for POST /api/categories
+ * 
+ * @param {Object} req - Contains req.body { name } and req.db
+ * @param {Object} res - Response object
+ */
+const createCategory = async (req, res) => {
+  const { name } = req.body;
+
+  const nameError = validateName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  try {
+    if (await findDuplicate(req.db, name.trim())) {
+      return res.status(409).json({ error: "A category with this name already exists" });
+    }
+
+    // SECURITY: req.db always creates it in the user's organization
+    const category = await req.db.category.create({
+      data: { name: name.trim() },
+      include: CATEGORY_INCLUDE
+    });
+
+    // 201 = Created
+    res.status(201).json(toResponse(category));
+  } catch (error) {
+    console.error("Create category error:", error);
+    res.status(500).json({ error: "Failed to create category" });
+  }
+};
+
+/**
+ * RENAME CATEGORY
+ * 
+ * Handler for PATCH /api/categories/:id
+ * 
+ * @param {Object} req - Contains req.params.id, req.body { name } and req.db
+ * @param {Object} res - Response object
+ */
+const updateCategory = async (req, res) => {
+  const { id } = req.params;
+  const { name } = req.body;
+
+  const nameError = validateName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+
+  try {
+    if (await findDuplicate(req.db, name.trim(), id)) {
+      return res.status(409).json({ error: "A category with this name already exists" });
+    }
+
+    const updated = await req.db.category.updateMany({
+      where: { id }, // SECURITY: req.db - only this organization's categories
+      data: { name: name.trim() }
+    });
+
+    if (updated.count === 0) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    const category = await req.db.category.findUnique({
+      where: { id },
+      include: CATEGORY_INCLUDE
+    });
+
+    res.json(toResponse(category));
+  } catch (error) {
+    console.error("Update category error:", error);
+    res.status(500).json({ error: "Failed to update category" });
+  }
+};
+
+/**
+ * DELETE CATEGORY
+ * 
+ * Handler for DELETE /api/categories/:id
+ * 
+ * Every asset needs a category, so a category that still has assets is
+ * only deleted when the caller says where they go:
+ * - DELETE /api/categories/:id - 409 if any asset still uses it
+ * - DELETE /api/categories/:id?reassignTo=<categoryId> - move the assets
+ *   to that category (of the same organization), then delete
+ * 
+ * Moved assets take the target category's custom fields: values of fields
+ * it doesn't define are dropped, and the move is refused (409) if an asset
+ * has no value for one of its required fields - fill them in first.
+ * 
+ * Moving and deleting happen in one transaction, so assets are never left
+ * pointing at a deleted category. Each moved asset gets a revision in its
+ * history (see services/assetHistory.js) and an entry in the audit log.
+ * 
+ * @param {Object} req - Contains req.params.id, req.query.reassignTo, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const deleteCategory = async (req, res) => {
+  const { id } = req.params;
+  const { reassignTo } = req.query;
+
+  if (reassignTo !== undefined && (typeof reassignTo !== 'string' || !reassignTo)) {
+    return res.status(400).json({ error: "reassignTo must be a category ID" });
+  }
+
+  if (reassignTo === id) {
+    return res.status(400).json({ error: "Cannot move assets to the category being deleted" });
+  }
+
+  try {
+    const result = await req.db.$transaction(async (tx) => {
+      const category = await tx.category.findUnique({ // SECURITY: tx still only sees this organization
+        where: { id },
+        include: { _count: { select: { assets: true } } }
+      });
+
+      if (!category) {
+        throw Object.assign(new Error("Category not found"), { status: 404 });
+      }
+
+      let moved = 0;
+
+      if (category._count.assets > 0) {
+        if (!reassignTo) {
+          throw Object.assign(
+            new Error(`Category still has ${category._count.assets} asset(s) - move them to another category first`),
+            { status: 409 }
+          );
+        }
+
+        // Tenant validation: the target must be one of OUR categories
+        const target = await tx.category.findUnique({ where: { id: reassignTo }, include: { fields: true } });
+        if (!target) {
+          throw Object.assign(new Error("Category to move the assets to was not found"), { status: 400 });
+        }
+
+        /**
+         * Lock the assets (the trash included: they keep their category), so
+         * an edit running at the same time can't slip in between the
+         * validation and the move. Raw SQL: organizationId is filtered here.
+         */
+        await tx.$queryRaw`
+          SELECT "id" FROM "Asset" WHERE "categoryId" = ${id} AND "organizationId" = ${req.user.orgId} FOR UPDATE
+        `;
+        const assets = await tx.asset.findMany({ where: { categoryId: id } });
+
+        // Check every asset before moving any: values the target doesn't define are dropped
+        const moves = assets.map(asset => {
+          try {
+            return { asset, customFields: validateValues(target.fields, asset.customFields || {}) };
+          } catch (error) {
+            if (!error.status) throw error;
+            throw Object.assign(
+              new Error(`"${asset.name}" can't move to ${target.name}: ${error.message} - fill it in first`),
+              { status: 409 }
+            );
+          }
+        });
+
+        for (const { asset, customFields } of moves) {
+          await tx.asset.updateMany({
+            where: { id: asset.id },
+            data: { categoryId: target.id, customFields }
+          });
+          const after = { ...asset, categoryId: target.id, customFields };
+
+          const revision = await recordRevision(tx, {
+            assetId: asset.id,
+            action: 'UPDATE',
+            before: snapshot(asset),
+            after: snapshot(after),
+            user: req.user
+          });
+          await recordAudit(tx, req, {
+            action: AUDIT_ACTIONS.ASSET_UPDATE,
+            targetType: 'asset',
+            targetId: asset.id,
+            details: { ...auditDetails(after, revision), deletedCategory: category.name }
+          });
+        }
+        moved = moves.length;
+      }
+
+      await tx.category.delete({ where: { id } });
+      return { moved };
+    });
+
+    res.json({ message: "Category deleted", movedAssets: result.moved });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Delete category error:", error);
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listCategories, createCategory, updateCategory, deleteCategory };
@@ -0,0 +1,189 @@
+/**
+ * CUSTOM FIELD CONTROLLER
+ * 
+ * Typed fields of a category ("RAM (GB)" for Laptops, "Plate number" for Vehicles):
+ * - POST /api/categories/:id/fields - Add a field to a category
+ * - PATCH /api/categories/:id/fields/:fieldId - Change its label, options, required flag or position
+ * - DELETE /api/categories/:id/fields/:fieldId - Remove the field and its values
+ * 
+ * The fields themselves are listed with their category (GET /api/categories).
+ * Validation rules live in services/customFields.js; asset values are
+ * checked against these definitions in assetController.js.
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * all three need 'categories:manage' (ADMIN).
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const {
+  MAX_FIELDS_PER_CATEGORY,
+  parseFieldDefinition,
+  parseFieldChanges
+} = require('../services/customFields');
+
+/**
+ * Shape a field for the client.
+ * 
+ * @param {Object} field - CustomField
+ * @returns {Object}
+ */
+const toResponse = (field) => ({
+  id: field.id,
+  key: field.key,
+  label: field.label,
+  type: field.type,
+  required: field.required,
+  options: field.options,
+  position: field.position
+});
+
+/**
+ * Find a field of one of OUR categories.
+ * 
+ * @param {Object} db - req.db (or a transaction client)
+ * @param {string} categoryId
+ * @param {string} fieldId
+ * @returns {Promise<Object>}
+ * @throws {Error} status 404
+ */
+const findField = async (db, categoryId, fieldId) => {
+  const field = await db.customField.findFirst({ where: { id: fieldId, categoryId } });
+  if (!field) {
+    throw Object.assign(new Error("Field not found"), { status: 404 });
+  }
+  return field;
+};
+
+/**
+ * ADD A FIELD
+ * 
+ * Handler for POST /api/categories/:id/fields
+ * 
+ * Existing assets of the category simply have no value for the new field.
+ * If it is required, they get one the next time they are edited.
+ * 
+ * @param {Object} req - Contains req.params.id, req.body { label, type, key?, required?, options?, position? } and req.db
+ * @param {Object} res - Response object
+ */
+const createField = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const data = parseFieldDefinition(req.body);
+
+    // Tenant validation: the category must be one of OURS
+    const category = await req.db.category.findUnique({
+      where: { id },
+      include: { fields: { select: { key: true } } }
+    });
+    if (!category) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    if (category.fields.length >= MAX_FIELDS_PER_CATEGORY) {
+      return res.status(400).json({ error: `A category can have at most ${MAX_FIELDS_PER_CATEGORY} fields` });
+    }
+    if (category.fields.some(field => field.key === data.key)) {
+      return res.status(409).json({ error: `This category already has a field with the key "${data.key}"` });
+    }
+
+    const field = await req.db.customField.create({
+      data: { ...data, categoryId: category.id }
+    });
+
+    // 201 = Created
+    res.status(201).json(toResponse(field));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // P2002 = unique constraint: the same key was added concurrently
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "This category already has a field with this key" });
+    }
+    console.error("Create field error:", error);
+    res.status(500).json({ error: "Failed to create field" });
+  }
+};
+
+/**
+ * UPDATE A FIELD
+ * 
+ * Handler for PATCH /api/categories/:id/fields/:fieldId
+ * 
+ * The key and type can't change (stored values depend on them).
+ * Making a field required, or removing a choice, doesn't touch existing
+ * values: the rules apply the next time an asset is saved.
+ * 
+ * @param {Object} req - Contains req.params { id, fieldId }, req.body and req.db
+ * @param {Object} res - Response object
+ */
+const updateField = async (req, res) => {
+  const { id, fieldId } = req.params;
+
+  try {
+    const field = await findField(req.db, id, fieldId);
+    const data = parseFieldChanges(field, req.body);
+
+    const updated = await req.db.customField.update({
+      where: { id: field.id },
+      data
+    });
+
+    res.json(toResponse(updated));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update field error:", error);
+    res.status(500).json({ error: "Failed to update field" });
+  }
+};
+
+/**
+ * DELETE A FIELD
+ * 
+ * Handler for DELETE /api/categories/:id/fields/:fieldId
+ * 
+ * The field's value is removed from every asset of the category in the same
+ * transaction, so re-adding a field with the same key starts empty.
+ * JSONB's "-" operator removes a key from the object; Prisma can't express
+ * that, hence the raw SQL (which bypasses the tenant extension, so it
+ * filters on organizationId itself - row-level security applies too).
+ * 
+ * @param {Object} req - Contains req.params { id, fieldId }, req.user.orgId and req.db
+ * @param {Object} res - Response object
+ */
+const deleteField = async (req, res) => {
+  const { id, fieldId } = req.params;
+
+  try {
+    const cleared = await req.db.$transaction(async (tx) => {
+      const field = await findField(tx, id, fieldId);
+
+      const count = await tx.$executeRaw`
+        UPDATE "Asset"
+        SET "customFields" = "customFields" - ${field.key}::text
+        WHERE "organizationId" = ${req.user.orgId}
+          AND "categoryId" = ${field.categoryId}
+          AND "customFields" -> ${field.key}::text IS NOT NULL
+      `;
+
+      await tx.customField.delete({ where: { id: field.id } });
+      return count;
+    });
+
+    res.json({ message: "Field deleted", clearedAssets: cleared });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Delete field error:", error);
+    res.status(500).json({ error: "Failed to delete field" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { createField, updateField, deleteField };
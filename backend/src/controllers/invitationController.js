@@ -0,0 +1,439 @@
+/**
+ * INVITATION CONTROLLER
+ * 
+ * Lets admins invite colleagues by email instead of choosing their password:
+ * - POST /api/invitations - Issue an invitation (ADMIN)
+ * - GET /api/invitations - List the organization's invitations (ADMIN)
+ * - DELETE /api/invitations/:id - Revoke a pending invitation (ADMIN)
+ * - POST /api/invitations/preview - Public: show who invited you where
+ * - POST /api/invitations/accept - Public: set your password and join
+ *   (people who already have an account, in another organization, confirm
+ *   with their current password instead)
+ * 
+ * Token lifecycle:
+ * 1. A random token is generated and emailed as a link (utils/tokens.js)
+ * 2. Only its SHA-256 hash is stored in the Invitation table
+ * 3. The token works ONCE, until it expires (INVITATION_TTL_HOURS) or is revoked
+ * 
+ * Admin routes go through req.db (scoped to the admin's organization, see
+ * db/tenant.js). The public routes find the invitation by its token hash
+ * before anyone is signed in, so they use the shared client.
+ */
+
+// Import the Prisma client singleton (public routes)
+const prisma = require('../db/prisma');
+
+// bcryptjs - hash the password chosen by the invitee
+const bcrypt = require('bcryptjs');
+
+const { generateToken, hashToken } = require('../utils/tokens');
+const { isValidEmail, isValidPassword, normalizeEmail, MIN_PASSWORD_LENGTH } = require('../utils/validation');
+const { ROLES } = require('../config/roles');
+const { FRONTEND_URL, INVITATION_TTL_HOURS } = require('../config/app');
+const { sendMail, escapeHtml } = require('../services/mailer');
+const { signIn } = require('../services/session');
+const { forTenant } = require('../db/tenant');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const {
+  FAILURE_REASONS, assertLoginAllowed, recordLoginFailure, recordLoginSuccess
+} = require('../services/loginThrottle');
+
+const validRoles = Object.values(ROLES);
+
+/**
+ * INVITATION STATUS
+ * 
+ * Derived from the timestamps - never stored, so it can't get out of sync.
+ * 
+ * @param {Object} invitation
+ * @returns {'accepted'|'revoked'|'expired'|'pending'}
+ */
+const getStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'accepted';
+  if (invitation.revokedAt) return 'revoked';
+  if (invitation.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Shape an invitation for the client (the token hash never leaves the server).
+ */
+const toResponse = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  role: invitation.role,
+  status: getStatus(invitation),
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+/**
+ * FIND A USABLE INVITATION BY TOKEN
+ * 
+ * Every rejection uses the SAME message: an attacker can't tell a wrong token
+ * from an expired or already used one.
+ * 
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<Object|null>} The invitation (with organization) or null
+ */
+const findPendingInvitation = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const invitation = await prisma.invitation.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { organization: true }
+  });
+
+  if (!invitation || getStatus(invitation) !== 'pending') return null;
+  return invitation;
+};
+
+/**
+ * CREATE INVITATION
+ * 
+ * Handler for POST /api/invitations
+ * 
+ * Flow:
+ * 1. Validate email and role
+ * 2. Reject emails that are already members of this organization
+ *    (people with an account elsewhere can be invited - they join with it)
+ * 3. Revoke older pending invitations for the same email in this organization,
+ *    so only the most recent link works
+ * 4. Store the hashed token and email the link
+ * 
+ * @param {Object} req - Contains req.body { email, role? } and req.user
+ * @param {Object} res - Response object
+ */
+const createInvitation = async (req, res) => {
+  const { email, role } = req.body;
+  const orgId = req.user.orgId;
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ error: "A valid email is required" });
+  }
+
+  if (role && !validRoles.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${validRoles.join(', ')}` });
+  }
+
+  const normalizedEmail = normalizeEmail(email);
+
+  try {
+    // Deactivated members count too: the admin reactivates them instead
+    const existingMember = await req.db.membership.findFirst({
+      where: { user: { email: normalizedEmail } }
+    });
+    if (existingMember) {
+      return res.status(409).json({ error: "This person is already a member of the organization" });
+    }
+
+    // Invitees choose a password - useless when the organization only allows SSO
+    const organization = await prisma.organization.findUnique({ where: { id: orgId } });
+    if (organization.passwordLoginDisabled) {
+      return res.status(409).json({ error: "Password login is disabled: new users join by signing in with single sign-on" });
+    }
+
+    const token = generateToken();
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+
+    const invitation = await req.db.$transaction(async (tx) => {
+      await tx.invitation.updateMany({
+        where: { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      // SECURITY: tx is scoped like req.db - always created in the admin's organization
+      return tx.invitation.create({
+        data: {
+          email: normalizedEmail,
+          role: role || ROLES.MEMBER,
+          tokenHash: hashToken(token),
+          expiresAt,
+          invitedById: req.user.userId
+        },
+        include: { organization: true }
+      });
+    });
+
+    /**
+     * SEND THE INVITATION EMAIL
+     * 
+     * The raw token only exists in this email - we can't resend the same link later.
+     * If sending fails, the invitation is revoked so no unusable invite stays "pending".
+     */
+    const link = `${FRONTEND_URL}/?invite=${encodeURIComponent(token)}`;
+    try {
+      await sendMail({
+        to: normalizedEmail,
+        subject: `You're invited to join ${invitation.organization.name}`,
+        text: [
+          `You have been invited to join ${invitation.organization.name} on AssetManager Pro as ${invitation.role}.`,
+          '',
+          `Accept the invitation and choose your password: ${link}`,
+          '',
+          `This link expires on ${expiresAt.toUTCString()} and can only be used once.`
+        ].join('\n'),
+        html: `<p>You have been invited to join <strong>${escapeHtml(invitation.organization.name)}</strong> on AssetManager Pro as ${invitation.role}.</p>`
+          + `<p><a href="${escapeHtml(link)}">Accept the invitation</a></p>`
+          + `<p>This link expires on ${expiresAt.toUTCString()} and can only be used once.</p>`
+      });
+    } catch (mailError) {
+      console.error("Invitation email error:", mailError);
+      await req.db.invitation.update({ where: { id: invitation.id }, data: { revokedAt: new Date() } });
+      return res.status(502).json({ error: "Failed to send invitation email" });
+    }
+
+    // Audited once the email is out - a failed send leaves no pending invitation
+    await recordAudit(req.db, req, {
+      action: AUDIT_ACTIONS.INVITATION_CREATE,
+      targetType: 'invitation',
+      targetId: invitation.id,
+      details: { email: invitation.email, role: invitation.role }
+    });
+
+    // 201 = Created
+    res.status(201).json(toResponse(invitation));
+  } catch (error) {
+    console.error("Create invitation error:", error);
+    res.status(500).json({ error: "Failed to create invitation" });
+  }
+};
+
+/**
+ * LIST INVITATIONS
+ * 
+ * Handler for GET /api/invitations - newest first.
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listInvitations = async (req, res) => {
+  try {
+    const invitations = await req.db.invitation.findMany({ // SECURITY: Only this organization's invitations
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(invitations.map(toResponse));
+  } catch (error) {
+    console.error("List invitations error:", error);
+    res.status(500).json({ error: "Failed to fetch invitations" });
+  }
+};
+
+/**
+ * REVOKE INVITATION
+ * 
+ * Handler for DELETE /api/invitations/:id
+ * 
+ * updateMany() with id AND "still pending" conditions (req.db adds organizationId):
+ * count is 0 if the invitation doesn't exist, belongs to another
+ * organization, or was already accepted/revoked.
+ * 
+ * @param {Object} req - Contains req.params.id and req.db
+ * @param {Object} res - Response object
+ */
+const revokeInvitation = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = await req.db.$transaction(async (tx) => {
+      const result = await tx.invitation.updateMany({
+        where: { id, acceptedAt: null, revokedAt: null }, // SECURITY: tx - only this organization's invitations
+        data: { revokedAt: new Date() }
+      });
+
+      if (result.count > 0) {
+        const invitation = await tx.invitation.findUnique({ where: { id } });
+        await recordAudit(tx, req, {
+          action: AUDIT_ACTIONS.INVITATION_REVOKE,
+          targetType: 'invitation',
+          targetId: id,
+          details: { email: invitation.email, role: invitation.role }
+        });
+      }
+      return result;
+    });
+
+    if (revoked.count === 0) {
+      return res.status(404).json({ error: "Pending invitation not found" });
+    }
+
+    res.json({ message: "Invitation revoked" });
+  } catch (error) {
+    console.error("Revoke invitation error:", error);
+    res.status(500).json({ error: "Failed to revoke invitation" });
+  }
+};
+
+/**
+ * PREVIEW INVITATION (PUBLIC)
+ * 
+ * Handler for POST /api/invitations/preview
+ * 
+ * Lets the accept screen show "Join Acme Corp as MEMBER" before the
+ * invitee chooses a password. The token travels in the body (not the URL)
+ * so it doesn't end up in server access logs.
+ * 
+ * existingAccount tells the screen to ask for the current password
+ * instead of a new one.
+ * 
+ * @param {Object} req - Contains req.body { token }
+ * @param {Object} res - Response object
+ */
+const previewInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      orgName: invitation.organization.name,
+      existingAccount: !!existingUser,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error("Preview invitation error:", error);
+    res.status(500).json({ error: "Failed to load invitation" });
+  }
+};
+
+/**
+ * ACCEPT INVITATION (PUBLIC)
+ * 
+ * Handler for POST /api/invitations/accept
+ * 
+ * Flow:
+ * 1. Find the pending invitation by token hash
+ * 2. Existing account? Check its password (throttled like a login,
+ *    see services/loginThrottle.js)
+ * 3. In ONE transaction: mark it accepted, create the user if needed and
+ *    the membership with the invited role
+ * 4. Return the same { token, user } payload as login, signed in to the
+ *    organization that sent the invitation
+ * 
+ * Single use is guaranteed by the conditional update: only the request
+ * that flips acceptedAt from null gets count === 1. A second request with
+ * the same token (even at the same moment) gets 0 and is rejected.
+ * 
+ * @param {Object} req - Contains req.body { token, password } - the new password,
+ *   or the current one for an existing account
+ * @param {Object} res - Response object
+ */
+const acceptInvitation = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  if (!process.env.JWT_SECRET) {
+    console.error("JWT_SECRET environment variable is not set!");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  try {
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ error: "Invalid or expired invitation" });
+    }
+
+    if (invitation.organization.passwordLoginDisabled) {
+      return res.status(403).json({ error: `${invitation.organization.name} signs in with single sign-on. Use "Sign in with SSO" instead.` });
+    }
+
+    /**
+     * EXISTING ACCOUNT
+     * 
+     * The invitation only proves access to the mailbox: joining with an
+     * account that already exists also needs its password.
+     * 400, not 401: the client treats 401 as an expired session.
+     */
+    const existingUser = await prisma.user.findUnique({ where: { email: invitation.email } });
+
+    if (existingUser) {
+      await assertLoginAllowed(existingUser.email, req, existingUser);
+
+      if (!await bcrypt.compare(password, existingUser.password)) {
+        await recordLoginFailure(existingUser.email, req, FAILURE_REASONS.INVALID_PASSWORD, existingUser);
+        return res.status(400).json({ error: "Incorrect password for your existing account" });
+      }
+
+      await recordLoginSuccess(existingUser.email);
+    }
+
+    const hashedPassword = existingUser ? null : await bcrypt.hash(password, 10);
+
+    const { user, membership } = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.invitation.updateMany({
+        where: {
+          id: invitation.id,
+          acceptedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        data: { acceptedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        throw Object.assign(new Error("Invalid or expired invitation"), { status: 400 });
+      }
+
+      const invitee = existingUser || await tx.user.create({
+        data: { email: invitation.email, password: hashedPassword }
+      });
+
+      const newMembership = await tx.membership.create({
+        data: {
+          userId: invitee.id,
+          organizationId: invitation.organizationId,
+          role: invitation.role
+        },
+        include: { organization: true }
+      });
+
+      return { user: invitee, membership: newMembership };
+    });
+
+    // A new member: in the organization's audit log, with the invitee as actor
+    await recordAudit(forTenant(invitation.organizationId), req, {
+      action: AUDIT_ACTIONS.INVITATION_ACCEPT,
+      targetType: 'user',
+      targetId: user.id,
+      details: { email: user.email, role: membership.role, invitationId: invitation.id, newAccount: !existingUser },
+      actor: { userId: user.id, email: user.email }
+    });
+
+    // 201 = Created - the invitee is signed in right away
+    // (or asked for their MFA code / to set up MFA first)
+    res.status(201).json(await signIn(user, membership, req));
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    /**
+     * P2002 = unique constraint violation:
+     * - Membership: already a member of this organization
+     * - User.email: someone registered this email after the invitation was sent
+     */
+    if (error.code === 'P2002') {
+      const target = String(error.meta?.target || '');
+      if (target.includes('organizationId')) {
+        return res.status(409).json({ error: "You are already a member of this organization" });
+      }
+      return res.status(409).json({ error: "A user with this email already exists" });
+    }
+
+    console.error("Accept invitation error:", error);
+    res.status(500).json({ error: "Failed to accept invitation" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { createInvitation, listInvitations, revokeInvitation, previewInvitation, acceptInvitation };
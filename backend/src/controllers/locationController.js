@@ -0,0 +1,381 @@
+/**
+ * LOCATION CONTROLLER
+ * 
+ * The organization's location tree (site -> building -> room..., see
+ * services/locations.js):
+ * - GET /api/locations - Every location, in tree order, with its path and number of assets
+ * - POST /api/locations - Create a location (top level, or inside another one)
+ * - PATCH /api/locations/:id - Rename a location and/or move it under another parent
+ * - DELETE /api/locations/:id - Delete an empty location
+ * - GET /api/assets/:id/movements - Movement history of an asset, newest first
+ * 
+ * Assets are placed in and moved between locations through the asset
+ * endpoints (locationId in POST / PATCH /api/assets, see assetController.js).
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - List / movements: anyone who can read assets (the asset forms need the list)
+ * - Create / Update / Delete: 'locations:manage' (ADMIN)
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js). Names are unique among
+ * the children of a location, ignoring case.
+ */
+
+const { parsePagination, toPage } = require('../utils/pagination');
+const { loadLocations, buildPaths, descendantIds } = require('../services/locations');
+
+// Longest allowed location name
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Check a location name from the request body.
+ * 
+ * @param {*} name
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return "Name is required";
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Check a parentId from the request body.
+ * 
+ * @param {*} parentId
+ * @returns {boolean} true for null (top level) or an ID
+ */
+const isValidParentId = (parentId) => parentId === null || (typeof parentId === 'string' && parentId.length > 0);
+
+/**
+ * Find a sibling with the same name (any case).
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @param {string|null} parentId - Parent of the location (null at the top)
+ * @param {string} name - Trimmed name
+ * @param {string} [excludeId] - The location being renamed or moved
+ * @returns {Promise<Object|null>}
+ */
+const findDuplicate = (db, parentId, name, excludeId) => db.location.findFirst({
+  where: {
+    parentId,
+    name: { equals: name, mode: 'insensitive' },
+    ...(excludeId && { id: { not: excludeId } })
+  }
+});
+
+/**
+ * Shape a location for the client.
+ * 
+ * @param {Object} location - Location loaded with _count { assets, children }
+ * @param {Map<string, string[]>} paths - From buildPaths()
+ * @returns {Object} { id, name, parentId, path, depth, assetCount, childCount }
+ */
+const toResponse = (location, paths) => {
+  const path = paths.get(location.id) || [location.name];
+  return {
+    id: location.id,
+    name: location.name,
+    parentId: location.parentId,
+    path, // Names from the top: ['HQ', 'Building A', 'Room 101']
+    depth: path.length - 1,
+    assetCount: location._count.assets, // Directly in it, not in its sub-locations
+    childCount: location._count.children
+  };
+};
+
+// Counts loaded with every location - assets in the trash don't count
+const LOCATION_COUNTS = {
+  _count: { select: { assets: { where: { deletedAt: null } }, children: true } }
+};
+
+/**
+ * LIST LOCATIONS
+ * 
+ * Handler for GET /api/locations
+ * 
+ * Flat list in tree order - each location followed by its sub-locations,
+ * siblings by name - so a client can show the tree by indenting with depth:
+ * 
+ * [{ id, name, parentId, path: ['HQ', 'Building A'], depth: 1, assetCount, childCount }]
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listLocations = async (req, res) => {
+  try {
+    const locations = await req.db.location.findMany({ // SECURITY: Only this organization's locations
+      orderBy: { name: 'asc' },
+      include: LOCATION_COUNTS
+    });
+
+    const paths = buildPaths(locations);
+    const children = new Map();
+    for (const location of locations) {
+      if (!children.has(location.parentId)) children.set(location.parentId, []);
+      children.get(location.parentId).push(location);
+    }
+
+    // Depth-first from the top-level locations (already sorted by name)
+    const ordered = [];
+    const visit = (parentId) => {
+      for (const location of children.get(parentId) || []) {
+        ordered.push(toResponse(location, paths));
+        visit(location.id);
+      }
+    };
+    visit(null);
+
+    res.json(ordered);
+  } catch (error) {
+    console.error("List locations error:", error);
+    res.status(500).json({ error: "Failed to fetch locations" });
+  }
+};
+
+/**
+ * CREATE LOCATION
+ * 
+ * Handler for POST /api/locations
+ * 
+ * Body: { name: "Room 101", parentId: "..." } - without parentId (or null),
+ * a top-level location (a site).
+ * 
+ * @param {Object} req - Contains req.body { name, parentId? } and req.db
+ * @param {Object} res - Response object
+ */
+const createLocation = async (req, res) => {
+  const { name, parentId = null } = req.body;
+
+  const nameError = validateName(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (!isValidParentId(parentId)) {
+    return res.status(400).json({ error: "parentId must be a location ID or null" });
+  }
+
+  try {
+    const location = await req.db.$transaction(async (tx) => {
+      // Tenant validation: tx only finds OUR locations
+      if (parentId && !(await tx.location.findUnique({ where: { id: parentId } }))) {
+        throw Object.assign(new Error("Parent location not found"), { status: 400 });
+      }
+      if (await findDuplicate(tx, parentId, name.trim())) {
+        throw Object.assign(new Error("A location with this name already exists here"), { status: 409 });
+      }
+
+      // SECURITY: tx always creates it in the user's organization
+      const created = await tx.location.create({
+        data: { name: name.trim(), parentId },
+        include: LOCATION_COUNTS
+      });
+      return toResponse(created, buildPaths(await loadLocations(tx)));
+    });
+
+    // 201 = Created
+    res.status(201).json(location);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Create location error:", error);
+    res.status(500).json({ error: "Failed to create location" });
+  }
+};
+
+/**
+ * UPDATE LOCATION
+ * 
+ * Handler for PATCH /api/locations/:id
+ * 
+ * Body (at least one):
+ * - name: new name
+ * - parentId: new parent, or null to make it a top-level location. Its
+ *   sub-locations and assets move with it.
+ * 
+ * A location can't be moved inside itself or one of its sub-locations (400).
+ * The organization's locations are locked while a location moves, so two
+ * simultaneous moves can't build a loop either.
+ * 
+ * @param {Object} req - Contains req.params.id, req.body { name?, parentId? }, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const updateLocation = async (req, res) => {
+  const { id } = req.params;
+  const { name, parentId } = req.body;
+
+  if (name === undefined && parentId === undefined) {
+    return res.status(400).json({ error: "At least one field (name or parentId) is required" });
+  }
+  const nameError = name !== undefined ? validateName(name) : null;
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (parentId !== undefined && !isValidParentId(parentId)) {
+    return res.status(400).json({ error: "parentId must be a location ID or null" });
+  }
+
+  try {
+    const location = await req.db.$transaction(async (tx) => {
+      if (parentId !== undefined) {
+        // Raw SQL bypasses the tenant extension: organizationId is filtered here
+        await tx.$queryRaw`SELECT "id" FROM "Location" WHERE "organizationId" = ${req.user.orgId} FOR UPDATE`;
+      }
+
+      const current = await tx.location.findUnique({ where: { id } }); // SECURITY: our locations only
+      if (!current) {
+        throw Object.assign(new Error("Location not found"), { status: 404 });
+      }
+
+      const newParentId = parentId !== undefined ? parentId : current.parentId;
+      if (parentId) {
+        const locations = await loadLocations(tx);
+        if (!locations.some(location => location.id === parentId)) {
+          throw Object.assign(new Error("Parent location not found"), { status: 400 });
+        }
+        if (descendantIds(locations, id).includes(parentId)) {
+          throw Object.assign(new Error("A location can't be moved inside itself or one of its sub-locations"), { status: 400 });
+        }
+      }
+
+      const newName = name !== undefined ? name.trim() : current.name;
+      if (await findDuplicate(tx, newParentId, newName, id)) {
+        throw Object.assign(new Error("A location with this name already exists here"), { status: 409 });
+      }
+
+      const updated = await tx.location.update({
+        where: { id },
+        data: { name: newName, parentId: newParentId },
+        include: LOCATION_COUNTS
+      });
+      return toResponse(updated, buildPaths(await loadLocations(tx)));
+    });
+
+    res.json(location);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update location error:", error);
+    res.status(500).json({ error: "Failed to update location" });
+  }
+};
+
+/**
+ * DELETE LOCATION
+ * 
+ * Handler for DELETE /api/locations/:id
+ * 
+ * Only empty locations can be deleted (409 otherwise): move or delete their
+ * sub-locations, and move their assets, first. Assets in the trash simply
+ * lose the location. Movement histories keep its name (the paths are text).
+ * 
+ * @param {Object} req - Contains req.params.id and req.db
+ * @param {Object} res - Response object
+ */
+const deleteLocation = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await req.db.$transaction(async (tx) => {
+      const location = await tx.location.findUnique({ where: { id }, include: LOCATION_COUNTS }); // SECURITY: our locations only
+      if (!location) {
+        throw Object.assign(new Error("Location not found"), { status: 404 });
+      }
+      if (location._count.children > 0) {
+        throw Object.assign(
+          new Error(`Location still has ${location._count.children} sub-location(s) - move or delete them first`),
+          { status: 409 }
+        );
+      }
+      if (location._count.assets > 0) {
+        throw Object.assign(
+          new Error(`Location still has ${location._count.assets} asset(s) - move them first`),
+          { status: 409 }
+        );
+      }
+
+      await tx.location.delete({ where: { id } });
+    });
+
+    res.json({ message: "Location deleted" });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // A sub-location was added in the meantime (the foreign key refuses)
+    if (error.code === 'P2003') {
+      return res.status(409).json({ error: "Location still has sub-locations" });
+    }
+    console.error("Delete location error:", error);
+    res.status(500).json({ error: "Failed to delete location" });
+  }
+};
+
+/**
+ * MOVEMENT HISTORY OF AN ASSET
+ * 
+ * Handler for GET /api/assets/:id/movements?page=1&pageSize=25
+ * 
+ * Response (see utils/pagination.js):
+ * {
+ *   data: [{ id, from: { id, path }, to: { id, path }, movedAt, movedBy }],
+ *   pagination: { page, pageSize, total, totalPages }
+ * }
+ * from / to are null when the asset had / has no location. Their id is null
+ * once the location has been deleted; path is the path at the time of the move.
+ * 
+ * @param {Object} req - Contains req.params.id, req.query and req.db
+ * @param {Object} res - Response object
+ */
+const getAssetMovements = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const pagination = parsePagination(req.query);
+
+    const result = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.findUnique({ where: { id, deletedAt: null } }); // SECURITY: our assets only
+      if (!asset) return null;
+
+      return Promise.all([
+        tx.assetMovement.findMany({
+          where: { assetId: id },
+          orderBy: [{ movedAt: 'desc' }, { id: 'asc' }],
+          skip: pagination.skip,
+          take: pagination.take
+        }),
+        tx.assetMovement.count({ where: { assetId: id } })
+      ]);
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: "Asset not found or unauthorized" });
+    }
+
+    const [movements, total] = result;
+    const data = movements.map(movement => ({
+      id: movement.id,
+      from: movement.fromPath ? { id: movement.fromLocationId, path: movement.fromPath } : null,
+      to: movement.toPath ? { id: movement.toLocationId, path: movement.toPath } : null,
+      movedAt: movement.movedAt,
+      movedBy: movement.movedBy
+    }));
+
+    res.json(toPage(data, total, pagination));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Get asset movements error:", error);
+    res.status(500).json({ error: "Failed to fetch movement history" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listLocations, createLocation, updateLocation, deleteLocation, getAssetMovements };
@@ -0,0 +1,349 @@
+/**
+ * MAINTENANCE PLAN CONTROLLER
+ * 
+ * Recurring maintenance (see services/maintenance.js):
+ * - GET /api/maintenance-plans - Every plan, with its next due date and open work orders
+ * - POST /api/maintenance-plans - Create a plan for one asset or for a category
+ * - PATCH /api/maintenance-plans/:id - Change, pause or resume a plan
+ * - DELETE /api/maintenance-plans/:id - Delete a plan (its work orders stay)
+ * 
+ * A plan repeats every `interval` DAYS, or every `interval` MONTHS on the day
+ * of the month of its start date ("every 3 months on the 15th": start on a
+ * 15th). When a plan is due - including right away, for a plan starting
+ * today - it opens a work order for its asset or for each asset of its
+ * category; the scheduler (services/maintenance.js) checks every hour.
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - List: anyone who can read assets
+ * - Create / Update / Delete: 'maintenance:manage' (ADMIN)
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const { today, toDateString } = require('../services/assignments');
+const { lockPlan, runPlan } = require('../services/maintenance');
+const { parseDate } = require('../utils/validation');
+
+// Longest plan name (the title of its work orders) and description
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+// Allowed frequencies, with the largest interval for each (ten years)
+const MAX_INTERVALS = { DAYS: 3650, MONTHS: 120 };
+
+// Loaded with every plan (see toResponse)
+const PLAN_INCLUDE = {
+  asset: { select: { id: true, name: true, serialNumber: true } },
+  category: { select: { id: true, name: true } },
+  assignee: { select: { id: true, email: true } },
+  _count: { select: { workOrders: { where: { status: 'OPEN' } } } }
+};
+
+/**
+ * Shape a plan for the client.
+ * 
+ * @param {Object} plan - MaintenancePlan loaded with PLAN_INCLUDE
+ * @returns {Object} {
+ *   id, name, description, asset: { id, name, serialNumber } | null, category: { id, name } | null,
+ *   frequency, interval, dayOfMonth, nextDueDate, assignee: { id, email } | null, isActive, openWorkOrders
+ * }
+ */
+const toResponse = (plan) => ({
+  id: plan.id,
+  name: plan.name,
+  description: plan.description,
+  asset: plan.asset, // One of asset / category is set
+  category: plan.category,
+  frequency: plan.frequency,
+  interval: plan.interval,
+  dayOfMonth: plan.dayOfMonth,
+  nextDueDate: toDateString(plan.nextDueDate),
+  assignee: plan.assignee,
+  isActive: plan.isActive,
+  openWorkOrders: plan._count.workOrders
+});
+
+/**
+ * CHECK THE FIELDS OF A PLAN
+ * 
+ * Every field is optional here: POST checks the required ones itself.
+ * 
+ * @param {Object} body - req.body
+ * @returns {Object} The fields that were sent, cleaned: { name, description,
+ *   frequency, interval, startDate, assigneeId, isActive }
+ * @throws {Error} status 400 for an invalid value
+ */
+const parsePlanFields = (body) => {
+  const fields = {};
+  const fail = (message) => { throw Object.assign(new Error(message), { status: 400 }); };
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) fail("Name is required");
+    if (body.name.trim().length > MAX_NAME_LENGTH) fail(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+    fields.name = body.name.trim();
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') fail("description must be a string");
+    if (body.description && body.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      fail(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    fields.description = body.description?.trim() || null;
+  }
+
+  if (body.frequency !== undefined) {
+    if (!MAX_INTERVALS[body.frequency]) fail(`frequency must be one of: ${Object.keys(MAX_INTERVALS).join(', ')}`);
+    fields.frequency = body.frequency;
+  }
+
+  if (body.interval !== undefined) {
+    if (!Number.isInteger(body.interval) || body.interval < 1) fail("interval must be a whole number of at least 1");
+    fields.interval = body.interval;
+  }
+
+  if (body.startDate !== undefined) {
+    fields.startDate = parseDate(body.startDate, 'startDate');
+    if (fields.startDate && body.startDate < today()) fail("startDate can't be in the past");
+  }
+
+  if (body.assigneeId !== undefined) {
+    if (body.assigneeId !== null && typeof body.assigneeId !== 'string') fail("assigneeId must be a user ID or null");
+    fields.assigneeId = body.assigneeId || null;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') fail("isActive must be true or false");
+    fields.isActive = body.isActive;
+  }
+
+  return fields;
+};
+
+/**
+ * Refuse an interval longer than the frequency allows.
+ * 
+ * @param {string} frequency
+ * @param {number} interval
+ * @throws {Error} status 400
+ */
+const assertInterval = (frequency, interval) => {
+  if (interval > MAX_INTERVALS[frequency]) {
+    throw Object.assign(new Error(`interval must be at most ${MAX_INTERVALS[frequency]} for ${frequency}`), { status: 400 });
+  }
+};
+
+/**
+ * Check the assignee is an active member of the organization.
+ * 
+ * @param {Object} tx - Transaction client of req.db (only finds OUR members)
+ * @param {string|null} assigneeId
+ * @throws {Error} status 400 otherwise
+ */
+const assertAssignee = async (tx, assigneeId) => {
+  if (assigneeId && !(await tx.membership.findFirst({ where: { userId: assigneeId, isActive: true } }))) {
+    throw Object.assign(new Error("Assignee not found or inactive"), { status: 400 });
+  }
+};
+
+/**
+ * LIST MAINTENANCE PLANS
+ * 
+ * Handler for GET /api/maintenance-plans
+ * 
+ * Every plan of the organization, the soonest due first (paused plans last).
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const listPlans = async (req, res) => {
+  try {
+    const plans = await req.db.maintenancePlan.findMany({ // SECURITY: Only this organization's plans
+      include: PLAN_INCLUDE,
+      orderBy: [{ isActive: 'desc' }, { nextDueDate: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json(plans.map(toResponse));
+  } catch (error) {
+    console.error("List maintenance plans error:", error);
+    res.status(500).json({ error: "Failed to fetch maintenance plans" });
+  }
+};
+
+/**
+ * CREATE A MAINTENANCE PLAN
+ * 
+ * Handler for POST /api/maintenance-plans
+ * 
+ * Body:
+ * {
+ *   name: "Oil change",            // title of the work orders it opens
+ *   description: "5W-30, filter",  // optional - notes of the work orders
+ *   assetId: "..." | categoryId: "...", // exactly one: the asset, or every asset of the category
+ *   frequency: "DAYS" | "MONTHS",
+ *   interval: 3,                   // every 3 days / months
+ *   startDate: "2025-07-15",       // optional, today by default - the first due date
+ *   assigneeId: "..."              // optional - an active member, given the work orders
+ * }
+ * 
+ * @param {Object} req - Contains req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const createPlan = async (req, res) => {
+  const { assetId, categoryId } = req.body;
+
+  try {
+    const fields = parsePlanFields(req.body);
+
+    if (fields.name === undefined || !fields.frequency || fields.interval === undefined) {
+      return res.status(400).json({ error: "name, frequency and interval are required" });
+    }
+    if (!assetId === !categoryId) {
+      return res.status(400).json({ error: "Provide either assetId or categoryId" });
+    }
+    if ((assetId && typeof assetId !== 'string') || (categoryId && typeof categoryId !== 'string')) {
+      return res.status(400).json({ error: "assetId and categoryId must be IDs" });
+    }
+    assertInterval(fields.frequency, fields.interval);
+
+    const startDate = fields.startDate || new Date(`${today()}T00:00:00Z`);
+
+    const plan = await req.db.$transaction(async (tx) => {
+      // Tenant validation: tx only finds OUR assets (not in the trash) and categories
+      if (assetId && !(await tx.asset.findUnique({ where: { id: assetId, deletedAt: null } }))) {
+        throw Object.assign(new Error("Asset not found"), { status: 400 });
+      }
+      if (categoryId && !(await tx.category.findUnique({ where: { id: categoryId } }))) {
+        throw Object.assign(new Error("Category not found"), { status: 400 });
+      }
+      await assertAssignee(tx, fields.assigneeId);
+
+      // SECURITY: tx always creates it in the user's organization
+      const created = await tx.maintenancePlan.create({
+        data: {
+          name: fields.name,
+          description: fields.description ?? null,
+          assetId: assetId || null,
+          categoryId: categoryId || null,
+          frequency: fields.frequency,
+          interval: fields.interval,
+          dayOfMonth: fields.frequency === 'MONTHS' ? startDate.getUTCDate() : null,
+          nextDueDate: startDate,
+          assigneeId: fields.assigneeId ?? null,
+          isActive: fields.isActive ?? true
+        }
+      });
+
+      // Starting today: its work orders open now, not at the next scheduler run
+      await runPlan(tx, req, created);
+      return tx.maintenancePlan.findUnique({ where: { id: created.id }, include: PLAN_INCLUDE });
+    });
+
+    // 201 = Created
+    res.status(201).json(toResponse(plan));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Create maintenance plan error:", error);
+    res.status(500).json({ error: "Failed to create maintenance plan" });
+  }
+};
+
+/**
+ * UPDATE A MAINTENANCE PLAN
+ * 
+ * Handler for PATCH /api/maintenance-plans/:id
+ * 
+ * Body (at least one): name, description, frequency, interval, startDate,
+ * assigneeId, isActive - see createPlan. The asset or category of a plan
+ * can't change: create another plan instead.
+ * 
+ * - startDate restarts the schedule: it becomes the next due date
+ * - isActive: false pauses the plan; resumed, it opens at most one work
+ *   order for the occurrences it missed
+ * - Work orders already opened are not changed
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const updatePlan = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const fields = parsePlanFields(req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: "At least one field (name, description, frequency, interval, startDate, assigneeId or isActive) is required"
+      });
+    }
+
+    const plan = await req.db.$transaction(async (tx) => {
+      // Waits for a scheduler run of this plan to finish (see lockPlan)
+      if (!(await lockPlan(tx, req.user.orgId, id))) {
+        throw Object.assign(new Error("Maintenance plan not found"), { status: 404 });
+      }
+      const current = await tx.maintenancePlan.findUnique({ where: { id } });
+
+      const frequency = fields.frequency ?? current.frequency;
+      assertInterval(frequency, fields.interval ?? current.interval);
+      if (fields.assigneeId !== undefined) await assertAssignee(tx, fields.assigneeId);
+
+      const { startDate, ...data } = fields;
+      const nextDueDate = startDate || current.nextDueDate;
+
+      const updated = await tx.maintenancePlan.update({
+        where: { id },
+        data: {
+          ...data,
+          nextDueDate,
+          // MONTHS: the day of the (new) next due date - unless the schedule didn't change
+          dayOfMonth: frequency !== 'MONTHS' ? null
+            : (startDate || current.frequency !== 'MONTHS' ? nextDueDate.getUTCDate() : current.dayOfMonth)
+        }
+      });
+
+      await runPlan(tx, req, updated);
+      return tx.maintenancePlan.findUnique({ where: { id }, include: PLAN_INCLUDE });
+    });
+
+    res.json(toResponse(plan));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Update maintenance plan error:", error);
+    res.status(500).json({ error: "Failed to update maintenance plan" });
+  }
+};
+
+/**
+ * DELETE A MAINTENANCE PLAN
+ * 
+ * Handler for DELETE /api/maintenance-plans/:id
+ * 
+ * Its work orders stay, open ones included - they just no longer point to a
+ * plan. Pause the plan instead (isActive: false) to keep it for later.
+ * 
+ * @param {Object} req - Contains req.params.id and req.db
+ * @param {Object} res - Response object
+ */
+const deletePlan = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // SECURITY: req.db only matches this organization's plans
+    const deleted = await req.db.maintenancePlan.deleteMany({ where: { id } });
+    if (deleted.count === 0) {
+      return res.status(404).json({ error: "Maintenance plan not found" });
+    }
+
+    res.json({ message: "Maintenance plan deleted" });
+  } catch (error) {
+    console.error("Delete maintenance plan error:", error);
+    res.status(500).json({ error: "Failed to delete maintenance plan" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listPlans, createPlan, updatePlan, deletePlan };
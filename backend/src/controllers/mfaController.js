@@ -0,0 +1,315 @@
+/**
+ * MFA CONTROLLER
+ * 
+ * TOTP two-factor authentication (see services/mfa.js).
+ * 
+ * LOGIN CHALLENGE - public, authenticated by the mfaToken returned by login:
+ * - POST /api/auth/mfa/verify - Code (or recovery code) -> session
+ * - POST /api/auth/mfa/setup - Enrolment forced by the organization: get the QR code
+ * - POST /api/auth/mfa/enable - Confirm the first code -> session + recovery codes
+ * 
+ * MY ACCOUNT - authenticated (any role):
+ * - GET /api/account/mfa - Status
+ * - POST /api/account/mfa/setup - Get a QR code
+ * - POST /api/account/mfa/enable - Confirm the first code -> recovery codes
+ * - POST /api/account/mfa/disable - Turn MFA off (needs a code)
+ * - POST /api/account/mfa/recovery-codes - New recovery codes (needs a code)
+ * The POST routes refuse single sign-on sessions (middleware/rejectSsoSession.js):
+ * the account may also be used in organizations that don't trust that provider.
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+const {
+  MFA_PURPOSE, createSession, verifyMfaChallenge
+} = require('../services/session');
+const {
+  MFA_RESET_DATA, startEnrollment, confirmEnrollment, verifySecondFactor, regenerateRecoveryCodes
+} = require('../services/mfa');
+const {
+  FAILURE_REASONS, assertLoginAllowed, recordLoginFailure, recordLoginSuccess
+} = require('../services/loginThrottle');
+const { findActiveMembership } = require('../services/memberships');
+
+/**
+ * LOAD THE USER OF A CHALLENGE TOKEN
+ * 
+ * The user and the membership are re-read: deactivation between the two
+ * login steps still counts.
+ * 
+ * @param {string} mfaToken
+ * @param {string} purpose - One of MFA_PURPOSE
+ * @returns {Promise<Object>} { user, membership, viaSso } - membership with organization
+ * @throws {Error} with status 401
+ */
+const loadChallenge = async (mfaToken, purpose) => {
+  const { userId, orgId, viaSso } = verifyMfaChallenge(mfaToken, purpose);
+
+  const [user, membership] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId } }),
+    findActiveMembership(userId, orgId)
+  ]);
+
+  if (!user || !membership) {
+    throw Object.assign(new Error("Verification expired, please log in again"), { status: 401 });
+  }
+
+  return { user, membership, viaSso };
+};
+
+/**
+ * Load the logged-in user for the "my account" handlers, with the
+ * organizations they belong to (any of them may require MFA).
+ * 
+ * @param {Object} req - Contains req.user.userId
+ * @returns {Promise<Object>}
+ */
+const loadCurrentUser = (req) => prisma.user.findUniqueOrThrow({
+  where: { id: req.user.userId },
+  include: { memberships: { where: { isActive: true }, include: { organization: true } } }
+});
+
+/**
+ * Does one of the user's organizations require two-factor authentication?
+ * 
+ * @param {Object} user - From loadCurrentUser()
+ * @returns {boolean}
+ */
+const isMfaRequired = (user) => user.memberships.some(membership => membership.organization.requireMfa);
+
+/**
+ * SHARED ERROR HANDLER
+ * 
+ * Errors with a status come from services/session.js, services/mfa.js or
+ * services/loginThrottle.js and are safe to show. Anything else is logged and hidden.
+ * 
+ * @param {Object} res - Response object
+ * @param {Object} error
+ * @param {string} label - Prefix for the server log
+ * @param {string} message - Client message for unexpected errors
+ */
+const sendError = (res, error, label, message) => {
+  if (error.status) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: message });
+};
+
+/**
+ * VERIFY LOGIN CODE
+ * 
+ * Handler for POST /api/auth/mfa/verify
+ * 
+ * Second login step for users with MFA. Same 401 message for every wrong
+ * code, TOTP or recovery code alike.
+ * 
+ * Wrong codes count as failed logins (services/loginThrottle.js), so the
+ * 6-digit code can't be brute-forced during the challenge's lifetime.
+ * 
+ * @param {Object} req - Contains req.body { mfaToken, code }
+ * @param {Object} res - Response object
+ */
+const verifyLoginMfa = async (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  try {
+    const { user, membership, viaSso } = await loadChallenge(mfaToken, MFA_PURPOSE.VERIFY);
+    await assertLoginAllowed(user.email, req, user);
+
+    if (!await verifySecondFactor(user, code)) {
+      await recordLoginFailure(user.email, req, FAILURE_REASONS.INVALID_MFA_CODE, user);
+      return res.status(401).json({ error: "Invalid code" });
+    }
+
+    await recordLoginSuccess(user.email);
+    res.json(await createSession(user, membership, req, { viaSso }));
+  } catch (error) {
+    sendError(res, error, "MFA verify", "Server login error");
+  }
+};
+
+/**
+ * START FORCED ENROLMENT
+ * 
+ * Handler for POST /api/auth/mfa/setup
+ * 
+ * For users whose organization requires MFA but who haven't set it up yet.
+ * 
+ * @param {Object} req - Contains req.body { mfaToken }
+ * @param {Object} res - Response object
+ */
+const setupLoginMfa = async (req, res) => {
+  try {
+    const { user } = await loadChallenge(req.body.mfaToken, MFA_PURPOSE.SETUP);
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    sendError(res, error, "MFA setup", "Failed to start two-factor setup");
+  }
+};
+
+/**
+ * FINISH FORCED ENROLMENT
+ * 
+ * Handler for POST /api/auth/mfa/enable
+ * 
+ * The first valid code turns MFA on and completes the login:
+ * the response is a normal session plus the recovery codes.
+ * 
+ * @param {Object} req - Contains req.body { mfaToken, code }
+ * @param {Object} res - Response object
+ */
+const enableLoginMfa = async (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  try {
+    const { user, membership, viaSso } = await loadChallenge(mfaToken, MFA_PURPOSE.SETUP);
+    const recoveryCodes = await confirmEnrollment(user, code);
+    const session = await createSession(user, membership, req, { viaSso });
+
+    res.json({ ...session, recoveryCodes });
+  } catch (error) {
+    sendError(res, error, "MFA enable", "Failed to enable two-factor authentication");
+  }
+};
+
+/**
+ * MFA STATUS
+ * 
+ * Handler for GET /api/account/mfa
+ * 
+ * { enabled, requiredByOrganization, recoveryCodesRemaining, canChange }
+ * 
+ * @param {Object} req - Contains req.user.userId
+ * @param {Object} res - Response object
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+
+    res.json({
+      enabled: user.mfaEnabled,
+      requiredByOrganization: isMfaRequired(user),
+      recoveryCodesRemaining: user.mfaRecoveryCodes.length,
+      // Single sign-on sessions can't change two-factor settings (see middleware/rejectSsoSession.js)
+      canChange: !req.user.sso
+    });
+  } catch (error) {
+    sendError(res, error, "MFA status", "Failed to fetch two-factor status");
+  }
+};
+
+/**
+ * START ENROLMENT
+ * 
+ * Handler for POST /api/account/mfa/setup
+ * 
+ * @param {Object} req - Contains req.user.userId
+ * @param {Object} res - Response object
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    sendError(res, error, "MFA setup", "Failed to start two-factor setup");
+  }
+};
+
+/**
+ * FINISH ENROLMENT
+ * 
+ * Handler for POST /api/account/mfa/enable
+ * 
+ * @param {Object} req - Contains req.body { code } and req.user.userId
+ * @param {Object} res - Response object
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    sendError(res, error, "MFA enable", "Failed to enable two-factor authentication");
+  }
+};
+
+/**
+ * DISABLE MFA
+ * 
+ * Handler for POST /api/account/mfa/disable
+ * 
+ * Needs a current code (or a recovery code): a stolen access token alone
+ * can't remove the second factor.
+ * Not allowed while one of the user's organizations requires MFA.
+ * 
+ * @param {Object} req - Contains req.body { code } and req.user.userId
+ * @param {Object} res - Response object
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+
+    if (!user.mfaEnabled) {
+      return res.status(409).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (isMfaRequired(user)) {
+      return res.status(409).json({ error: "One of your organizations requires two-factor authentication" });
+    }
+
+    // 400, not 401: the client treats 401 as an expired session
+    if (!await verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    await prisma.user.update({ where: { id: user.id }, data: MFA_RESET_DATA });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    sendError(res, error, "MFA disable", "Failed to disable two-factor authentication");
+  }
+};
+
+/**
+ * REGENERATE RECOVERY CODES
+ * 
+ * Handler for POST /api/account/mfa/recovery-codes
+ * 
+ * @param {Object} req - Contains req.body { code } and req.user.userId
+ * @param {Object} res - Response object
+ */
+const createRecoveryCodes = async (req, res) => {
+  try {
+    const user = await loadCurrentUser(req);
+
+    if (!user.mfaEnabled) {
+      return res.status(409).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    // 400, not 401: the client treats 401 as an expired session
+    if (!await verifySecondFactor(user, req.body.code)) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(user.id) });
+  } catch (error) {
+    sendError(res, error, "Recovery codes", "Failed to create recovery codes");
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = {
+  verifyLoginMfa,
+  setupLoginMfa,
+  enableLoginMfa,
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  createRecoveryCodes
+};
@@ -0,0 +1,146 @@
+/**
+ * ORGANIZATION CONTROLLER
+ * 
+ * Settings of the current user's organization:
+ * - GET /api/organization - Read the settings (any role)
+ * - PATCH /api/organization - Change the settings ('organization:manage', ADMIN)
+ * 
+ * There is no :id in the URL - the organization always comes from the JWT
+ * (req.user.orgId), so nobody can read or change another tenant's settings.
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+// Security settings changes go to the audit log
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+/**
+ * SAFE ORGANIZATION FIELDS
+ */
+const organizationSelect = {
+  id: true,
+  name: true,
+  slug: true,
+  requireMfa: true,
+  passwordLoginDisabled: true
+};
+
+/**
+ * GET ORGANIZATION
+ * 
+ * Handler for GET /api/organization
+ * 
+ * @param {Object} req - Contains req.user.orgId
+ * @param {Object} res - Response object
+ */
+const getOrganization = async (req, res) => {
+  try {
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.user.orgId },
+      select: organizationSelect
+    });
+
+    if (!organization) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({ error: "Failed to fetch organization" });
+  }
+};
+
+/**
+ * UPDATE ORGANIZATION SETTINGS
+ * 
+ * Handler for PATCH /api/organization
+ * 
+ * Body: { requireMfa?, passwordLoginDisabled? } - send only what changes.
+ * 
+ * requireMfa = true:
+ * - The admin turning it on must use MFA themselves (no self-lockout)
+ * - Users without MFA are signed out; at their next login they must
+ *   set up MFA before getting a session (see services/session.js signIn)
+ * 
+ * passwordLoginDisabled = true (users must sign in with SSO):
+ * - Single sign-on must be enabled (see controllers/ssoController.js)
+ * - The admin must have signed in with SSO once (no self-lockout)
+ * 
+ * @param {Object} req - Contains req.body { requireMfa?, passwordLoginDisabled? } and req.user
+ * @param {Object} res - Response object
+ */
+const updateOrganization = async (req, res) => {
+  const { requireMfa, passwordLoginDisabled } = req.body;
+  const orgId = req.user.orgId;
+
+  if (requireMfa === undefined && passwordLoginDisabled === undefined) {
+    return res.status(400).json({ error: "Nothing to update" });
+  }
+
+  if (requireMfa !== undefined && typeof requireMfa !== 'boolean') {
+    return res.status(400).json({ error: "requireMfa must be true or false" });
+  }
+
+  if (passwordLoginDisabled !== undefined && typeof passwordLoginDisabled !== 'boolean') {
+    return res.status(400).json({ error: "passwordLoginDisabled must be true or false" });
+  }
+
+  try {
+    if (requireMfa || passwordLoginDisabled) {
+      // The admin's membership in THIS organization (holds their SSO link)
+      const admin = await req.db.membership.findFirst({
+        where: { userId: req.user.userId },
+        include: { user: true, organization: { include: { oidcConfig: true } } }
+      });
+
+      if (requireMfa && (!admin || !admin.user.mfaEnabled)) {
+        return res.status(409).json({ error: "Enable two-factor authentication on your own account first" });
+      }
+
+      if (passwordLoginDisabled && !admin?.organization.oidcConfig?.enabled) {
+        return res.status(409).json({ error: "Set up and enable single sign-on first" });
+      }
+
+      if (passwordLoginDisabled && !admin.oidcSubject) {
+        return res.status(409).json({ error: "Sign in with single sign-on once yourself first" });
+      }
+    }
+
+    const previous = await prisma.organization.findUnique({ where: { id: orgId }, select: organizationSelect });
+
+    const organization = await prisma.organization.update({
+      where: { id: orgId }, // SECURITY: Always the admin's own organization
+      data: { requireMfa, passwordLoginDisabled }, // undefined fields are left unchanged
+      select: organizationSelect
+    });
+
+    // Before -> after of each setting that was sent
+    const changes = Object.fromEntries(['requireMfa', 'passwordLoginDisabled']
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, { before: previous[field], after: organization[field] }]));
+    await recordAudit(req.db, req, {
+      action: AUDIT_ACTIONS.ORGANIZATION_UPDATE,
+      targetType: 'organization',
+      targetId: orgId,
+      details: changes
+    });
+
+    if (requireMfa) {
+      // Sign out every user of this organization who has no second factor yet
+      await prisma.refreshToken.updateMany({
+        where: { revokedAt: null, organizationId: orgId, user: { mfaEnabled: false } },
+        data: { revokedAt: new Date() }
+      });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    console.error("Update organization error:", error);
+    res.status(500).json({ error: "Failed to update organization" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { getOrganization, updateOrganization };
@@ -0,0 +1,201 @@
+/**
+ * PASSWORD RESET CONTROLLER
+ * 
+ * "Forgot password" flow for users who can't log in anymore:
+ * - POST /api/auth/forgot-password - Public: email a reset link
+ * - POST /api/auth/reset-password - Public: choose a new password with the link's token
+ * 
+ * Token lifecycle (same rules as invitations, see utils/tokens.js):
+ * 1. A random token is generated and emailed as a link
+ * 2. Only its SHA-256 hash is stored in the PasswordResetToken table
+ * 3. The token works ONCE, until it expires (PASSWORD_RESET_TTL_MINUTES)
+ *    or a newer link is requested
+ * 
+ * After a successful reset every session of the user is revoked:
+ * whoever knew the old password is signed out.
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+// bcryptjs - hash the new password
+const bcrypt = require('bcryptjs');
+
+const { generateToken, hashToken } = require('../utils/tokens');
+const { isValidEmail, isValidPassword, normalizeEmail, MIN_PASSWORD_LENGTH } = require('../utils/validation');
+const { FRONTEND_URL, PASSWORD_RESET_TTL_MINUTES } = require('../config/app');
+const { sendMail, escapeHtml } = require('../services/mailer');
+const { revokeAllSessions } = require('../services/session');
+const { unlockAccount, throttlePasswordReset } = require('../services/loginThrottle');
+
+/**
+ * SEND A RESET LINK
+ * 
+ * Runs AFTER forgotPassword has answered (see below). Errors are logged by
+ * the caller: nobody is waiting for them.
+ * 
+ * Users with no active membership get no link - they couldn't log in with the
+ * new password anyway. Neither do users whose organizations all require
+ * single sign-on.
+ * 
+ * @param {string} email - Normalized email
+ */
+const sendResetLink = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    include: { memberships: { where: { isActive: true }, include: { organization: true } } }
+  });
+
+  // SSO-only organizations have no passwords to reset
+  const canUsePassword = user?.memberships.some(membership => !membership.organization.passwordLoginDisabled);
+  if (!canUsePassword) return;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  // Only the most recent link works: older unused links are marked as used
+  await prisma.$transaction([
+    prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.passwordResetToken.create({
+      data: { tokenHash: hashToken(token), userId: user.id, expiresAt }
+    })
+  ]);
+
+  const link = `${FRONTEND_URL}/?reset=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your AssetManager Pro password',
+    text: [
+      'Someone (hopefully you) asked to reset your AssetManager Pro password.',
+      '',
+      `Choose a new password: ${link}`,
+      '',
+      `This link expires on ${expiresAt.toUTCString()} and can only be used once.`,
+      "If you didn't ask for this, you can ignore this email."
+    ].join('\n'),
+    html: '<p>Someone (hopefully you) asked to reset your AssetManager Pro password.</p>'
+      + `<p><a href="${escapeHtml(link)}">Choose a new password</a></p>`
+      + `<p>This link expires on ${expiresAt.toUTCString()} and can only be used once.<br>`
+      + "If you didn't ask for this, you can ignore this email.</p>"
+  });
+};
+
+/**
+ * FORGOT PASSWORD
+ * 
+ * Handler for POST /api/auth/forgot-password
+ * 
+ * SECURITY: The response is ALWAYS the same, whether the email belongs to an
+ * account or not (same idea as "Invalid credentials" in login).
+ * Otherwise this endpoint would tell attackers which emails are registered.
+ * - The answer is sent BEFORE looking the email up: a real account (token,
+ *   email) would otherwise take measurably longer to answer than an unknown one
+ * - Database and mail errors are only logged
+ * - Requests are throttled per IP and per email, account or not (429 +
+ *   Retry-After, see services/loginThrottle.js), so nobody can flood a
+ *   mailbox with links
+ * 
+ * @param {Object} req - Contains req.body { email }
+ * @param {Object} res - Response object
+ */
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  // A malformed email is a client mistake, not a lookup - safe to report
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({ error: "A valid email is required" });
+  }
+
+  try {
+    await throttlePasswordReset(email, req);
+  } catch (error) {
+    if (error.status) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Forgot password throttle error:", error);
+    return res.status(500).json({ error: "Failed to request password reset" });
+  }
+
+  res.json({ message: "If an account exists for this email, a password reset link has been sent" });
+
+  sendResetLink(normalizeEmail(email)).catch((error) => {
+    console.error("Forgot password error:", error);
+  });
+};
+
+/**
+ * RESET PASSWORD
+ * 
+ * Handler for POST /api/auth/reset-password
+ * 
+ * Flow:
+ * 1. Validate the new password
+ * 2. Claim the token with a conditional updateMany() (unused AND not expired):
+ *    if two requests race with the same link, only one gets count === 1
+ * 3. Save the new password hash
+ * 4. Revoke all sessions (refresh tokens) of the user
+ * 5. Lift any lockout caused by failed logins
+ * 
+ * The user is NOT signed in: they log in with the new password.
+ * 
+ * @param {Object} req - Contains req.body { token, password }
+ * @param {Object} res - Response object
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== 'string' || token.length === 0) {
+    return res.status(400).json({ error: "Invalid or expired reset link" });
+  }
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const user = await prisma.$transaction(async (tx) => {
+      const resetToken = await tx.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) }
+      });
+
+      // Same message for unknown, used and expired links
+      const claimed = resetToken && await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null, expiresAt: { gt: new Date() } },
+        data: { usedAt: new Date() }
+      });
+
+      if (!claimed || claimed.count === 0) {
+        throw Object.assign(new Error("Invalid or expired reset link"), { status: 400 });
+      }
+
+      return tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+        select: { id: true, email: true }
+      });
+    });
+
+    await revokeAllSessions(user.id);
+
+    // Proving access to the mailbox also lifts a lockout from failed logins
+    await unlockAccount(user);
+
+    res.json({ message: "Password updated. You can now log in with your new password." });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error("Reset password error:", error);
+    res.status(500).json({ error: "Failed to reset password" });
+  }
+};
+
+// Export the handlers so server.js can use them
+module.exports = { forgotPassword, resetPassword };
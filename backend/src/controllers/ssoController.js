@@ -0,0 +1,521 @@
+/**
+ * SSO CONTROLLER
+ * 
+ * OpenID Connect single sign-on, configured per organization
+ * (see services/oidc.js for the protocol itself).
+ * 
+ * LOGIN FLOW - public, the browser navigates to these URLs:
+ * - GET /api/auth/sso/:slug/start - Redirect to the organization's identity provider
+ * - GET /api/auth/sso/callback - The provider redirects back here; we verify the
+ *   login and redirect to the React app with a one-time code ("/?sso=<code>")
+ * - POST /api/auth/sso/exchange - The React app trades the code for a session
+ * 
+ * The session never travels in a URL: the code in "/?sso=" is single-use and
+ * expires after a minute.
+ * 
+ * SETTINGS - 'organization:manage' (ADMIN):
+ * - GET /api/organization/sso - Read the settings (the client secret is never returned)
+ * - PUT /api/organization/sso - Save the settings
+ * 
+ * The settings go through req.db (scoped to the admin's organization, see
+ * db/tenant.js); the login flow runs before anyone is signed in and uses
+ * the shared client.
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+const bcrypt = require('bcryptjs');
+
+const { FRONTEND_URL, API_URL } = require('../config/app');
+const { ROLES } = require('../config/roles');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { isValidEmail, normalizeEmail } = require('../utils/validation');
+const { signIn } = require('../services/session');
+const { findActiveMembership } = require('../services/memberships');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const {
+  normalizeIssuer, isValidIssuer, discover, createPkcePair, buildAuthorizationUrl, exchangeCode, verifyIdToken
+} = require('../services/oidc');
+
+// Register this URL as the redirect URI at the identity provider
+const REDIRECT_URI = `${API_URL}/api/auth/sso/callback`;
+
+// Time to log in at the provider, then time for the React app to pick up the session
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+const HANDOFF_TTL_MS = 60 * 1000;
+
+// "acme.com", "eu.acme.co.uk", ...
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+const validRoles = Object.values(ROLES);
+
+/**
+ * Error with a message safe to show to the user.
+ * 
+ * @param {string} message
+ * @param {number} [status=403]
+ * @returns {Error}
+ */
+const ssoError = (message, status = 403) => Object.assign(new Error(message), { status });
+
+/**
+ * Send the browser back to the React app with query parameters
+ * ("?sso=<code>" or "?sso_error=<message>", read by App.jsx).
+ * 
+ * @param {Object} res - Response object
+ * @param {Object} params
+ */
+const redirectToApp = (res, params) => res.redirect(`${FRONTEND_URL}/?${new URLSearchParams(params)}`);
+
+/**
+ * Errors in the browser flow can't be sent as JSON - the user is looking at
+ * a redirect, not at an API response. They go to the React app instead.
+ */
+const redirectWithError = (res, error, label) => {
+  if (!error.status) {
+    console.error(`${label} error:`, error);
+  }
+  redirectToApp(res, { sso_error: error.status ? error.message : "Single sign-on failed, please try again" });
+};
+
+/**
+ * START SSO LOGIN
+ * 
+ * Handler for GET /api/auth/sso/:slug/start
+ * 
+ * Users pick their organization by its slug ("acme-corp"), then we send
+ * them to that organization's identity provider.
+ * 
+ * @param {Object} req - Contains req.params.slug
+ * @param {Object} res - Response object
+ */
+const startSso = async (req, res) => {
+  try {
+    const organization = await prisma.organization.findUnique({
+      where: { slug: String(req.params.slug).toLowerCase() },
+      include: { oidcConfig: true }
+    });
+
+    const config = organization?.oidcConfig;
+    if (!config || !config.enabled) {
+      throw ssoError("Single sign-on is not set up for this organization", 404);
+    }
+
+    const metadata = await discover(config.issuer);
+
+    /**
+     * LOGIN REQUEST
+     * 
+     * state: ties the provider's answer to this request (CSRF protection)
+     * nonce: ties the ID token to this request (replay protection)
+     * PKCE verifier: proves we started the login when we redeem the code
+     */
+    const state = generateToken();
+    const nonce = generateToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    // Housekeeping: forget abandoned logins
+    await prisma.oidcLoginRequest.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+
+    await prisma.oidcLoginRequest.create({
+      data: {
+        stateHash: hashToken(state),
+        nonce,
+        codeVerifier,
+        expiresAt: new Date(Date.now() + LOGIN_REQUEST_TTL_MS),
+        organizationId: organization.id
+      }
+    });
+
+    res.redirect(buildAuthorizationUrl(metadata, {
+      clientId: config.clientId,
+      redirectUri: REDIRECT_URI,
+      state,
+      nonce,
+      codeChallenge
+    }));
+  } catch (error) {
+    redirectWithError(res, error, "SSO start");
+  }
+};
+
+/**
+ * Refuse single sign-on for a user who also belongs to other organizations
+ * (see findOrProvisionMember).
+ * 
+ * @param {string} userId
+ * @param {Object} organization - The organization signing in with SSO
+ * @throws {Error} status 409
+ */
+const assertOnlyOrganization = async (userId, organization) => {
+  const otherOrganizations = await prisma.membership.count({
+    where: { userId, organizationId: { not: organization.id } }
+  });
+  if (otherOrganizations > 0) {
+    throw ssoError("This account also belongs to other organizations - log in with your password instead", 409);
+  }
+};
+
+/**
+ * FIND OR CREATE THE MEMBERSHIP OF AN SSO LOGIN
+ * 
+ * The identity ("sub" claim) is linked to the user's membership in THIS
+ * organization - each organization has its own identity provider.
+ * 
+ * 1. A member already linked to this identity - the normal case
+ * 2. A member of this organization with the same email, not linked yet
+ *    (e.g. created before SSO was set up) - link them
+ * 3. Nobody with this email: JUST-IN-TIME PROVISIONING - create the user,
+ *    with an unusable random password, and its membership with the
+ *    organization's default role
+ * 
+ * Only emails from the organization's allowed domains get in.
+ * 
+ * SECURITY: the tenant admin chooses both the identity provider and the
+ * allowed domains, so an SSO assertion proves nothing about an account that
+ * is also used elsewhere. SSO only signs in accounts that belong to THIS
+ * organization alone (409 otherwise, in every case above):
+ * - an account of another organization is never linked or provisioned here
+ * - a member who also belongs to other organizations (joined through an
+ *   invitation, accepted with their password) keeps using their password
+ * 
+ * @param {Object} organization
+ * @param {Object} config - The organization's OidcConfig
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} Membership record
+ * @throws {Error} with a status and a user-facing message
+ */
+const findOrProvisionMember = async (organization, config, claims) => {
+  const email = typeof claims.email === 'string' ? normalizeEmail(claims.email) : null;
+
+  if (typeof claims.sub !== 'string' || !email || !isValidEmail(email)) {
+    throw ssoError("Your identity provider did not share a valid email address");
+  }
+
+  if (claims.email_verified === false) {
+    throw ssoError("Your email address is not verified by your identity provider");
+  }
+
+  const domain = email.split('@')[1];
+  if (!config.allowedDomains.includes(domain)) {
+    throw ssoError(`Email addresses from ${domain} cannot sign in to ${organization.name}`);
+  }
+
+  let membership = await prisma.membership.findUnique({
+    where: { organizationId_oidcSubject: { organizationId: organization.id, oidcSubject: claims.sub } }
+  });
+
+  if (membership) {
+    await assertOnlyOrganization(membership.userId, organization);
+  } else {
+    // Emails are unique across the whole app
+    const existing = await prisma.user.findUnique({
+      where: { email },
+      include: { memberships: { where: { organizationId: organization.id } } }
+    });
+    const existingMembership = existing?.memberships[0];
+
+    if (existing && !existingMembership) {
+      throw ssoError("This email address already belongs to another organization - ask your admin for an invitation", 409);
+    }
+
+    if (existingMembership) {
+      if (existingMembership.oidcSubject) {
+        throw ssoError("This account is linked to a different single sign-on identity", 409);
+      }
+      await assertOnlyOrganization(existingMembership.userId, organization);
+
+      membership = await prisma.membership.update({
+        where: { id: existingMembership.id },
+        data: { oidcSubject: claims.sub }
+      });
+    } else {
+      membership = await prisma.membership.create({
+        data: {
+          role: config.defaultRole,
+          oidcSubject: claims.sub,
+          organization: { connect: { id: organization.id } },
+          user: {
+            create: {
+              email,
+              // Nobody knows this password - the user signs in through SSO
+              password: await bcrypt.hash(generateToken(), 10)
+            }
+          }
+        }
+      });
+    }
+  }
+
+  if (!membership.isActive) {
+    throw ssoError("Account deactivated. Contact your organization admin.");
+  }
+
+  return membership;
+};
+
+/**
+ * SSO CALLBACK
+ * 
+ * Handler for GET /api/auth/sso/callback?code=...&state=...
+ * 
+ * @param {Object} req - Contains req.query { code, state } (or { error } if the user refused)
+ * @param {Object} res - Response object
+ */
+const ssoCallback = async (req, res) => {
+  const { code, state, error: providerError } = req.query;
+
+  try {
+    const loginRequest = typeof state === 'string' && await prisma.oidcLoginRequest.findUnique({
+      where: { stateHash: hashToken(state) },
+      include: { organization: { include: { oidcConfig: true } } }
+    });
+
+    // Single use: claim the request before doing anything with it
+    const claimed = loginRequest && await prisma.oidcLoginRequest.updateMany({
+      where: { id: loginRequest.id, usedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() }
+    });
+
+    if (!claimed || claimed.count === 0) {
+      throw ssoError("Single sign-on expired, please try again", 400);
+    }
+
+    if (providerError || typeof code !== 'string') {
+      throw ssoError("Sign-in was cancelled or refused by your identity provider", 400);
+    }
+
+    const { organization } = loginRequest;
+    const config = organization.oidcConfig;
+    if (!config || !config.enabled) {
+      throw ssoError("Single sign-on is not set up for this organization", 404);
+    }
+
+    const metadata = await discover(config.issuer);
+    const idToken = await exchangeCode(metadata, {
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      code,
+      codeVerifier: loginRequest.codeVerifier,
+      redirectUri: REDIRECT_URI
+    });
+    const claims = await verifyIdToken(metadata, idToken, { clientId: config.clientId, nonce: loginRequest.nonce });
+
+    const membership = await findOrProvisionMember(organization, config, claims);
+
+    // One-time code for the React app (only its hash is stored)
+    const handoff = generateToken();
+    await prisma.oidcLoginRequest.update({
+      where: { id: loginRequest.id },
+      data: {
+        userId: membership.userId,
+        handoffHash: hashToken(handoff),
+        expiresAt: new Date(Date.now() + HANDOFF_TTL_MS)
+      }
+    });
+
+    redirectToApp(res, { sso: handoff });
+  } catch (error) {
+    redirectWithError(res, error, "SSO callback");
+  }
+};
+
+/**
+ * EXCHANGE THE ONE-TIME CODE FOR A SESSION
+ * 
+ * Handler for POST /api/auth/sso/exchange
+ * 
+ * Same response as login: a session, or an MFA challenge when the user
+ * (or their organization) uses two-factor authentication.
+ * 
+ * 400 (not 401) for a bad code: api/axios.js treats 401 as "refresh my session".
+ * 
+ * @param {Object} req - Contains req.body { code }
+ * @param {Object} res - Response object
+ */
+const exchangeSso = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const loginRequest = typeof code === 'string' && await prisma.oidcLoginRequest.findUnique({
+      where: { handoffHash: hashToken(code) }
+    });
+
+    const claimed = loginRequest && await prisma.oidcLoginRequest.updateMany({
+      where: { id: loginRequest.id, handoffUsedAt: null, expiresAt: { gt: new Date() } },
+      data: { handoffUsedAt: new Date() }
+    });
+
+    if (!claimed || claimed.count === 0) {
+      return res.status(400).json({ error: "Single sign-on expired, please try again" });
+    }
+
+    const [user, membership] = await Promise.all([
+      prisma.user.findUnique({ where: { id: loginRequest.userId } }),
+      findActiveMembership(loginRequest.userId, loginRequest.organizationId)
+    ]);
+
+    if (!user || !membership) {
+      return res.status(403).json({ error: "Account deactivated. Contact your organization admin." });
+    }
+
+    // SSO sessions stay in this organization (no switching to the others)
+    res.json(await signIn(user, membership, req, { viaSso: true }));
+  } catch (error) {
+    console.error("SSO exchange error:", error);
+    res.status(500).json({ error: "Server login error" });
+  }
+};
+
+/**
+ * Shape the settings for the admin screen.
+ * The client secret is write-only: we only say whether one is saved.
+ * 
+ * @param {Object|null} config - OidcConfig record
+ * @returns {Object}
+ */
+const toSettings = (config) => ({
+  configured: !!config,
+  enabled: config?.enabled ?? false,
+  issuer: config?.issuer ?? '',
+  clientId: config?.clientId ?? '',
+  hasClientSecret: !!config?.clientSecret,
+  allowedDomains: config?.allowedDomains ?? [],
+  defaultRole: config?.defaultRole ?? ROLES.MEMBER,
+  redirectUri: REDIRECT_URI
+});
+
+/**
+ * GET SSO SETTINGS
+ * 
+ * Handler for GET /api/organization/sso
+ * 
+ * @param {Object} req - Contains req.db
+ * @param {Object} res - Response object
+ */
+const getSsoConfig = async (req, res) => {
+  try {
+    const config = await req.db.oidcConfig.findFirst();
+    res.json(toSettings(config));
+  } catch (error) {
+    console.error("Get SSO config error:", error);
+    res.status(500).json({ error: "Failed to fetch single sign-on settings" });
+  }
+};
+
+/**
+ * SAVE SSO SETTINGS
+ * 
+ * Handler for PUT /api/organization/sso
+ * 
+ * Body: { enabled, issuer, clientId, clientSecret?, allowedDomains, defaultRole }
+ * - clientSecret can be left empty to keep the saved one
+ * - Enabling SSO checks the issuer answers OIDC discovery
+ * - Disabling SSO also turns password login back on (nobody gets locked out)
+ * 
+ * @param {Object} req - Contains req.body, req.user.orgId and req.db
+ * @param {Object} res - Response object
+ */
+const updateSsoConfig = async (req, res) => {
+  const { enabled, issuer, clientId, clientSecret, allowedDomains, defaultRole } = req.body;
+  const orgId = req.user.orgId;
+
+  /**
+   * INPUT VALIDATION
+   */
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: "enabled must be true or false" });
+  }
+
+  if (typeof issuer !== 'string' || !isValidIssuer(issuer.trim())) {
+    return res.status(400).json({ error: "Issuer must be an https URL (http is only allowed for localhost, outside production)" });
+  }
+
+  if (typeof clientId !== 'string' || !clientId.trim()) {
+    return res.status(400).json({ error: "Client ID is required" });
+  }
+
+  if (clientSecret !== undefined && clientSecret !== null && typeof clientSecret !== 'string') {
+    return res.status(400).json({ error: "Client secret must be a string" });
+  }
+
+  const domains = Array.isArray(allowedDomains)
+    ? [...new Set(allowedDomains.map(domain => String(domain).trim().toLowerCase()).filter(Boolean))]
+    : null;
+
+  if (!domains || !domains.every(domain => DOMAIN_REGEX.test(domain))) {
+    return res.status(400).json({ error: "Allowed domains must be a list of domain names, e.g. acme.com" });
+  }
+
+  if (enabled && domains.length === 0) {
+    return res.status(400).json({ error: "Add at least one allowed email domain" });
+  }
+
+  if (!validRoles.includes(defaultRole)) {
+    return res.status(400).json({ error: `Default role must be one of: ${validRoles.join(', ')}` });
+  }
+
+  try {
+    const existing = await req.db.oidcConfig.findFirst();
+    const secret = clientSecret ? clientSecret.trim() : existing?.clientSecret;
+
+    if (!secret) {
+      return res.status(400).json({ error: "Client secret is required" });
+    }
+
+    // Catch typos before users are sent to a broken login
+    if (enabled) {
+      try {
+        await discover(issuer);
+      } catch (error) {
+        return res.status(400).json({ error: `Issuer check failed: ${error.message}` });
+      }
+    }
+
+    const data = {
+      enabled,
+      issuer: normalizeIssuer(issuer),
+      clientId: clientId.trim(),
+      clientSecret: secret,
+      allowedDomains: domains,
+      defaultRole
+    };
+
+    const config = await req.db.$transaction(async (tx) => {
+      // SECURITY: tx is scoped like req.db - always the admin's own organization
+      const saved = await tx.oidcConfig.upsert({
+        where: { organizationId: orgId },
+        create: data,
+        update: data
+      });
+
+      // Without SSO, password login must stay available
+      if (!enabled) {
+        await tx.organization.update({
+          where: { id: orgId },
+          data: { passwordLoginDisabled: false }
+        });
+      }
+
+      // Never the secret itself: only whether it was replaced
+      const { clientSecret: _secret, ...settings } = data;
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.SSO_UPDATE,
+        targetType: 'organization',
+        targetId: orgId,
+        details: { ...settings, clientSecretChanged: !!clientSecret }
+      });
+
+      return saved;
+    });
+
+    res.json(toSettings(config));
+  } catch (error) {
+    console.error("Update SSO config error:", error);
+    res.status(500).json({ error: "Failed to save single sign-on settings" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { startSso, ssoCallback, exchangeSso, getSsoConfig, updateSsoConfig };
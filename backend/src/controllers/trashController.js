@@ -0,0 +1,195 @@
+/**
+ * TRASH CONTROLLER
+ * 
+ * The organization's deleted assets (see services/trash.js):
+ * - GET /api/assets/trash - Assets in the trash, most recently deleted first
+ * - POST /api/assets/trash/:id/restore - Put an asset back
+ * - DELETE /api/assets/trash/:id - Delete an asset for good
+ * 
+ * Assets left in the trash are deleted for good TRASH_RETENTION_DAYS after
+ * being deleted (purge job in services/trash.js).
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * all need 'assets:trash' (ADMIN). API keys can't be granted it.
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const { parsePagination, toPage } = require('../utils/pagination');
+const { TRASH_RETENTION_DAYS } = require('../config/app');
+const { purgeDate, purgeTrashedAsset } = require('../services/trash');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+// Only assets in the trash
+const IN_TRASH = { deletedAt: { not: null } };
+
+/**
+ * Who deleted an asset, for the client.
+ * 
+ * @param {Object} asset - Loaded with deletedBy and deletedByApiKey
+ * @returns {Object|null} { type: 'user', id, email } or { type: 'apiKey', id, name };
+ *   null when the user or key has been deleted since
+ */
+const toDeletedBy = (asset) => {
+  if (asset.deletedById) {
+    return { type: 'user', id: asset.deletedById, email: asset.deletedBy?.email ?? null };
+  }
+  if (asset.deletedByApiKeyId) {
+    return { type: 'apiKey', id: asset.deletedByApiKeyId, name: asset.deletedByApiKey?.name ?? null };
+  }
+  return null;
+};
+
+/**
+ * LIST THE TRASH
+ * 
+ * Handler for GET /api/assets/trash?page=1&pageSize=25
+ * 
+ * Response (see utils/pagination.js):
+ * {
+ *   data: [{ id, name, serialNumber, status, category: { id, name },
+ *            deletedAt, deletedBy: { type, id, email|name }, purgeAt }],
+ *   pagination: { page, pageSize, total, totalPages },
+ *   retentionDays: 30
+ * }
+ * 
+ * @param {Object} req - Contains req.query and req.db
+ * @param {Object} res - Response object
+ */
+const listTrash = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    const [assets, total] = await req.db.$transaction(async (tx) => Promise.all([
+      tx.asset.findMany({
+        where: IN_TRASH,
+        orderBy: [{ deletedAt: 'desc' }, { id: 'asc' }],
+        skip: pagination.skip,
+        take: pagination.take,
+        include: {
+          category: { select: { id: true, name: true } },
+          deletedBy: { select: { email: true } },
+          deletedByApiKey: { select: { name: true } }
+        }
+      }),
+      tx.asset.count({ where: IN_TRASH })
+    ]));
+
+    const data = assets.map(asset => ({
+      id: asset.id,
+      name: asset.name,
+      serialNumber: asset.serialNumber,
+      status: asset.status,
+      category: asset.category,
+      deletedAt: asset.deletedAt,
+      deletedBy: toDeletedBy(asset),
+      purgeAt: purgeDate(asset)
+    }));
+
+    res.json({ ...toPage(data, total, pagination), retentionDays: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("List trash error:", error);
+    res.status(500).json({ error: "Failed to fetch the trash" });
+  }
+};
+
+/**
+ * RESTORE AN ASSET
+ * 
+ * Handler for POST /api/assets/trash/:id/restore
+ * 
+ * The asset comes back with its values and history. Refused (409) while
+ * another asset uses its serial number - a trashed asset's serial can be
+ * reused; change the other asset's serial first.
+ * 
+ * @param {Object} req - Contains req.params.id, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const restoreAsset = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const restored = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.findFirst({ where: { id, ...IN_TRASH } }); // SECURITY: our trash only
+      if (!asset) {
+        throw Object.assign(new Error("Asset not found in the trash"), { status: 404 });
+      }
+
+      const duplicate = await tx.asset.findFirst({ where: { serialNumber: asset.serialNumber, deletedAt: null } });
+      if (duplicate) {
+        throw Object.assign(
+          new Error(`Another asset now uses serial number ${asset.serialNumber} - change it before restoring this one`),
+          { status: 409 }
+        );
+      }
+
+      // Same deletedAt: not restored (or purged) by someone else in the meantime
+      const updated = await tx.asset.updateMany({
+        where: { id, deletedAt: asset.deletedAt },
+        data: { deletedAt: null, deletedById: null, deletedByApiKeyId: null }
+      });
+      if (updated.count === 0) {
+        throw Object.assign(new Error("Asset not found in the trash"), { status: 404 });
+      }
+
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.ASSET_RESTORE,
+        targetType: 'asset',
+        targetId: id,
+        details: { name: asset.name, serialNumber: asset.serialNumber, deletedAt: asset.deletedAt }
+      });
+
+      return tx.asset.findUnique({ where: { id }, include: { category: true } });
+    });
+
+    res.json(restored);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "Another asset now uses this serial number" });
+    }
+    console.error("Restore asset error:", error);
+    res.status(500).json({ error: "Failed to restore asset" });
+  }
+};
+
+/**
+ * DELETE AN ASSET FOR GOOD
+ * 
+ * Handler for DELETE /api/assets/trash/:id
+ * 
+ * Only assets already in the trash can be purged (delete them first).
+ * The asset and its revisions are gone; the audit log keeps its name and
+ * serial number.
+ * 
+ * @param {Object} req - Contains req.params.id, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const purgeAsset = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const purged = await req.db.$transaction(async (tx) => {
+      const asset = await tx.asset.findFirst({ where: { id, ...IN_TRASH } }); // SECURITY: our trash only
+      return asset ? purgeTrashedAsset(tx, req, asset) : false;
+    });
+
+    if (!purged) {
+      return res.status(404).json({ error: "Asset not found in the trash" });
+    }
+
+    res.json({ message: "Asset permanently deleted" });
+  } catch (error) {
+    console.error("Purge asset error:", error);
+    res.status(500).json({ error: "Failed to delete asset" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listTrash, restoreAsset, purgeAsset };
@@ -0,0 +1,467 @@
+/**
+ * USER CONTROLLER
+ * 
+ * This controller lets organization admins manage their team:
+ * - GET /api/users - List users of the admin's organization
+ * - POST /api/users - Create a user in the organization
+ * - PATCH /api/users/:id - Change a user's role or (de)activate them
+ * - DELETE /api/users/:id - Remove a user from the organization
+ * - DELETE /api/users/:id/mfa - Reset a user's two-factor authentication (lost phone)
+ * - POST /api/users/:id/unlock - Unlock an account locked by failed logins
+ * 
+ * A user can belong to several organizations (see services/memberships.js):
+ * role and active flag live on the Membership, so an admin only changes
+ * them for their own organization. :id is always the user's ID.
+ * 
+ * IMPORTANT: All routes are protected by authentication AND the
+ * 'users:manage' permission (ADMIN only, see config/roles.js).
+ * 
+ * Multi-tenant security follows the same pattern as assetController.js:
+ * memberships are read and written through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js), so an admin can
+ * never see or touch members of another organization.
+ * 
+ * Every change is recorded in the organization's audit log
+ * (see services/auditLog.js) - who changed whose role, and when.
+ */
+
+// Import the Prisma client singleton - only for the ACCOUNT-wide checks below
+const prisma = require('../db/prisma');
+
+// bcryptjs - hash passwords of newly created users
+const bcrypt = require('bcryptjs');
+
+// Shared input rules and the list of valid roles
+const { isValidEmail, isValidPassword, normalizeEmail, MIN_PASSWORD_LENGTH } = require('../utils/validation');
+const { ROLES } = require('../config/roles');
+
+// Deactivated members are signed out of the organization's sessions
+const { revokeAllSessions } = require('../services/session');
+const { MFA_RESET_DATA } = require('../services/mfa');
+const { unlockAccount } = require('../services/loginThrottle');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+/**
+ * SAFE USER FIELDS
+ * 
+ * Prisma "select" returning only the fields the client may see.
+ * The password hash NEVER leaves the server.
+ */
+const memberSelect = {
+  role: true,
+  isActive: true,
+  createdAt: true,
+  user: {
+    select: { id: true, email: true, mfaEnabled: true, lockedUntil: true }
+  }
+};
+
+/**
+ * Flatten a membership into the user shape the Team page expects.
+ * createdAt is when the user joined this organization.
+ * 
+ * @param {Object} membership - Selected with memberSelect
+ * @returns {Object} { id, email, role, isActive, mfaEnabled, lockedUntil, createdAt }
+ */
+const toUserResponse = ({ user, ...membership }) => ({ ...user, ...membership });
+
+/**
+ * Find a member of the organization by user ID.
+ * Members of other organizations are simply "not found".
+ * 
+ * @param {Object} db - req.db (scoped to the admin's organization)
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Membership (with user) or null
+ */
+const findMember = (db, userId) => db.membership.findFirst({
+  where: { userId },
+  include: { user: true }
+});
+
+const validRoles = Object.values(ROLES);
+
+/**
+ * LAST ADMIN PROTECTION
+ * 
+ * An organization must always keep at least one active ADMIN,
+ * otherwise nobody could manage its users anymore.
+ * 
+ * Returns true if the given user is currently the only active admin.
+ * 
+ * @param {Object} db - req.db (scoped to the admin's organization)
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const isLastActiveAdmin = async (db, userId) => {
+  const otherAdmins = await db.membership.count({
+    where: {
+      role: ROLES.ADMIN,
+      isActive: true,
+      userId: { not: userId }
+    }
+  });
+  return otherAdmins === 0;
+};
+
+/**
+ * LIST USERS
+ * 
+ * Handler for GET /api/users
+ * 
+ * @param {Object} req - Contains req.db (set by auth middleware)
+ * @param {Object} res - Response object
+ */
+const listUsers = async (req, res) => {
+  try {
+    const members = await req.db.membership.findMany({ // SECURITY: Only this organization's members
+      select: memberSelect,
+      orderBy: { user: { email: 'asc' } }
+    });
+
+    res.json(members.map(toUserResponse));
+  } catch (error) {
+    console.error("List users error:", error);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+};
+
+/**
+ * CREATE USER
+ * 
+ * Handler for POST /api/users
+ * 
+ * The admin chooses the initial password and role.
+ * Only for new accounts: someone who already has one (in another
+ * organization) is invited instead, and joins with their own password.
+ * 
+ * @param {Object} req - Contains req.body { email, password, role? } and req.db
+ * @param {Object} res - Response object
+ */
+const createUser = async (req, res) => {
+  const { email, password, role } = req.body;
+
+  /**
+   * INPUT VALIDATION
+   */
+  if (!email || !password) {
+    return res.status(400).json({ error: "Email and password are required" });
+  }
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ error: "Invalid email format" });
+  }
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  if (role && !validRoles.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${validRoles.join(', ')}` });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // The user and their membership, all or nothing
+    const membership = await req.db.$transaction(async (tx) => {
+      const user = await tx.user.create({
+        data: { email: normalizeEmail(email), password: hashedPassword }
+      });
+
+      // SECURITY: req.db always creates it in the admin's organization
+      const created = await tx.membership.create({
+        data: { role: role || ROLES.MEMBER, userId: user.id },
+        select: memberSelect
+      });
+
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.USER_CREATE,
+        targetType: 'user',
+        targetId: user.id,
+        details: { email: user.email, role: created.role }
+      });
+      return created;
+    });
+
+    // 201 = Created
+    res.status(201).json(toUserResponse(membership));
+  } catch (error) {
+    /**
+     * HANDLE PRISMA UNIQUE CONSTRAINT ERROR
+     * 
+     * User.email is unique across ALL organizations.
+     */
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "Email already registered - send an invitation to add an existing account" });
+    }
+
+    console.error("Create user error:", error);
+    res.status(500).json({ error: "Failed to create user" });
+  }
+};
+
+/**
+ * UPDATE USER (ROLE / ACTIVE FLAG)
+ * 
+ * Handler for PATCH /api/users/:id
+ * 
+ * Rules:
+ * - Admins cannot change their own role or deactivate themselves
+ *   (prevents locking yourself out by mistake)
+ * - The last active ADMIN cannot be demoted or deactivated
+ * 
+ * Only the membership in the admin's organization changes: the same user
+ * keeps their role and status in their other organizations.
+ * 
+ * Deactivating a user also revokes their refresh tokens for this organization.
+ * An access token issued before deactivation stays valid until it expires
+ * (ACCESS_TOKEN_TTL).
+ * 
+ * @param {Object} req - Contains req.params.id, req.body { role?, isActive? } and req.user
+ * @param {Object} res - Response object
+ */
+const updateUser = async (req, res) => {
+  const { id } = req.params;
+  const { role, isActive } = req.body;
+  const orgId = req.user.orgId;
+
+  /**
+   * INPUT VALIDATION
+   */
+  if (role === undefined && isActive === undefined) {
+    return res.status(400).json({ error: "At least one field (role or isActive) is required" });
+  }
+
+  if (role !== undefined && !validRoles.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${validRoles.join(', ')}` });
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return res.status(400).json({ error: "isActive must be true or false" });
+  }
+
+  if (id === req.user.userId) {
+    return res.status(400).json({ error: "You cannot change your own role or status" });
+  }
+
+  try {
+    /**
+     * LOAD THE TARGET MEMBERSHIP (SCOPED TO THE ORGANIZATION)
+     * 
+     * Looked up by user ID through req.db (adds organizationId):
+     * users from other organizations are simply "not found".
+     */
+    const member = await findMember(req.db, id);
+
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Would this change remove the organization's last active admin?
+    const losesAdmin = member.role === ROLES.ADMIN && member.isActive
+      && ((role !== undefined && role !== ROLES.ADMIN) || isActive === false);
+    if (losesAdmin && await isLastActiveAdmin(req.db, id)) {
+      return res.status(409).json({ error: "The organization must keep at least one active admin" });
+    }
+
+    // Only include fields that were provided (PATCH semantics)
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const updated = await req.db.$transaction(async (tx) => {
+      const result = await tx.membership.update({
+        where: { id: member.id },
+        data: updateData,
+        select: memberSelect
+      });
+
+      // Before -> after of each field that was sent
+      const changes = Object.fromEntries(Object.keys(updateData).map(field => (
+        [field, { before: member[field], after: result[field] }]
+      )));
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        targetType: 'user',
+        targetId: id,
+        details: { email: member.user.email, ...changes }
+      });
+      return result;
+    });
+
+    if (isActive === false) {
+      await revokeAllSessions(id, orgId);
+    }
+
+    res.json(toUserResponse(updated));
+  } catch (error) {
+    console.error("Update user error:", error);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+};
+
+/**
+ * REMOVE USER
+ * 
+ * Handler for DELETE /api/users/:id
+ * 
+ * Removes the user from the admin's organization (deletes the membership)
+ * and ends their sessions there. The account itself is only deleted when it
+ * belongs to no other organization.
+ * 
+ * Same multi-tenant pattern as deleteAsset: deleteMany() with BOTH
+ * userId AND organizationId, and 404 when nothing matched.
+ * 
+ * @param {Object} req - Contains req.params.id and req.user
+ * @param {Object} res - Response object
+ */
+const deleteUser = async (req, res) => {
+  const { id } = req.params;
+  const orgId = req.user.orgId;
+
+  if (id === req.user.userId) {
+    return res.status(400).json({ error: "You cannot delete your own account" });
+  }
+
+  try {
+    const member = await findMember(req.db, id);
+
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (member.role === ROLES.ADMIN && member.isActive && await isLastActiveAdmin(req.db, id)) {
+      return res.status(409).json({ error: "The organization must keep at least one active admin" });
+    }
+
+    await req.db.$transaction(async (tx) => {
+      await tx.membership.deleteMany({
+        where: { userId: id } // SECURITY: tx is scoped like req.db - only the admin's organization
+      });
+
+      // Their sessions in this organization end with the membership
+      await tx.refreshToken.updateMany({
+        where: { userId: id, organizationId: orgId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+
+      // No organization left: the account goes too
+      const deletedAccount = await tx.user.deleteMany({
+        where: { id, memberships: { none: {} } }
+      });
+
+      await recordAudit(tx, req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        targetType: 'user',
+        targetId: id,
+        details: { email: member.user.email, role: member.role, accountDeleted: deletedAccount.count > 0 }
+      });
+    });
+
+    res.json({ message: "User removed from the organization" });
+  } catch (error) {
+    console.error("Delete user error:", error);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+};
+
+/**
+ * RESET TWO-FACTOR AUTHENTICATION
+ * 
+ * Handler for DELETE /api/users/:id/mfa
+ * 
+ * For users who lost their authenticator app AND their recovery codes.
+ * MFA is turned off and the user is signed out everywhere. If the
+ * organization requires MFA, they must set it up again at their next login.
+ * 
+ * Admins can't reset their own MFA here (they disable it from their account,
+ * which needs a valid code).
+ * 
+ * MFA protects the whole account, so only an admin of EVERY organization the
+ * user belongs to may reset it - otherwise one organization's admin could
+ * weaken the user's access to another one.
+ * 
+ * @param {Object} req - Contains req.params.id and req.user
+ * @param {Object} res - Response object
+ */
+const resetMfa = async (req, res) => {
+  const { id } = req.params;
+  const orgId = req.user.orgId;
+
+  if (id === req.user.userId) {
+    return res.status(400).json({ error: "You cannot reset your own two-factor authentication" });
+  }
+
+  try {
+    const member = await findMember(req.db, id); // SECURITY: Only users of the admin's organization
+
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Deliberately NOT req.db: we need the user's memberships everywhere else
+    const otherOrganizations = await prisma.membership.count({
+      where: { userId: id, organizationId: { not: orgId } }
+    });
+
+    if (otherOrganizations > 0) {
+      return res.status(409).json({
+        error: "This user also belongs to other organizations - they can sign in with a recovery code and set up two-factor again"
+      });
+    }
+
+    await prisma.user.update({ where: { id }, data: MFA_RESET_DATA });
+
+    await revokeAllSessions(id);
+
+    await recordAudit(req.db, req, {
+      action: AUDIT_ACTIONS.USER_MFA_RESET,
+      targetType: 'user',
+      targetId: id,
+      details: { email: member.user.email }
+    });
+
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    console.error("Reset MFA error:", error);
+    res.status(500).json({ error: "Failed to reset two-factor authentication" });
+  }
+};
+
+/**
+ * UNLOCK ACCOUNT
+ * 
+ * Handler for POST /api/users/:id/unlock
+ * 
+ * Accounts are locked for a while after too many failed logins
+ * (see services/loginThrottle.js). Once the admin has checked with the
+ * user, they can lift the lock instead of waiting.
+ * 
+ * @param {Object} req - Contains req.params.id and req.db
+ * @param {Object} res - Response object
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const member = await findMember(req.db, req.params.id); // SECURITY: Only users of the admin's organization
+
+    if (!member) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    await unlockAccount(member.user);
+    await recordAudit(req.db, req, {
+      action: AUDIT_ACTIONS.USER_UNLOCK,
+      targetType: 'user',
+      targetId: member.userId,
+      details: { email: member.user.email }
+    });
+
+    res.json({ message: "Account unlocked" });
+  } catch (error) {
+    console.error("Unlock user error:", error);
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listUsers, createUser, updateUser, deleteUser, resetMfa, unlockUser };
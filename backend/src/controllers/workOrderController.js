@@ -0,0 +1,363 @@
+/**
+ * WORK ORDER CONTROLLER
+ * 
+ * Maintenance work on assets (see services/maintenance.js):
+ * - GET /api/work-orders - Work orders of the organization, filtered and paginated
+ * - POST /api/work-orders - Open a work order by hand
+ * - PATCH /api/work-orders/:id - Change its title, due date, assignee, notes or cost
+ * - POST /api/work-orders/:id/complete - The work is done
+ * - POST /api/work-orders/:id/cancel - The work won't be done
+ * 
+ * Opening a work order puts its asset in maintenance; completing or
+ * cancelling the asset's last open one puts it back in service. Work orders
+ * are never deleted: closed ones are the maintenance history of the asset.
+ * 
+ * Role checks happen BEFORE these handlers run (authorize middleware in server.js):
+ * - List: 'assets:read'
+ * - Everything else: 'assets:write' (ADMIN, MEMBER)
+ * 
+ * Multi-tenant security: every query goes through req.db, which adds
+ * organizationId: req.user.orgId (see db/tenant.js).
+ */
+
+const { parsePagination, toPage } = require('../utils/pagination');
+const { lockAsset } = require('../services/assetHistory');
+const { today } = require('../services/assignments');
+const { WORK_ORDER_INCLUDE, toWorkOrder, openWorkOrder, closeWorkOrder } = require('../services/maintenance');
+const { parseDate } = require('../utils/validation');
+
+// Longest title and notes
+const MAX_TITLE_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+
+// Largest cost that fits in Decimal(12, 2)
+const MAX_COST = 9999999999.99;
+
+// Allowed ?status= values
+const STATUSES = ['OPEN', 'DONE', 'CANCELLED'];
+
+/**
+ * Check a title.
+ * 
+ * @param {*} title
+ * @returns {string} The trimmed title
+ * @throws {Error} status 400 when it is missing or too long
+ */
+const parseTitle = (title) => {
+  if (typeof title !== 'string' || !title.trim()) {
+    throw Object.assign(new Error("Title is required"), { status: 400 });
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    throw Object.assign(new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`), { status: 400 });
+  }
+  return title.trim();
+};
+
+/**
+ * Check optional notes.
+ * 
+ * @param {*} notes
+ * @returns {string|null} The trimmed notes (null when empty)
+ * @throws {Error} status 400 when they aren't a string or are too long
+ */
+const parseNotes = (notes) => {
+  if (notes === null || notes === '') return null;
+  if (typeof notes !== 'string') {
+    throw Object.assign(new Error("notes must be a string"), { status: 400 });
+  }
+  if (notes.trim().length > MAX_NOTES_LENGTH) {
+    throw Object.assign(new Error(`notes must be at most ${MAX_NOTES_LENGTH} characters`), { status: 400 });
+  }
+  return notes.trim() || null;
+};
+
+/**
+ * Check an optional cost: a number of at least 0, rounded to the cent.
+ * 
+ * @param {*} cost
+ * @returns {number|null}
+ * @throws {Error} status 400 otherwise
+ */
+const parseCost = (cost) => {
+  if (cost === null || cost === '') return null;
+  if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0 || cost > MAX_COST) {
+    throw Object.assign(new Error(`cost must be a number between 0 and ${MAX_COST}`), { status: 400 });
+  }
+  return Math.round(cost * 100) / 100;
+};
+
+/**
+ * Check an optional assignee: an active member of the organization.
+ * 
+ * @param {Object} tx - Transaction client of req.db (only finds OUR members)
+ * @param {*} assigneeId
+ * @returns {Promise<string|null>}
+ * @throws {Error} status 400 otherwise
+ */
+const parseAssignee = async (tx, assigneeId) => {
+  if (assigneeId === null || assigneeId === '') return null;
+  if (typeof assigneeId !== 'string' || !(await tx.membership.findFirst({ where: { userId: assigneeId, isActive: true } }))) {
+    throw Object.assign(new Error("Assignee not found or inactive"), { status: 400 });
+  }
+  return assigneeId;
+};
+
+/**
+ * LIST WORK ORDERS
+ * 
+ * Handler for GET /api/work-orders?status=OPEN&overdue=true&assetId=...&page=1&pageSize=25
+ * 
+ * Query parameters (all optional):
+ * - status: OPEN, DONE or CANCELLED
+ * - overdue: "true" - open work orders whose due date has passed
+ * - assetId: work orders of one asset
+ * 
+ * Open work orders come first, the soonest due first (no due date last),
+ * then closed ones, the most recently closed first. Work orders of assets
+ * in the trash are left out.
+ * 
+ * Response (see utils/pagination.js):
+ * { data: [ ...work orders (toWorkOrder) ], pagination: { page, pageSize, total, totalPages } }
+ * 
+ * @param {Object} req - Contains req.query and req.db
+ * @param {Object} res - Response object
+ */
+const listWorkOrders = async (req, res) => {
+  const { status, overdue, assetId } = req.query;
+
+  try {
+    const pagination = parsePagination(req.query);
+
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (assetId !== undefined && typeof assetId !== 'string') {
+      return res.status(400).json({ error: "assetId must be an ID" });
+    }
+
+    const where = {
+      asset: { deletedAt: null },
+      ...(status && { status }),
+      ...(assetId && { assetId }),
+      ...(overdue === 'true' && { status: 'OPEN', dueDate: { lt: new Date(`${today()}T00:00:00Z`) } })
+    };
+
+    const [workOrders, total] = await Promise.all([
+      req.db.workOrder.findMany({ // SECURITY: Only this organization's work orders
+        where,
+        orderBy: [
+          { closedAt: { sort: 'desc', nulls: 'first' } }, // Open work orders (not closed) first
+          { dueDate: { sort: 'asc', nulls: 'last' } },
+          { createdAt: 'desc' },
+          { id: 'asc' }
+        ],
+        skip: pagination.skip,
+        take: pagination.take,
+        include: WORK_ORDER_INCLUDE
+      }),
+      req.db.workOrder.count({ where })
+    ]);
+
+    res.json(toPage(workOrders.map(toWorkOrder), total, pagination));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("List work orders error:", error);
+    res.status(500).json({ error: "Failed to fetch work orders" });
+  }
+};
+
+/**
+ * OPEN A WORK ORDER
+ * 
+ * Handler for POST /api/work-orders
+ * 
+ * Body:
+ * {
+ *   assetId: "...",
+ *   title: "Replace the battery",
+ *   dueDate: "2025-06-30",   // optional
+ *   assigneeId: "...",       // optional - an active member
+ *   notes: "Model XB-12"     // optional
+ * }
+ * 
+ * Refused (409) for an asset in a retired status. The asset goes into the
+ * organization's maintenance status (see services/maintenance.js).
+ * 
+ * Response: 201 - the work order
+ * 
+ * @param {Object} req - Contains req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const createWorkOrder = async (req, res) => {
+  const { assetId } = req.body;
+
+  try {
+    if (typeof assetId !== 'string' || !assetId) {
+      return res.status(400).json({ error: "assetId is required" });
+    }
+    const title = parseTitle(req.body.title);
+    const dueDate = parseDate(req.body.dueDate, 'dueDate');
+    const notes = parseNotes(req.body.notes ?? null);
+
+    const workOrder = await req.db.$transaction(async (tx) => {
+      // SECURITY: only finds (and locks) assets of the user's organization, not in the trash
+      if (!(await lockAsset(tx, req.user.orgId, assetId))) {
+        throw Object.assign(new Error("Asset not found or unauthorized"), { status: 404 });
+      }
+
+      const assigneeId = await parseAssignee(tx, req.body.assigneeId ?? null);
+      const asset = await tx.asset.findUnique({ where: { id: assetId } });
+      return openWorkOrder(tx, req, asset, { title, dueDate, assigneeId, notes });
+    });
+
+    res.status(201).json(workOrder);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Create work order error:", error);
+    res.status(500).json({ error: "Failed to create work order" });
+  }
+};
+
+/**
+ * UPDATE A WORK ORDER
+ * 
+ * Handler for PATCH /api/work-orders/:id
+ * 
+ * Body (at least one): title, dueDate, assigneeId, notes, cost - null
+ * clears an optional field. Once a work order is closed only its notes and
+ * cost can change (e.g. the invoice arrived later).
+ * 
+ * Response: the work order
+ * 
+ * @param {Object} req - Contains req.params.id, req.body and req.db
+ * @param {Object} res - Response object
+ */
+const updateWorkOrder = async (req, res) => {
+  const { id } = req.params;
+  const { title, dueDate, assigneeId, notes, cost } = req.body;
+
+  try {
+    if ([title, dueDate, assigneeId, notes, cost].every(value => value === undefined)) {
+      return res.status(400).json({ error: "At least one field (title, dueDate, assigneeId, notes or cost) is required" });
+    }
+
+    const data = {
+      ...(title !== undefined && { title: parseTitle(title) }),
+      ...(dueDate !== undefined && { dueDate: parseDate(dueDate, 'dueDate') }),
+      ...(notes !== undefined && { notes: parseNotes(notes) }),
+      ...(cost !== undefined && { cost: parseCost(cost) })
+    };
+
+    const workOrder = await req.db.$transaction(async (tx) => {
+      // SECURITY: tx only finds this organization's work orders
+      const current = await tx.workOrder.findFirst({ where: { id, asset: { deletedAt: null } } });
+      if (!current) {
+        throw Object.assign(new Error("Work order not found"), { status: 404 });
+      }
+      if (current.status !== 'OPEN' && [title, dueDate, assigneeId].some(value => value !== undefined)) {
+        throw Object.assign(new Error("Only the notes and cost of a closed work order can change"), { status: 409 });
+      }
+      const assignee = assigneeId === undefined ? {} : { assigneeId: await parseAssignee(tx, assigneeId) };
+
+      return tx.workOrder.update({ where: { id }, data: { ...data, ...assignee }, include: WORK_ORDER_INCLUDE });
+    });
+
+    res.json(toWorkOrder(workOrder));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // Its plan already has a work order for the asset on that date
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: "This plan already has a work order for the asset on that date" });
+    }
+    console.error("Update work order error:", error);
+    res.status(500).json({ error: "Failed to update work order" });
+  }
+};
+
+/**
+ * Complete or cancel a work order (the two handlers below).
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {string} status - 'DONE' or 'CANCELLED'
+ * @param {Object} changes - { notes, cost } - undefined keeps the current value
+ * @returns {Promise<Object>} The closed work order
+ */
+const closeById = (req, status, changes) => req.db.$transaction(async (tx) => {
+  const workOrder = await tx.workOrder.findFirst({ where: { id: req.params.id, asset: { deletedAt: null } } });
+  if (!workOrder) {
+    throw Object.assign(new Error("Work order not found"), { status: 404 });
+  }
+
+  // The asset's status may change: lock it like any other asset change
+  await lockAsset(tx, req.user.orgId, workOrder.assetId);
+  return closeWorkOrder(tx, req, workOrder, status, changes);
+});
+
+/**
+ * COMPLETE A WORK ORDER
+ * 
+ * Handler for POST /api/work-orders/:id/complete
+ * 
+ * Body (optional): { notes: "Battery replaced", cost: 89.9 }
+ * 
+ * Refused (409) when it is already closed. If it was the asset's last open
+ * work order, the asset is active again.
+ * 
+ * Response: the work order
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const completeWorkOrder = async (req, res) => {
+  try {
+    const { notes, cost } = req.body || {};
+    const workOrder = await closeById(req, 'DONE', {
+      notes: notes === undefined ? undefined : parseNotes(notes),
+      cost: cost === undefined ? undefined : parseCost(cost)
+    });
+
+    res.json(workOrder);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Complete work order error:", error);
+    res.status(500).json({ error: "Failed to complete work order" });
+  }
+};
+
+/**
+ * CANCEL A WORK ORDER
+ * 
+ * Handler for POST /api/work-orders/:id/cancel
+ * 
+ * Body (optional): { notes: "Asset replaced instead" }
+ * 
+ * Like completing it, but the work wasn't done.
+ * 
+ * @param {Object} req - Contains req.params.id, req.body, req.user and req.db
+ * @param {Object} res - Response object
+ */
+const cancelWorkOrder = async (req, res) => {
+  try {
+    const notes = req.body?.notes;
+    const workOrder = await closeById(req, 'CANCELLED', { notes: notes === undefined ? undefined : parseNotes(notes) });
+
+    res.json(workOrder);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Cancel work order error:", error);
+    res.status(500).json({ error: "Failed to cancel work order" });
+  }
+};
+
+// Export all controller functions so server.js can use them
+module.exports = { listWorkOrders, createWorkOrder, updateWorkOrder, completeWorkOrder, cancelWorkOrder };
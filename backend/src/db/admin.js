@@ -0,0 +1,52 @@
+/**
+ * PRIVILEGED (ADMIN) PRISMA CLIENT
+ * 
+ * Postgres row-level security limits Asset, AssetRevision, AssetAssignment,
+ * AssetMovement, AssetStatus, AuditLog, Category, CustomField, Location,
+ * MaintenancePlan and WorkOrder rows to the organization whose context the query runs in
+ * (see db/tenant.js). The app's
+ * connection (DATABASE_URL) must NOT be able to skip that.
+ * 
+ * User has no row-level security: accounts are shared between organizations
+ * and the shared client (db/prisma.js) reads them before any organization is
+ * known. Application code keeps users apart, by reaching them through the
+ * caller's organization's Membership rows (see the user_outside_rls migration).
+ * 
+ * This client connects with DATABASE_ADMIN_URL, a database role that
+ * bypasses row-level security (table owner with BYPASSRLS, or superuser).
+ * It sees every organization's data, so it is ONLY for:
+ * - prisma/seed.js
+ * - platform-admin scripts and jobs that work across organizations
+ * 
+ * Never import it from controllers, middleware or anything a request reaches.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+let adminClient = null;
+
+/**
+ * GET THE ADMIN CLIENT
+ * 
+ * Created on first use, so nothing connects with the privileged role unless
+ * an admin script actually needs it.
+ * 
+ * @returns {PrismaClient}
+ * @throws {Error} if DATABASE_ADMIN_URL is not set
+ */
+const getAdminClient = () => {
+  if (!process.env.DATABASE_ADMIN_URL) {
+    throw new Error("DATABASE_ADMIN_URL is not set (see ENV_SETUP.md)");
+  }
+
+  if (!adminClient) {
+    adminClient = new PrismaClient({
+      datasourceUrl: process.env.DATABASE_ADMIN_URL,
+      log: ['error']
+    });
+  }
+
+  return adminClient;
+};
+
+module.exports = { getAdminClient };
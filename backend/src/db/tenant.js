@@ -0,0 +1,235 @@
+/**
+ * TENANT-SCOPED PRISMA CLIENT
+ * 
+ * Every row of a tenant-owned model (Asset, Category, ...) has an
+ * organizationId. Instead of each handler remembering to add
+ * `organizationId: req.user.orgId` to every query, forTenant(orgId) returns
+ * a client (a Prisma client extension on top of db/prisma.js) that adds it
+ * itself:
+ * - reads, updates and deletes only match the organization's rows
+ * - creates always write the organization's ID
+ * 
+ * middleware/auth.js attaches one to every authenticated request as req.db:
+ * 
+ *   const assets = await req.db.asset.findMany();            // this organization only
+ *   await req.db.asset.create({ data: { name, ... } });       // organizationId added
+ * 
+ * A query on a tenant model WITHOUT an organization throws instead of
+ * silently reading every tenant's data.
+ * 
+ * Models without an organizationId (User, RefreshToken, ...) pass through
+ * unchanged. Flows that run before we know the organization (login, accepting
+ * an invitation, API key lookup, ...) keep using db/prisma.js directly.
+ * 
+ * Limit: only the top-level query is scoped. Nested relation writes, such as
+ * `category: { connect: { id } }`, are not - load the related record through
+ * req.db first.
+ * 
+ * SECOND LAYER - POSTGRES ROW-LEVEL SECURITY
+ * 
+ * The database enforces the same rule (see the row_level_security migration
+ * and later ones): Asset, AssetRevision, AssetAssignment, AssetMovement, AssetStatus,
+ * AuditLog, Category, CustomField, Location, MaintenancePlan and WorkOrder rows are
+ * only visible when the Postgres setting app.current_org matches. req.db runs
+ * every query in a small transaction that sets it first, so even a query
+ * that slipped past the filters above can't return another organization's rows.
+ * 
+ * User is NOT protected this way (see the user_outside_rls migration):
+ * accounts are shared between organizations and read before any organization
+ * is known. Keeping users apart is up to the application code (go through
+ * Membership, see services/memberships.js).
+ * 
+ * - Interactive transactions work: req.db.$transaction(async (tx) => ...)
+ *   sets app.current_org once for the whole transaction
+ * - Raw SQL ($queryRaw) is not a model query: run it inside such a transaction
+ * - Array transactions (req.db.$transaction([...])) are refused - use the callback form
+ */
+
+// The shared client - extensions reuse its connection pool
+const prisma = require('./prisma');
+
+/**
+ * TENANT-OWNED MODELS
+ * 
+ * Every model here has a required organizationId column.
+ * Add new tenant-owned models to this list.
+ */
+const TENANT_MODELS = new Set([
+  'Asset',
+  'AssetRevision',
+  'AssetAssignment',
+  'AssetMovement',
+  'AssetStatus',
+  'AuditLog',
+  'Category',
+  'CustomField',
+  'Location',
+  'MaintenancePlan',
+  'WorkOrder',
+  'Membership',
+  'Invitation',
+  'ApiKey',
+  'OidcConfig'
+]);
+
+/**
+ * Operations whose "where" is a unique input (id, compound keys...).
+ * Prisma accepts extra filters next to the unique fields, so we add
+ * organizationId right there.
+ */
+const UNIQUE_WHERE_OPERATIONS = new Set([
+  'findUnique', 'findUniqueOrThrow', 'update', 'delete', 'upsert'
+]);
+
+/**
+ * Operations with a regular "where" filter: organizationId is ANDed
+ * with whatever the caller asked for.
+ */
+const FILTER_OPERATIONS = new Set([
+  'findFirst', 'findFirstOrThrow', 'findMany', 'count', 'aggregate', 'groupBy',
+  'updateMany', 'updateManyAndReturn', 'deleteMany'
+]);
+
+/**
+ * Operations that insert rows.
+ */
+const CREATE_OPERATIONS = new Set(['create', 'createMany', 'createManyAndReturn']);
+
+/**
+ * Write the organization's ID into data being created.
+ * Using relation syntax (organization: { connect }) would bypass it, so it's refused.
+ * 
+ * @param {string} model
+ * @param {Object} data
+ * @param {string} orgId
+ * @returns {Object}
+ */
+const withOrganization = (model, data, orgId) => {
+  if (data.organization) {
+    throw new Error(`${model}: set organizationId through the tenant client, not the organization relation`);
+  }
+  return { ...data, organizationId: orgId };
+};
+
+/**
+ * Add the organization to the arguments of one query.
+ * 
+ * @param {string} model - Prisma model name, e.g. 'Asset'
+ * @param {string} operation - e.g. 'findMany'
+ * @param {Object} args - Arguments the caller passed
+ * @param {string} orgId
+ * @returns {Object} Scoped arguments
+ */
+const scopeArgs = (model, operation, args, orgId) => {
+  const scoped = { ...args };
+
+  if (UNIQUE_WHERE_OPERATIONS.has(operation)) {
+    scoped.where = { ...args.where, organizationId: orgId };
+  } else if (FILTER_OPERATIONS.has(operation)) {
+    scoped.where = args.where ? { AND: [args.where, { organizationId: orgId }] } : { organizationId: orgId };
+  } else if (!CREATE_OPERATIONS.has(operation)) {
+    // A new Prisma operation we don't know how to scope - refuse rather than leak
+    throw new Error(`${model}.${operation} is not supported by the tenant client`);
+  }
+
+  if (operation === 'create') {
+    scoped.data = withOrganization(model, args.data, orgId);
+  }
+
+  if (operation === 'createMany' || operation === 'createManyAndReturn') {
+    const rows = Array.isArray(args.data) ? args.data : [args.data];
+    scoped.data = rows.map(row => withOrganization(model, row, orgId));
+  }
+
+  if (operation === 'upsert') {
+    scoped.create = withOrganization(model, args.create, orgId);
+  }
+
+  return scoped;
+};
+
+/**
+ * SET THE ROW-LEVEL SECURITY TENANT
+ * 
+ * set_config(..., TRUE) only lasts until the end of the current transaction,
+ * so a pooled connection never carries it over to the next request.
+ * 
+ * Also used by flows that create an organization's first rows before anyone
+ * is signed in to it (registration).
+ * 
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} orgId
+ * @returns {Promise} Raw query to run first in the transaction
+ */
+const setTenant = (client, orgId) => client.$executeRaw`SELECT set_config('app.current_org', ${orgId}, TRUE)`;
+
+/**
+ * CREATE A CLIENT BOUND TO ONE ORGANIZATION
+ * 
+ * Cheap to call: the extensions share the connection pool of db/prisma.js.
+ * 
+ * Two layers:
+ * 1. scoped - adds organizationId to queries on tenant models
+ * 2. the returned client - also sets app.current_org for row-level security,
+ *    around every query and every interactive transaction
+ * 
+ * @param {string|null|undefined} orgId - The organization (req.user.orgId)
+ * @returns {Object} Prisma client that only sees that organization's data
+ */
+const forTenant = (orgId) => {
+  const scoped = prisma.$extends({
+    name: 'tenant',
+    query: {
+      $allModels: {
+        async $allOperations({ model, operation, args, query }) {
+          if (!TENANT_MODELS.has(model)) {
+            return query(args);
+          }
+
+          // SECURITY: No organization, no tenant data
+          if (!orgId) {
+            throw new Error(`${model}.${operation} called without an organization (tenant context)`);
+          }
+
+          return query(scopeArgs(model, operation, args ?? {}, orgId));
+        }
+      }
+    }
+  });
+
+  return scoped.$extends({
+    name: 'tenant-rls',
+    query: {
+      $allModels: {
+        async $allOperations({ args, query }) {
+          if (!orgId) {
+            return query(args);
+          }
+
+          const [, result] = await scoped.$transaction([setTenant(scoped, orgId), query(args)]);
+          return result;
+        }
+      }
+    },
+    client: {
+      /**
+       * Interactive transactions set the tenant once, then run the callback
+       * with a transaction client that still adds organizationId (layer 1).
+       */
+      $transaction(callback, options) {
+        if (typeof callback !== 'function') {
+          throw new Error('Use req.db.$transaction(async (tx) => ...) - array transactions are not supported by the tenant client');
+        }
+
+        return scoped.$transaction(async (tx) => {
+          if (orgId) {
+            await setTenant(tx, orgId);
+          }
+          return callback(tx);
+        }, options);
+      }
+    }
+  });
+};
+
+module.exports = { forTenant, setTenant, TENANT_MODELS };
@@ -1,20 +1,69 @@
 /**
  * AUTHENTICATION MIDDLEWARE
  * 
- * This middleware protects routes by verifying JWT (JSON Web Token) tokens.
+ * This middleware protects routes by verifying JWT (JSON Web Token) tokens
+ * or API keys.
  * 
  * How it works:
  * 1. Client sends token in Authorization header: "Bearer <token>"
+ *    (or, for scripts, an API key in the X-API-Key header)
  * 2. Middleware extracts and verifies the token
  * 3. If valid, adds user info to req.user and calls next()
  * 4. If invalid, returns error and stops the request
  * 
  * This runs BEFORE the route handler, so protected routes automatically
- * have access to req.user (containing userId and orgId)
+ * have access to req.user (containing userId, orgId and role) and req.db,
+ * a Prisma client scoped to that organization (see db/tenant.js)
  */
 
 const jwt = require('jsonwebtoken');
 
+const { forTenant } = require('../db/tenant');
+
+const { findActiveApiKey, touchApiKey } = require('../services/apiKeys');
+
+/**
+ * API KEY AUTHENTICATION
+ * 
+ * Used when the request has an X-API-Key header (see services/apiKeys.js).
+ * 
+ * req.user gets the SAME orgId field as with a JWT, so every controller keeps
+ * scoping its queries with req.user.orgId. There is no user behind a key:
+ * - userId and role are null
+ * - apiKeyId and scopes are set - middleware/authorize.js checks the scopes
+ *   instead of the role
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Callback to continue to next middleware/route
+ */
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await findActiveApiKey(req.headers['x-api-key']);
+
+    // Same message for unknown, revoked and expired keys
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+
+    touchApiKey(apiKey);
+
+    req.user = {
+      userId: null,
+      orgId: apiKey.organizationId,
+      role: null,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes
+    };
+    req.db = forTenant(req.user.orgId);
+
+    next();
+  } catch (error) {
+    console.error("API key authentication error:", error);
+    res.status(500).json({ error: "Server authentication error" });
+  }
+};
+
 /**
  * AUTHENTICATION MIDDLEWARE FUNCTION
  * 
@@ -26,6 +75,11 @@ const jwt = require('jsonwebtoken');
  * - Must call next() to continue, or send a response to stop
  */
 const authenticate = (req, res, next) => {
+  // Scripts and tools authenticate with an API key instead of a JWT
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next);
+  }
+
   /**
    * EXTRACT TOKEN FROM REQUEST HEADER
    * 
@@ -66,8 +120,24 @@ const authenticate = (req, res, next) => {
    * If invalid, err will contain the error reason
    */
   jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      // Token is invalid, expired, or tampered with
+    /**
+     * EXPIRED TOKEN -> 401
+     * 
+     * Access tokens are short-lived. 401 tells the client to get a new one
+     * with its refresh token (POST /api/auth/refresh) and retry.
+     */
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: "Session expired" });
+    }
+
+    /**
+     * INVALID TOKEN -> 403
+     * 
+     * Also rejects MFA challenge tokens (they carry a "purpose" claim):
+     * they only prove the password, not the second factor.
+     */
+    if (err || user.purpose) {
+      // Token is invalid, tampered with, or not an access token
       return res.status(403).json({ error: "Invalid session" });
     }
 
@@ -75,12 +145,18 @@ const authenticate = (req, res, next) => {
      * TOKEN IS VALID - ATTACH USER INFO TO REQUEST
      * 
      * The 'user' object contains the payload we signed during login:
-     * { userId: user.id, orgId: user.organizationId }
+     * { userId, orgId, role } - the organization the session is signed in to
+     * and the user's role there (see services/session.js), plus sso: true
+     * for single sign-on sessions
      * 
      * By attaching it to req.user, the route handler can access it:
      * const orgId = req.user.orgId;
+     * 
+     * req.db only sees that organization's data:
+     * req.db.asset.findMany() lists this organization's assets.
      */
     req.user = user;
+    req.db = forTenant(user.orgId);
 
     // Call next() to continue to the route handler
     next();
@@ -0,0 +1,48 @@
+/**
+ * AUTHORIZATION MIDDLEWARE
+ * 
+ * Authentication answers "who are you?" (middleware/auth.js).
+ * Authorization answers "are you allowed to do this?" (this file).
+ * 
+ * Usage in server.js - always AFTER authenticate, because we need req.user:
+ *   app.delete('/api/assets/:id', authenticate, authorize(PERMISSIONS.ASSETS_DELETE), deleteAsset);
+ */
+
+const { hasPermission } = require('../config/roles');
+
+/**
+ * AUTHORIZATION MIDDLEWARE FACTORY
+ * 
+ * authorize() is a function that RETURNS a middleware.
+ * This lets each route say which permission it needs.
+ * 
+ * @param {string} permission - Permission required by the route (e.g. 'assets:write')
+ * @returns {Function} Express middleware (req, res, next)
+ */
+const authorize = (permission) => (req, res, next) => {
+  /**
+   * CHECK THE ROLE CARRIED IN THE TOKEN
+   * 
+   * req.user.role comes from the JWT signed at login.
+   * Tokens issued before roles existed have no role and get no permissions,
+   * so those users simply need to log in again.
+   * 
+   * HTTP Status Codes:
+   * - 401 = not authenticated (handled by authenticate)
+   * - 403 = Forbidden (authenticated, but not allowed)
+   * 
+   * API keys (req.user.apiKeyId, see middleware/auth.js) have no role:
+   * the scopes chosen when the key was created decide instead.
+   */
+  const allowed = req.user?.apiKeyId
+    ? req.user.scopes.includes(permission)
+    : hasPermission(req.user?.role, permission);
+
+  if (!req.user || !allowed) {
+    return res.status(403).json({ error: "You do not have permission to perform this action" });
+  }
+
+  next();
+};
+
+module.exports = authorize;
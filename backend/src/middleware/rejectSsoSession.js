@@ -0,0 +1,26 @@
+/**
+ * REJECT SSO SESSION MIDDLEWARE
+ * 
+ * A session started with single sign-on (req.user.sso, see services/session.js)
+ * is vouched for by ONE organization's identity provider - and that provider
+ * is chosen by the organization's admin. It is good enough for that
+ * organization's data, but not for changing the account itself, which may
+ * also be used in other organizations: two-factor settings, signing out
+ * every session. Those need a password session.
+ * 
+ * Usage in server.js - always AFTER authenticate and requireUser:
+ *   app.post('/api/auth/logout-all', authenticate, requireUser, rejectSsoSession, logoutAll);
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Callback to continue to next middleware/route
+ */
+const rejectSsoSession = (req, res, next) => {
+  if (req.user.sso) {
+    return res.status(403).json({ error: "You signed in with single sign-on. Log in with your password to change your account." });
+  }
+
+  next();
+};
+
+module.exports = rejectSsoSession;
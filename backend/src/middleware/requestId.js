@@ -0,0 +1,37 @@
+/**
+ * REQUEST ID MIDDLEWARE
+ * 
+ * Gives every request an ID (req.id), sent back in the X-Request-Id
+ * response header. The audit log stores it with each entry
+ * (see services/auditLog.js), so a line of the log can be matched with the
+ * server logs and with what the user saw ("the error mentioned request 5f1c...").
+ * 
+ * A proxy or client may send its own X-Request-Id (Railway and most load
+ * balancers do): it is kept when it looks like an ID, so one request can be
+ * followed through every hop. Anything else gets a fresh UUID.
+ * 
+ * Usage in server.js - first, before any route:
+ *   app.use(requestId);
+ */
+
+const crypto = require('crypto');
+
+// Letters, digits and - _ . : only, at most 128 characters (no log injection)
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * REQUEST ID MIDDLEWARE FUNCTION
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Callback to continue to next middleware/route
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,24 @@
+/**
+ * REQUIRE USER MIDDLEWARE
+ * 
+ * Some routes only make sense for a person: "my account", signing out,
+ * organization settings, managing API keys, ...
+ * API keys (see middleware/auth.js) have no user behind them, so they
+ * are rejected here.
+ * 
+ * Usage in server.js - always AFTER authenticate:
+ *   app.post('/api/auth/logout-all', authenticate, requireUser, logoutAll);
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Callback to continue to next middleware/route
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user || !req.user.userId) {
+    return res.status(403).json({ error: "This action requires a user session" });
+  }
+
+  next();
+};
+
+module.exports = requireUser;
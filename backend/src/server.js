@@ -17,12 +17,63 @@ const express = require('express');
 const cors = require('cors');
 
 // Import route handlers (controllers) - these contain the business logic
-const { login } = require('./controllers/authController');
-const { getAssets, createAsset, deleteAsset, updateAsset } = require('./controllers/assetController');
+const { login, register, refresh, switchOrganization, logout, logoutAll } = require('./controllers/authController');
+const { forgotPassword, resetPassword } = require('./controllers/passwordResetController');
+const {
+  getAssets, searchAssets, createAsset, deleteAsset, updateAsset, getAssetHistory, revertAsset
+} = require('./controllers/assetController');
+const { listUsers, createUser, updateUser, deleteUser, resetMfa, unlockUser } = require('./controllers/userController');
+const {
+  verifyLoginMfa, setupLoginMfa, enableLoginMfa,
+  getMfaStatus, setupMfa, enableMfa, disableMfa, createRecoveryCodes
+} = require('./controllers/mfaController');
+const { getOrganization, updateOrganization } = require('./controllers/organizationController');
+const { startSso, ssoCallback, exchangeSso, getSsoConfig, updateSsoConfig } = require('./controllers/ssoController');
+const { createApiKey, listApiKeys, revokeApiKey } = require('./controllers/apiKeyController');
+const { listCategories, createCategory, updateCategory, deleteCategory } = require('./controllers/categoryController');
+const { createField, updateField, deleteField } = require('./controllers/customFieldController');
+const {
+  listLocations, createLocation, updateLocation, deleteLocation, getAssetMovements
+} = require('./controllers/locationController');
+const { listStatuses, createStatus, updateStatus, deleteStatus } = require('./controllers/assetStatusController');
+const { listPlans, createPlan, updatePlan, deletePlan } = require('./controllers/maintenancePlanController');
+const {
+  listWorkOrders, createWorkOrder, updateWorkOrder, completeWorkOrder, cancelWorkOrder
+} = require('./controllers/workOrderController');
+const { listAuditLog, exportAuditLog } = require('./controllers/auditLogController');
+const { listTrash, restoreAsset, purgeAsset } = require('./controllers/trashController');
+const {
+  checkoutAsset, checkinAsset, getAssetAssignments, getMyAssets, listAssignees
+} = require('./controllers/assignmentController');
+const {
+  createInvitation, listInvitations, revokeInvitation, previewInvitation, acceptInvitation
+} = require('./controllers/invitationController');
 
 // Import authentication middleware - runs before protected routes
 const authenticate = require('./middleware/auth');
 
+// Import authorization middleware - checks the user's role grants a permission
+const authorize = require('./middleware/authorize');
+
+// Gives every request an ID (X-Request-Id), kept in the audit log
+const requestId = require('./middleware/requestId');
+
+// Rejects API keys on routes that only make sense for a person
+const requireUser = require('./middleware/requireUser');
+
+// Rejects single sign-on sessions on routes that change the whole account
+const rejectSsoSession = require('./middleware/rejectSsoSession');
+const { PERMISSIONS } = require('./config/roles');
+
+// Proxy setting for req.ip (see config/app.js)
+const { TRUST_PROXY } = require('./config/app');
+
+// Deletes assets that stayed in the trash longer than TRASH_RETENTION_DAYS
+const { startTrashPurge } = require('./services/trash');
+
+// Opens the work orders of maintenance plans when they are due
+const { startMaintenanceScheduler } = require('./services/maintenance');
+
 /**
  * CREATE EXPRESS APPLICATION
  * 
@@ -31,6 +82,9 @@ const authenticate = require('./middleware/auth');
  */
 const app = express();
 
+// Real client IP behind Railway's proxy (login throttling is per IP)
+app.set('trust proxy', TRUST_PROXY);
+
 /**
  * MIDDLEWARE SETUP
  * 
@@ -38,10 +92,14 @@ const app = express();
  * They can modify the request/response or end the request early.
  */
 
+// Request ID first, so every response (even an error) carries it
+app.use(requestId);
+
 // CORS middleware - configure allowed origins
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*', // Allow all in dev, restrict in production
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id'] // Readable by the React app (e.g. to quote in a bug report)
 }));
 
 // JSON parser middleware - automatically parses JSON request bodies
@@ -60,26 +118,289 @@ app.use(express.json());
 // ========== PUBLIC ROUTES (No authentication required) ==========
 // POST /api/auth/login - User login endpoint
 // Anyone can try to log in, so no authentication middleware needed
+// Repeated failures are throttled with a 429 (see services/loginThrottle.js)
 app.post('/api/auth/login', login);
 
+// POST /api/auth/register - Self-service signup
+// Creates a new Organization, its default categories and the first (admin) user
+app.post('/api/auth/register', register);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access + refresh token
+// Public: the access token has usually expired when the client calls this
+app.post('/api/auth/refresh', refresh);
+
+// POST /api/auth/logout - Revoke the session of the given refresh token
+app.post('/api/auth/logout', logout);
+
+// POST /api/auth/forgot-password - Email a password reset link
+// POST /api/auth/reset-password - Choose a new password with the emailed token
+// Public: same answer for every email, so it can't be used to find accounts
+app.post('/api/auth/forgot-password', forgotPassword);
+app.post('/api/auth/reset-password', resetPassword);
+
+// Two-step login for users with two-factor authentication (MFA)
+// Public: the mfaToken returned by /api/auth/login proves the password step
+// POST /api/auth/mfa/verify - Code from the authenticator app (or a recovery code)
+// POST /api/auth/mfa/setup + /api/auth/mfa/enable - Enrolment required by the organization
+app.post('/api/auth/mfa/verify', verifyLoginMfa);
+app.post('/api/auth/mfa/setup', setupLoginMfa);
+app.post('/api/auth/mfa/enable', enableLoginMfa);
+
+// Single sign-on with the organization's identity provider (OpenID Connect)
+// GET /api/auth/sso/:slug/start - The browser is redirected to the provider
+// GET /api/auth/sso/callback - The provider redirects back, then to the React app with a one-time code
+// POST /api/auth/sso/exchange - The React app trades the code for a session
+app.get('/api/auth/sso/:slug/start', startSso);
+app.get('/api/auth/sso/callback', ssoCallback);
+app.post('/api/auth/sso/exchange', exchangeSso);
+
+// POST /api/invitations/preview - Show organization and role of an invitation link
+// POST /api/invitations/accept - Invitee chooses a password and joins the organization
+// Public: the emailed token IS the proof of identity (single use, expiring)
+app.post('/api/invitations/preview', previewInvitation);
+app.post('/api/invitations/accept', acceptInvitation);
+
 // ========== PROTECTED ROUTES (Authentication required) ==========
 // The 'authenticate' middleware runs BEFORE the controller function
 // If authentication fails, the request stops and never reaches the controller
+//
+// The 'authorize(permission)' middleware runs AFTER authenticate
+// It checks the role in the token grants the permission (see config/roles.js)
+// If not, the request stops with 403 Forbidden
+//
+// Scripts can use an API key (X-API-Key header) instead of a JWT: authorize()
+// then checks the key's scopes. 'requireUser' keeps keys out of account routes.
+// 'rejectSsoSession' keeps single sign-on sessions out of routes that change
+// the account in every organization (sign out everywhere, two-factor).
+
+// POST /api/auth/logout-all - Sign out every session of the current user
+app.post('/api/auth/logout-all', authenticate, requireUser, rejectSsoSession, logoutAll);
+
+// POST /api/auth/switch-org - New session in another of the user's organizations
+// Body: { orgId, refreshToken } - the current session is ended
+app.post('/api/auth/switch-org', authenticate, requireUser, switchOrganization);
+
+// ========== ACCOUNT ROUTES (any role, own account only) ==========
 
-// GET /api/assets - Fetch all assets for the logged-in user's organization
-app.get('/api/assets', authenticate, getAssets);
+// GET /api/account/mfa - Two-factor status of the current user
+// The changes below need a password session (not single sign-on)
+app.get('/api/account/mfa', authenticate, requireUser, getMfaStatus);
 
-// POST /api/assets - Create a new asset
-app.post('/api/assets', authenticate, createAsset);
+// POST /api/account/mfa/setup - Get a new secret + QR code
+// POST /api/account/mfa/enable - Confirm with the first code, returns recovery codes
+app.post('/api/account/mfa/setup', authenticate, requireUser, rejectSsoSession, setupMfa);
+app.post('/api/account/mfa/enable', authenticate, requireUser, rejectSsoSession, enableMfa);
 
-// PATCH /api/assets/:id - Update an asset by ID
+// POST /api/account/mfa/disable - Turn two-factor off (body: { code })
+app.post('/api/account/mfa/disable', authenticate, requireUser, rejectSsoSession, disableMfa);
+
+// POST /api/account/mfa/recovery-codes - Replace the recovery codes (body: { code })
+app.post('/api/account/mfa/recovery-codes', authenticate, requireUser, rejectSsoSession, createRecoveryCodes);
+
+// ========== ORGANIZATION SETTINGS ==========
+
+// GET /api/organization - Settings of the current organization (any role)
+app.get('/api/organization', authenticate, requireUser, getOrganization);
+
+// PATCH /api/organization - Change settings, e.g. { requireMfa: true } (ADMIN)
+app.patch('/api/organization', authenticate, authorize(PERMISSIONS.ORGANIZATION_MANAGE), updateOrganization);
+
+// GET /api/organization/sso - Single sign-on settings (ADMIN, client secret never returned)
+// PUT /api/organization/sso - Save them (body: { enabled, issuer, clientId, clientSecret?, allowedDomains, defaultRole })
+app.get('/api/organization/sso', authenticate, authorize(PERMISSIONS.ORGANIZATION_MANAGE), getSsoConfig);
+app.put('/api/organization/sso', authenticate, authorize(PERMISSIONS.ORGANIZATION_MANAGE), updateSsoConfig);
+
+// ========== ASSET ROUTES ==========
+
+// GET /api/assets - One page of the organization's assets (page, sort and filters in the query string)
+// Every role can read (ADMIN, MEMBER, VIEWER)
+app.get('/api/assets', authenticate, authorize(PERMISSIONS.ASSETS_READ), getAssets);
+
+// GET /api/assets/search?q=... - Ranked full-text search with highlights (type-ahead)
+app.get('/api/assets/search', authenticate, authorize(PERMISSIONS.ASSETS_READ), searchAssets);
+
+// GET /api/assets/trash - Deleted assets, restorable until purged (ADMIN)
+// POST /api/assets/trash/:id/restore - Put a deleted asset back (ADMIN)
+// DELETE /api/assets/trash/:id - Delete an asset of the trash for good (ADMIN)
+// Declared before the /api/assets/:id routes so "trash" is never taken for an asset ID
+app.get('/api/assets/trash', authenticate, authorize(PERMISSIONS.ASSETS_TRASH), listTrash);
+app.post('/api/assets/trash/:id/restore', authenticate, authorize(PERMISSIONS.ASSETS_TRASH), restoreAsset);
+app.delete('/api/assets/trash/:id', authenticate, authorize(PERMISSIONS.ASSETS_TRASH), purgeAsset);
+
+// GET /api/assets/mine - Assets checked out to the logged-in user (every role, user sessions only)
+// Declared before the /api/assets/:id routes too
+app.get('/api/assets/mine', authenticate, requireUser, authorize(PERMISSIONS.ASSETS_READ), getMyAssets);
+
+// POST /api/assets - Create a new asset (ADMIN, MEMBER)
+app.post('/api/assets', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), createAsset);
+
+// PATCH /api/assets/:id - Update an asset by ID (ADMIN, MEMBER)
 // PATCH is used for partial updates (update only provided fields)
 // The :id is a route parameter - accessible via req.params.id
-app.patch('/api/assets/:id', authenticate, updateAsset);
+app.patch('/api/assets/:id', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), updateAsset);
 
-// DELETE /api/assets/:id - Delete an asset by ID
+// DELETE /api/assets/:id - Move an asset to the trash by ID (ADMIN only)
 // The :id is a route parameter - accessible via req.params.id
-app.delete('/api/assets/:id', authenticate, deleteAsset);
+app.delete('/api/assets/:id', authenticate, authorize(PERMISSIONS.ASSETS_DELETE), deleteAsset);
+
+// GET /api/assets/:id/history - Revisions of an asset (who, when, what changed), newest first
+app.get('/api/assets/:id/history', authenticate, authorize(PERMISSIONS.ASSETS_READ), getAssetHistory);
+
+// POST /api/assets/:id/revert/:revisionId - Restore the values of a revision (ADMIN, MEMBER)
+// Recorded as a new revision - the history itself never changes
+app.post('/api/assets/:id/revert/:revisionId', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), revertAsset);
+
+// ========== CHECK-OUT / CHECK-IN ROUTES ==========
+
+// POST /api/assets/:id/checkout - Hand an asset to a member or an external person (ADMIN, MEMBER)
+// POST /api/assets/:id/checkin - Get it back (ADMIN, MEMBER)
+app.post('/api/assets/:id/checkout', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), checkoutAsset);
+app.post('/api/assets/:id/checkin', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), checkinAsset);
+
+// GET /api/assets/:id/assignments - Who had an asset, and when (custody history), newest first
+app.get('/api/assets/:id/assignments', authenticate, authorize(PERMISSIONS.ASSETS_READ), getAssetAssignments);
+
+// GET /api/assignees - Active members, for the check-out form (ADMIN, MEMBER)
+app.get('/api/assignees', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), listAssignees);
+
+// ========== CATEGORY ROUTES ==========
+
+// GET /api/categories - Categories of the organization with their asset counts
+// Every role can read (the asset forms and filters need the list)
+app.get('/api/categories', authenticate, authorize(PERMISSIONS.ASSETS_READ), listCategories);
+
+// POST /api/categories - Create a category (body: { name }) (ADMIN)
+// PATCH /api/categories/:id - Rename a category (body: { name }) (ADMIN)
+app.post('/api/categories', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), createCategory);
+app.patch('/api/categories/:id', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), updateCategory);
+
+// DELETE /api/categories/:id - Delete a category (ADMIN)
+// Refused (409) while assets use it, unless ?reassignTo=<categoryId> moves them first
+app.delete('/api/categories/:id', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), deleteCategory);
+
+// CUSTOM FIELDS OF A CATEGORY (ADMIN) - listed with GET /api/categories
+// POST /api/categories/:id/fields - Add a typed field (body: { label, type, key?, required?, options?, position? })
+// PATCH /api/categories/:id/fields/:fieldId - Change label, required, options or position (key and type are fixed)
+// DELETE /api/categories/:id/fields/:fieldId - Remove the field and its values from the category's assets
+app.post('/api/categories/:id/fields', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), createField);
+app.patch('/api/categories/:id/fields/:fieldId', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), updateField);
+app.delete('/api/categories/:id/fields/:fieldId', authenticate, authorize(PERMISSIONS.CATEGORIES_MANAGE), deleteField);
+
+// ========== LOCATION ROUTES ==========
+
+// GET /api/locations - The organization's location tree (parents before their children)
+// with paths and asset counts. Every role can read (the asset forms and filters need it)
+app.get('/api/locations', authenticate, authorize(PERMISSIONS.ASSETS_READ), listLocations);
+
+// POST /api/locations - Create a location (body: { name, parentId? }) (ADMIN)
+// PATCH /api/locations/:id - Rename and/or move a location (body: { name?, parentId? }) (ADMIN)
+app.post('/api/locations', authenticate, authorize(PERMISSIONS.LOCATIONS_MANAGE), createLocation);
+app.patch('/api/locations/:id', authenticate, authorize(PERMISSIONS.LOCATIONS_MANAGE), updateLocation);
+
+// DELETE /api/locations/:id - Delete a location (ADMIN)
+// Refused (409) while it has locations below it or assets in it
+app.delete('/api/locations/:id', authenticate, authorize(PERMISSIONS.LOCATIONS_MANAGE), deleteLocation);
+
+// GET /api/assets/:id/movements - Where an asset has been (movement history), newest first
+// Assets are moved with POST / PATCH /api/assets (body: { locationId })
+app.get('/api/assets/:id/movements', authenticate, authorize(PERMISSIONS.ASSETS_READ), getAssetMovements);
+
+// ========== ASSET STATUS ROUTES ==========
+
+// GET /api/asset-statuses - The organization's statuses and the moves allowed between them,
+// with asset counts. Every role can read (the asset list and forms need it)
+app.get('/api/asset-statuses', authenticate, authorize(PERMISSIONS.ASSETS_READ), listStatuses);
+
+// POST /api/asset-statuses - Add a status (body: { label, color, kind?, key?, transitions?, position?, isDefault? }) (ADMIN)
+// PATCH /api/asset-statuses/:id - Change label, color, kind, transitions, position or isDefault (the key is fixed) (ADMIN)
+app.post('/api/asset-statuses', authenticate, authorize(PERMISSIONS.ASSET_STATUSES_MANAGE), createStatus);
+app.patch('/api/asset-statuses/:id', authenticate, authorize(PERMISSIONS.ASSET_STATUSES_MANAGE), updateStatus);
+
+// DELETE /api/asset-statuses/:id - Delete a status (ADMIN)
+// Refused (409) for the default status and while assets have it
+app.delete('/api/asset-statuses/:id', authenticate, authorize(PERMISSIONS.ASSET_STATUSES_MANAGE), deleteStatus);
+
+// ========== MAINTENANCE ROUTES ==========
+
+// GET /api/maintenance-plans - Recurring maintenance plans with their next due date
+app.get('/api/maintenance-plans', authenticate, authorize(PERMISSIONS.ASSETS_READ), listPlans);
+
+// POST /api/maintenance-plans - Create a plan for an asset or a category
+// (body: { name, description?, assetId | categoryId, frequency, interval, startDate?, assigneeId? }) (ADMIN)
+// PATCH /api/maintenance-plans/:id - Change, pause or resume a plan (ADMIN)
+// DELETE /api/maintenance-plans/:id - Delete a plan - its work orders stay (ADMIN)
+app.post('/api/maintenance-plans', authenticate, authorize(PERMISSIONS.MAINTENANCE_MANAGE), createPlan);
+app.patch('/api/maintenance-plans/:id', authenticate, authorize(PERMISSIONS.MAINTENANCE_MANAGE), updatePlan);
+app.delete('/api/maintenance-plans/:id', authenticate, authorize(PERMISSIONS.MAINTENANCE_MANAGE), deletePlan);
+
+// GET /api/work-orders - Work orders (?status=, ?overdue=true, ?assetId=, paginated)
+app.get('/api/work-orders', authenticate, authorize(PERMISSIONS.ASSETS_READ), listWorkOrders);
+
+// POST /api/work-orders - Open a work order (body: { assetId, title, dueDate?, assigneeId?, notes? }) (ADMIN, MEMBER)
+// PATCH /api/work-orders/:id - Change title, dueDate, assigneeId, notes or cost (ADMIN, MEMBER)
+app.post('/api/work-orders', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), createWorkOrder);
+app.patch('/api/work-orders/:id', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), updateWorkOrder);
+
+// POST /api/work-orders/:id/complete - Close it as done (body: { notes?, cost? }) (ADMIN, MEMBER)
+// POST /api/work-orders/:id/cancel - Close it as not done (body: { notes? }) (ADMIN, MEMBER)
+// The asset is back in service once its last open work order is closed
+app.post('/api/work-orders/:id/complete', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), completeWorkOrder);
+app.post('/api/work-orders/:id/cancel', authenticate, authorize(PERMISSIONS.ASSETS_WRITE), cancelWorkOrder);
+
+// ========== USER MANAGEMENT ROUTES (ADMIN only) ==========
+// All scoped to the admin's organization (req.user.orgId)
+
+// GET /api/users - List users of the organization
+app.get('/api/users', authenticate, authorize(PERMISSIONS.USERS_MANAGE), listUsers);
+
+// POST /api/users - Create a user with an initial password and role
+app.post('/api/users', authenticate, authorize(PERMISSIONS.USERS_MANAGE), createUser);
+
+// PATCH /api/users/:id - Change role and/or deactivate (isActive: false) a user
+app.patch('/api/users/:id', authenticate, authorize(PERMISSIONS.USERS_MANAGE), updateUser);
+
+// DELETE /api/users/:id - Delete a user
+app.delete('/api/users/:id', authenticate, authorize(PERMISSIONS.USERS_MANAGE), deleteUser);
+
+// DELETE /api/users/:id/mfa - Reset a user's two-factor authentication (lost phone)
+app.delete('/api/users/:id/mfa', authenticate, authorize(PERMISSIONS.USERS_MANAGE), resetMfa);
+
+// POST /api/users/:id/unlock - Unlock an account locked by failed logins
+app.post('/api/users/:id/unlock', authenticate, authorize(PERMISSIONS.USERS_MANAGE), unlockUser);
+
+// ========== INVITATION ROUTES (ADMIN only) ==========
+
+// POST /api/invitations - Email an invitation link (body: { email, role })
+app.post('/api/invitations', authenticate, authorize(PERMISSIONS.USERS_MANAGE), createInvitation);
+
+// GET /api/invitations - List invitations with their status (pending, accepted, ...)
+app.get('/api/invitations', authenticate, authorize(PERMISSIONS.USERS_MANAGE), listInvitations);
+
+// DELETE /api/invitations/:id - Revoke a pending invitation
+app.delete('/api/invitations/:id', authenticate, authorize(PERMISSIONS.USERS_MANAGE), revokeInvitation);
+
+// ========== API KEY ROUTES (ADMIN only) ==========
+// Keys for scripts and tools - see services/apiKeys.js
+
+// POST /api/api-keys - Create a key (body: { name, scopes, expiresInDays? })
+// The full key is only returned in this response
+app.post('/api/api-keys', authenticate, requireUser, authorize(PERMISSIONS.API_KEYS_MANAGE), createApiKey);
+
+// GET /api/api-keys - List keys (prefix, scopes, last use - never the key itself)
+app.get('/api/api-keys', authenticate, requireUser, authorize(PERMISSIONS.API_KEYS_MANAGE), listApiKeys);
+
+// DELETE /api/api-keys/:id - Revoke a key
+app.delete('/api/api-keys/:id', authenticate, requireUser, authorize(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
+
+// ========== AUDIT LOG ROUTES (ADMIN only) ==========
+// Append-only log of sign-ins, asset and user changes - see services/auditLog.js
+
+// GET /api/audit-log - Entries, newest first (?page, ?pageSize, ?action, ?userId,
+// ?targetType, ?targetId, ?requestId, ?from, ?to)
+app.get('/api/audit-log', authenticate, authorize(PERMISSIONS.AUDIT_LOG_READ), listAuditLog);
+
+// GET /api/audit-log/export - Same filters, every matching entry as a CSV file
+app.get('/api/audit-log/export', authenticate, authorize(PERMISSIONS.AUDIT_LOG_READ), exportAuditLog);
 
 /**
  * START THE SERVER
@@ -96,4 +417,7 @@ app.listen(PORT, '0.0.0.0', () => {
   if (process.env.NODE_ENV !== 'production') {
     console.log(`   Local: http://localhost:${PORT}`);
   }
+
+  startTrashPurge();
+  startMaintenanceScheduler();
 });
\ No newline at end of file
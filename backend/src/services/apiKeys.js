@@ -0,0 +1,70 @@
+/**
+ * API KEY SERVICE
+ * 
+ * API keys let scripts and tools (procurement scripts, MDM, ...) call the API
+ * without a human logging in. A key belongs to ONE organization and only
+ * grants its scopes (see API_KEY_SCOPES in config/roles.js).
+ * 
+ * Key format: "amk_" + 43 random characters, e.g. "amk_3kq9...".
+ * - The "amk_" marker makes leaked keys easy to spot (secret scanners, logs)
+ * - Only a SHA-256 hash is stored (see utils/tokens.js), plus the first
+ *   characters (prefix) so admins can tell their keys apart
+ * - The full key is shown ONCE, when it is created
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const API_KEY_MARKER = 'amk_';
+
+// "amk_" + 8 characters - enough to recognise a key, useless to an attacker
+const PREFIX_LENGTH = API_KEY_MARKER.length + 8;
+
+// lastUsedAt is written at most once per minute per key (not on every request)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new key.
+ * 
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+const generateApiKey = () => {
+  const key = `${API_KEY_MARKER}${generateToken()}`;
+  return { key, prefix: key.slice(0, PREFIX_LENGTH), keyHash: hashToken(key) };
+};
+
+/**
+ * FIND A USABLE KEY
+ * 
+ * @param {string} key - Raw key from the X-API-Key header
+ * @returns {Promise<Object|null>} The ApiKey record, or null if unknown, revoked or expired
+ */
+const findActiveApiKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(API_KEY_MARKER)) return null;
+
+  const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashToken(key) } });
+
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+
+  return apiKey;
+};
+
+/**
+ * RECORD KEY USAGE
+ * 
+ * Updates lastUsedAt without slowing the request down: not awaited, and
+ * skipped if it was updated less than a minute ago.
+ * 
+ * @param {Object} apiKey - ApiKey record
+ */
+const touchApiKey = (apiKey) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+
+  prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } })
+    .catch(error => console.error("API key lastUsedAt error:", error));
+};
+
+module.exports = { generateApiKey, findActiveApiKey, touchApiKey };
@@ -0,0 +1,162 @@
+/**
+ * ASSET HISTORY
+ * 
+ * Every change to an asset is recorded as an AssetRevision (schema.prisma):
+ * who made it (user or API key), when, and the tracked values before and
+ * after. Revisions are never changed afterwards - row-level security only
+ * lets the app read and insert them (see the asset_revisions migration).
+ * 
+ * - assetController.js records a revision on create, update and revert
+ * - categoryController.js records one for each asset moved by a category delete
+ * - auditDetails() is what both put in the matching audit log entry
+ * - GET /api/assets/:id/history turns revisions into field-level diffs (diffSnapshots)
+ * 
+ * Revisions are written in the same transaction as the change itself, so the
+ * history can't miss a change or record one that was rolled back.
+ */
+
+/**
+ * TRACKED FIELDS
+ * 
+ * The asset values a revision stores (a "snapshot"). Timestamps and the
+ * search document are derived data and aren't tracked.
+ */
+const TRACKED_FIELDS = ['name', 'serialNumber', 'status', 'categoryId', 'customFields'];
+
+/**
+ * Take the tracked values of an asset.
+ * 
+ * @param {Object} asset - Asset row
+ * @returns {Object} { name, serialNumber, status, categoryId, customFields }
+ */
+const snapshot = (asset) => Object.fromEntries(
+  TRACKED_FIELDS.map(field => [field, field === 'customFields' ? (asset.customFields || {}) : asset[field]])
+);
+
+/**
+ * Compare two JSON values (custom field values are numbers, texts or booleans).
+ * 
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * FIELD-LEVEL DIFF
+ * 
+ * Lists what changed between two snapshots. Custom fields are compared one
+ * value at a time and reported as "customFields.<key>":
+ * 
+ *   [{ field: 'status', before: 'active', after: 'retired' },
+ *    { field: 'customFields.ram', before: 8, after: 16 }]
+ * 
+ * @param {Object|null} before - Snapshot before the change (null for a new asset)
+ * @param {Object} after - Snapshot after the change
+ * @returns {Object[]} Changes - empty when nothing changed
+ */
+const diffSnapshots = (before, after) => {
+  const changes = [];
+
+  for (const field of TRACKED_FIELDS) {
+    if (field === 'customFields') continue;
+    const previous = before ? before[field] : null;
+    if (!isSame(previous, after[field])) {
+      changes.push({ field, before: previous ?? null, after: after[field] ?? null });
+    }
+  }
+
+  const oldValues = (before && before.customFields) || {};
+  const newValues = after.customFields || {};
+  const keys = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+  for (const key of keys) {
+    if (!isSame(oldValues[key], newValues[key])) {
+      changes.push({ field: `customFields.${key}`, before: oldValues[key] ?? null, after: newValues[key] ?? null });
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Who made the change, as stored on the revision.
+ * 
+ * @param {Object} user - req.user (a user session or an API key, see middleware/auth.js)
+ * @returns {{ userId: string|null, apiKeyId: string|null }}
+ */
+const actorOf = (user) => ({
+  userId: user.userId || null,
+  apiKeyId: user.apiKeyId || null
+});
+
+/**
+ * LOCK AN ASSET FOR THE REST OF THE TRANSACTION
+ * 
+ * Two simultaneous edits of the same asset would both read the same
+ * "before" values. SELECT ... FOR UPDATE makes the second one wait until the
+ * first has committed, so every revision starts where the previous one ended.
+ * 
+ * Raw SQL bypasses the tenant extension: organizationId is filtered here
+ * (and row-level security applies - tx comes from req.db.$transaction).
+ * Assets in the trash are not found: they can't be edited or reverted.
+ * 
+ * @param {Object} tx - Transaction client of req.db.$transaction
+ * @param {string} orgId - req.user.orgId
+ * @param {string} assetId
+ * @returns {Promise<boolean>} false if the asset doesn't exist in this organization (or is in the trash)
+ */
+const lockAsset = async (tx, orgId, assetId) => {
+  const rows = await tx.$queryRaw`
+    SELECT "id" FROM "Asset"
+    WHERE "id" = ${assetId} AND "organizationId" = ${orgId} AND "deletedAt" IS NULL
+    FOR UPDATE
+  `;
+  return rows.length > 0;
+};
+
+/**
+ * RECORD A REVISION
+ * 
+ * Nothing is recorded for an update that didn't change any tracked value
+ * (e.g. saving the edit form without touching it).
+ * 
+ * @param {Object} tx - req.db or a transaction client (adds organizationId)
+ * @param {Object} revision
+ * @param {string} revision.assetId
+ * @param {string} revision.action - CREATE, UPDATE or REVERT
+ * @param {Object|null} revision.before - Snapshot before (null for CREATE)
+ * @param {Object} revision.after - Snapshot after
+ * @param {Object} revision.user - req.user
+ * @param {string} [revision.revertedFromId] - REVERT: the restored revision
+ * @returns {Promise<Object|null>} The revision, or null when nothing changed
+ */
+const recordRevision = async (tx, { assetId, action, before, after, user, revertedFromId }) => {
+  if (before && diffSnapshots(before, after).length === 0) return null;
+
+  return tx.assetRevision.create({
+    data: {
+      assetId,
+      action,
+      ...(before && { before }), // A Json? column can't take a plain null - left empty for CREATE
+      after,
+      ...actorOf(user),
+      revertedFromId: revertedFromId || null
+    }
+  });
+};
+
+/**
+ * Audit log details of an asset change: which asset (it may be deleted
+ * later) and which tracked fields changed - the values are in its history.
+ * 
+ * @param {Object} asset - The asset after the change
+ * @param {Object} revision - The revision recorded for the change
+ * @returns {Object} { name, serialNumber, fields }
+ */
+const auditDetails = (asset, revision) => ({
+  name: asset.name,
+  serialNumber: asset.serialNumber,
+  fields: diffSnapshots(revision.before, revision.after).map(change => change.field)
+});
+
+module.exports = { TRACKED_FIELDS, snapshot, diffSnapshots, actorOf, lockAsset, recordRevision, auditDetails };
@@ -0,0 +1,348 @@
+/**
+ * ASSET STATUSES
+ * 
+ * Each organization defines its own asset statuses (AssetStatus in
+ * schema.prisma): "In stock", "Deployed", "In repair", "Lost"... Asset.status
+ * stores the status's key. A status has:
+ * - a label and a color (one of STATUS_COLORS) for the UI
+ * - a kind (STATUS_KINDS) that tells the rest of the app what it means
+ * - transitions: the keys of the statuses an asset may move to from it
+ * - isDefault: the status of new assets (exactly one per organization)
+ * 
+ * Organizations start with the workflow the app always had (DEFAULT_STATUSES):
+ * active, maintenance and retired, any move allowed.
+ * 
+ * Shared by:
+ * - controllers/assetStatusController.js - defining the workflow
+ * - controllers/assetController.js - validating and filtering statuses,
+ *   enforcing the transitions on update and revert
+ * - controllers/assignmentController.js - retired assets can't be checked out
+ * - services/maintenance.js - work orders move assets in and out of maintenance
+ * 
+ * Like locations, an organization has a handful of statuses: the whole list
+ * is loaded (one small query) whenever it is needed.
+ */
+
+const { KEY_REGEX, keyFromLabel } = require('./customFields');
+
+/**
+ * STATUS KINDS
+ * 
+ * Must match the AssetStatusKind enum in prisma/schema.prisma.
+ * - IN_SERVICE: usable (in stock, deployed...)
+ * - MAINTENANCE: being worked on - opening a work order moves the asset to
+ *   the first status of this kind, closing its last one moves it back
+ * - RETIRED: out of the fleet - no check-outs, no work orders, and an asset
+ *   only gets there once it is checked in and its work orders are closed
+ */
+const STATUS_KINDS = ['IN_SERVICE', 'MAINTENANCE', 'RETIRED'];
+
+// Colors the UI knows how to draw (frontend/src/utils/statuses.js)
+const STATUS_COLORS = ['gray', 'red', 'orange', 'amber', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+/**
+ * DEFAULT WORKFLOW
+ * 
+ * The three statuses every organization had before statuses were
+ * configurable (the asset_status_workflow migration creates them for
+ * existing organizations).
+ */
+const DEFAULT_STATUSES = [
+  { key: 'active', label: 'Active', color: 'green', kind: 'IN_SERVICE', position: 0, isDefault: true, transitions: ['maintenance', 'retired'] },
+  { key: 'maintenance', label: 'Maintenance', color: 'amber', kind: 'MAINTENANCE', position: 1, isDefault: false, transitions: ['active', 'retired'] },
+  { key: 'retired', label: 'Retired', color: 'gray', kind: 'RETIRED', position: 2, isDefault: false, transitions: ['active', 'maintenance'] }
+];
+
+const MAX_LABEL_LENGTH = 50;
+
+// Most statuses an organization can define
+const MAX_STATUSES = 20;
+
+/**
+ * Shorthand for a 400 error (caught by the controllers).
+ * 
+ * @param {string} message
+ * @returns {Error}
+ */
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Every status of the organization, in display order.
+ * 
+ * An organization without statuses (created after the migration: sign-up,
+ * seed) gets DEFAULT_STATUSES here, the first time they are needed.
+ * skipDuplicates: two requests may do it at the same time.
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @returns {Promise<Object[]>} AssetStatus rows, sorted by position
+ */
+const loadStatuses = async (db) => {
+  const query = () => db.assetStatus.findMany({ orderBy: [{ position: 'asc' }, { createdAt: 'asc' }] });
+
+  const statuses = await query();
+  if (statuses.length > 0) return statuses;
+
+  await db.assetStatus.createMany({ data: DEFAULT_STATUSES, skipDuplicates: true });
+  return query();
+};
+
+/**
+ * @param {Object[]} statuses - From loadStatuses()
+ * @param {string} key
+ * @returns {Object|undefined} The status with this key
+ */
+const findStatus = (statuses, key) => statuses.find(status => status.key === key);
+
+/**
+ * Check a status key from the request.
+ * 
+ * @param {Object[]} statuses - From loadStatuses()
+ * @param {*} key
+ * @returns {Object} The status
+ * @throws {Error} status 400 for an unknown key
+ */
+const parseStatus = (statuses, key) => {
+  const status = typeof key === 'string' ? findStatus(statuses, key) : undefined;
+  if (!status) {
+    throw invalid(`Status must be one of: ${statuses.map(s => s.key).join(', ')}`);
+  }
+  return status;
+};
+
+/**
+ * The status of new assets: the default one - or, should it be missing,
+ * the first status in service.
+ * 
+ * @param {Object[]} statuses - From loadStatuses()
+ * @returns {Object}
+ */
+const defaultStatus = (statuses) => statuses.find(status => status.isDefault)
+  || statuses.find(status => status.kind === 'IN_SERVICE')
+  || statuses[0];
+
+/**
+ * Keys of the statuses of one kind.
+ * 
+ * @param {Object[]} statuses - From loadStatuses()
+ * @param {string} kind - One of STATUS_KINDS
+ * @returns {string[]}
+ */
+const keysOfKind = (statuses, kind) => statuses.filter(status => status.kind === kind).map(status => status.key);
+
+/**
+ * @param {Object[]} statuses - From loadStatuses()
+ * @param {string} key - An asset's status
+ * @returns {boolean} Whether it is a RETIRED status
+ */
+const isRetired = (statuses, key) => findStatus(statuses, key)?.kind === 'RETIRED';
+
+/**
+ * ENFORCE THE WORKFLOW
+ * 
+ * An asset may only move to one of its current status's transitions.
+ * Staying in the same status is always allowed. So is leaving a status
+ * that no longer exists (it has been deleted since): there is no rule left
+ * to follow.
+ * 
+ * Moves made by work orders (services/maintenance.js) don't go through here.
+ * 
+ * @param {Object[]} statuses - From loadStatuses()
+ * @param {string} from - Current status key
+ * @param {string} to - New status key (already checked with parseStatus)
+ * @throws {Error} status 409 for a move the workflow doesn't allow
+ */
+const assertTransition = (statuses, from, to) => {
+  if (from === to) return;
+
+  const current = findStatus(statuses, from);
+  if (current && !current.transitions.includes(to)) {
+    const target = findStatus(statuses, to);
+    throw Object.assign(
+      new Error(`An asset can't go from "${current.label}" to "${target ? target.label : to}"`),
+      { status: 409 }
+    );
+  }
+};
+
+/**
+ * Shape a status for the client.
+ * 
+ * @param {Object} status - AssetStatus
+ * @returns {Object} { id, key, label, color, kind, position, isDefault, transitions }
+ */
+const toStatusResponse = (status) => ({
+  id: status.id,
+  key: status.key,
+  label: status.label,
+  color: status.color,
+  kind: status.kind,
+  position: status.position,
+  isDefault: status.isDefault,
+  transitions: status.transitions
+});
+
+/**
+ * VALIDATE TRANSITIONS
+ * 
+ * @param {*} transitions - From the request body
+ * @param {string} key - Key of the status they start from
+ * @param {Object[]} statuses - The organization's statuses
+ * @returns {string[]} Unique keys of existing statuses, in display order
+ * @throws {Error} status 400
+ */
+const parseTransitions = (transitions, key, statuses) => {
+  if (!Array.isArray(transitions)) {
+    throw invalid("transitions must be a list of status keys");
+  }
+
+  if (transitions.includes(key)) {
+    throw invalid("A status can't list itself in its transitions");
+  }
+  const unknown = transitions.find(target => !statuses.some(status => status.key === target));
+  if (unknown !== undefined) {
+    throw invalid(`Unknown status in transitions: ${unknown}`);
+  }
+
+  return statuses.map(status => status.key).filter(target => transitions.includes(target));
+};
+
+/**
+ * Check the label, color and kind fields present in a request body.
+ * 
+ * @param {Object} body - { label?, color?, kind? }
+ * @returns {Object} The valid fields (label trimmed)
+ * @throws {Error} status 400
+ */
+const parseDisplayFields = ({ label, color, kind }) => {
+  const data = {};
+
+  if (label !== undefined) {
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > MAX_LABEL_LENGTH) {
+      throw invalid(`Label is required (at most ${MAX_LABEL_LENGTH} characters)`);
+    }
+    data.label = label.trim();
+  }
+  if (color !== undefined) {
+    if (!STATUS_COLORS.includes(color)) {
+      throw invalid(`Color must be one of: ${STATUS_COLORS.join(', ')}`);
+    }
+    data.color = color;
+  }
+  if (kind !== undefined) {
+    if (!STATUS_KINDS.includes(kind)) {
+      throw invalid(`Kind must be one of: ${STATUS_KINDS.join(', ')}`);
+    }
+    data.kind = kind;
+  }
+  return data;
+};
+
+/**
+ * VALIDATE A NEW STATUS
+ * 
+ * Body of POST /api/asset-statuses.
+ * The key defaults to one derived from the label and never changes:
+ * assets, revisions and API clients refer to it.
+ * 
+ * @param {Object} body - { label, color, kind?, key?, transitions?, position?, isDefault? }
+ * @param {Object[]} statuses - The organization's statuses
+ * @returns {Object} Data for prisma AssetStatus.create
+ * @throws {Error} status 400
+ */
+const parseStatusDefinition = (body, statuses) => {
+  const { label, color, kind = 'IN_SERVICE', transitions = [], isDefault = false } = body;
+
+  if (label === undefined || color === undefined) {
+    throw invalid("Label and color are required");
+  }
+  const data = parseDisplayFields({ label, color, kind });
+
+  const key = body.key === undefined ? keyFromLabel(data.label) : body.key;
+  if (typeof key !== 'string' || !KEY_REGEX.test(key)) {
+    throw invalid("Key must start with a letter and only use lowercase letters, digits and _ (at most 40)");
+  }
+
+  const position = body.position === undefined
+    ? Math.max(-1, ...statuses.map(status => status.position)) + 1 // Last
+    : body.position;
+  if (!Number.isInteger(position)) {
+    throw invalid("position must be a whole number");
+  }
+  if (typeof isDefault !== 'boolean') {
+    throw invalid("isDefault must be true or false");
+  }
+  if (isDefault && data.kind !== 'IN_SERVICE') {
+    throw invalid("The default status must be an in-service status");
+  }
+
+  return {
+    ...data,
+    key,
+    position,
+    isDefault,
+    transitions: parseTransitions(transitions, key, statuses)
+  };
+};
+
+/**
+ * VALIDATE CHANGES TO A STATUS
+ * 
+ * Body of PATCH /api/asset-statuses/:id. The key can't change.
+ * isDefault can only be turned on: the previous default is turned off by
+ * the caller, so there is always exactly one.
+ * 
+ * @param {Object} status - The current definition
+ * @param {Object} body - { label?, color?, kind?, transitions?, position?, isDefault? }
+ * @param {Object[]} statuses - The organization's statuses
+ * @returns {Object} Data for prisma AssetStatus.update
+ * @throws {Error} status 400
+ */
+const parseStatusChanges = (status, body, statuses) => {
+  const { transitions, position, isDefault } = body;
+
+  if (body.key !== undefined && body.key !== status.key) {
+    throw invalid("The key of a status can't be changed");
+  }
+  const data = parseDisplayFields(body);
+
+  if (transitions !== undefined) {
+    data.transitions = parseTransitions(transitions, status.key, statuses);
+  }
+  if (position !== undefined) {
+    if (!Number.isInteger(position)) throw invalid("position must be a whole number");
+    data.position = position;
+  }
+  if (isDefault !== undefined) {
+    if (typeof isDefault !== 'boolean') throw invalid("isDefault must be true or false");
+    if (!isDefault && status.isDefault) {
+      throw invalid("Make another status the default instead");
+    }
+    data.isDefault = isDefault;
+  }
+
+  if ((data.isDefault || status.isDefault) && (data.kind ?? status.kind) !== 'IN_SERVICE') {
+    throw invalid("The default status must be an in-service status");
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw invalid("Nothing to update (label, color, kind, transitions, position or isDefault)");
+  }
+  return data;
+};
+
+module.exports = {
+  STATUS_KINDS,
+  STATUS_COLORS,
+  DEFAULT_STATUSES,
+  MAX_STATUSES,
+  loadStatuses,
+  findStatus,
+  parseStatus,
+  defaultStatus,
+  keysOfKind,
+  isRetired,
+  assertTransition,
+  toStatusResponse,
+  parseStatusDefinition,
+  parseStatusChanges
+};
@@ -0,0 +1,115 @@
+/**
+ * ASSET ASSIGNMENTS (CUSTODY)
+ * 
+ * Who has an asset: each check-out creates an AssetAssignment (schema.prisma),
+ * closed by the check-in. The open one (checkedInAt empty) is the asset's
+ * current assignee. Shared by:
+ * - controllers/assignmentController.js - check-out, check-in, custody history, "My assets"
+ * - controllers/assetController.js - the asset list shows each asset's assignee
+ * 
+ * Due dates are calendar dates (no time): an assignment is overdue from the
+ * day after its due date, in UTC.
+ */
+
+/**
+ * Prisma include for the open assignment of an asset:
+ * 
+ *   tx.asset.findMany({ include: { assignments: CURRENT_ASSIGNMENT } })
+ */
+const CURRENT_ASSIGNMENT = {
+  where: { checkedInAt: null },
+  include: { assignee: { select: { id: true, email: true } } }
+};
+
+/**
+ * Today's date in UTC, as "YYYY-MM-DD".
+ * 
+ * @returns {string}
+ */
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * A due date (Date at midnight UTC, from a @db.Date column) as "YYYY-MM-DD".
+ * 
+ * @param {Date|null} date
+ * @returns {string|null}
+ */
+const toDateString = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+/**
+ * Shape an assignment for the client.
+ * 
+ * @param {Object} assignment - AssetAssignment, loaded with assignee { id, email }
+ * @returns {Object} {
+ *   id, assignee: { type: 'user', id, email } | { type: 'external', name },
+ *   dueDate, overdue, checkedOutAt, checkedOutBy, checkoutNote,
+ *   checkedInAt, checkedInBy, checkinNote
+ * }
+ */
+const toAssignment = (assignment) => {
+  const dueDate = toDateString(assignment.dueDate);
+
+  return {
+    id: assignment.id,
+    assignee: assignment.externalName
+      ? { type: 'external', name: assignment.externalName }
+      // id and email are null when the account has been deleted since
+      : { type: 'user', id: assignment.assigneeId, email: assignment.assignee?.email ?? null },
+    dueDate,
+    overdue: !assignment.checkedInAt && dueDate !== null && dueDate < today(),
+    checkedOutAt: assignment.checkedOutAt,
+    checkedOutBy: assignment.checkedOutBy,
+    checkoutNote: assignment.checkoutNote,
+    checkedInAt: assignment.checkedInAt,
+    checkedInBy: assignment.checkedInBy,
+    checkinNote: assignment.checkinNote
+  };
+};
+
+/**
+ * Replace the loaded assignments of an asset (CURRENT_ASSIGNMENT) by its
+ * current assignment, or null when nobody has it.
+ * 
+ * @param {Object} asset - Asset loaded with assignments: CURRENT_ASSIGNMENT
+ * @returns {Object} The asset with "assignment" instead of "assignments"
+ */
+const withAssignment = ({ assignments, ...asset }) => ({
+  ...asset,
+  assignment: assignments.length > 0 ? toAssignment(assignments[0]) : null
+});
+
+/**
+ * The open assignment of an asset.
+ * 
+ * @param {Object} tx - req.db or one of its transaction clients
+ * @param {string} assetId
+ * @returns {Promise<Object|null>}
+ */
+const findOpenAssignment = (tx, assetId) => tx.assetAssignment.findFirst({
+  where: { assetId, checkedInAt: null },
+  include: CURRENT_ASSIGNMENT.include
+});
+
+/**
+ * Refuse to retire an asset somebody still has: it must be checked in first.
+ * Call it with the asset locked (lockAsset), like check-out does.
+ * 
+ * @param {Object} tx - Transaction client of req.db
+ * @param {string} assetId
+ * @throws {Error} status 409 while the asset is checked out
+ */
+const assertNotCheckedOut = async (tx, assetId) => {
+  if (await findOpenAssignment(tx, assetId)) {
+    throw Object.assign(new Error("This asset is checked out - check it in before retiring it"), { status: 409 });
+  }
+};
+
+module.exports = {
+  CURRENT_ASSIGNMENT,
+  today,
+  toDateString,
+  toAssignment,
+  withAssignment,
+  findOpenAssignment,
+  assertNotCheckedOut
+};
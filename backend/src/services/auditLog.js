@@ -0,0 +1,178 @@
+/**
+ * AUDIT LOG
+ * 
+ * Answers the auditors' questions - who logged in, who deleted what, who
+ * changed whose role - with one AuditLog row (schema.prisma) per
+ * security-relevant action:
+ * - sign-ins, successful (services/session.js) and failed (services/loginThrottle.js)
+ * - asset create / update / revert / delete (assetController.js), restore and
+ *   permanent delete (trashController.js, services/trash.js), check-out and
+ *   check-in (assignmentController.js), moves between locations (services/locations.js)
+ * - work orders opened, completed and cancelled (services/maintenance.js)
+ * - user, role, invitation, API key and organization security changes
+ * 
+ * Each entry records the actor (user or API key), the target, what changed,
+ * and where the request came from: IP, user agent and request ID
+ * (middleware/requestId.js).
+ * 
+ * The log is append-only: row-level security only lets the app read and
+ * insert entries (see the audit_log migration), and there is no endpoint to
+ * change them. Org admins read it with GET /api/audit-log (auditLogController.js).
+ * 
+ * Entries that belong to a change are written in the same transaction as the
+ * change (pass the transaction client): the log can't miss a change or
+ * record one that was rolled back.
+ */
+
+const prisma = require('../db/prisma');
+const { forTenant } = require('../db/tenant');
+
+/**
+ * AUDIT ACTIONS
+ * 
+ * Stored in AuditLog.action as "<target>.<verb>". Filter on them with
+ * GET /api/audit-log?action=...
+ */
+const AUDIT_ACTIONS = {
+  LOGIN: 'auth.login',
+  LOGIN_FAILED: 'auth.login_failed',
+  ASSET_CREATE: 'asset.create',
+  ASSET_UPDATE: 'asset.update',
+  ASSET_REVERT: 'asset.revert',
+  ASSET_DELETE: 'asset.delete', // Moved to the trash
+  ASSET_RESTORE: 'asset.restore', // Back from the trash
+  ASSET_PURGE: 'asset.purge', // Deleted for good (by an admin, or by the purge job after the retention period)
+  ASSET_CHECKOUT: 'asset.checkout', // Handed to a person
+  ASSET_CHECKIN: 'asset.checkin', // Returned
+  ASSET_MOVE: 'asset.move', // Placed in, or moved to, another location
+  WORK_ORDER_CREATE: 'work_order.create', // Opened by hand or by a maintenance plan
+  WORK_ORDER_COMPLETE: 'work_order.complete',
+  WORK_ORDER_CANCEL: 'work_order.cancel',
+  USER_CREATE: 'user.create',
+  USER_UPDATE: 'user.update', // Role or active status
+  USER_DELETE: 'user.delete',
+  USER_MFA_RESET: 'user.mfa_reset',
+  USER_UNLOCK: 'user.unlock',
+  INVITATION_CREATE: 'invitation.create',
+  INVITATION_REVOKE: 'invitation.revoke',
+  INVITATION_ACCEPT: 'invitation.accept',
+  API_KEY_CREATE: 'api_key.create',
+  API_KEY_REVOKE: 'api_key.revoke',
+  ORGANIZATION_UPDATE: 'organization.update', // Require MFA, password login
+  SSO_UPDATE: 'organization.sso_update',
+  AUDIT_LOG_EXPORT: 'audit_log.export' // Who took a copy of the log
+};
+
+// Longest user agent kept (same limit as RefreshToken.userAgent)
+const MAX_USER_AGENT_LENGTH = 255;
+
+/**
+ * Name of the actor, kept on the entry: users and keys can be deleted later.
+ * 
+ * @param {Object} db - req.db or a transaction client
+ * @param {Object} actor - { userId, apiKeyId, email? }
+ * @returns {Promise<string|null>} The user's email or the key's name
+ */
+const findActorName = async (db, actor) => {
+  if (actor.email) return actor.email;
+
+  if (actor.userId) {
+    const user = await db.user.findUnique({ where: { id: actor.userId }, select: { email: true } });
+    return user?.email ?? null;
+  }
+
+  if (actor.apiKeyId) {
+    const apiKey = await db.apiKey.findUnique({ where: { id: actor.apiKeyId }, select: { name: true } });
+    return apiKey?.name ?? null;
+  }
+
+  return null;
+};
+
+/**
+ * RECORD AN AUDIT ENTRY
+ * 
+ *   await recordAudit(tx, req, {
+ *     action: AUDIT_ACTIONS.USER_UPDATE,
+ *     targetType: 'user', targetId: member.userId,
+ *     details: { email, role: { before: 'MEMBER', after: 'ADMIN' } }
+ *   });
+ * 
+ * @param {Object} db - req.db or one of its transaction clients (adds organizationId)
+ * @param {Object|null} req - Express request (actor, IP, user agent, request ID), or null
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} [entry.targetType] - e.g. 'asset', 'user'
+ * @param {string} [entry.targetId]
+ * @param {Object} [entry.details] - Anything an auditor needs to understand the entry
+ * @param {Object} [entry.actor] - { userId, apiKeyId, email } - defaults to req.user
+ * @returns {Promise<Object>} The entry
+ */
+const recordAudit = async (db, req, { action, targetType, targetId, details, actor }) => {
+  const { userId = null, apiKeyId = null, email } = actor || req?.user || {};
+
+  return db.auditLog.create({
+    data: {
+      action,
+      userId,
+      apiKeyId,
+      actorName: await findActorName(db, { userId, apiKeyId, email }),
+      targetType: targetType || null,
+      targetId: targetId || null,
+      ...(details && { details }), // A Json? column can't take a plain null
+      ipAddress: req?.ip || null,
+      userAgent: req?.get?.('user-agent')?.slice(0, MAX_USER_AGENT_LENGTH) || null,
+      requestId: req?.id || null
+    }
+  });
+};
+
+/**
+ * RECORD A SIGN-IN EVENT
+ * 
+ * Sign-ins happen before the request has an organization (no req.db): the
+ * entry is written to each organization given, the user being the actor
+ * and the target.
+ * 
+ * @param {Object} user - User record (id, email)
+ * @param {string[]} organizationIds - Organizations whose log gets the entry
+ * @param {Object|null} req - Express request, or null
+ * @param {Object} entry - { action, details }
+ * @returns {Promise}
+ */
+const recordAccountEvent = (user, organizationIds, req, { action, details }) => Promise.all(
+  organizationIds.map(orgId => recordAudit(forTenant(orgId), req, {
+    action,
+    targetType: 'user',
+    targetId: user.id,
+    details,
+    actor: { userId: user.id, email: user.email }
+  }))
+);
+
+/**
+ * RECORD A FAILED SIGN-IN
+ * 
+ * A wrong password or code for an existing account is reported to every
+ * organization the account belongs to - each of their admins may need to know.
+ * Unknown emails have no organization: they are only kept in LoginAttempt.
+ * 
+ * @param {Object} user - User record
+ * @param {Object} req - Express request
+ * @param {string} reason - One of FAILURE_REASONS (services/loginThrottle.js),
+ *   or why a correct password was refused (e.g. 'account_deactivated')
+ * @returns {Promise}
+ */
+const recordLoginFailureAudit = async (user, req, reason) => {
+  const memberships = await prisma.membership.findMany({
+    where: { userId: user.id },
+    select: { organizationId: true }
+  });
+
+  return recordAccountEvent(user, memberships.map(m => m.organizationId), req, {
+    action: AUDIT_ACTIONS.LOGIN_FAILED,
+    details: { reason }
+  });
+};
+
+module.exports = { AUDIT_ACTIONS, findActorName, recordAudit, recordAccountEvent, recordLoginFailureAudit };
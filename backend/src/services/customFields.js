@@ -0,0 +1,334 @@
+/**
+ * CUSTOM FIELDS
+ * 
+ * Admins add typed fields to a category (CustomField in schema.prisma):
+ * laptops get "RAM (GB)" and "OS version", vehicles "Plate number" and "Mileage".
+ * Each asset stores its values in Asset.customFields, a JSON object keyed by
+ * the field's key:
+ * 
+ *   { "ram": 16, "os_version": "macOS 15", "purchased_on": "2025-03-01" }
+ * 
+ * This module holds the rules shared by the controllers:
+ * - what a field definition may look like (customFieldController.js)
+ * - what values an asset may store (assetController.js create / update)
+ * - how ?field.<key>=value filters become Prisma JSON filters (GET /api/assets)
+ * 
+ * Values are always validated here, on the server - the forms are a convenience.
+ */
+
+/**
+ * FIELD TYPES
+ * 
+ * Must match the CustomFieldType enum in prisma/schema.prisma.
+ * - TEXT: free text
+ * - NUMBER: any finite number
+ * - DATE: calendar date, stored as "YYYY-MM-DD"
+ * - ENUM: one of the field's options
+ * - BOOLEAN: true / false
+ */
+const FIELD_TYPES = ['TEXT', 'NUMBER', 'DATE', 'ENUM', 'BOOLEAN'];
+
+// Field keys: lowercase, start with a letter, e.g. "ram" or "os_version"
+// (asset status keys follow the same rule, see services/assetStatuses.js)
+const KEY_REGEX = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_LABEL_LENGTH = 100;
+const MAX_OPTIONS = 50;
+const MAX_OPTION_LENGTH = 100;
+const MAX_TEXT_LENGTH = 1000;
+
+// Most fields a category can have
+const MAX_FIELDS_PER_CATEGORY = 30;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Shorthand for a 400 error (caught by the controllers).
+ * 
+ * @param {string} message
+ * @returns {Error}
+ */
+const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Turn a label into a field key: "OS version" -> "os_version".
+ * 
+ * @param {string} label
+ * @returns {string} Key candidate (may be invalid, e.g. for a label without letters)
+ */
+const keyFromLabel = (label) => label
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Drop accents: "é" -> "e"
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[_0-9]+|_+$/g, '')
+  .slice(0, 40);
+
+/**
+ * Check whether a string is a real calendar date in "YYYY-MM-DD" form.
+ * (Date accepts "2025-02-31" and rolls it over to March - we don't.)
+ * 
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidDate = (value) => {
+  if (!DATE_REGEX.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * VALIDATE ENUM OPTIONS
+ * 
+ * @param {*} options - From the request body
+ * @returns {string[]} Trimmed options
+ * @throws {Error} status 400
+ */
+const parseOptions = (options) => {
+  if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS) {
+    throw invalid(`Choice fields need between 1 and ${MAX_OPTIONS} options`);
+  }
+
+  const trimmed = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+  if (trimmed.some(option => !option || option.length > MAX_OPTION_LENGTH)) {
+    throw invalid(`Options must be non-empty texts of at most ${MAX_OPTION_LENGTH} characters`);
+  }
+  if (new Set(trimmed).size !== trimmed.length) {
+    throw invalid("Options must be different from each other");
+  }
+  return trimmed;
+};
+
+/**
+ * VALIDATE A NEW FIELD DEFINITION
+ * 
+ * Body of POST /api/categories/:id/fields.
+ * The key defaults to one derived from the label.
+ * 
+ * @param {Object} body - { key?, label, type, required?, options?, position? }
+ * @returns {Object} Data for prisma CustomField.create (without category / organization)
+ * @throws {Error} status 400
+ */
+const parseFieldDefinition = (body) => {
+  const { label, type, required = false, options, position = 0 } = body;
+
+  if (typeof label !== 'string' || !label.trim() || label.trim().length > MAX_LABEL_LENGTH) {
+    throw invalid(`Label is required (at most ${MAX_LABEL_LENGTH} characters)`);
+  }
+  if (!FIELD_TYPES.includes(type)) {
+    throw invalid(`Type must be one of: ${FIELD_TYPES.join(', ')}`);
+  }
+
+  const key = body.key === undefined ? keyFromLabel(label) : body.key;
+  if (typeof key !== 'string' || !KEY_REGEX.test(key)) {
+    throw invalid("Key must start with a letter and only use lowercase letters, digits and _ (at most 40)");
+  }
+  if (typeof required !== 'boolean') {
+    throw invalid("required must be true or false");
+  }
+  if (!Number.isInteger(position)) {
+    throw invalid("position must be a whole number");
+  }
+
+  return {
+    key,
+    label: label.trim(),
+    type,
+    required,
+    options: type === 'ENUM' ? parseOptions(options) : [],
+    position
+  };
+};
+
+/**
+ * VALIDATE CHANGES TO A FIELD
+ * 
+ * Body of PATCH /api/categories/:id/fields/:fieldId.
+ * The key and type never change: stored values depend on them.
+ * 
+ * @param {Object} field - The current definition
+ * @param {Object} body - { label?, required?, options?, position? }
+ * @returns {Object} Data for prisma CustomField.update
+ * @throws {Error} status 400
+ */
+const parseFieldChanges = (field, body) => {
+  const { label, required, options, position } = body;
+  const data = {};
+
+  if (body.key !== undefined && body.key !== field.key) {
+    throw invalid("The key of a field can't be changed");
+  }
+  if (body.type !== undefined && body.type !== field.type) {
+    throw invalid("The type of a field can't be changed - delete it and add a new one");
+  }
+
+  if (label !== undefined) {
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > MAX_LABEL_LENGTH) {
+      throw invalid(`Label is required (at most ${MAX_LABEL_LENGTH} characters)`);
+    }
+    data.label = label.trim();
+  }
+  if (required !== undefined) {
+    if (typeof required !== 'boolean') throw invalid("required must be true or false");
+    data.required = required;
+  }
+  if (options !== undefined) {
+    if (field.type !== 'ENUM') throw invalid("Only choice fields have options");
+    data.options = parseOptions(options);
+  }
+  if (position !== undefined) {
+    if (!Number.isInteger(position)) throw invalid("position must be a whole number");
+    data.position = position;
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw invalid("Nothing to update (label, required, options or position)");
+  }
+  return data;
+};
+
+/**
+ * Check one value against its field.
+ * 
+ * @param {Object} field - CustomField
+ * @param {*} value - Not empty (null / '' are handled by the caller)
+ * @returns {*} The value to store (trimmed text, number, ...)
+ * @throws {Error} status 400
+ */
+const parseValue = (field, value) => {
+  switch (field.type) {
+    case 'TEXT':
+      if (typeof value !== 'string' || value.trim().length > MAX_TEXT_LENGTH) {
+        throw invalid(`${field.label} must be a text of at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return value.trim();
+    case 'NUMBER': {
+      // Forms send strings - "16" is accepted, "16 GB" is not
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw invalid(`${field.label} must be a number`);
+      }
+      return number;
+    }
+    case 'DATE':
+      if (typeof value !== 'string' || !isValidDate(value)) {
+        throw invalid(`${field.label} must be a date (YYYY-MM-DD)`);
+      }
+      return value;
+    case 'ENUM':
+      if (!field.options.includes(value)) {
+        throw invalid(`${field.label} must be one of: ${field.options.join(', ')}`);
+      }
+      return value;
+    case 'BOOLEAN':
+      if (typeof value !== 'boolean') {
+        throw invalid(`${field.label} must be true or false`);
+      }
+      return value;
+    default:
+      throw invalid(`${field.label} has an unknown type`);
+  }
+};
+
+/**
+ * VALIDATE THE CUSTOM FIELD VALUES OF AN ASSET
+ * 
+ * Used by createAsset and updateAsset. The result replaces
+ * Asset.customFields entirely:
+ * - only keys of the category's fields are kept (values of another
+ *   category, e.g. after moving the asset, are dropped)
+ * - null or '' removes a value
+ * - every required field must have a value
+ * 
+ * @param {Object[]} fields - CustomField definitions of the asset's category
+ * @param {Object} values - Stored values merged with the submitted ones
+ * @param {Object} submitted - Only the submitted values (unknown keys there are an error)
+ * @returns {Object} Values to store
+ * @throws {Error} status 400
+ */
+const validateValues = (fields, values, submitted = {}) => {
+  const known = new Set(fields.map(field => field.key));
+  const unknown = Object.keys(submitted).find(key => !known.has(key));
+  if (unknown) {
+    throw invalid(`Unknown custom field for this category: ${unknown}`);
+  }
+
+  const result = {};
+  for (const field of fields) {
+    const value = values[field.key];
+    const isEmpty = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    if (isEmpty) {
+      if (field.required) throw invalid(`${field.label} is required`);
+      continue;
+    }
+    result[field.key] = parseValue(field, value);
+  }
+  return result;
+};
+
+/**
+ * Check the customFields body property is a plain object.
+ * 
+ * @param {*} customFields
+ * @returns {boolean}
+ */
+const isValuesObject = (customFields) => typeof customFields === 'object'
+  && customFields !== null
+  && !Array.isArray(customFields);
+
+/**
+ * CUSTOM FIELD FILTERS (GET /api/assets)
+ * 
+ * ?field.ram=16&field.os_version=mac -> Prisma JSON filters on Asset.customFields:
+ * - TEXT: contains the text
+ * - other types: equal to the value (converted to the field's type)
+ * 
+ * @param {Object} query - req.query
+ * @param {Object[]} fields - Definitions of the filtered category
+ * @returns {Object[]} Conditions to AND with the other filters
+ * @throws {Error} status 400 for an unknown key or a value of the wrong type
+ */
+const buildFieldFilters = (query, fields) => Object.entries(query)
+  .filter(([name]) => name.startsWith('field.'))
+  .map(([name, raw]) => {
+    const field = fields.find(candidate => candidate.key === name.slice('field.'.length));
+    if (!field) {
+      throw invalid(`Unknown custom field for this category: ${name.slice('field.'.length)}`);
+    }
+    if (typeof raw !== 'string') {
+      throw invalid(`${name} must be given once`);
+    }
+
+    if (field.type === 'TEXT') {
+      return { customFields: { path: [field.key], string_contains: raw } };
+    }
+    const value = field.type === 'BOOLEAN'
+      ? ({ true: true, false: false })[raw]
+      : parseValue(field, raw);
+    if (value === undefined) {
+      throw invalid(`${field.label} must be true or false`);
+    }
+    return { customFields: { path: [field.key], equals: value } };
+  });
+
+/**
+ * Does the query string filter on custom fields?
+ * 
+ * @param {Object} query - req.query
+ * @returns {boolean}
+ */
+const hasFieldFilters = (query) => Object.keys(query).some(name => name.startsWith('field.'));
+
+module.exports = {
+  FIELD_TYPES,
+  KEY_REGEX,
+  keyFromLabel,
+  MAX_FIELDS_PER_CATEGORY,
+  parseFieldDefinition,
+  parseFieldChanges,
+  validateValues,
+  isValuesObject,
+  buildFieldFilters,
+  hasFieldFilters
+};
@@ -0,0 +1,178 @@
+/**
+ * LOCATIONS
+ * 
+ * Where assets physically are: each organization has a tree of locations of
+ * any depth (site -> building -> floor -> room...), see Location in
+ * schema.prisma. An asset is in at most one location.
+ * 
+ * Shared by:
+ * - controllers/locationController.js - location CRUD, movement history
+ * - controllers/assetController.js - placing and moving assets, filtering the
+ *   asset list by a location and everything below it
+ * 
+ * An organization has tens or hundreds of locations, not millions: the whole
+ * tree is loaded (one small query) whenever paths or descendants are needed,
+ * instead of recursive SQL.
+ * 
+ * Every move of an asset is recorded as an AssetMovement, with the paths as
+ * text ("HQ / Building A / Room 101"): the history stays readable after
+ * locations are renamed, moved or deleted.
+ */
+
+const { AUDIT_ACTIONS, findActorName, recordAudit } = require('./auditLog');
+
+// Between the names of a path: "HQ / Building A / Room 101"
+const PATH_SEPARATOR = ' / ';
+
+/**
+ * Every location of the organization (id, name, parentId).
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @returns {Promise<Object[]>} Sorted by name
+ */
+const loadLocations = (db) => db.location.findMany({
+  select: { id: true, name: true, parentId: true },
+  orderBy: { name: 'asc' }
+});
+
+/**
+ * Path of every location: its names from the top of the tree.
+ * 
+ *   buildPaths(locations).get(roomId) // ['HQ', 'Building A', 'Room 101']
+ * 
+ * @param {Object[]} locations - From loadLocations()
+ * @returns {Map<string, string[]>} Location ID -> names, top first
+ */
+const buildPaths = (locations) => {
+  const byId = new Map(locations.map(location => [location.id, location]));
+  const paths = new Map();
+
+  const pathOf = (id, seen = new Set()) => {
+    if (paths.has(id)) return paths.get(id);
+    const location = byId.get(id);
+    // seen guards against a cycle, which locationController.js never creates
+    if (!location || seen.has(id)) return [];
+    seen.add(id);
+    const path = [...(location.parentId ? pathOf(location.parentId, seen) : []), location.name];
+    paths.set(id, path);
+    return path;
+  };
+
+  for (const location of locations) pathOf(location.id);
+  return paths;
+};
+
+/**
+ * A location and everything below it.
+ * 
+ * @param {Object[]} locations - From loadLocations()
+ * @param {string} id
+ * @returns {string[]} IDs, starting with id itself
+ */
+const descendantIds = (locations, id) => {
+  const children = new Map();
+  for (const location of locations) {
+    if (!children.has(location.parentId)) children.set(location.parentId, []);
+    children.get(location.parentId).push(location.id);
+  }
+
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    for (const childId of children.get(ids[i]) || []) {
+      if (!ids.includes(childId)) ids.push(childId);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Path of a location as text.
+ * 
+ * @param {Map<string, string[]>} paths - From buildPaths()
+ * @param {string|null} id
+ * @returns {string|null} "HQ / Building A / Room 101", null without a location
+ */
+const formatPath = (paths, id) => (id && paths.has(id) ? paths.get(id).join(PATH_SEPARATOR) : null);
+
+/**
+ * Find a location of the organization.
+ * 
+ * @param {Object} db - req.db or one of its transaction clients
+ * @param {string} id
+ * @returns {Promise<Object>}
+ * @throws {Error} status 400 if it isn't one of the organization's locations
+ */
+const findLocation = async (db, id) => {
+  const location = typeof id === 'string' ? await db.location.findUnique({ where: { id } }) : null;
+  if (!location) {
+    throw Object.assign(new Error("Location not found"), { status: 400 });
+  }
+  return location;
+};
+
+/**
+ * RECORD A MOVEMENT
+ * 
+ * Written in the same transaction as the change of Asset.locationId; also
+ * goes to the audit log.
+ * 
+ * @param {Object} tx - Transaction client of req.db
+ * @param {Object|null} req - Express request (actor), or null
+ * @param {Object} asset - The asset as it was BEFORE the move
+ * @param {string|null} toLocationId - Where it is now (null: no location any more)
+ * @returns {Promise<Object>} The AssetMovement
+ */
+const recordMovement = async (tx, req, asset, toLocationId) => {
+  const paths = buildPaths(await loadLocations(tx));
+  const fromLocationId = asset.locationId || null;
+
+  const movement = await tx.assetMovement.create({
+    data: {
+      assetId: asset.id,
+      fromLocationId,
+      fromPath: formatPath(paths, fromLocationId),
+      toLocationId,
+      toPath: formatPath(paths, toLocationId),
+      movedBy: req?.user ? await findActorName(tx, req.user) : null
+    }
+  });
+
+  await recordAudit(tx, req, {
+    action: AUDIT_ACTIONS.ASSET_MOVE,
+    targetType: 'asset',
+    targetId: asset.id,
+    details: { name: asset.name, serialNumber: asset.serialNumber, location: { before: movement.fromPath, after: movement.toPath } }
+  });
+  return movement;
+};
+
+/**
+ * MOVE AN ASSET
+ * 
+ * Nothing happens (and nothing is recorded) when the asset is already there.
+ * 
+ * @param {Object} tx - Transaction client of req.db
+ * @param {Object|null} req - Express request (actor), or null
+ * @param {Object} asset - The asset before the move (locked by the caller)
+ * @param {string|null} locationId - New location, or null to clear it
+ * @returns {Promise<Object|null>} The AssetMovement, or null when nothing changed
+ * @throws {Error} status 400 if the location isn't one of the organization's
+ */
+const moveAsset = async (tx, req, asset, locationId) => {
+  if ((asset.locationId || null) === locationId) return null;
+
+  if (locationId) await findLocation(tx, locationId);
+  await tx.asset.updateMany({ where: { id: asset.id }, data: { locationId } });
+  return recordMovement(tx, req, asset, locationId);
+};
+
+module.exports = {
+  PATH_SEPARATOR,
+  loadLocations,
+  buildPaths,
+  descendantIds,
+  formatPath,
+  findLocation,
+  recordMovement,
+  moveAsset
+};
@@ -0,0 +1,407 @@
+/**
+ * LOGIN THROTTLE SERVICE
+ * 
+ * Protects POST /api/auth/login (and the two-factor step) against password
+ * guessing and password spraying:
+ * - Per IP: after LOGIN_FREE_ATTEMPTS_PER_IP failures, every new attempt from
+ *   that address must wait 1s, 2s, 4s, ... (up to 15 minutes)
+ * - Per account (email): same backoff after LOGIN_FREE_ATTEMPTS_PER_ACCOUNT failures
+ * - Lockout: after LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+ *   LOGIN_LOCKOUT_MINUTES (User.lockedUntil). Admins can unlock it earlier.
+ * - Every failure is recorded in the LoginAttempt table, and failures for an
+ *   existing account in its organizations' audit logs (services/auditLog.js)
+ * 
+ * Unknown emails are counted exactly like real accounts, so the answers
+ * never reveal which emails exist.
+ * 
+ * POST /api/auth/forgot-password uses the same backoff with counters of its
+ * own (every request counts, not only failures): nobody can flood a mailbox
+ * with reset links, and resets never lock an account out of logging in.
+ * 
+ * Failure counters live in a pluggable STORE (choose with LOGIN_THROTTLE_STORE):
+ * - 'memory' (default): a Map in this process. Fine for a single server.
+ * - 'postgres': the LoginThrottle table, shared by every instance
+ *   (needed as soon as Railway runs more than one replica).
+ * 
+ * A store is any object with three async methods:
+ *   get(key) -> { failures, lastFailureAt } | null
+ *   hit(key) -> { failures, lastFailureAt }   (count one more failure)
+ *   reset(key)
+ * Counters are forgotten after the throttle window without a new failure.
+ * Register your own (Redis, ...) with setStore().
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+const { normalizeEmail } = require('../utils/validation');
+const { recordLoginFailureAudit } = require('./auditLog');
+const {
+  LOGIN_THROTTLE_STORE,
+  LOGIN_FREE_ATTEMPTS_PER_IP,
+  LOGIN_FREE_ATTEMPTS_PER_ACCOUNT,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  LOGIN_THROTTLE_WINDOW_MINUTES
+} = require('../config/app');
+
+// Longest wait between two attempts, whatever the number of failures
+const MAX_BACKOFF_SECONDS = 15 * 60;
+
+const LOCKOUT_MS = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+// A counter must outlive the lockout it triggers
+const WINDOW_MS = Math.max(LOGIN_THROTTLE_WINDOW_MINUTES * 60 * 1000, LOCKOUT_MS);
+
+// Failed attempts older than this are deleted from LoginAttempt
+const ATTEMPT_RETENTION_DAYS = 90;
+
+// How often expired counters and old attempts are cleaned up
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Reasons stored in LoginAttempt.reason
+ */
+const FAILURE_REASONS = {
+  UNKNOWN_USER: 'unknown_user',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_MFA_CODE: 'invalid_mfa_code'
+};
+
+// Is a counter's last failure older than the window?
+const isExpired = (entry, now = Date.now()) => entry.lastFailureAt.getTime() <= now - WINDOW_MS;
+
+/**
+ * MEMORY STORE
+ * 
+ * Counters are lost on restart and not shared between instances.
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      return entry && !isExpired(entry) ? entry : null;
+    },
+    hit: async (key) => {
+      const current = entries.get(key);
+      const entry = {
+        failures: current && !isExpired(current) ? current.failures + 1 : 1,
+        lastFailureAt: new Date()
+      };
+      entries.set(key, entry);
+      return entry;
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+    cleanup: async () => {
+      for (const [key, entry] of entries) {
+        if (isExpired(entry)) entries.delete(key);
+      }
+    }
+  };
+};
+
+/**
+ * POSTGRES STORE
+ * 
+ * One LoginThrottle row per key. The increment is a single conditional
+ * UPDATE so concurrent requests on several instances are all counted.
+ */
+const createPostgresStore = () => ({
+  get: async (key) => {
+    const entry = await prisma.loginThrottle.findUnique({ where: { key } });
+    return entry && !isExpired(entry) ? entry : null;
+  },
+  hit: async (key) => {
+    const now = new Date();
+
+    try {
+      // Still inside the window: add one failure
+      return await prisma.loginThrottle.update({
+        where: { key, lastFailureAt: { gt: new Date(now.getTime() - WINDOW_MS) } },
+        data: { failures: { increment: 1 }, lastFailureAt: now }
+      });
+    } catch (error) {
+      // P2025 = no row, or only an expired one
+      if (error.code !== 'P2025') throw error;
+    }
+
+    // First failure (or first since the window expired): start again at 1
+    return prisma.loginThrottle.upsert({
+      where: { key },
+      create: { key, failures: 1, lastFailureAt: now },
+      update: { failures: 1, lastFailureAt: now }
+    });
+  },
+  reset: async (key) => {
+    await prisma.loginThrottle.deleteMany({ where: { key } });
+  },
+  cleanup: async () => {
+    await prisma.loginThrottle.deleteMany({
+      where: { lastFailureAt: { lte: new Date(Date.now() - WINDOW_MS) } }
+    });
+  }
+});
+
+/**
+ * Build the store named by LOGIN_THROTTLE_STORE.
+ * Unknown names fail loudly instead of silently disabling the protection.
+ */
+const createDefaultStore = () => {
+  if (LOGIN_THROTTLE_STORE === 'memory') return createMemoryStore();
+  if (LOGIN_THROTTLE_STORE === 'postgres') return createPostgresStore();
+  throw new Error(`Unknown LOGIN_THROTTLE_STORE "${LOGIN_THROTTLE_STORE}" (expected "memory" or "postgres")`);
+};
+
+// The active store - created lazily on first use
+let store = null;
+let cleanupTimer = null;
+
+/**
+ * PERIODIC CLEANUP
+ * 
+ * Removes expired counters (if the store supports it) and old LoginAttempt rows.
+ * unref() lets the process exit even though the timer is still scheduled.
+ */
+const startCleanup = () => {
+  if (cleanupTimer) return;
+
+  cleanupTimer = setInterval(async () => {
+    try {
+      if (store.cleanup) await store.cleanup();
+      await prisma.loginAttempt.deleteMany({
+        where: { createdAt: { lt: new Date(Date.now() - ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+      });
+    } catch (error) {
+      console.error("Login throttle cleanup error:", error);
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+};
+
+const getStore = () => {
+  if (!store) {
+    store = createDefaultStore();
+    startCleanup();
+  }
+  return store;
+};
+
+/**
+ * Replace the active store (Redis, tests, ...).
+ * 
+ * @param {{ get: Function, hit: Function, reset: Function }} customStore
+ */
+const setStore = (customStore) => {
+  if (!customStore || ['get', 'hit', 'reset'].some(method => typeof customStore[method] !== 'function')) {
+    throw new Error('A login throttle store must have get(key), hit(key) and reset(key) functions');
+  }
+  store = customStore;
+  startCleanup();
+};
+
+// Counter keys
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+const accountKey = (email) => `account:${normalizeEmail(email)}`;
+const resetIpKey = (ip) => `reset-ip:${ip || 'unknown'}`;
+const resetAccountKey = (email) => `reset-account:${normalizeEmail(email)}`;
+
+/**
+ * Seconds to wait after a failure, for a given number of failures.
+ * No wait for the first freeAttempts failures, then 1s, 2s, 4s, ...
+ * 
+ * @param {number} failures
+ * @param {number} freeAttempts
+ * @returns {number}
+ */
+const backoffSeconds = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(2 ** (failures - freeAttempts), MAX_BACKOFF_SECONDS);
+};
+
+/**
+ * Seconds left before a counter allows a new attempt (0 = allowed now).
+ * 
+ * @param {Object|null} entry - { failures, lastFailureAt } from the store
+ * @param {number} freeAttempts
+ * @param {boolean} [canLock] - true for account counters
+ * @returns {number}
+ */
+const secondsLeft = (entry, freeAttempts, canLock = false) => {
+  if (!entry) return 0;
+
+  const waitMs = canLock && entry.failures >= LOGIN_LOCKOUT_THRESHOLD
+    ? LOCKOUT_MS
+    : backoffSeconds(entry.failures, freeAttempts) * 1000;
+
+  return Math.max(0, Math.ceil((entry.lastFailureAt.getTime() + waitMs - Date.now()) / 1000));
+};
+
+/**
+ * Build the 429 error thrown to the controllers.
+ * retryAfter (seconds) is sent as the Retry-After header.
+ * 
+ * @param {number} retryAfter
+ * @param {string} [what] - What there were too many of
+ * @returns {Error}
+ */
+const throttledError = (retryAfter, what = 'failed login attempts') => {
+  const wait = retryAfter < 60
+    ? `${retryAfter} second${retryAfter === 1 ? '' : 's'}`
+    : `${Math.ceil(retryAfter / 60)} minute${Math.ceil(retryAfter / 60) === 1 ? '' : 's'}`;
+
+  return Object.assign(
+    new Error(`Too many ${what}. Try again in ${wait}.`),
+    { status: 429, retryAfter }
+  );
+};
+
+/**
+ * CHECK A LOGIN MAY BE ATTEMPTED
+ * 
+ * Call BEFORE checking the password, so a throttled attacker learns nothing
+ * even when they guess right.
+ * 
+ * @param {string} email
+ * @param {Object} req - Express request (for req.ip)
+ * @param {Object} [user] - User record, when already loaded (checks lockedUntil)
+ * @throws {Error} with status 429 and retryAfter
+ */
+const assertLoginAllowed = async (email, req, user = null) => {
+  const activeStore = getStore();
+  const [ipEntry, accountEntry] = await Promise.all([
+    activeStore.get(ipKey(req.ip)),
+    activeStore.get(accountKey(email))
+  ]);
+
+  const lockedSeconds = user?.lockedUntil
+    ? Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000)
+    : 0;
+
+  const retryAfter = Math.max(
+    secondsLeft(ipEntry, LOGIN_FREE_ATTEMPTS_PER_IP),
+    secondsLeft(accountEntry, LOGIN_FREE_ATTEMPTS_PER_ACCOUNT, true),
+    lockedSeconds
+  );
+
+  if (retryAfter > 0) {
+    throw throttledError(retryAfter);
+  }
+};
+
+/**
+ * RECORD A FAILED ATTEMPT
+ * 
+ * Counts the failure for the IP and the account, stores a LoginAttempt row
+ * (plus audit log entries when the account exists) and locks the account
+ * once it reaches LOGIN_LOCKOUT_THRESHOLD.
+ * 
+ * @param {string} email
+ * @param {Object} req - Express request (IP and user agent are recorded)
+ * @param {string} reason - One of FAILURE_REASONS
+ * @param {Object} [user] - User record, if the email belongs to one
+ */
+const recordLoginFailure = async (email, req, reason, user = null) => {
+  const activeStore = getStore();
+  const [, accountEntry] = await Promise.all([
+    activeStore.hit(ipKey(req.ip)),
+    activeStore.hit(accountKey(email))
+  ]);
+
+  await prisma.loginAttempt.create({
+    data: {
+      email: normalizeEmail(email),
+      reason,
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+      userId: user?.id || null
+    }
+  });
+
+  if (user) {
+    await recordLoginFailureAudit(user, req, reason);
+  }
+
+  // LOCKOUT - visible to admins on the Team page, survives server restarts
+  if (user && accountEntry.failures >= LOGIN_LOCKOUT_THRESHOLD) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil: new Date(Date.now() + LOCKOUT_MS) }
+    });
+    console.warn(`🔒 Account ${user.email} locked after ${accountEntry.failures} failed login attempts`);
+  }
+};
+
+/**
+ * RECORD A SUCCESSFUL LOGIN
+ * 
+ * Clears the account counter. The IP counter is kept on purpose: one valid
+ * password must not let a sprayer continue at full speed.
+ * 
+ * @param {string} email
+ */
+const recordLoginSuccess = async (email) => {
+  await getStore().reset(accountKey(email));
+};
+
+/**
+ * UNLOCK AN ACCOUNT
+ * 
+ * Used by admins (POST /api/users/:id/unlock) and after a password reset.
+ * Clears both the lockout and the failure counter.
+ * 
+ * @param {Object} user - User record (id, email)
+ */
+const unlockAccount = async (user) => {
+  await prisma.user.update({ where: { id: user.id }, data: { lockedUntil: null } });
+  await getStore().reset(accountKey(user.email));
+};
+
+/**
+ * THROTTLE A PASSWORD RESET REQUEST
+ * 
+ * Checks, then counts, the request for the IP and the email - whether the
+ * email has an account or not, so a 429 reveals nothing either.
+ * Same thresholds as login (LOGIN_FREE_ATTEMPTS_PER_*), but separate
+ * counters and no lockout.
+ * 
+ * @param {string} email
+ * @param {Object} req - Express request (for req.ip)
+ * @throws {Error} with status 429 and retryAfter
+ */
+const throttlePasswordReset = async (email, req) => {
+  const activeStore = getStore();
+  const [ipEntry, accountEntry] = await Promise.all([
+    activeStore.get(resetIpKey(req.ip)),
+    activeStore.get(resetAccountKey(email))
+  ]);
+
+  const retryAfter = Math.max(
+    secondsLeft(ipEntry, LOGIN_FREE_ATTEMPTS_PER_IP),
+    secondsLeft(accountEntry, LOGIN_FREE_ATTEMPTS_PER_ACCOUNT)
+  );
+
+  if (retryAfter > 0) {
+    throw throttledError(retryAfter, 'password reset requests');
+  }
+
+  await Promise.all([
+    activeStore.hit(resetIpKey(req.ip)),
+    activeStore.hit(resetAccountKey(email))
+  ]);
+};
+
+module.exports = {
+  FAILURE_REASONS,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  throttlePasswordReset,
+  unlockAccount,
+  setStore,
+  createMemoryStore,
+  createPostgresStore
+};
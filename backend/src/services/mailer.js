@@ -0,0 +1,120 @@
+/**
+ * MAILER SERVICE
+ * 
+ * Sends emails (invitations, ...) through a pluggable TRANSPORT.
+ * 
+ * A transport is any object with an async send(message) method.
+ * message = { from, to, subject, text, html }
+ * 
+ * Built-in transports (choose with the MAIL_TRANSPORT environment variable):
+ * - 'outbox' (default): writes every message as a JSON file in MAIL_OUTBOX_DIR.
+ *   Works offline - open the file to read the email and click its links.
+ * - 'console': prints messages to the server logs.
+ * 
+ * To send real emails (SMTP, an email API, ...), register your own transport
+ * at startup:
+ *   const mailer = require('./services/mailer');
+ *   mailer.setTransport({ send: async (message) => { ... } });
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Default sender address for every message
+const MAIL_FROM = process.env.MAIL_FROM || 'AssetManager Pro <no-reply@localhost>';
+
+/**
+ * OUTBOX TRANSPORT
+ * 
+ * One JSON file per message, named so that files sort by date:
+ * "2026-01-20T10-15-00-000Z-3f2a9c1b.json"
+ * 
+ * @param {string} dir - Directory to write messages to (created if missing)
+ */
+const createOutboxTransport = (dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+    return { id: fileName, path: filePath };
+  }
+});
+
+/**
+ * CONSOLE TRANSPORT
+ * 
+ * Handy on platforms without a writable disk.
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: null };
+  }
+});
+
+/**
+ * Build the transport named by MAIL_TRANSPORT.
+ * Unknown names fail loudly instead of silently dropping emails.
+ */
+const createDefaultTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  if (name === 'outbox') {
+    return createOutboxTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox'));
+  }
+  if (name === 'console') {
+    return createConsoleTransport();
+  }
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected "outbox" or "console")`);
+};
+
+// The active transport - created lazily on first use
+let transport = null;
+
+/**
+ * Replace the active transport (custom providers, tests, ...).
+ * 
+ * @param {{ send: Function }} customTransport
+ */
+const setTransport = (customTransport) => {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('A mail transport must have a send(message) function');
+  }
+  transport = customTransport;
+};
+
+/**
+ * ESCAPE TEXT FOR HTML BODIES
+ * 
+ * Organization names, emails, etc. are chosen by users.
+ * Escape them before putting them in an HTML email so they can't inject markup.
+ * 
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * SEND AN EMAIL
+ * 
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject
+ * @param {string} options.text - Plain text body (always provided)
+ * @param {string} [options.html] - Optional HTML body
+ * @returns {Promise<Object>} Whatever the transport returns
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport, escapeHtml, createOutboxTransport, createConsoleTransport };
@@ -0,0 +1,419 @@
+/**
+ * PREVENTIVE MAINTENANCE
+ * 
+ * Two pieces (schema.prisma):
+ * - MaintenancePlan: recurring work for one asset, or for every asset of a
+ *   category - every N days, or every N months on a day of the month
+ * - WorkOrder: one piece of work on one asset, with an assignee, due date,
+ *   notes and cost. Opened by a plan (the scheduler below) or by hand
+ *   (controllers/workOrderController.js), then completed or cancelled.
+ * 
+ * The asset's status follows its work orders: opening one puts the asset in
+ * the organization's maintenance status (the first status of kind
+ * MAINTENANCE, see services/assetStatuses.js), closing the last open one
+ * puts it back in the status it had before - or the default status. These
+ * moves don't follow the organization's workflow (transitions): they are
+ * what the work orders mean. Each of those status changes is an asset
+ * revision, like an edit.
+ * 
+ * Shared by:
+ * - controllers/maintenancePlanController.js - plans (a new plan that is due opens its work orders at once)
+ * - controllers/workOrderController.js - work orders
+ * - controllers/assetController.js - an asset with open work orders can't be retired
+ * 
+ * Due dates are calendar dates (no time) in UTC, like check-out due dates:
+ * a work order is overdue from the day after its due date.
+ */
+
+const prisma = require('../db/prisma');
+const { forTenant } = require('../db/tenant');
+const { snapshot, lockAsset, recordRevision } = require('./assetHistory');
+const { today, toDateString } = require('./assignments');
+const { AUDIT_ACTIONS, findActorName, recordAudit } = require('./auditLog');
+const { loadStatuses, findStatus, defaultStatus, keysOfKind, isRetired } = require('./assetStatuses');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the scheduler looks for plans that are due
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Prisma include for a work order shown to the client (see toWorkOrder).
+ */
+const WORK_ORDER_INCLUDE = {
+  asset: { select: { id: true, name: true, serialNumber: true } },
+  plan: { select: { id: true, name: true } },
+  assignee: { select: { id: true, email: true } }
+};
+
+/**
+ * Shape a work order for the client.
+ * 
+ * @param {Object} workOrder - WorkOrder, loaded with WORK_ORDER_INCLUDE
+ * @returns {Object} {
+ *   id, title, status, asset: { id, name, serialNumber }, plan: { id, name } | null,
+ *   dueDate, overdue, assignee: { id, email } | null, notes, cost,
+ *   createdAt, createdBy, closedAt, closedBy
+ * }
+ */
+const toWorkOrder = (workOrder) => {
+  const dueDate = toDateString(workOrder.dueDate);
+
+  return {
+    id: workOrder.id,
+    title: workOrder.title,
+    status: workOrder.status,
+    asset: workOrder.asset,
+    plan: workOrder.plan, // null when opened by hand, or once the plan is deleted
+    dueDate,
+    overdue: workOrder.status === 'OPEN' && dueDate !== null && dueDate < today(),
+    assignee: workOrder.assignee,
+    notes: workOrder.notes,
+    cost: workOrder.cost === null ? null : Number(workOrder.cost), // Decimal -> number
+    createdAt: workOrder.createdAt,
+    createdBy: workOrder.createdBy,
+    closedAt: workOrder.closedAt,
+    closedBy: workOrder.closedBy
+  };
+};
+
+/**
+ * NEXT OCCURRENCE OF A PLAN
+ * 
+ * - DAYS: `interval` days later
+ * - MONTHS: `interval` months later, on dayOfMonth - or the last day of a
+ *   shorter month (a plan on the 31st is due on Feb 28, then Mar 31)
+ * 
+ * @param {Object} plan - { frequency, interval, dayOfMonth }
+ * @param {Date} date - An occurrence (midnight UTC)
+ * @returns {Date}
+ */
+const nextOccurrence = (plan, date) => {
+  if (plan.frequency === 'DAYS') {
+    return new Date(date.getTime() + plan.interval * DAY_MS);
+  }
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + plan.interval; // Date.UTC carries months over into years
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(plan.dayOfMonth, lastDay)));
+};
+
+/**
+ * Change an asset's status on behalf of its work orders, with a revision.
+ * 
+ * @param {Object} tx - Transaction client (asset locked by the caller)
+ * @param {Object|null} req - Express request (actor), null for the scheduler
+ * @param {Object} asset - The asset before the change
+ * @param {string} status
+ */
+const setAssetStatus = async (tx, req, asset, status) => {
+  await tx.asset.updateMany({ where: { id: asset.id }, data: { status } });
+  const after = await tx.asset.findUnique({ where: { id: asset.id } });
+  await recordRevision(tx, { assetId: asset.id, action: 'UPDATE', before: snapshot(asset), after: snapshot(after), user: req?.user || {} });
+};
+
+/**
+ * OPEN A WORK ORDER
+ * 
+ * Puts the asset in maintenance (if it isn't already, and the organization
+ * has a maintenance status) and logs it.
+ * 
+ * The work order remembers the status the asset had before maintenance
+ * (previousStatus). When the asset was already in maintenance for another
+ * open work order, it takes over that one's: whichever is closed last
+ * knows where the asset goes back to.
+ * 
+ * @param {Object} tx - Transaction client (asset locked by the caller, see lockAsset)
+ * @param {Object|null} req - Express request (actor), null for the scheduler
+ * @param {Object} asset - The asset, as read after locking it
+ * @param {Object} data - { title, dueDate, assigneeId, notes, plan }
+ * @returns {Promise<Object>} The work order (toWorkOrder)
+ * @throws {Error} status 409 for a retired asset
+ */
+const openWorkOrder = async (tx, req, asset, { title, dueDate = null, assigneeId = null, notes = null, plan = null }) => {
+  const statuses = await loadStatuses(tx);
+  if (isRetired(statuses, asset.status)) {
+    throw Object.assign(new Error("A retired asset can't get work orders"), { status: 409 });
+  }
+
+  // Already in a maintenance status: stays there
+  const maintenanceStatus = findStatus(statuses, asset.status)?.kind === 'MAINTENANCE'
+    ? null
+    : statuses.find(status => status.kind === 'MAINTENANCE');
+  const previousStatus = maintenanceStatus
+    ? asset.status
+    : (await tx.workOrder.findFirst({
+      where: { assetId: asset.id, status: 'OPEN', previousStatus: { not: null } },
+      select: { previousStatus: true }
+    }))?.previousStatus ?? null;
+
+  const created = await tx.workOrder.create({
+    data: {
+      title,
+      assetId: asset.id,
+      planId: plan?.id ?? null,
+      dueDate,
+      assigneeId,
+      notes,
+      previousStatus,
+      createdBy: req?.user ? await findActorName(tx, req.user) : null
+    },
+    include: WORK_ORDER_INCLUDE
+  });
+
+  if (maintenanceStatus) {
+    await setAssetStatus(tx, req, asset, maintenanceStatus.key);
+  }
+
+  const workOrder = toWorkOrder(created);
+  await recordAudit(tx, req, {
+    action: AUDIT_ACTIONS.WORK_ORDER_CREATE,
+    targetType: 'asset',
+    targetId: asset.id,
+    details: {
+      name: asset.name,
+      serialNumber: asset.serialNumber,
+      workOrder: title,
+      dueDate: workOrder.dueDate,
+      ...(plan && { plan: plan.name }),
+      ...(maintenanceStatus && { status: { before: asset.status, after: maintenanceStatus.key } })
+    },
+    ...(!req && { actor: {} }) // No user or key: opened by the scheduler
+  });
+  return workOrder;
+};
+
+/**
+ * CLOSE A WORK ORDER
+ * 
+ * Completes or cancels it. When it was the asset's last open work order and
+ * the asset is still in a maintenance status, the asset is back in service:
+ * in the status it had before (previousStatus) if that is still an
+ * in-service status of the organization, in the default status otherwise.
+ * 
+ * @param {Object} tx - Transaction client (asset locked by the caller)
+ * @param {Object} req - Express request (actor)
+ * @param {Object} workOrder - The open work order
+ * @param {string} status - 'DONE' or 'CANCELLED'
+ * @param {Object} changes - { notes, cost } - undefined keeps the current value
+ * @returns {Promise<Object>} The closed work order (toWorkOrder)
+ * @throws {Error} status 409 if it is already closed
+ */
+const closeWorkOrder = async (tx, req, workOrder, status, { notes, cost }) => {
+  // status: 'OPEN' - not closed by someone else in the meantime
+  const updated = await tx.workOrder.updateMany({
+    where: { id: workOrder.id, status: 'OPEN' },
+    data: {
+      status,
+      closedAt: new Date(),
+      closedBy: await findActorName(tx, req.user),
+      ...(notes !== undefined && { notes }),
+      ...(cost !== undefined && { cost })
+    }
+  });
+  if (updated.count === 0) {
+    throw Object.assign(new Error("This work order is already closed"), { status: 409 });
+  }
+
+  const asset = await tx.asset.findUnique({ where: { id: workOrder.assetId } });
+  const statuses = await loadStatuses(tx);
+  const stillOpen = await tx.workOrder.count({ where: { assetId: asset.id, status: 'OPEN' } });
+
+  let backInService = null;
+  if (stillOpen === 0 && findStatus(statuses, asset.status)?.kind === 'MAINTENANCE') {
+    const previous = findStatus(statuses, workOrder.previousStatus);
+    backInService = previous?.kind === 'IN_SERVICE' ? previous : defaultStatus(statuses);
+    await setAssetStatus(tx, req, asset, backInService.key);
+  }
+
+  const closed = toWorkOrder(await tx.workOrder.findUnique({ where: { id: workOrder.id }, include: WORK_ORDER_INCLUDE }));
+  await recordAudit(tx, req, {
+    action: status === 'DONE' ? AUDIT_ACTIONS.WORK_ORDER_COMPLETE : AUDIT_ACTIONS.WORK_ORDER_CANCEL,
+    targetType: 'asset',
+    targetId: asset.id,
+    details: {
+      name: asset.name,
+      serialNumber: asset.serialNumber,
+      workOrder: closed.title,
+      cost: closed.cost,
+      ...(backInService && { status: { before: asset.status, after: backInService.key } })
+    }
+  });
+  return closed;
+};
+
+/**
+ * Refuse to retire an asset (move it to a RETIRED status) with open work
+ * orders: they must be completed or cancelled first. Call it with the asset locked (lockAsset).
+ * 
+ * @param {Object} tx - Transaction client of req.db
+ * @param {string} assetId
+ * @throws {Error} status 409 while the asset has open work orders
+ */
+const assertNoOpenWorkOrders = async (tx, assetId) => {
+  if (await tx.workOrder.count({ where: { assetId, status: 'OPEN' } }) > 0) {
+    throw Object.assign(new Error("This asset has open work orders - complete or cancel them before retiring it"), { status: 409 });
+  }
+};
+
+/**
+ * LOCK A PLAN FOR THE REST OF THE TRANSACTION
+ * 
+ * The scheduler of every server instance, and admins editing the plan, may
+ * run it at the same time: the lock makes the others wait, then see the
+ * moved nextDueDate. Raw SQL bypasses the tenant extension: organizationId
+ * is filtered here.
+ * 
+ * @param {Object} tx - Transaction client of req.db / forTenant()
+ * @param {string} orgId
+ * @param {string} planId
+ * @returns {Promise<boolean>} false if the plan doesn't exist in this organization
+ */
+const lockPlan = async (tx, orgId, planId) => {
+  const rows = await tx.$queryRaw`
+    SELECT "id" FROM "MaintenancePlan"
+    WHERE "id" = ${planId} AND "organizationId" = ${orgId}
+    FOR UPDATE
+  `;
+  return rows.length > 0;
+};
+
+/**
+ * RUN A PLAN
+ * 
+ * If the plan is active and due, opens a work order - due on nextDueDate -
+ * for its asset, or for each asset of its category (assets in the trash or
+ * in a retired status are skipped), then moves nextDueDate to the first occurrence
+ * after today. Occurrences missed while the plan was paused or the server
+ * was down don't pile up: they are covered by that one work order.
+ * 
+ * @param {Object} tx - Transaction client (plan locked by the caller, see lockPlan)
+ * @param {Object|null} req - Express request (actor), null for the scheduler
+ * @param {Object} plan - The plan, as read after locking it
+ * @returns {Promise<number>} Number of work orders opened
+ */
+const runPlan = async (tx, req, plan) => {
+  const now = today();
+  if (!plan.isActive || toDateString(plan.nextDueDate) > now) return 0;
+
+  let nextDueDate = plan.nextDueDate;
+  while (toDateString(nextDueDate) <= now) nextDueDate = nextOccurrence(plan, nextDueDate);
+
+  // The assignee may have left the organization since the plan was saved
+  const assigneeId = plan.assigneeId
+    && await tx.membership.findFirst({ where: { userId: plan.assigneeId, isActive: true } })
+    ? plan.assigneeId
+    : null;
+
+  const statuses = await loadStatuses(tx);
+  const assets = await tx.asset.findMany({
+    where: {
+      ...(plan.assetId ? { id: plan.assetId } : { categoryId: plan.categoryId }),
+      deletedAt: null,
+      status: { notIn: keysOfKind(statuses, 'RETIRED') }
+    },
+    select: { id: true },
+    orderBy: { id: 'asc' } // Always lock in the same order
+  });
+
+  let opened = 0;
+  for (const { id } of assets) {
+    if (!(await lockAsset(tx, plan.organizationId, id))) continue;
+    const asset = await tx.asset.findUnique({ where: { id } });
+    if (isRetired(statuses, asset.status)) continue;
+
+    // Already opened for this date (the unique index is the last line of defence)
+    if (await tx.workOrder.findFirst({ where: { planId: plan.id, assetId: id, dueDate: plan.nextDueDate } })) continue;
+
+    await openWorkOrder(tx, req, asset, {
+      title: plan.name,
+      dueDate: plan.nextDueDate,
+      assigneeId,
+      notes: plan.description,
+      plan
+    });
+    opened += 1;
+  }
+
+  await tx.maintenancePlan.update({ where: { id: plan.id }, data: { nextDueDate } });
+  return opened;
+};
+
+/**
+ * RUN EVERY DUE PLAN
+ * 
+ * In every organization, through its own tenant client (forTenant) so
+ * row-level security applies as usual. Each plan runs in its own
+ * transaction: one failing plan doesn't hold up the others.
+ * 
+ * @returns {Promise<number>} Number of work orders opened
+ */
+const runDuePlans = async () => {
+  const dueBy = new Date(`${today()}T00:00:00Z`);
+  const organizations = await prisma.organization.findMany({ select: { id: true } });
+  let opened = 0;
+
+  for (const organization of organizations) {
+    const db = forTenant(organization.id);
+    const plans = await db.maintenancePlan.findMany({
+      where: { isActive: true, nextDueDate: { lte: dueBy } },
+      select: { id: true }
+    });
+
+    for (const { id } of plans) {
+      try {
+        opened += await db.$transaction(async (tx) => {
+          if (!(await lockPlan(tx, organization.id, id))) return 0; // Deleted in the meantime
+          return runPlan(tx, null, await tx.maintenancePlan.findUnique({ where: { id } }));
+        });
+      } catch (error) {
+        console.error(`Maintenance plan ${id} error:`, error);
+      }
+    }
+  }
+
+  return opened;
+};
+
+let schedulerTimer = null;
+
+/**
+ * START THE MAINTENANCE SCHEDULER
+ * 
+ * Runs once at startup, then every hour (called by server.js), like the
+ * trash purge job. unref() lets the process exit even though the timer is
+ * still scheduled. With several server instances each runs it: a plan is
+ * locked while it runs, so its work orders are only opened once.
+ */
+const startMaintenanceScheduler = () => {
+  if (schedulerTimer) return;
+
+  const run = async () => {
+    try {
+      const opened = await runDuePlans();
+      if (opened > 0) {
+        console.log(`🔧 Opened ${opened} maintenance work order(s)`);
+      }
+    } catch (error) {
+      console.error("Maintenance scheduler error:", error);
+    }
+  };
+
+  schedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+  run();
+};
+
+module.exports = {
+  WORK_ORDER_INCLUDE,
+  toWorkOrder,
+  nextOccurrence,
+  openWorkOrder,
+  closeWorkOrder,
+  assertNoOpenWorkOrders,
+  lockPlan,
+  runPlan,
+  runDuePlans,
+  startMaintenanceScheduler
+};
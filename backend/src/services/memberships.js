@@ -0,0 +1,59 @@
+/**
+ * MEMBERSHIP SERVICE
+ * 
+ * A user can belong to several organizations (a consultant managing assets
+ * for three clients has ONE account). Each Membership row links a user to
+ * an organization with its own role and active flag.
+ * 
+ * A session is always signed in to ONE membership: the access token carries
+ * its orgId and role, so every controller keeps scoping queries with
+ * req.user.orgId. POST /api/auth/switch-org moves to another membership.
+ */
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+/**
+ * FIND AN ACTIVE MEMBERSHIP
+ * 
+ * @param {string} userId
+ * @param {string} orgId
+ * @returns {Promise<Object|null>} Membership with organization, or null if the
+ *   user isn't a member or was deactivated in that organization
+ */
+const findActiveMembership = (userId, orgId) => prisma.membership.findFirst({
+  where: { userId, organizationId: orgId, isActive: true },
+  include: { organization: true }
+});
+
+/**
+ * LIST ACTIVE MEMBERSHIPS
+ * 
+ * Oldest first: the first one is where a password login lands by default.
+ * 
+ * @param {string} userId
+ * @returns {Promise<Object[]>} Memberships with organization
+ */
+const listActiveMemberships = (userId) => prisma.membership.findMany({
+  where: { userId, isActive: true },
+  include: { organization: true },
+  orderBy: { createdAt: 'asc' }
+});
+
+/**
+ * Shape a membership for the client (organization switcher).
+ * ssoRequired: the organization only accepts single sign-on, so switching to it
+ * means signing in with its identity provider (by slug).
+ * 
+ * @param {Object} membership - Membership with organization
+ * @returns {Object} { orgId, orgName, orgSlug, role, ssoRequired }
+ */
+const toMembershipResponse = (membership) => ({
+  orgId: membership.organizationId,
+  orgName: membership.organization.name,
+  orgSlug: membership.organization.slug,
+  role: membership.role,
+  ssoRequired: membership.organization.passwordLoginDisabled
+});
+
+module.exports = { findActiveMembership, listActiveMemberships, toMembershipResponse };
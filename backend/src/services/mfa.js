@@ -0,0 +1,217 @@
+/**
+ * MFA SERVICE
+ * 
+ * Two-factor authentication with TOTP codes (utils/totp.js) and
+ * single-use recovery codes. Shared by the login challenge endpoints and
+ * the "my account" endpoints in controllers/mfaController.js.
+ * 
+ * Enrolment:
+ * 1. startEnrollment() stores a PENDING secret and returns it as a QR code
+ * 2. The user scans it and types the first code
+ * 3. confirmEnrollment() checks that code, turns MFA on and returns
+ *    recovery codes (shown ONCE - only their hashes are stored)
+ * 
+ * Note: the TOTP secret itself must be readable to check codes, so it is
+ * stored as-is. Protect database backups accordingly.
+ */
+
+// QR code rendering - turns the otpauth:// URI into an image the app can scan
+const QRCode = require('qrcode');
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+const crypto = require('crypto');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+const { MFA_ISSUER } = require('../config/app');
+
+// Number of recovery codes generated at once
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * MFA ERROR
+ * 
+ * Errors carry an HTTP status, like the errors thrown in authController.js.
+ * 
+ * @param {string} message
+ * @param {number} status
+ * @returns {Error}
+ */
+const mfaError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Normalize a recovery code as typed by the user ("abcd-efgh " -> "ABCDEFGH").
+ * 
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * GENERATE RECOVERY CODES
+ * 
+ * Each code is 10 random characters, shown as "XXXXX-XXXXX".
+ * Like tokens (see utils/tokens.js), only SHA-256 hashes are stored.
+ * 
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(8).toString('hex').toUpperCase().slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+/**
+ * START ENROLMENT
+ * 
+ * Generates a new secret, stores it as pending and returns what the
+ * authenticator app needs.
+ * 
+ * @param {Object} user - User record from the database
+ * @returns {Promise<{ secret: string, otpauthUri: string, qrCode: string }>}
+ *   qrCode is a PNG data URL, usable directly as <img src>
+ */
+const startEnrollment = async (user) => {
+  if (user.mfaEnabled) {
+    throw mfaError("Two-factor authentication is already enabled", 409);
+  }
+
+  const secret = generateSecret();
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { mfaPendingSecret: secret }
+  });
+
+  return { secret, otpauthUri, qrCode: await QRCode.toDataURL(otpauthUri) };
+};
+
+/**
+ * CONFIRM ENROLMENT
+ * 
+ * The first valid code proves the app was set up correctly.
+ * 
+ * @param {Object} user - User record from the database
+ * @param {string} code - 6-digit code from the app
+ * @returns {Promise<string[]>} The recovery codes (plain text, shown once)
+ */
+const confirmEnrollment = async (user, code) => {
+  if (user.mfaEnabled) {
+    throw mfaError("Two-factor authentication is already enabled", 409);
+  }
+
+  if (!user.mfaPendingSecret) {
+    throw mfaError("Start the two-factor setup first", 400);
+  }
+
+  const step = verifyCode(user.mfaPendingSecret, code);
+  if (step === null) {
+    throw mfaError("Invalid code", 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  // Conditional update: a second setup started meanwhile invalidates this one
+  const updated = await prisma.user.updateMany({
+    where: { id: user.id, mfaEnabled: false, mfaPendingSecret: user.mfaPendingSecret },
+    data: {
+      mfaEnabled: true,
+      mfaSecret: user.mfaPendingSecret,
+      mfaPendingSecret: null,
+      mfaLastUsedStep: step,
+      mfaRecoveryCodes: hashes
+    }
+  });
+
+  if (updated.count === 0) {
+    throw mfaError("Two-factor setup changed, please start again", 409);
+  }
+
+  return codes;
+};
+
+/**
+ * VERIFY A SECOND FACTOR
+ * 
+ * Accepts either:
+ * - a 6-digit TOTP code - refused if its time step was already used (replay)
+ * - a recovery code - removed from the list once used
+ * 
+ * Both use conditional updates, so the same code can't be accepted twice,
+ * even by two parallel requests.
+ * 
+ * @param {Object} user - User record from the database
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, code) => {
+  if (!user.mfaEnabled || !user.mfaSecret) return false;
+
+  const step = verifyCode(user.mfaSecret, code);
+  if (step !== null) {
+    const updated = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: step } }]
+      },
+      data: { mfaLastUsedStep: step }
+    });
+    return updated.count === 1;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(code));
+  if (!user.mfaRecoveryCodes.includes(hash)) return false;
+
+  /**
+   * array_remove runs on the row as it is NOW: writing back a list filtered
+   * in JavaScript would restore a code redeemed by a parallel request.
+   * The ANY() condition makes the second redemption of the same code a no-op.
+   */
+  const updated = await prisma.$executeRaw`
+    UPDATE "User"
+    SET "mfaRecoveryCodes" = array_remove("mfaRecoveryCodes", ${hash})
+    WHERE "id" = ${user.id} AND ${hash} = ANY("mfaRecoveryCodes")
+  `;
+  return updated === 1;
+};
+
+/**
+ * REPLACE RECOVERY CODES
+ * 
+ * Old codes stop working immediately.
+ * 
+ * @param {string} userId
+ * @returns {Promise<string[]>} The new codes (plain text, shown once)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { mfaRecoveryCodes: hashes }
+  });
+  return codes;
+};
+
+/**
+ * Prisma data that turns MFA off and forgets every secret.
+ * Used when a user disables MFA and when an admin resets it.
+ */
+const MFA_RESET_DATA = {
+  mfaEnabled: false,
+  mfaSecret: null,
+  mfaPendingSecret: null,
+  mfaLastUsedStep: null,
+  mfaRecoveryCodes: []
+};
+
+module.exports = {
+  MFA_RESET_DATA,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,297 @@
+/**
+ * OPENID CONNECT CLIENT
+ * 
+ * Talks to an organization's identity provider (Okta, Entra ID, Google
+ * Workspace, Keycloak, ... or scripts/mock-oidc-provider.js in development).
+ * 
+ * Authorization code flow with PKCE:
+ * 1. The browser is sent to the provider's authorization endpoint with a random
+ *    state, a nonce and a PKCE code challenge (SHA-256 of a secret verifier)
+ * 2. The provider sends the browser back with a one-time code
+ * 3. We exchange the code (plus the client secret and the verifier) for an ID token
+ * 4. We verify the ID token: signature (provider's JWKS), issuer, audience,
+ *    expiry and nonce
+ * 
+ * Only Node built-ins are used: fetch() for HTTP, crypto for PKCE and to turn
+ * the provider's JSON Web Keys into public keys that jsonwebtoken understands.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const { generateToken } = require('../utils/tokens');
+
+// Provider metadata and signing keys are cached for an hour
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Give up on a slow provider instead of hanging the login
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// Asymmetric algorithms only - "none" and HMAC (shared secret) tokens are refused
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error for anything that goes wrong with the provider.
+ * status 502 = Bad Gateway (the problem is on the provider's side).
+ * 
+ * @param {string} message
+ * @param {number} [status=502]
+ * @returns {Error}
+ */
+const oidcError = (message, status = 502) => Object.assign(new Error(message), { status });
+
+/**
+ * Remove trailing slashes so "https://idp.example.com/" and
+ * "https://idp.example.com" are the same issuer.
+ * 
+ * @param {string} issuer
+ * @returns {string}
+ */
+const normalizeIssuer = (issuer) => issuer.trim().replace(/\/+$/, '');
+
+/**
+ * Is this a URL the server may talk to?
+ * 
+ * Must be https. Plain http is only accepted on localhost, and never in
+ * production: there, a tenant admin could otherwise point the server at
+ * its own local ports (discovery, token and key requests).
+ * 
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isAllowedUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:'
+      || (url.protocol === 'http:'
+        && process.env.NODE_ENV !== 'production'
+        && ['localhost', '127.0.0.1'].includes(url.hostname));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * VALIDATE AN ISSUER URL
+ * 
+ * https - or http://localhost outside production (mock provider), see isAllowedUrl().
+ * 
+ * @param {string} issuer
+ * @returns {boolean}
+ */
+const isValidIssuer = (issuer) => {
+  if (!isAllowedUrl(issuer)) return false;
+  const url = new URL(issuer);
+  return !url.search && !url.hash;
+};
+
+/**
+ * FETCH JSON FROM THE PROVIDER
+ * 
+ * @param {string} url
+ * @param {Object} [options] - fetch() options
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    console.error("OIDC request error:", url, error.message);
+    throw oidcError("Identity provider unreachable");
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    console.error("OIDC request failed:", url, response.status, body);
+    throw oidcError("Identity provider rejected the request");
+  }
+  return body;
+};
+
+/**
+ * DISCOVERY
+ * 
+ * Every OIDC provider publishes its endpoints at
+ * <issuer>/.well-known/openid-configuration
+ * 
+ * @param {string} issuer
+ * @returns {Promise<Object>} { issuer, authorization_endpoint, token_endpoint, jwks_uri, ... }
+ */
+const discover = async (issuer) => {
+  const normalized = normalizeIssuer(issuer);
+  const cached = discoveryCache.get(normalized);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${normalized}/.well-known/openid-configuration`);
+
+  // The document must describe the issuer we asked for (mix-up protection),
+  // and its endpoints follow the same rules as the issuer
+  if (normalizeIssuer(metadata.issuer || '') !== normalized
+    || ![metadata.authorization_endpoint, metadata.token_endpoint, metadata.jwks_uri].every(isAllowedUrl)) {
+    throw oidcError("Invalid identity provider configuration");
+  }
+
+  discoveryCache.set(normalized, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+/**
+ * SIGNING KEY LOOKUP
+ * 
+ * The provider's keys (JWKS) are cached. An unknown key id means the provider
+ * rotated its keys, so the set is fetched again once.
+ * 
+ * @param {string} jwksUri
+ * @param {string} [kid] - Key id from the ID token header
+ * @returns {Promise<crypto.KeyObject>}
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && key.use !== 'enc');
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys } = await fetchJson(jwksUri);
+    if (!Array.isArray(keys)) throw oidcError("Invalid identity provider keys");
+    cached = { keys, expiresAt: Date.now() + CACHE_TTL_MS };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) throw oidcError("Unknown identity provider signing key");
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * PKCE PAIR
+ * 
+ * The verifier stays on our server; only its SHA-256 (the challenge) goes
+ * through the browser. A stolen code is useless without the verifier.
+ * 
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+const createPkcePair = () => {
+  const codeVerifier = generateToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * BUILD THE AUTHORIZATION URL (step 1)
+ * 
+ * @param {Object} metadata - From discover()
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.redirectUri
+ * @param {string} params.state
+ * @param {string} params.nonce
+ * @param {string} params.codeChallenge
+ * @returns {string}
+ */
+const buildAuthorizationUrl = (metadata, { clientId, redirectUri, state, nonce, codeChallenge }) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+};
+
+/**
+ * EXCHANGE THE CODE FOR TOKENS (step 3)
+ * 
+ * The client authenticates with HTTP Basic (client_secret_basic, the
+ * default every provider supports).
+ * 
+ * @param {Object} metadata - From discover()
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {string} params.clientSecret
+ * @param {string} params.code
+ * @param {string} params.codeVerifier
+ * @param {string} params.redirectUri
+ * @returns {Promise<string>} The raw ID token
+ */
+const exchangeCode = async (metadata, { clientId, clientSecret, code, codeVerifier, redirectUri }) => {
+  const credentials = Buffer.from(
+    `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+  ).toString('base64');
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${credentials}`
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    })
+  });
+
+  if (typeof tokens.id_token !== 'string') {
+    throw oidcError("Identity provider returned no ID token");
+  }
+  return tokens.id_token;
+};
+
+/**
+ * VERIFY THE ID TOKEN (step 4)
+ * 
+ * @param {Object} metadata - From discover()
+ * @param {string} idToken
+ * @param {Object} params
+ * @param {string} params.clientId - Expected audience
+ * @param {string} params.nonce - Nonce sent in step 1
+ * @returns {Promise<Object>} The token claims (sub, email, email_verified, ...)
+ */
+const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || typeof decoded.payload !== 'object') {
+    throw oidcError("Invalid ID token");
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: clientId,
+      clockTolerance: 60 // Seconds of clock drift allowed between servers
+    });
+  } catch (error) {
+    console.error("ID token verification error:", error.message);
+    throw oidcError("Invalid ID token");
+  }
+
+  // The nonce ties the token to THIS login (replay protection)
+  if (!claims || typeof claims !== 'object' || claims.nonce !== nonce) {
+    throw oidcError("Invalid ID token");
+  }
+
+  return claims;
+};
+
+module.exports = {
+  normalizeIssuer,
+  isValidIssuer,
+  discover,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
@@ -0,0 +1,391 @@
+/**
+ * SESSION SERVICE
+ * 
+ * Everything needed to sign a user in, in one place.
+ * Controllers call createSession() instead of signing JWTs themselves,
+ * so every sign-in endpoint returns exactly the same payload.
+ * 
+ * A session is made of TWO tokens:
+ * 
+ * 1. ACCESS TOKEN (JWT, short-lived - ACCESS_TOKEN_TTL, 15 minutes by default)
+ *    Sent in the Authorization header of every API request.
+ *    Verified without a database lookup (see middleware/auth.js).
+ * 
+ * 2. REFRESH TOKEN (random string, long-lived - REFRESH_TOKEN_TTL_DAYS)
+ *    Only used to get a new access token (POST /api/auth/refresh).
+ *    Stored server-side (hashed) in the RefreshToken table, so it can be revoked.
+ * 
+ * ORGANIZATIONS
+ * 
+ * A session is signed in to ONE of the user's memberships (see
+ * services/memberships.js). The refresh token remembers the organization,
+ * and the access token carries its orgId and the role the user has there.
+ * 
+ * ROTATION AND REUSE DETECTION
+ * 
+ * Every refresh token works ONCE: using it returns a new refresh token
+ * (same "family") and marks the old one as replaced.
+ * If a replaced or revoked token is presented again, someone is replaying a
+ * stolen token - we revoke the WHOLE family, signing out both the attacker
+ * and the legitimate user.
+ */
+
+// JWT (JSON Web Token) - used to create secure authentication tokens
+const jwt = require('jsonwebtoken');
+
+// Node's crypto - random family IDs
+const crypto = require('crypto');
+
+// Import the Prisma client singleton
+const prisma = require('../db/prisma');
+
+// Roles and the permissions they grant (sent to the client so it can adapt the UI)
+const { getPermissions } = require('../config/roles');
+
+const { listActiveMemberships, findActiveMembership, toMembershipResponse } = require('./memberships');
+const { AUDIT_ACTIONS, recordAccountEvent } = require('./auditLog');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS, MFA_CHALLENGE_TTL } = require('../config/app');
+
+/**
+ * SESSION ERROR
+ * 
+ * Errors thrown by rotateSession() carry an HTTP status (401),
+ * like the errors thrown inside register() in authController.js.
+ * 
+ * @param {string} message
+ * @returns {Error}
+ */
+const sessionError = (message) => Object.assign(new Error(message), { status: 401 });
+
+/**
+ * CREATE ACCESS TOKEN
+ * 
+ * jwt.sign() creates a token containing:
+ * - Payload: { userId, orgId, role } - data we want to store in the token
+ *   (role is read by middleware/authorize.js to allow or deny each route)
+ *   plus sso: true for sessions started with single sign-on
+ * - Secret: JWT_SECRET - used to sign the token (proves it came from our server)
+ * - Options: { expiresIn } - token expires after ACCESS_TOKEN_TTL
+ * 
+ * The token is a string that looks like: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ * 
+ * @param {Object} user - User record from the database
+ * @param {Object} membership - The membership the session is signed in to
+ * @param {boolean} viaSso - Session started with single sign-on
+ * @returns {string}
+ */
+const createAccessToken = (user, membership, viaSso) => jwt.sign(
+  { userId: user.id, orgId: membership.organizationId, role: membership.role, ...(viaSso && { sso: true }) },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * STORE A NEW REFRESH TOKEN
+ * 
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} session
+ * @param {string} session.userId
+ * @param {string} session.organizationId - Organization the session is signed in to
+ * @param {boolean} session.viaSso - Started with single sign-on
+ * @param {string} session.familyId - Groups every token rotated from the same login
+ * @param {Object} [req] - Express request (remembers device info for the session)
+ * @returns {Promise<string>} The raw refresh token (only ever returned to the client)
+ */
+const issueRefreshToken = async (client, { userId, organizationId, viaSso, familyId }, req) => {
+  const refreshToken = generateToken();
+
+  await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(refreshToken),
+      familyId,
+      userId,
+      organizationId,
+      viaSso,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      userAgent: req?.get?.('user-agent')?.slice(0, 255) || null,
+      ipAddress: req?.ip || null
+    }
+  });
+
+  return refreshToken;
+};
+
+/**
+ * BUILD SESSION RESPONSE
+ * 
+ * We return:
+ * - token: Access token - client sends it in the Authorization header
+ * - refreshToken: Client keeps it to get new access tokens
+ * - user: Basic user info (we don't send password or sensitive data!)
+ *   including the role's permissions, so the UI can hide actions the user
+ *   cannot perform. The API still enforces them - the UI is only a convenience.
+ * - memberships: The organizations the user can switch to (organization
+ *   switcher). An SSO session only lists its own organization: the identity
+ *   provider of one organization can't vouch for the user in another.
+ * 
+ * @param {Object} user - User record from the database
+ * @param {Object} membership - Membership (with organization) the session is signed in to
+ * @param {string} refreshToken
+ * @param {boolean} viaSso
+ * @returns {Promise<Object>}
+ */
+const buildSessionResponse = async (user, membership, refreshToken, viaSso) => {
+  const memberships = viaSso ? [membership] : await listActiveMemberships(user.id);
+
+  return {
+    token: createAccessToken(user, membership, viaSso),
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      orgId: membership.organizationId,
+      orgName: membership.organization.name,
+      role: membership.role,
+      permissions: getPermissions(membership.role)
+    },
+    memberships: memberships.map(toMembershipResponse)
+  };
+};
+
+/**
+ * CREATE SESSION (SIGN IN)
+ * 
+ * Used by every endpoint that signs a user in (login, register,
+ * accepting an invitation, switching organization, ...).
+ * Starts a new refresh token family, and records the sign-in in the
+ * organization's audit log (see services/auditLog.js).
+ * 
+ * @param {Object} user - User record from the database
+ * @param {Object} membership - Membership (with organization) to sign in to
+ * @param {Object} [req] - Express request
+ * @param {Object} [options]
+ * @param {boolean} [options.viaSso=false] - Signed in with the organization's SSO
+ * @returns {Promise<Object>} { token, refreshToken, user: { id, email, orgId, orgName, role, permissions }, memberships }
+ */
+const createSession = async (user, membership, req, { viaSso = false } = {}) => {
+  const refreshToken = await issueRefreshToken(prisma, {
+    userId: user.id,
+    organizationId: membership.organizationId,
+    viaSso,
+    familyId: crypto.randomUUID()
+  }, req);
+  await recordAccountEvent(user, [membership.organizationId], req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    details: { viaSso }
+  });
+  return buildSessionResponse(user, membership, refreshToken, viaSso);
+};
+
+/**
+ * MFA CHALLENGE TOKENS
+ * 
+ * Two-step login: once the password is correct, users with two-factor
+ * authentication get a short-lived CHALLENGE token instead of a session.
+ * They trade it (plus a code from their app) for a session.
+ * 
+ * purpose:
+ * - 'mfa': the user has MFA and must enter a code (POST /api/auth/mfa/verify)
+ * - 'mfa-setup': the organization requires MFA but the user hasn't enrolled yet
+ *   (POST /api/auth/mfa/setup + /api/auth/mfa/enable)
+ * 
+ * The "purpose" claim also makes middleware/auth.js refuse challenge tokens
+ * as access tokens. The token also remembers which organization the login
+ * is for (orgId) and whether it came from single sign-on (sso).
+ */
+const MFA_PURPOSE = {
+  VERIFY: 'mfa',
+  SETUP: 'mfa-setup'
+};
+
+/**
+ * Sign a challenge token (expires after MFA_CHALLENGE_TTL).
+ * 
+ * @param {Object} user - User record from the database
+ * @param {Object} membership - Membership the login is for
+ * @param {string} purpose - One of MFA_PURPOSE
+ * @param {boolean} viaSso
+ * @returns {string}
+ */
+const createMfaChallenge = (user, membership, purpose, viaSso) => jwt.sign(
+  { userId: user.id, orgId: membership.organizationId, purpose, sso: viaSso },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_CHALLENGE_TTL }
+);
+
+/**
+ * Check a challenge token.
+ * 
+ * @param {string} mfaToken - Token returned by login
+ * @param {string} purpose - Expected purpose
+ * @returns {{ userId: string, orgId: string, viaSso: boolean }}
+ * @throws {Error} with status 401 when the token is invalid, expired or for another purpose
+ */
+const verifyMfaChallenge = (mfaToken, purpose) => {
+  try {
+    const payload = jwt.verify(String(mfaToken || ''), process.env.JWT_SECRET);
+    if (payload.purpose === purpose) {
+      return { userId: payload.userId, orgId: payload.orgId, viaSso: payload.sso === true };
+    }
+  } catch {
+    // Handled below - same answer for every kind of bad token
+  }
+  throw sessionError("Verification expired, please log in again");
+};
+
+/**
+ * SIGN IN (WITH MFA CHECK)
+ * 
+ * What login returns once the password (or invitation token, or SSO) was accepted:
+ * - MFA enabled: { mfaRequired: true, mfaToken }
+ * - Organization requires MFA, user not enrolled: { mfaSetupRequired: true, mfaToken }
+ * - Otherwise: a full session (createSession)
+ * 
+ * @param {Object} user - User record from the database
+ * @param {Object} membership - Membership (with organization) to sign in to
+ * @param {Object} [req] - Express request
+ * @param {Object} [options]
+ * @param {boolean} [options.viaSso=false] - Signed in with the organization's SSO
+ * @returns {Promise<Object>}
+ */
+const signIn = async (user, membership, req, { viaSso = false } = {}) => {
+  if (user.mfaEnabled) {
+    return { mfaRequired: true, mfaToken: createMfaChallenge(user, membership, MFA_PURPOSE.VERIFY, viaSso) };
+  }
+
+  if (membership.organization.requireMfa) {
+    return { mfaSetupRequired: true, mfaToken: createMfaChallenge(user, membership, MFA_PURPOSE.SETUP, viaSso) };
+  }
+
+  return createSession(user, membership, req, { viaSso });
+};
+
+/**
+ * REVOKE A WHOLE TOKEN FAMILY
+ * 
+ * @param {string} familyId
+ */
+const revokeFamily = (familyId) => prisma.refreshToken.updateMany({
+  where: { familyId, revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+/**
+ * REVOKE EVERY SESSION OF A USER
+ * 
+ * Used by "sign out all my sessions", password resets and MFA changes.
+ * Pass an organization to only end the sessions signed in to it
+ * (a member deactivated or removed by that organization's admin).
+ * Access tokens already issued stay valid until they expire (ACCESS_TOKEN_TTL).
+ * 
+ * @param {string} userId
+ * @param {string} [orgId] - Only sessions of this organization
+ */
+const revokeAllSessions = (userId, orgId) => prisma.refreshToken.updateMany({
+  where: { userId, ...(orgId && { organizationId: orgId }), revokedAt: null },
+  data: { revokedAt: new Date() }
+});
+
+/**
+ * ROTATE SESSION (REFRESH)
+ * 
+ * Flow:
+ * 1. Find the refresh token by hash
+ * 2. Already replaced or revoked? -> REUSE: revoke the whole family, reject
+ * 3. Expired, or no longer an active member of the organization? -> reject
+ * 4. Mark it replaced and issue a new one in the same family
+ * 
+ * The membership is re-read from the database, so role changes and
+ * deactivation take effect at the next refresh.
+ * 
+ * @param {string} refreshToken - Raw token sent by the client
+ * @param {Object} [req] - Express request
+ * @returns {Promise<Object>} Same payload as createSession()
+ * @throws {Error} with status 401 when the token can't be used
+ */
+const rotateSession = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+    throw sessionError("Refresh token is required");
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true }
+  });
+
+  if (!stored) {
+    throw sessionError("Invalid session");
+  }
+
+  if (stored.revokedAt || stored.replacedAt) {
+    // REUSE DETECTED - this token was already used (or its session was ended)
+    await revokeFamily(stored.familyId);
+    throw sessionError("Session revoked");
+  }
+
+  const membership = stored.expiresAt > new Date()
+    ? await findActiveMembership(stored.userId, stored.organizationId)
+    : null;
+
+  if (!membership) {
+    await revokeFamily(stored.familyId);
+    throw sessionError("Session expired");
+  }
+
+  const newRefreshToken = await prisma.$transaction(async (tx) => {
+    /**
+     * CLAIM THE OLD TOKEN
+     * 
+     * Conditional update: only ONE request can flip replacedAt from null.
+     * If two requests race with the same token, the loser is treated as reuse.
+     */
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: stored.id, replacedAt: null, revokedAt: null },
+      data: { replacedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    return issueRefreshToken(tx, stored, req);
+  });
+
+  if (!newRefreshToken) {
+    await revokeFamily(stored.familyId);
+    throw sessionError("Session revoked");
+  }
+
+  return buildSessionResponse(stored.user, membership, newRefreshToken, stored.viaSso);
+};
+
+/**
+ * END ONE SESSION (LOGOUT)
+ * 
+ * Revokes the family of the given refresh token - every token rotated from
+ * the same login. Unknown tokens are ignored (logout is idempotent).
+ * 
+ * @param {string} refreshToken
+ */
+const endSession = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) return;
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+
+  if (stored) {
+    await revokeFamily(stored.familyId);
+  }
+};
+
+module.exports = {
+  MFA_PURPOSE,
+  createSession,
+  signIn,
+  verifyMfaChallenge,
+  rotateSession,
+  endSession,
+  revokeAllSessions
+};
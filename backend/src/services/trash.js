@@ -0,0 +1,140 @@
+/**
+ * ASSET TRASH (RECYCLE BIN)
+ * 
+ * Deleting an asset (DELETE /api/assets/:id) doesn't remove it: it sets
+ * Asset.deletedAt and who deleted it (deletedById / deletedByApiKeyId).
+ * Assets in the trash:
+ * - are left out of the asset list, search, history and edits
+ * - don't count for serial number uniqueness (partial unique index, see
+ *   the asset_trash migration)
+ * - can be restored or deleted for good by admins (controllers/trashController.js)
+ * - are deleted for good TRASH_RETENTION_DAYS after being deleted, by the
+ *   purge job below
+ * 
+ * A permanent delete also removes the asset's revisions; the audit log
+ * keeps what the asset was (asset.purge entries).
+ */
+
+const prisma = require('../db/prisma');
+const { forTenant } = require('../db/tenant');
+const { TRASH_RETENTION_DAYS } = require('../config/app');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the purge job looks for expired assets
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Assets deleted per transaction by the purge job
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * When an asset in the trash will be deleted for good.
+ * 
+ * @param {Object} asset - Asset with deletedAt set
+ * @returns {Date}
+ */
+const purgeDate = (asset) => new Date(asset.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * PERMANENTLY DELETE AN ASSET OF THE TRASH
+ * 
+ * Only deletes the asset if it is still in the trash since the same moment
+ * (deletedAt unchanged): an asset restored - or restored and deleted again -
+ * in the meantime is left alone.
+ * 
+ * @param {Object} tx - Transaction client of req.db / forTenant() (adds organizationId)
+ * @param {Object|null} req - Express request (the actor), null for the purge job
+ * @param {Object} asset - The trashed asset, as read in this transaction
+ * @returns {Promise<boolean>} false if it was no longer in the trash
+ */
+const purgeTrashedAsset = async (tx, req, asset) => {
+  const deleted = await tx.asset.deleteMany({
+    where: { id: asset.id, deletedAt: asset.deletedAt }
+  });
+  if (deleted.count === 0) return false;
+
+  await recordAudit(tx, req, {
+    action: AUDIT_ACTIONS.ASSET_PURGE,
+    targetType: 'asset',
+    targetId: asset.id,
+    details: {
+      name: asset.name,
+      serialNumber: asset.serialNumber,
+      deletedAt: asset.deletedAt,
+      ...(!req && { retentionDays: TRASH_RETENTION_DAYS }) // Deleted by the purge job
+    },
+    ...(!req && { actor: {} }) // No user or key: the retention period expired
+  });
+  return true;
+};
+
+/**
+ * PURGE EXPIRED ASSETS
+ * 
+ * Deletes, in every organization, the assets that have been in the trash
+ * for more than TRASH_RETENTION_DAYS.
+ * 
+ * Runs outside any request: each organization is handled through its own
+ * tenant client (forTenant), so row-level security applies as usual.
+ * 
+ * @returns {Promise<number>} Number of assets deleted
+ */
+const purgeExpiredAssets = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const organizations = await prisma.organization.findMany({ select: { id: true } });
+  let purged = 0;
+
+  for (const organization of organizations) {
+    const db = forTenant(organization.id);
+
+    for (;;) {
+      const found = await db.$transaction(async (tx) => {
+        const expired = await tx.asset.findMany({
+          where: { deletedAt: { lt: cutoff } },
+          take: PURGE_BATCH_SIZE
+        });
+
+        for (const asset of expired) {
+          if (await purgeTrashedAsset(tx, null, asset)) purged += 1;
+        }
+        return expired.length;
+      });
+
+      if (found < PURGE_BATCH_SIZE) break;
+    }
+  }
+
+  return purged;
+};
+
+let purgeTimer = null;
+
+/**
+ * START THE PURGE JOB
+ * 
+ * Runs once at startup, then every hour (called by server.js).
+ * unref() lets the process exit even though the timer is still scheduled.
+ * With several server instances each runs the job: an asset is only
+ * deleted (and logged) once.
+ */
+const startTrashPurge = () => {
+  if (purgeTimer) return;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredAssets();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} asset(s) from the trash (older than ${TRASH_RETENTION_DAYS} days)`);
+      }
+    } catch (error) {
+      console.error("Trash purge error:", error);
+    }
+  };
+
+  purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+  purgeTimer.unref();
+  run();
+};
+
+module.exports = { purgeDate, purgeTrashedAsset, purgeExpiredAssets, startTrashPurge };
@@ -0,0 +1,58 @@
+/**
+ * CSV HELPERS
+ * 
+ * Builds CSV files (RFC 4180) for exports such as GET /api/audit-log/export:
+ * 
+ *   toCsvRow(['2026-02-13T09:00:00.000Z', 'asset.delete', 'jane@acme.com'])
+ *   -> '2026-02-13T09:00:00.000Z,asset.delete,jane@acme.com\r\n'
+ * 
+ * Values come from users (asset names, emails, user agents...), and the file
+ * is meant to be opened in a spreadsheet: see escapeCsvValue().
+ */
+
+// Characters that make a spreadsheet treat a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// "-5", "+1.5", "-2e3": signed numbers are data, not formulas
+const NUMBER_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * ESCAPE ONE VALUE
+ * 
+ * - null / undefined -> empty cell
+ * - objects (Json columns) -> JSON text
+ * - Dates -> ISO 8601
+ * - CSV INJECTION: a value starting with =, +, -, @ ... would run as a
+ *   formula in Excel or Sheets ("=HYPERLINK(...)" in an asset name).
+ *   It is prefixed with ' so it's shown as text. A value that is just a
+ *   signed number (an actor or target named "-1") is left alone: it can't
+ *   run anything, and the prefix would change the value a reader sees.
+ * - Values with a comma, quote or line break are quoted, quotes doubled
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  if (FORMULA_PREFIXES.some(prefix => text.startsWith(prefix)) && !NUMBER_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build one CSV line (CRLF line ending, as RFC 4180 asks).
+ * 
+ * @param {Array} values
+ * @returns {string}
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = { escapeCsvValue, toCsvRow };
@@ -0,0 +1,74 @@
+/**
+ * PAGINATION HELPERS
+ * 
+ * List endpoints that can grow large (assets, ...) return one page at a time:
+ * 
+ *   GET /api/assets?page=2&pageSize=50
+ * 
+ * and wrap the rows in an envelope with the totals the UI needs for its pager:
+ * 
+ *   { data: [...], pagination: { page: 2, pageSize: 50, total: 1234, totalPages: 25 } }
+ * 
+ * Offset pagination (skip/take) is used so the UI can jump to any page and
+ * show "page 2 of 25". Every query also needs a stable order (see the
+ * controllers), otherwise rows can move between pages.
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read a positive whole number from a query string value.
+ * 
+ * @param {*} value - e.g. req.query.page ("2")
+ * @returns {number|null} The number, or null if missing or not a positive integer
+ */
+const toPositiveInt = (value) => {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  const number = Number(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * PARSE PAGE AND PAGE SIZE
+ * 
+ * Missing values use the defaults. Invalid ones are an error (400) rather
+ * than silently replaced, so a typo in a script is noticed.
+ * 
+ * @param {Object} query - req.query
+ * @returns {{ page: number, pageSize: number, skip: number, take: number }}
+ * @throws {Error} status 400 if page or pageSize is invalid
+ */
+const parsePagination = (query) => {
+  const page = query.page === undefined ? 1 : toPositiveInt(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : toPositiveInt(query.pageSize);
+
+  if (!page) {
+    throw Object.assign(new Error("page must be a whole number of at least 1"), { status: 400 });
+  }
+  if (!pageSize || pageSize > MAX_PAGE_SIZE) {
+    throw Object.assign(new Error(`pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}`), { status: 400 });
+  }
+
+  return { page, pageSize, skip: (page - 1) * pageSize, take: pageSize };
+};
+
+/**
+ * BUILD THE RESPONSE ENVELOPE
+ * 
+ * @param {Object[]} data - Rows of the requested page
+ * @param {number} total - Number of rows matching the filters, all pages together
+ * @param {{ page: number, pageSize: number }} pagination - From parsePagination()
+ * @returns {Object}
+ */
+const toPage = (data, total, { page, pageSize }) => ({
+  data,
+  pagination: {
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize)
+  }
+});
+
+module.exports = { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, toPositiveInt, parsePagination, toPage };
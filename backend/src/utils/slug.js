@@ -0,0 +1,54 @@
+/**
+ * SLUG HELPERS
+ * 
+ * A slug is the URL-friendly identifier of an organization (e.g. "acme-corp").
+ * Slugs are unique across the whole database (see Organization.slug in schema.prisma),
+ * so they can later be used in URLs without exposing internal UUIDs.
+ */
+
+/**
+ * SLUG FORMAT
+ * 
+ * - Lowercase letters and digits only
+ * - Single dashes between words (no leading, trailing or double dashes)
+ * 
+ * Example valid: "acme-corp", "globex", "team-42"
+ * Example invalid: "Acme Corp", "-acme", "acme--corp"
+ */
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SLUG_MIN_LENGTH = 3;
+const SLUG_MAX_LENGTH = 48;
+
+/**
+ * Convert any organization name into a slug candidate.
+ * 
+ * "  Acme Corp. (EU)  " -> "acme-corp-eu"
+ * 
+ * @param {string} value - Free text (usually the organization name)
+ * @returns {string} Slug candidate (may be shorter than SLUG_MIN_LENGTH)
+ */
+const slugify = (value) => {
+  return value
+    .normalize('NFKD')                 // Split accented characters: "é" -> "e" + accent
+    .replace(/[\u0300-\u036f]/g, '')   // Drop the accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')       // Anything else becomes a dash
+    .replace(/^-+|-+$/g, '')           // No leading/trailing dashes
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/-+$/g, '');              // Slicing may leave a trailing dash
+};
+
+/**
+ * Check whether a slug respects the format and length rules.
+ * 
+ * @param {string} slug
+ * @returns {boolean}
+ */
+const isValidSlug = (slug) => {
+  return typeof slug === 'string'
+    && slug.length >= SLUG_MIN_LENGTH
+    && slug.length <= SLUG_MAX_LENGTH
+    && SLUG_REGEX.test(slug);
+};
+
+module.exports = { slugify, isValidSlug, SLUG_MIN_LENGTH, SLUG_MAX_LENGTH };
@@ -0,0 +1,37 @@
+/**
+ * RANDOM TOKEN HELPERS
+ * 
+ * Used for secrets we send to users by email or hand to clients
+ * (invitation links, password reset links, ...).
+ * 
+ * Security rules:
+ * - Tokens are generated with a cryptographically secure random generator
+ * - Only a SHA-256 HASH of each token is stored in the database.
+ *   If the database leaks, the hashes cannot be used as links.
+ * 
+ * Why SHA-256 and not bcrypt (like passwords)?
+ * - These tokens are long random values (256 bits), not human-chosen passwords,
+ *   so they cannot be brute-forced and don't need a slow hash.
+ * - A deterministic hash lets us find the row with a simple unique lookup.
+ */
+
+// Node's built-in crypto module - no extra dependency needed
+const crypto = require('crypto');
+
+/**
+ * Generate a random, URL-safe token.
+ * 
+ * @param {number} [bytes=32] - Amount of randomness (32 bytes = 256 bits)
+ * @returns {string} base64url string (safe in URLs and emails)
+ */
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash a token for storage and lookup.
+ * 
+ * @param {string} token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { generateToken, hashToken };
@@ -0,0 +1,169 @@
+/**
+ * TOTP (TIME-BASED ONE-TIME PASSWORD) HELPERS
+ * 
+ * Implements RFC 6238 - the 6-digit codes shown by authenticator apps
+ * (Google Authenticator, 1Password, Authy, ...).
+ * 
+ * How it works:
+ * 1. Server and app share a random SECRET (scanned once as a QR code)
+ * 2. Both compute HMAC-SHA1(secret, current 30-second time step)
+ * 3. The result is truncated to 6 digits - if they match, the user has the app
+ * 
+ * Only Node's built-in crypto module is used - no extra dependency.
+ */
+
+const crypto = require('crypto');
+
+// Authenticator apps use these defaults - changing them breaks compatibility
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// RFC 4648 base32 alphabet - secrets are exchanged in base32
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (no padding, like authenticator apps expect).
+ * 
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (spaces, padding and lowercase are accepted).
+ * 
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret.
+ * 
+ * @returns {string} 160-bit secret in base32 (the size recommended by RFC 4226)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current time step (number of 30-second periods since 1970).
+ * 
+ * @param {number} [now=Date.now()] - Time in milliseconds
+ * @returns {number}
+ */
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Compute the code for one time step (RFC 4226 "dynamic truncation").
+ * 
+ * @param {string} secret - base32 secret
+ * @param {number} step - Time step
+ * @returns {string} 6-digit code (leading zeros kept)
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * VERIFY A CODE
+ * 
+ * Accepts the current step and one step before/after (window = 1),
+ * so a slightly wrong phone clock or a slow typist still works.
+ * 
+ * Returns the MATCHING STEP instead of true, so callers can remember it and
+ * refuse the same code a second time (replay protection).
+ * 
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps accepted before/after the current one
+ * @param {number} [options.now=Date.now()] - Time in milliseconds
+ * @returns {number|null} The matching time step, or null
+ */
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    // timingSafeEqual - comparison time doesn't reveal how many digits matched
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * BUILD THE PROVISIONING URI
+ * 
+ * The "otpauth://" link encoded in the QR code. Authenticator apps read the
+ * secret and the labels shown next to the code from it.
+ * 
+ * @param {Object} params
+ * @param {string} params.secret - base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string}
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  // URLSearchParams encodes spaces as "+", some apps only understand "%20"
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = { generateSecret, verifyCode, buildOtpauthUri };
@@ -0,0 +1,78 @@
+/**
+ * SHARED VALIDATION RULES
+ * 
+ * Input rules used by several controllers (auth, users, ...).
+ * Keeping them in one place guarantees every endpoint accepts the same values.
+ */
+
+/**
+ * EMAIL FORMAT VALIDATION
+ * 
+ * Regular expression (regex) checks if email has valid format:
+ * - ^[^\s@]+ = one or more non-whitespace, non-@ characters (username)
+ * - @ = literal @ symbol
+ * - [^\s@]+ = one or more non-whitespace, non-@ characters (domain)
+ * - \. = literal dot
+ * - [^\s@]+$ = one or more characters at end (TLD like .com)
+ * 
+ * Example valid: "user@example.com"
+ * Example invalid: "notanemail" or "user@"
+ */
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * PASSWORD POLICY
+ * 
+ * Minimum length for passwords chosen by users (registration, new users, etc.).
+ * Login does NOT enforce it - existing accounts keep working.
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Check an email is a string with a valid format.
+ * 
+ * @param {*} email
+ * @returns {boolean}
+ */
+const isValidEmail = (email) => typeof email === 'string' && emailRegex.test(email);
+
+/**
+ * Check a new password respects the policy.
+ * 
+ * @param {*} password
+ * @returns {boolean}
+ */
+const isValidPassword = (password) => typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+/**
+ * Emails are stored lowercase and without surrounding spaces,
+ * so "Bob@Example.com " and "bob@example.com" are the same account.
+ * 
+ * @param {string} email
+ * @returns {string}
+ */
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+// Calendar dates (due dates, schedules): "YYYY-MM-DD"
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check an optional calendar date.
+ * 
+ * @param {*} value - "YYYY-MM-DD", or null / undefined / '' for none
+ * @param {string} field - Name used in the error message
+ * @returns {Date|null} Midnight UTC (what a @db.Date column stores)
+ * @throws {Error} status 400 for an invalid date
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = typeof value === 'string' && DATE_REGEX.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  // The round trip rejects dates that don't exist (2025-02-30)
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw Object.assign(new Error(`${field} must be a date (YYYY-MM-DD)`), { status: 400 });
+  }
+  return date;
+};
+
+module.exports = { emailRegex, MIN_PASSWORD_LENGTH, isValidEmail, isValidPassword, normalizeEmail, parseDate };
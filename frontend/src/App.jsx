@@ -4,8 +4,8 @@
  * This is the root component of the React application.
  * It handles:
  * - Authentication state (logged in or not)
- * - Conditional rendering (Login vs Dashboard)
- * - Navigation bar
+ * - Conditional rendering (Login vs Dashboard / Team)
+ * - Navigation bar with page tabs and the organization switcher
  * - Logout functionality
  * 
  * This component acts as a "router" - deciding what to show based on auth state.
@@ -18,6 +18,26 @@ import { useState } from 'react';
 // Import child components
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
+import Team from './components/Team';
+import Security from './components/Security';
+import ApiKeys from './components/ApiKeys';
+import Categories from './components/Categories';
+import Locations from './components/Locations';
+import AssetStatuses from './components/AssetStatuses';
+import AuditLog from './components/AuditLog';
+import Trash from './components/Trash';
+import MyAssets from './components/MyAssets';
+import Maintenance from './components/Maintenance';
+import AcceptInvite from './components/AcceptInvite';
+import ResetPassword from './components/ResetPassword';
+import SsoCallback from './components/SsoCallback';
+import OrgSwitcher from './components/OrgSwitcher';
+
+// Permission helper - decides which page tabs the user can see
+import { can } from './utils/permissions';
+
+// Configured API instance - used to revoke the session on logout
+import api from './api/axios';
 
 /**
  * APP COMPONENT FUNCTION
@@ -46,20 +66,129 @@ function App() {
    */
   const [isLoggedIn, setIsLoggedIn] = useState(!!localStorage.getItem('token'));
 
+  /**
+   * CURRENT PAGE
+   * 
+   * There is no router - a simple state variable decides which page is shown:
+   * - 'assets': the Dashboard (everyone)
+   * - 'my-assets': assets checked out to the user (everyone)
+   * - 'maintenance': work orders (everyone) and maintenance plans (only with 'maintenance:manage')
+   * - 'categories': asset categories (only with 'categories:manage')
+   * - 'locations': the location tree (only with 'locations:manage')
+   * - 'asset-statuses': asset statuses and allowed moves (only with 'asset-statuses:manage')
+   * - 'team': user management (only with the 'users:manage' permission)
+   * - 'security': two-factor authentication and organization security (everyone)
+   * - 'api-keys': API keys for scripts and tools (only with 'api-keys:manage')
+   */
+  const [page, setPage] = useState('assets');
+
+  /**
+   * CURRENT ORGANIZATION
+   * 
+   * Used as the key of the page content: switching organization changes it,
+   * so React remounts the page and it fetches the new organization's data.
+   */
+  const [orgId, setOrgId] = useState(() => localStorage.getItem('orgId'));
+
+  /**
+   * INVITATION LINK
+   * 
+   * Invitation emails link to "/?invite=<token>".
+   * URLSearchParams reads the query string once, when the app loads.
+   */
+  const [inviteToken, setInviteToken] = useState(
+    () => new URLSearchParams(window.location.search).get('invite')
+  );
+
+  /**
+   * PASSWORD RESET LINK
+   * 
+   * Password reset emails link to "/?reset=<token>".
+   */
+  const [resetToken, setResetToken] = useState(
+    () => new URLSearchParams(window.location.search).get('reset')
+  );
+
+  /**
+   * SINGLE SIGN-ON RETURN
+   * 
+   * After signing in with the identity provider, the backend redirects to
+   * "/?sso=<one-time code>" - or "/?sso_error=<message>" if it refused the login.
+   */
+  const [ssoResult, setSsoResult] = useState(() => {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('sso');
+    const error = params.get('sso_error');
+    return code || error ? { code, error } : null;
+  });
+
+  /**
+   * Leave the invitation / password reset / SSO screen: remove "?invite=...",
+   * "?reset=..." or "?sso=..." from the address bar (so a refresh doesn't
+   * reopen it) and show the normal app.
+   */
+  const clearLink = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setInviteToken(null);
+    setResetToken(null);
+    setSsoResult(null);
+  };
+
   /**
    * LOGOUT HANDLER FUNCTION
    * 
    * This function runs when user clicks the logout button.
    * It:
-   * 1. Clears all data from localStorage (including token)
-   * 2. Updates isLoggedIn state to false
-   * 3. React re-renders, showing Login component instead
+   * 1. Revokes the refresh token on the server (so it can't be reused)
+   * 2. Clears all data from localStorage (including token)
+   * 3. Updates isLoggedIn state to false
+   * 4. React re-renders, showing Login component instead
+   * 
+   * Server errors are ignored - the user is always logged out locally.
    */
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } catch {
+      // Already expired/revoked or server unreachable - nothing to do
+    }
     localStorage.clear(); // Remove all stored data (token, orgId, etc.)
+    setPage('assets'); // Next user starts on the Dashboard
     setIsLoggedIn(false); // Update state, triggers re-render
   };
 
+  /**
+   * SIGN OUT EVERYWHERE
+   * 
+   * Revokes every session of the current user (other browsers, devices),
+   * then logs out locally.
+   */
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of all sessions, on every device?')) return;
+
+    try {
+      await api.post('/auth/logout-all');
+    } catch (err) {
+      // e.g. refused for single sign-on sessions
+      alert(err.response?.data?.error || 'Failed to sign out other sessions');
+      return;
+    }
+    localStorage.clear();
+    setPage('assets');
+    setIsLoggedIn(false);
+  };
+
+  /**
+   * AFTER SWITCHING ORGANIZATION
+   * 
+   * The new role may not allow the current page (e.g. Team), so start
+   * again on the Dashboard.
+   */
+  const handleOrgSwitched = () => {
+    setPage('assets');
+    setOrgId(localStorage.getItem('orgId'));
+  };
+
   /**
    * CONDITIONAL RENDERING - LOGIN SCREEN
    * 
@@ -68,11 +197,69 @@ function App() {
    * onLoginSuccess is a callback prop - a function passed to child component.
    * When login succeeds, Login component calls this function.
    * This updates isLoggedIn to true, causing React to re-render and show Dashboard.
+   * 
+   * An invitation link takes priority: AcceptInvite creates the account and
+   * stores the new session (replacing any session already in this browser).
+   */
+  if (inviteToken) {
+    return (
+      <AcceptInvite
+        token={inviteToken}
+        onAccepted={() => { clearLink(); setIsLoggedIn(true); }}
+        onCancel={clearLink}
+      />
+    );
+  }
+
+  /**
+   * A password reset link signs the user out everywhere (the backend revokes
+   * all sessions), so any session stored in this browser is dropped as well.
    */
+  if (resetToken) {
+    return (
+      <ResetPassword
+        token={resetToken}
+        onDone={() => { clearLink(); localStorage.clear(); setIsLoggedIn(false); }}
+      />
+    );
+  }
+
+  // Replaces any session already stored in this browser, like an invitation
+  if (ssoResult) {
+    return (
+      <SsoCallback
+        code={ssoResult.code}
+        error={ssoResult.error}
+        onSuccess={() => { clearLink(); setIsLoggedIn(true); }}
+        onCancel={clearLink}
+      />
+    );
+  }
+
   if (!isLoggedIn) {
     return <Login onLoginSuccess={() => setIsLoggedIn(true)} />;
   }
 
+  /**
+   * PAGE TABS
+   * 
+   * Each tab has a key (matches the page state) and a label.
+   * Tabs the user has no permission for are filtered out.
+   */
+  const tabs = [
+    { key: 'assets', label: 'Assets' },
+    { key: 'my-assets', label: 'My Assets' },
+    { key: 'maintenance', label: 'Maintenance' },
+    can('categories:manage') && { key: 'categories', label: 'Categories' },
+    can('locations:manage') && { key: 'locations', label: 'Locations' },
+    can('asset-statuses:manage') && { key: 'asset-statuses', label: 'Statuses' },
+    can('assets:trash') && { key: 'trash', label: 'Trash' },
+    can('users:manage') && { key: 'team', label: 'Team' },
+    { key: 'security', label: 'Security' },
+    can('api-keys:manage') && { key: 'api-keys', label: 'API Keys' },
+    can('audit-log:read') && { key: 'audit-log', label: 'Audit Log' },
+  ].filter(Boolean);
+
   /**
    * CONDITIONAL RENDERING - DASHBOARD SCREEN
    * 
@@ -107,19 +294,49 @@ function App() {
           <span className="text-xl font-bold text-gray-800 tracking-tight">
             AssetManager <span className="text-blue-600">Pro</span>
           </span>
+
+          {/* Current organization - a dropdown when the user has several */}
+          <div className="ml-4">
+            <OrgSwitcher onSwitched={handleOrgSwitched} />
+          </div>
+
+          {/* Page Tabs - the active tab is highlighted */}
+          <div className="ml-6 flex gap-1">
+            {tabs.map(tab => (
+              <button
+                key={tab.key}
+                onClick={() => setPage(tab.key)}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  page === tab.key ? 'bg-blue-50 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
         </div>
         
-        {/* Logout Button */}
-        {/* 
-          onClick={handleLogout} - when clicked, run handleLogout function
-          className - Tailwind CSS classes for styling
-        */}
-        <button 
-          onClick={handleLogout}
-          className="px-4 py-2 text-sm font-medium text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
-        >
-          Logout
-        </button>
+        <div className="flex items-center gap-1">
+          {/* Sign Out Everywhere Button */}
+          <button
+            onClick={handleLogoutAll}
+            className="px-4 py-2 text-sm font-medium text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+          >
+            Sign out all sessions
+          </button>
+
+          {/* Logout Button */}
+          {/* 
+            onClick={handleLogout} - when clicked, run handleLogout function
+            className - Tailwind CSS classes for styling
+          */}
+          <button 
+            onClick={handleLogout}
+            className="px-4 py-2 text-sm font-medium text-gray-600 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors"
+          >
+            Logout
+          </button>
+        </div>
       </nav>
 
       {/* MAIN CONTENT AREA */}
@@ -128,9 +345,19 @@ function App() {
         mx-auto = center horizontally (margin auto)
         py-6 = vertical padding
       */}
-      <main className="max-w-7xl mx-auto py-6">
-        {/* Render the Dashboard component - this shows all the assets */}
-        <Dashboard />
+      <main key={orgId} className="max-w-7xl mx-auto py-6">
+        {/* Render the selected page - Dashboard shows all the assets */}
+        {page === 'team' && <Team />}
+        {page === 'security' && <Security />}
+        {page === 'api-keys' && <ApiKeys />}
+        {page === 'categories' && <Categories />}
+        {page === 'locations' && <Locations />}
+        {page === 'asset-statuses' && <AssetStatuses />}
+        {page === 'audit-log' && <AuditLog />}
+        {page === 'trash' && <Trash />}
+        {page === 'assets' && <Dashboard />}
+        {page === 'my-assets' && <MyAssets />}
+        {page === 'maintenance' && <Maintenance />}
       </main>
     </div>
   );
@@ -7,11 +7,15 @@
  * Benefits of creating a custom instance:
  * - Base URL configured once (no need to repeat it)
  * - Request interceptors automatically add auth token
+ * - Response interceptor transparently refreshes expired access tokens
  * - Consistent configuration across the app
  */
 
 import axios from 'axios';
 
+// Saves the new tokens returned by /auth/refresh
+import { storeSession } from '../utils/session';
+
 /**
  * CREATE AXIOS INSTANCE
  * 
@@ -79,6 +83,84 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+/**
+ * TOKEN REFRESH
+ * 
+ * Access tokens are short-lived (15 minutes by default). When one expires the
+ * backend answers 401; we then trade the refresh token for a new pair of
+ * tokens and retry the original request once.
+ * 
+ * refreshPromise makes parallel requests share ONE refresh call: refresh
+ * tokens work only once, so a second refresh with the same token would
+ * be treated as reuse and end the session.
+ */
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    // Plain axios (not api) so this call doesn't go through our interceptors
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, {
+        refreshToken: localStorage.getItem('refreshToken'),
+      })
+      .then((response) => storeSession(response.data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Login, signup and the MFA login step answer 401 for wrong credentials/codes.
+ * 
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+const isSignInRequest = (url = '') =>
+  ['/auth/login', '/auth/register'].includes(url) || url.startsWith('/auth/mfa/');
+
+/**
+ * RESPONSE INTERCEPTOR
+ * 
+ * Runs when a response comes back. Success responses pass through untouched.
+ * 
+ * On 401 (expired access token):
+ * - sign-in calls are skipped (wrong credentials or codes are not an expired session)
+ * - requests are retried only once (_retry flag)
+ * - if the refresh fails too, the session is over: clear storage and reload,
+ *   which shows the Login screen
+ */
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retry ||
+      isSignInRequest(original.url) ||
+      !localStorage.getItem('refreshToken')
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retry = true;
+
+    try {
+      await refreshSession();
+    } catch {
+      localStorage.clear();
+      window.location.reload();
+      return Promise.reject(error);
+    }
+
+    // The request interceptor adds the new token again
+    return api(original);
+  }
+);
+
 // Export the configured API instance
 // Other components import this and use: api.get(), api.post(), etc.
 export default api;
\ No newline at end of file
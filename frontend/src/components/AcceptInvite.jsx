@@ -0,0 +1,158 @@
+/**
+ * ACCEPT INVITE COMPONENT
+ * 
+ * Shown when the app is opened from an invitation email link:
+ *   http://localhost:5173/?invite=<token>
+ * 
+ * Flow:
+ * 1. Ask the backend what the invitation is for (organization, email, role)
+ * 2. The invitee chooses a password - or, if they already have an account
+ *    in another organization, enters their current one
+ * 3. The backend creates the account (or adds the membership) and signs the user in
+ *    (if the organization requires two-factor authentication, the user
+ *    sets it up first - see MfaChallenge.jsx)
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { storeSession } from '../utils/session';
+import MfaChallenge from './MfaChallenge';
+
+/**
+ * ACCEPT INVITE COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.token - Invitation token from the URL
+ * @param {Function} props.onAccepted - Called after the account is created and stored
+ * @param {Function} props.onCancel - Called when the user leaves this screen
+ */
+const AcceptInvite = ({ token, onAccepted, onCancel }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - invitation: { email, role, orgName, existingAccount } from the preview endpoint (null while loading)
+   *   existingAccount: the email already has an account (in another organization) -
+   *   the user confirms with their current password instead of choosing one
+   * - error: message shown when the link is invalid, expired or already used
+   */
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Second login step ({ mfaRequired | mfaSetupRequired, mfaToken })
+  const [challenge, setChallenge] = useState(null);
+
+  // Load the invitation details once, when the screen opens
+  useEffect(() => {
+    api.post('/invitations/preview', { token })
+      .then(({ data }) => setInvitation(data))
+      .catch(err => setError(err.response?.data?.error || "Could not load invitation"));
+  }, [token]);
+
+  /**
+   * FORM SUBMISSION HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!invitation.existingAccount) {
+      if (password.length < 8) {
+        alert("Password must be at least 8 characters");
+        return;
+      }
+
+      if (password !== confirmPassword) {
+        alert("Passwords do not match");
+        return;
+      }
+    }
+
+    setIsSubmitting(true);
+    try {
+      const { data } = await api.post('/invitations/accept', { token, password });
+
+      if (data.mfaRequired || data.mfaSetupRequired) {
+        setChallenge(data);
+        return;
+      }
+
+      storeSession(data);
+      onAccepted();
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to accept invitation");
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * The account exists now - "Back to login" leaves the invitation screen,
+   * the user can log in with their (new) password.
+   */
+  if (challenge) {
+    return <MfaChallenge challenge={challenge} onSuccess={onAccepted} onCancel={onCancel} />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Join your team</h2>
+
+        {/* ERROR STATE - invalid, expired, revoked or already used link */}
+        {error && (
+          <div className="mt-6 text-center">
+            <p className="text-sm text-red-600">{error}</p>
+            <button onClick={onCancel} className="mt-6 text-sm font-semibold text-blue-600 hover:text-blue-800">
+              Go to login
+            </button>
+          </div>
+        )}
+
+        {/* LOADING STATE */}
+        {!error && !invitation && (
+          <p className="mt-6 text-center text-gray-500 animate-pulse">Checking invitation...</p>
+        )}
+
+        {/* PASSWORD FORM */}
+        {invitation && (
+          <>
+            <p className="text-center text-sm text-gray-500 mb-8">
+              Join <strong>{invitation.orgName}</strong> as {invitation.role} with {invitation.email}
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <input
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                placeholder={invitation.existingAccount ? 'Your current password' : 'Choose a password'}
+              />
+              {/* Existing accounts keep their password - nothing to confirm */}
+              {!invitation.existingAccount && (
+                <input
+                  className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={e => setConfirmPassword(e.target.value)}
+                  placeholder="Confirm password"
+                />
+              )}
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+              >
+                {isSubmitting ? 'Joining...' : 'Accept invitation'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
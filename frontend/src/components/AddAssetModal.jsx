@@ -4,7 +4,8 @@
  * This component displays a modal dialog for adding new assets.
  * 
  * Features:
- * - Form with name, serial number, and status fields
+ * - Form with name, serial number, category, location, and status fields
+ * - The custom fields of the chosen category (CustomFieldInputs)
  * - Controlled form inputs (React state)
  * - API call to create asset
  * - Loading state during submission
@@ -18,6 +19,11 @@
 
 import { useState } from 'react';
 import api from '../api/axios';
+import CustomFieldInputs from './CustomFieldInputs';
+import LocationPicker from './LocationPicker';
+
+// Empty form - used initially and after a successful save
+const emptyForm = { name: '', status: '', serialNumber: '', categoryId: '', locationId: '', customFields: {} };
 
 /**
  * ADD ASSET MODAL COMPONENT
@@ -26,10 +32,13 @@ import api from '../api/axios';
  * @param {boolean} props.isOpen - Controls modal visibility
  * @param {Function} props.onClose - Callback to close modal
  * @param {Function} props.onRefresh - Callback to refresh assets list
+ * @param {Object[]} props.categories - The organization's categories (picker choices)
+ * @param {Object[]} props.locations - The organization's locations (picker choices)
+ * @param {Object[]} props.statuses - The organization's statuses (picker choices)
  * 
  * Props are passed from parent component (Dashboard).
  */
-const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
+const AddAssetModal = ({ isOpen, onClose, onRefresh, categories = [], locations = [], statuses = [] }) => {
   /**
    * FORM STATE MANAGEMENT
    * 
@@ -38,14 +47,19 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
    * 
    * Initial values:
    * - name: empty string
-   * - status: 'active' (default value)
+   * - status: empty string - the organization's default status (isDefault)
    * - serialNumber: empty string
+   * - categoryId: empty string - the user must pick one
+   * - locationId: empty string - no location (optional)
+   * - customFields: values of the category's custom fields, keyed by field key
    */
-  const [formData, setFormData] = useState({ 
-    name: '', 
-    status: 'active', 
-    serialNumber: '' 
-  });
+  const [formData, setFormData] = useState(emptyForm);
+
+  // Status shown while none is picked - the backend applies the same default
+  const defaultStatusKey = statuses.find(status => status.isDefault)?.key || '';
+
+  // Custom fields of the chosen category (none until one is picked)
+  const fields = categories.find(category => category.id === formData.categoryId)?.fields || [];
 
   /**
    * SUBMISSION LOADING STATE
@@ -88,10 +102,19 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
        * 
        * POST request to /api/assets with form data.
        * Backend validates and creates the asset.
+       * Only values of the chosen category's fields are sent - values typed
+       * before switching category would be refused.
        * 
        * await waits for the request to complete.
        */
-      await api.post('/assets', formData);
+      await api.post('/assets', {
+        ...formData,
+        locationId: formData.locationId || null,
+        customFields: Object.fromEntries(fields.map(field => [
+          field.key,
+          formData.customFields[field.key] ?? (field.type === 'BOOLEAN' ? false : null) // Unticked box = false
+        ]))
+      });
 
       /**
        * SUCCESS ACTIONS
@@ -103,7 +126,7 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
        */
       onRefresh();
       onClose();
-      setFormData({ name: '', status: 'active', serialNumber: '' });
+      setFormData(emptyForm);
     } catch (err) {
       /**
        * ERROR HANDLING
@@ -112,7 +135,7 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
        * Form stays open so user can try again.
        */
       console.error("Submission error:", err);
-      alert("Failed to add asset.");
+      alert(err.response?.data?.error || "Failed to add asset.");
     } finally {
       /**
        * FINALLY BLOCK
@@ -179,7 +202,7 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
         </div>
 
         {/* FORM */}
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+        <form onSubmit={handleSubmit} className="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
           {/* Asset Name Field */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-1">Asset Name</label>
@@ -213,23 +236,57 @@ const AddAssetModal = ({ isOpen, onClose, onRefresh }) => {
             />
           </div>
 
+          {/* Category Dropdown */}
+          {/* 
+            Choices come from GET /api/categories (loaded by the Dashboard).
+            The backend checks the category belongs to this organization.
+          */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Category</label>
+            <select 
+              required
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+              value={formData.categoryId}
+              onChange={e => setFormData({...formData, categoryId: e.target.value})}
+            >
+              <option value="" disabled>Select a category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Custom fields of the chosen category */}
+          <CustomFieldInputs
+            fields={fields}
+            values={formData.customFields}
+            onChange={customFields => setFormData({...formData, customFields})}
+          />
+
+          {/* Location - optional, the breadcrumb of the chosen one shows below */}
+          <LocationPicker
+            locations={locations}
+            value={formData.locationId}
+            onChange={locationId => setFormData({...formData, locationId})}
+          />
+
           {/* Status Dropdown */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-1">Status</label>
             {/* 
               Select dropdown:
-              - value={formData.status} - controlled component
+              - value - controlled component, the default status until one is picked
               - onChange updates status in state
-              - Options: active, maintenance, retired
+              - Options: the organization's statuses (a new asset may start in any of them)
             */}
             <select 
               className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
-              value={formData.status}
+              value={formData.status || defaultStatusKey}
               onChange={e => setFormData({...formData, status: e.target.value})}
             >
-              <option value="active">Active</option>
-              <option value="maintenance">Maintenance</option>
-              <option value="retired">Retired</option>
+              {statuses.map(status => (
+                <option key={status.key} value={status.key}>{status.label}</option>
+              ))}
             </select>
           </div>
 
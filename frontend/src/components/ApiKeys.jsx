@@ -0,0 +1,289 @@
+/**
+ * API KEYS COMPONENT
+ * 
+ * Admin screen for the organization's API keys (scripts and tools call the
+ * API with an "X-API-Key" header instead of logging in).
+ * It displays:
+ * - A form to create a key: name, scopes and expiry
+ * - The new key, ONCE, right after it is created
+ * - Table of all keys with their prefix, scopes, last use, status and a revoke button
+ * 
+ * Only rendered for users with the 'api-keys:manage' permission (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * AVAILABLE SCOPES
+ * 
+ * Must match API_KEY_SCOPES on the backend (config/roles.js).
+ */
+const SCOPES = [
+  { value: 'assets:read', label: 'Read assets' },
+  { value: 'assets:write', label: 'Create and edit assets' },
+  { value: 'assets:delete', label: 'Delete assets' },
+];
+
+// Expiry choices in days ('' = never expires)
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+];
+
+const emptyForm = { name: '', scopes: ['assets:read'], expiresInDays: '90' };
+
+/**
+ * KEY STATUS COLORS
+ * 
+ * Status is computed by the backend: active, revoked or expired.
+ */
+const statusClasses = {
+  active: 'bg-green-100 text-green-700',
+  revoked: 'bg-gray-200 text-gray-600',
+  expired: 'bg-gray-200 text-gray-600',
+};
+
+const ApiKeys = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - apiKeys: array of keys from the API (never the key itself)
+   * - loading: true while the first fetch is running
+   * - formData / isSubmitting: the "create key" form
+   * - newKey: the key just created, shown until the admin dismisses it
+   */
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [newKey, setNewKey] = useState(null);
+
+  /**
+   * FETCH API KEYS
+   */
+  const fetchApiKeys = async () => {
+    try {
+      const { data } = await api.get('/api-keys');
+      setApiKeys(data);
+    } catch (err) {
+      console.error("Fetch API keys error:", err);
+      alert(err.response?.data?.error || "Failed to load API keys");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the keys once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchApiKeys();
+    })();
+  }, []);
+
+  /**
+   * Tick or untick a scope checkbox.
+   * 
+   * @param {string} scope - e.g. 'assets:write'
+   */
+  const toggleScope = (scope) => {
+    const scopes = formData.scopes.includes(scope)
+      ? formData.scopes.filter(s => s !== scope)
+      : [...formData.scopes, scope];
+    setFormData({ ...formData, scopes });
+  };
+
+  /**
+   * CREATE KEY HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (formData.scopes.length === 0) {
+      alert("Pick at least one scope");
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const { data } = await api.post('/api-keys', {
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresInDays: formData.expiresInDays ? Number(formData.expiresInDays) : null
+      });
+      setNewKey(data.key);
+      setFormData(emptyForm);
+      await fetchApiKeys();
+    } catch (err) {
+      console.error("Create API key error:", err);
+      alert(err.response?.data?.error || "Failed to create API key");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * REVOKE KEY HANDLER
+   * 
+   * Scripts using the key stop working immediately.
+   * 
+   * @param {Object} apiKey - The key to revoke
+   */
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using this key will stop working.`)) return;
+
+    try {
+      await api.delete(`/api-keys/${apiKey.id}`);
+      await fetchApiKeys();
+    } catch (err) {
+      console.error("Revoke API key error:", err);
+      alert(err.response?.data?.error || "Failed to revoke API key");
+    }
+  };
+
+  // Copy the new key to the clipboard
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+    } catch {
+      alert("Could not copy - please select the key and copy it manually");
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading API keys...</div>;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">API Keys</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Let scripts and tools access this organization's assets. Send the key in the <code>X-API-Key</code> header.
+      </p>
+
+      {/* NEW KEY - shown once, right after creation */}
+      {newKey && (
+        <div className="mt-6 bg-yellow-50 ring-1 ring-yellow-200 rounded-xl p-4 space-y-3">
+          <p className="text-sm text-yellow-800">
+            Copy this key now - it won't be shown again.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <code className="flex-1 px-3 py-2 bg-white border border-yellow-200 rounded-lg font-mono text-sm text-gray-800 break-all">
+              {newKey}
+            </code>
+            <button
+              type="button"
+              onClick={handleCopy}
+              className="px-4 py-2 border border-gray-300 bg-white text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Copy
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewKey(null)}
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* CREATE FORM */}
+      <form onSubmit={handleCreate} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 space-y-3">
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            required
+            placeholder="Key name (e.g. Procurement script)"
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+            value={formData.name}
+            onChange={e => setFormData({ ...formData, name: e.target.value })}
+          />
+          <select
+            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+            value={formData.expiresInDays}
+            onChange={e => setFormData({ ...formData, expiresInDays: e.target.value })}
+          >
+            {EXPIRY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Creating...' : '+ Create key'}
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-4">
+          {SCOPES.map(scope => (
+            <label key={scope.value} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={formData.scopes.includes(scope.value)}
+                onChange={() => toggleScope(scope.value)}
+              />
+              {scope.label}
+            </label>
+          ))}
+        </div>
+      </form>
+
+      {/* API KEYS TABLE */}
+      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Name</th>
+              <th className="px-6 py-4 text-left font-semibold">Key</th>
+              <th className="px-6 py-4 text-left font-semibold">Scopes</th>
+              <th className="px-6 py-4 text-left font-semibold">Last used</th>
+              <th className="px-6 py-4 text-left font-semibold">Expires</th>
+              <th className="px-6 py-4 text-left font-semibold">Status</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {apiKeys.map((apiKey) => (
+              <tr key={apiKey.id} className="hover:bg-gray-50 transition">
+                <td className="px-6 py-4 text-sm font-medium text-gray-900">{apiKey.name}</td>
+                <td className="px-6 py-4 text-sm text-gray-500 font-mono">{apiKey.prefix}…</td>
+                <td className="px-6 py-4 text-sm text-gray-500">{apiKey.scopes.join(', ')}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleDateString() : 'Never'}
+                </td>
+                <td className="px-6 py-4">
+                  <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${statusClasses[apiKey.status]}`}>
+                    {apiKey.status}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-sm font-medium">
+                  {apiKey.status === 'active' && (
+                    <button
+                      onClick={() => handleRevoke(apiKey)}
+                      className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {apiKeys.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-6 py-10 text-center text-sm text-gray-500">No API keys yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
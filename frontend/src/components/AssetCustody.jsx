@@ -0,0 +1,130 @@
+/**
+ * ASSET CUSTODY COMPONENT
+ * 
+ * "Custody" tab of the Edit modal: who had the asset, and when, newest
+ * first (GET /api/assets/:id/assignments). The first entry is still open
+ * while somebody has the asset. Read-only - check-out and check-in are on
+ * the Assets table.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * Who the asset was checked out to.
+ * 
+ * @param {Object} assignee - { type: 'user', email } or { type: 'external', name }
+ * @returns {string}
+ */
+const formatAssignee = (assignee) => {
+  if (assignee.type === 'external') return `${assignee.name} (external)`;
+  return assignee.email ?? '(deleted user)';
+};
+
+/**
+ * ASSET CUSTODY COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.assetId - The asset whose custody history is shown
+ */
+const AssetCustody = ({ assetId }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - assignments: loaded assignments (pages are appended by "Load more")
+   * - pagination: { page, totalPages } of the last page loaded
+   * - loading: true while the first page is loading
+   */
+  const [assignments, setAssignments] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+
+  // Load the first page when the tab opens
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get(`/assets/${assetId}/assignments`);
+        setAssignments(data.data);
+        setPagination(data.pagination);
+      } catch (err) {
+        console.error("Fetch custody history error:", err);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [assetId]);
+
+  /**
+   * LOAD OLDER ASSIGNMENTS
+   * 
+   * Appends the next page below the assignments already shown.
+   */
+  const handleLoadMore = async () => {
+    try {
+      const { data } = await api.get(`/assets/${assetId}/assignments`, { params: { page: pagination.page + 1 } });
+      setAssignments([...assignments, ...data.data]);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Fetch custody history error:", err);
+      alert(err.response?.data?.error || "Failed to load custody history");
+    }
+  };
+
+  if (loading) return <div className="py-6 text-center text-sm text-gray-500 animate-pulse">Loading custody history...</div>;
+
+  if (assignments.length === 0) {
+    return <p className="py-6 text-center text-sm text-gray-500">This asset has never been checked out.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-3">
+        {assignments.map(assignment => (
+          <li key={assignment.id} className="rounded-lg ring-1 ring-gray-200 p-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium text-gray-900">{formatAssignee(assignment.assignee)}</span>
+              {!assignment.checkedInAt && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-blue-50 text-blue-700">Has it now</span>
+              )}
+              {assignment.overdue && (
+                <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-50 text-red-700">Overdue</span>
+              )}
+            </div>
+
+            <dl className="mt-2 space-y-1 text-xs text-gray-600">
+              <div>
+                <dt className="inline font-medium text-gray-700">Checked out: </dt>
+                <dd className="inline">
+                  {new Date(assignment.checkedOutAt).toLocaleString()} by {assignment.checkedOutBy ?? '(unknown)'}
+                  {assignment.dueDate && <> - due {new Date(`${assignment.dueDate}T00:00:00`).toLocaleDateString()}</>}
+                </dd>
+              </div>
+              {assignment.checkoutNote && <div className="italic">“{assignment.checkoutNote}”</div>}
+
+              {assignment.checkedInAt && (
+                <div>
+                  <dt className="inline font-medium text-gray-700">Checked in: </dt>
+                  <dd className="inline">
+                    {new Date(assignment.checkedInAt).toLocaleString()} by {assignment.checkedInBy ?? '(unknown)'}
+                  </dd>
+                </div>
+              )}
+              {assignment.checkinNote && <div className="italic">“{assignment.checkinNote}”</div>}
+            </dl>
+          </li>
+        ))}
+      </ul>
+
+      {pagination.page < pagination.totalPages && (
+        <button
+          onClick={handleLoadMore}
+          className="w-full py-2 text-sm text-gray-600 hover:bg-gray-50 rounded-lg"
+        >
+          Load older assignments
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AssetCustody;
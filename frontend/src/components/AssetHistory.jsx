@@ -0,0 +1,180 @@
+/**
+ * ASSET HISTORY COMPONENT
+ * 
+ * "History" tab of the Edit modal: every change made to an asset, newest
+ * first (GET /api/assets/:id/history):
+ * - who made it (a user, or an API key for scripts) and when
+ * - what changed, field by field: before -> after
+ * - a button to put the asset back to the values of an older revision
+ *   (POST /api/assets/:id/revert/:revisionId) - the revert is recorded as a
+ *   new revision, nothing is erased
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+// How each kind of revision is shown
+const ACTION_LABELS = {
+  CREATE: { text: 'Created', className: 'bg-green-50 text-green-700' },
+  UPDATE: { text: 'Updated', className: 'bg-blue-50 text-blue-700' },
+  REVERT: { text: 'Reverted', className: 'bg-yellow-50 text-yellow-700' }
+};
+
+/**
+ * Show a value of the diff as text.
+ * 
+ * @param {*} value - Text, number, boolean, category ({ id, name }) or null
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return value.name ?? '(deleted category)';
+  return String(value);
+};
+
+/**
+ * Who made the change.
+ * 
+ * @param {Object|null} actor - { type: 'user', email } or { type: 'apiKey', name }
+ * @returns {string}
+ */
+const formatActor = (actor) => {
+  if (!actor) return 'Deleted user or key';
+  if (actor.type === 'apiKey') return `API key ${actor.name ?? '(revoked)'}`;
+  return actor.email ?? 'Former member';
+};
+
+/**
+ * ASSET HISTORY COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.assetId - The asset whose history is shown
+ * @param {Function} props.onReverted - Called after a successful revert
+ */
+const AssetHistory = ({ assetId, onReverted }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - revisions: loaded revisions (pages are appended by "Load more")
+   * - pagination: { page, totalPages } of the last page loaded
+   * - loading: true while the first page is loading
+   * - revertingId: revision being reverted to (disables its button)
+   */
+  const [revisions, setRevisions] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+
+  // Load the first page when the tab opens
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get(`/assets/${assetId}/history`);
+        setRevisions(data.data);
+        setPagination(data.pagination);
+      } catch (err) {
+        console.error("Fetch history error:", err);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [assetId]);
+
+  /**
+   * LOAD OLDER CHANGES
+   * 
+   * Appends the next page below the revisions already shown.
+   */
+  const handleLoadMore = async () => {
+    try {
+      const { data } = await api.get(`/assets/${assetId}/history`, { params: { page: pagination.page + 1 } });
+      setRevisions([...revisions, ...data.data]);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Fetch history error:", err);
+      alert(err.response?.data?.error || "Failed to load history");
+    }
+  };
+
+  /**
+   * REVERT HANDLER
+   * 
+   * @param {Object} revision - Revision whose values are restored
+   */
+  const handleRevert = async (revision) => {
+    if (!window.confirm("Put the asset back to the values of this version?")) return;
+    setRevertingId(revision.id);
+
+    try {
+      await api.post(`/assets/${assetId}/revert/${revision.id}`);
+      onReverted();
+    } catch (err) {
+      console.error("Revert error:", err);
+      alert(err.response?.data?.error || "Failed to revert asset");
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (loading) return <div className="py-6 text-center text-sm text-gray-500 animate-pulse">Loading history...</div>;
+
+  if (revisions.length === 0) {
+    return <p className="py-6 text-center text-sm text-gray-500">No recorded changes yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-3">
+        {revisions.map((revision, index) => (
+          <li key={revision.id} className="rounded-lg ring-1 ring-gray-200 p-3">
+            <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+              <span className={`px-2 py-0.5 rounded-full font-semibold ${ACTION_LABELS[revision.action].className}`}>
+                {ACTION_LABELS[revision.action].text}
+              </span>
+              <span>{new Date(revision.createdAt).toLocaleString()}</span>
+              <span>by {formatActor(revision.actor)}</span>
+
+              {/* The newest revision is the current state - nothing to revert to */}
+              {index > 0 && (
+                <button
+                  onClick={() => handleRevert(revision)}
+                  disabled={revertingId !== null}
+                  className="ml-auto text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-2 py-1 rounded-md disabled:opacity-50"
+                >
+                  {revertingId === revision.id ? 'Reverting...' : 'Revert to this version'}
+                </button>
+              )}
+            </div>
+
+            {/* Field-level diff */}
+            <dl className="mt-2 space-y-1 text-sm">
+              {revision.changes.map(change => (
+                <div key={change.field} className="flex flex-wrap gap-x-2">
+                  <dt className="font-medium text-gray-700">{change.label}:</dt>
+                  <dd className="text-gray-600">
+                    {revision.action !== 'CREATE' && (
+                      <><span className="line-through text-gray-400">{formatValue(change.before)}</span> → </>
+                    )}
+                    {formatValue(change.after)}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          </li>
+        ))}
+      </ul>
+
+      {pagination.page < pagination.totalPages && (
+        <button
+          onClick={handleLoadMore}
+          className="w-full py-2 text-sm text-gray-600 hover:bg-gray-50 rounded-lg"
+        >
+          Load older changes
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AssetHistory;
@@ -0,0 +1,97 @@
+/**
+ * ASSET MOVEMENTS COMPONENT
+ * 
+ * "Moves" tab of the Edit modal: where the asset has been, newest first
+ * (GET /api/assets/:id/movements). Paths are shown as they were at the time
+ * of the move, even if locations have been renamed or deleted since.
+ * Read-only - the asset is moved with the Location picker of the form.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * ASSET MOVEMENTS COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.assetId - The asset whose movement history is shown
+ */
+const AssetMovements = ({ assetId }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - movements: loaded movements (pages are appended by "Load more")
+   * - pagination: { page, totalPages } of the last page loaded
+   * - loading: true while the first page is loading
+   */
+  const [movements, setMovements] = useState([]);
+  const [pagination, setPagination] = useState({ page: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+
+  // Load the first page when the tab opens
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get(`/assets/${assetId}/movements`);
+        setMovements(data.data);
+        setPagination(data.pagination);
+      } catch (err) {
+        console.error("Fetch movement history error:", err);
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [assetId]);
+
+  /**
+   * LOAD OLDER MOVEMENTS
+   * 
+   * Appends the next page below the movements already shown.
+   */
+  const handleLoadMore = async () => {
+    try {
+      const { data } = await api.get(`/assets/${assetId}/movements`, { params: { page: pagination.page + 1 } });
+      setMovements([...movements, ...data.data]);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Fetch movement history error:", err);
+      alert(err.response?.data?.error || "Failed to load movement history");
+    }
+  };
+
+  if (loading) return <div className="py-6 text-center text-sm text-gray-500 animate-pulse">Loading movement history...</div>;
+
+  if (movements.length === 0) {
+    return <p className="py-6 text-center text-sm text-gray-500">This asset has never been placed in a location.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <ul className="space-y-3">
+        {movements.map(movement => (
+          <li key={movement.id} className="rounded-lg ring-1 ring-gray-200 p-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-500">{movement.from?.path ?? 'No location'}</span>
+              <span className="text-gray-400">→</span>
+              <span className="font-medium text-gray-900">{movement.to?.path ?? 'No location'}</span>
+            </div>
+            <p className="mt-2 text-xs text-gray-600">
+              {new Date(movement.movedAt).toLocaleString()} by {movement.movedBy ?? '(unknown)'}
+            </p>
+          </li>
+        ))}
+      </ul>
+
+      {pagination.page < pagination.totalPages && (
+        <button
+          onClick={handleLoadMore}
+          className="w-full py-2 text-sm text-gray-600 hover:bg-gray-50 rounded-lg"
+        >
+          Load older moves
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AssetMovements;
@@ -0,0 +1,188 @@
+/**
+ * ASSET SEARCH COMPONENT
+ * 
+ * Search box of the Dashboard with type-ahead:
+ * - While typing, the best matches appear below the box
+ *   (GET /api/assets/search - ranked full-text search, see assetController.js)
+ * - Picking a match calls onSelect(asset)
+ * - Enter (or the Search button) filters the table instead: onSubmit(text)
+ * 
+ * Requests are debounced: the search only runs once the user stops typing
+ * for a moment, not on every keystroke.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import api from '../api/axios';
+
+// Wait this long after the last keystroke before searching (milliseconds)
+const DEBOUNCE_MS = 250;
+
+// Shorter texts match too much to be useful
+const MIN_LENGTH = 2;
+
+/**
+ * HIGHLIGHTED TEXT
+ * 
+ * The backend wraps matched words in <mark></mark>. The text is split on
+ * those markers and rendered as React elements - never as HTML, so an asset
+ * named "<script>" is just shown as text.
+ * 
+ * @param {Object} props
+ * @param {string} props.text - e.g. "<mark>Mac</mark>Book Pro"
+ */
+const Highlighted = ({ text }) => (
+  <>
+    {text.split(/(<mark>.*?<\/mark>)/).map((part, index) => (
+      part.startsWith('<mark>') && part.endsWith('</mark>')
+        ? <mark key={index} className="bg-yellow-100 text-inherit rounded-sm">{part.slice(6, -7)}</mark>
+        : part
+    ))}
+  </>
+);
+
+/**
+ * ASSET SEARCH COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onSubmit - Called with the text when the user presses Enter
+ * @param {Function} props.onSelect - Called with the asset picked in the suggestions
+ */
+const AssetSearch = ({ onSubmit, onSelect }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - text: what is typed in the box
+   * - results: suggestions of the last search
+   * - isOpen: whether the suggestions are shown
+   */
+  const [text, setText] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+
+  /**
+   * REFS (values that survive re-renders without causing one)
+   * 
+   * - timer: the pending debounced search
+   * - latest: number of the last search started - answers to older
+   *   searches arriving late are ignored
+   */
+  const timer = useRef(null);
+  const latest = useRef(0);
+
+  // Cancel a pending search when the component goes away
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  /**
+   * RUN THE SEARCH
+   * 
+   * @param {string} query - Text to search for
+   */
+  const search = async (query) => {
+    const requestNumber = ++latest.current;
+
+    try {
+      const { data } = await api.get('/assets/search', { params: { q: query, limit: 8 } });
+      if (requestNumber !== latest.current) return; // A newer search was started
+      setResults(data.data);
+      setIsOpen(true);
+    } catch (err) {
+      console.error("Search error:", err);
+    }
+  };
+
+  /**
+   * TYPING HANDLER
+   * 
+   * Restarts the debounce timer on every keystroke.
+   * 
+   * @param {string} value - New text of the box
+   */
+  const handleChange = (value) => {
+    setText(value);
+    clearTimeout(timer.current);
+
+    if (value.trim().length < MIN_LENGTH) {
+      latest.current++; // Ignore searches still running
+      setResults([]);
+      setIsOpen(false);
+      return;
+    }
+
+    timer.current = setTimeout(() => search(value.trim()), DEBOUNCE_MS);
+  };
+
+  /**
+   * ENTER / SEARCH BUTTON
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    clearTimeout(timer.current);
+    latest.current++;
+    setIsOpen(false);
+    onSubmit(text.trim());
+  };
+
+  /**
+   * PICK A SUGGESTION
+   * 
+   * @param {Object} asset - Search result
+   */
+  const handleSelect = (asset) => {
+    setIsOpen(false);
+    onSelect(asset);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative flex flex-1 gap-2">
+      <input
+        type="search"
+        placeholder="Search name, serial number or category"
+        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+        value={text}
+        onChange={e => handleChange(e.target.value)}
+        onFocus={() => results.length > 0 && setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={e => e.key === 'Escape' && setIsOpen(false)}
+      />
+      <button type="submit" className="px-4 py-2 text-sm font-medium text-gray-700 border border-gray-300 bg-white rounded-lg hover:bg-gray-50">
+        Search
+      </button>
+
+      {/* SUGGESTIONS */}
+      {/*
+        onMouseDown + preventDefault: picking a suggestion must not blur the
+        input first (the blur would close the list before the click lands).
+      */}
+      {isOpen && (
+        <ul className="absolute left-0 right-0 top-full mt-1 z-40 bg-white shadow-lg ring-1 ring-gray-200 rounded-lg overflow-hidden">
+          {results.length === 0 ? (
+            <li className="px-4 py-3 text-sm text-gray-400 italic">No matching assets</li>
+          ) : results.map(asset => (
+            <li key={asset.id}>
+              <button
+                type="button"
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => handleSelect(asset)}
+                className="w-full text-left px-4 py-2 hover:bg-blue-50 flex justify-between gap-4"
+              >
+                <span className="text-sm text-gray-900">
+                  <Highlighted text={asset.highlight.name} />
+                  <span className="ml-2 text-xs text-gray-500 font-mono">
+                    <Highlighted text={asset.highlight.serialNumber} />
+                  </span>
+                </span>
+                <span className="text-xs text-gray-500">
+                  <Highlighted text={asset.highlight.category} />
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default AssetSearch;
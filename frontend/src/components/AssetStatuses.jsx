@@ -0,0 +1,361 @@
+/**
+ * ASSET STATUSES COMPONENT
+ * 
+ * Admin screen for the organization's asset workflow (GET /api/asset-statuses).
+ * It displays:
+ * - A form to add a status (label, color, kind)
+ * - The statuses in display order, with their badge, key, kind and number of
+ *   assets, and buttons to reorder, edit (inline), make default and delete
+ * - The allowed moves: a grid with one row per "from" status and one column
+ *   per "to" status - the API refuses any move that isn't ticked
+ * 
+ * The kind tells the app what a status means: opening a work order moves the
+ * asset to the first "Maintenance" status, and "Retired" assets can't be
+ * checked out or get work orders. A status can only be deleted once no asset
+ * has it, and the default one (new assets) can't be deleted at all.
+ * 
+ * Every change answers with the whole list (one change may touch several
+ * statuses), which replaces the state.
+ * 
+ * Only rendered for users with the 'asset-statuses:manage' permission (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { STATUS_COLORS, STATUS_KINDS, badgeClass } from '../utils/statuses';
+
+// An empty "add status" form
+const emptyForm = { label: '', color: 'blue', kind: 'IN_SERVICE' };
+
+const AssetStatuses = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - statuses: array of { id, key, label, color, kind, position, isDefault, transitions, assetCount }
+   *   from the API, in display order
+   * - loading: true while the first fetch is running
+   * - form / isSubmitting: the "add status" form (see emptyForm)
+   * - editing: { id, label, color, kind } of the status being edited (null when none)
+   */
+  const [statuses, setStatuses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  /**
+   * FETCH STATUSES
+   */
+  const fetchStatuses = async () => {
+    try {
+      const { data } = await api.get('/asset-statuses');
+      setStatuses(data);
+    } catch (err) {
+      console.error("Fetch statuses error:", err);
+      alert(err.response?.data?.error || "Failed to load statuses");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the statuses once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchStatuses();
+    })();
+  }, []);
+
+  /**
+   * SAVE ONE STATUS
+   * 
+   * PATCH /api/asset-statuses/:id - shared by the edit form, the default
+   * button and the transitions grid.
+   * 
+   * @param {Object} status - The status to change
+   * @param {Object} changes - e.g. { isDefault: true } or { transitions: [...] }
+   * @returns {Promise<boolean>} false if the API refused (already reported)
+   */
+  const saveStatus = async (status, changes) => {
+    try {
+      const { data } = await api.patch(`/asset-statuses/${status.id}`, changes);
+      setStatuses(data);
+      return true;
+    } catch (err) {
+      console.error("Update status error:", err);
+      alert(err.response?.data?.error || "Failed to update status");
+      return false;
+    }
+  };
+
+  /**
+   * ADD STATUS HANDLER
+   * 
+   * The new status starts without allowed moves: tick them in the grid.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const { data } = await api.post('/asset-statuses', form);
+      setStatuses(data);
+      setForm(emptyForm);
+    } catch (err) {
+      console.error("Create status error:", err);
+      alert(err.response?.data?.error || "Failed to create status");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * SAVE HANDLER
+   * 
+   * Saves the label, color and kind chosen in the row being edited.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { id, ...changes } = editing;
+    if (await saveStatus({ id }, changes)) setEditing(null);
+  };
+
+  /**
+   * MOVE HANDLER
+   * 
+   * Swaps a status with its neighbour, then saves the new order (position =
+   * index) of every status whose position changed.
+   * 
+   * @param {number} index - Row of the status
+   * @param {number} offset - -1 (up) or 1 (down)
+   */
+  const handleMove = async (index, offset) => {
+    const ordered = [...statuses];
+    [ordered[index], ordered[index + offset]] = [ordered[index + offset], ordered[index]];
+
+    for (const [position, status] of ordered.entries()) {
+      if (status.position !== position && !(await saveStatus(status, { position }))) return;
+    }
+  };
+
+  /**
+   * TOGGLE A MOVE
+   * 
+   * Allows or forbids moving assets from one status to another.
+   * 
+   * @param {Object} from - Status the move starts from
+   * @param {string} toKey - Key of the status it goes to
+   */
+  const handleToggleTransition = (from, toKey) => {
+    const transitions = from.transitions.includes(toKey)
+      ? from.transitions.filter(key => key !== toKey)
+      : [...from.transitions, toKey];
+    saveStatus(from, { transitions });
+  };
+
+  /**
+   * DELETE HANDLER
+   * 
+   * @param {Object} status - The status to delete
+   */
+  const handleDelete = async (status) => {
+    if (status.assetCount > 0) {
+      alert("Move its assets to another status first - only an unused status can be deleted");
+      return;
+    }
+    if (!window.confirm(`Delete the status "${status.label}"?`)) return;
+
+    try {
+      const { data } = await api.delete(`/asset-statuses/${status.id}`);
+      setStatuses(data);
+    } catch (err) {
+      console.error("Delete status error:", err);
+      alert(err.response?.data?.error || "Failed to delete status");
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading statuses...</div>;
+
+  const inputClass = "px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white";
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">Asset Statuses</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        The statuses this organization's assets can have, and which moves between them are allowed.
+      </p>
+
+      {/* CREATE FORM */}
+      <form onSubmit={handleCreate} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 flex flex-col sm:flex-row gap-3">
+        <input
+          required
+          maxLength={50}
+          placeholder="Status name (e.g. In repair)"
+          className={`${inputClass} flex-1`}
+          value={form.label}
+          onChange={e => setForm({ ...form, label: e.target.value })}
+        />
+        <select value={form.color} onChange={e => setForm({ ...form, color: e.target.value })} className={inputClass}>
+          {STATUS_COLORS.map(color => <option key={color} value={color}>{color}</option>)}
+        </select>
+        <select value={form.kind} onChange={e => setForm({ ...form, kind: e.target.value })} className={inputClass}>
+          {Object.entries(STATUS_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Creating...' : '+ Add status'}
+        </button>
+      </form>
+
+      {/* STATUSES TABLE */}
+      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Status</th>
+              <th className="px-6 py-4 text-left font-semibold">Key</th>
+              <th className="px-6 py-4 text-left font-semibold">Kind</th>
+              <th className="px-6 py-4 text-left font-semibold">Assets</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {statuses.map((status, index) => (
+              <tr key={status.id} className="hover:bg-gray-50 transition">
+                {editing?.id === status.id ? (
+                  // The key can't change: assets and API clients refer to it
+                  <td colSpan={5} className="px-6 py-4">
+                    <form onSubmit={handleSave} className="flex flex-wrap gap-2">
+                      <input
+                        required
+                        autoFocus
+                        maxLength={50}
+                        className={`${inputClass} flex-1`}
+                        value={editing.label}
+                        onChange={e => setEditing({ ...editing, label: e.target.value })}
+                      />
+                      <select value={editing.color} onChange={e => setEditing({ ...editing, color: e.target.value })} className={inputClass}>
+                        {STATUS_COLORS.map(color => <option key={color} value={color}>{color}</option>)}
+                      </select>
+                      <select value={editing.kind} onChange={e => setEditing({ ...editing, kind: e.target.value })} className={inputClass}>
+                        {Object.entries(STATUS_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                      </select>
+                      <button type="submit" className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md">
+                        Save
+                      </button>
+                      <button type="button" onClick={() => setEditing(null)} className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md">
+                        Cancel
+                      </button>
+                    </form>
+                  </td>
+                ) : (
+                  <>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${badgeClass(status)}`}>{status.label}</span>
+                      {status.isDefault && <span className="ml-2 text-xs text-gray-500">Default</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500 font-mono">{status.key}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{STATUS_KINDS[status.kind]}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{status.assetCount}</td>
+                    <td className="px-6 py-4 text-sm font-medium">
+                      <div className="flex gap-2">
+                        <button
+                          disabled={index === 0}
+                          onClick={() => handleMove(index, -1)}
+                          className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md disabled:opacity-30"
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          disabled={index === statuses.length - 1}
+                          onClick={() => handleMove(index, 1)}
+                          className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded-md disabled:opacity-30"
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          onClick={() => setEditing({ id: status.id, label: status.label, color: status.color, kind: status.kind })}
+                          className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Edit
+                        </button>
+                        {/* New assets get the default status, so it must be an in-service one */}
+                        {!status.isDefault && status.kind === 'IN_SERVICE' && (
+                          <button
+                            onClick={() => saveStatus(status, { isDefault: true })}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Make default
+                          </button>
+                        )}
+                        {!status.isDefault && (
+                          <button
+                            onClick={() => handleDelete(status)}
+                            className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ALLOWED MOVES */}
+      {/* Rows: where the asset is; columns: where it may go. Work orders move assets in and out of maintenance regardless. */}
+      <h2 className="mt-12 text-xl font-bold text-gray-900">Allowed moves</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Tick the statuses an asset may move to (columns) from each status (rows). Other moves are refused.
+      </p>
+      <div className="mt-4 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">From \ To</th>
+              {statuses.map(status => (
+                <th key={status.key} className="px-4 py-4 text-center font-semibold">{status.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {statuses.map(from => (
+              <tr key={from.key} className="hover:bg-gray-50 transition">
+                <td className="px-6 py-3 text-sm font-medium text-gray-900">{from.label}</td>
+                {statuses.map(to => (
+                  <td key={to.key} className="px-4 py-3 text-center">
+                    {from.key === to.key ? (
+                      <span className="text-gray-300">-</span>
+                    ) : (
+                      <input
+                        type="checkbox"
+                        checked={from.transitions.includes(to.key)}
+                        onChange={() => handleToggleTransition(from, to.key)}
+                        aria-label={`${from.label} to ${to.label}`}
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AssetStatuses;
@@ -0,0 +1,336 @@
+/**
+ * AUDIT LOG COMPONENT
+ * 
+ * Admin screen for the organization's audit log (GET /api/audit-log):
+ * who signed in (or failed to), who created, changed or deleted assets,
+ * who changed users, roles, invitations, API keys and security settings.
+ * 
+ * It displays:
+ * - Filters: action, user, date range, request ID
+ * - Table of entries, newest first, one page at a time
+ * - An "Export CSV" button - every entry matching the filters
+ *   (GET /api/audit-log/export)
+ * 
+ * The log is read-only: nobody can edit or delete entries.
+ * Only rendered for users with the 'audit-log:read' permission (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { can } from '../utils/permissions';
+
+/**
+ * ACTION LABELS
+ * 
+ * Must match AUDIT_ACTIONS on the backend (services/auditLog.js).
+ */
+const ACTION_LABELS = {
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Sign-in failed',
+  'asset.create': 'Asset created',
+  'asset.update': 'Asset updated',
+  'asset.revert': 'Asset reverted',
+  'asset.delete': 'Asset moved to trash',
+  'asset.restore': 'Asset restored',
+  'asset.purge': 'Asset permanently deleted',
+  'asset.checkout': 'Asset checked out',
+  'asset.checkin': 'Asset checked in',
+  'asset.move': 'Asset moved',
+  'work_order.create': 'Work order opened',
+  'work_order.complete': 'Work order completed',
+  'work_order.cancel': 'Work order cancelled',
+  'user.create': 'User created',
+  'user.update': 'User role / status changed',
+  'user.delete': 'User removed',
+  'user.mfa_reset': 'Two-factor reset',
+  'user.unlock': 'Account unlocked',
+  'invitation.create': 'Invitation sent',
+  'invitation.revoke': 'Invitation revoked',
+  'invitation.accept': 'Invitation accepted',
+  'api_key.create': 'API key created',
+  'api_key.revoke': 'API key revoked',
+  'organization.update': 'Security settings changed',
+  'organization.sso_update': 'SSO settings changed',
+  'audit_log.export': 'Audit log exported'
+};
+
+// Red badge for what an auditor looks at first
+const ALERT_ACTIONS = ['auth.login_failed', 'asset.delete', 'asset.purge', 'user.delete', 'api_key.revoke'];
+
+// Filters and page sent to the API
+const initialQuery = { page: 1, pageSize: 25, action: '', userId: '', from: '', to: '', requestId: '' };
+
+// Only the filters that are set
+const toParams = (listQuery) => Object.fromEntries(
+  Object.entries(listQuery).filter(([, value]) => value !== '')
+);
+
+/**
+ * Show one detail value as text.
+ * 
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) return value.join(', ') || '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Turn an entry's details into short "key: value" lines.
+ * Changes ({ before, after }) are shown as "before → after".
+ * 
+ * @param {Object|null} details
+ * @returns {string[]}
+ */
+const formatDetails = (details) => Object.entries(details || {}).map(([key, value]) => {
+  if (value && typeof value === 'object' && 'before' in value && 'after' in value) {
+    return `${key}: ${formatValue(value.before)} → ${formatValue(value.after)}`;
+  }
+  return `${key}: ${formatValue(value)}`;
+});
+
+const AuditLog = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - entries: the current page of the log
+   * - pagination: { page, total, totalPages } of that page
+   * - query: page and filters (see initialQuery)
+   * - users: the organization's users, for the user filter
+   * - loading / isExporting: requests in progress
+   */
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 0 });
+  const [query, setQuery] = useState(initialQuery);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  /**
+   * FETCH ONE PAGE OF THE LOG
+   * 
+   * @param {Object} listQuery - Page and filters
+   */
+  const fetchEntries = async (listQuery) => {
+    try {
+      const { data } = await api.get('/audit-log', { params: toParams(listQuery) });
+      setEntries(data.data);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Fetch audit log error:", err);
+      alert(err.response?.data?.error || "Failed to load audit log");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First page and the user list, once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchEntries(initialQuery);
+    })();
+
+    // The user filter is optional - it needs the 'users:manage' permission
+    if (can('users:manage')) {
+      (async () => {
+        try {
+          const { data } = await api.get('/users');
+          setUsers(data);
+        } catch (err) {
+          console.error("Fetch users error:", err);
+        }
+      })();
+    }
+  }, []);
+
+  /**
+   * Change filters (back to page 1) or the page, and reload.
+   * 
+   * @param {Object} changes - e.g. { action: 'asset.delete' } or { page: 2 }
+   */
+  const updateQuery = async (changes) => {
+    const next = { ...query, page: 1, ...changes };
+    setQuery(next);
+    await fetchEntries(next);
+  };
+
+  /**
+   * EXPORT HANDLER
+   * 
+   * Downloads the CSV through axios (the request needs the Authorization
+   * header, a plain link wouldn't send it), then saves it from a
+   * temporary object URL.
+   */
+  const handleExport = async () => {
+    setIsExporting(true);
+
+    try {
+      // Same filters as the table, without the page
+      const params = toParams(query);
+      delete params.page;
+      delete params.pageSize;
+
+      const response = await api.get('/audit-log/export', { params, responseType: 'blob' });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Export audit log error:", err);
+      alert("Failed to export audit log");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading audit log...</div>;
+
+  const inputClass = "px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white text-sm";
+  const firstRow = (pagination.page - 1) * query.pageSize + 1;
+  const lastRow = firstRow + entries.length - 1;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            Sign-ins, asset changes and user changes in this organization. Entries can't be edited or deleted.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={isExporting}
+          className="px-4 py-2 border border-gray-300 bg-white text-gray-700 font-medium rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          {isExporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      {/* FILTERS */}
+      <div className="mt-6 flex flex-wrap items-center gap-3">
+        <select className={inputClass} value={query.action} onChange={e => updateQuery({ action: e.target.value })}>
+          <option value="">All actions</option>
+          {Object.entries(ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+
+        {users.length > 0 && (
+          <select className={inputClass} value={query.userId} onChange={e => updateQuery({ userId: e.target.value })}>
+            <option value="">All users</option>
+            {users.map(user => <option key={user.id} value={user.id}>{user.email}</option>)}
+          </select>
+        )}
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          From
+          <input type="date" className={inputClass} value={query.from} onChange={e => updateQuery({ from: e.target.value })} />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          To
+          <input type="date" className={inputClass} value={query.to} onChange={e => updateQuery({ to: e.target.value })} />
+        </label>
+
+        <input
+          placeholder="Request ID"
+          className={`${inputClass} font-mono`}
+          value={query.requestId}
+          onChange={e => setQuery({ ...query, requestId: e.target.value.trim() })}
+          onKeyDown={e => e.key === 'Enter' && updateQuery({})}
+          onBlur={() => updateQuery({})}
+        />
+      </div>
+
+      {/* ENTRIES TABLE */}
+      <div className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">When</th>
+              <th className="px-6 py-4 text-left font-semibold">Who</th>
+              <th className="px-6 py-4 text-left font-semibold">Action</th>
+              <th className="px-6 py-4 text-left font-semibold">Details</th>
+              <th className="px-6 py-4 text-left font-semibold">From</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {entries.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-10 text-center text-gray-500">No entries match these filters.</td>
+              </tr>
+            ) : entries.map(entry => (
+              <tr key={entry.id} className="align-top hover:bg-gray-50 transition">
+                <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                  {new Date(entry.createdAt).toLocaleString()}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-900">
+                  {entry.actor.type === 'apiKey' && <span className="text-gray-500">API key </span>}
+                  {entry.actor.type === 'system' ? <span className="text-gray-500">System</span> : (entry.actor.name || '(unknown)')}
+                </td>
+                <td className="px-6 py-4">
+                  <span className={`px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${
+                    ALERT_ACTIONS.includes(entry.action) ? 'bg-red-50 text-red-700' : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {ACTION_LABELS[entry.action] || entry.action}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {formatDetails(entry.details).map(line => <div key={line}>{line}</div>)}
+                </td>
+                <td className="px-6 py-4 text-xs text-gray-500">
+                  <div>{entry.ipAddress || '-'}</div>
+                  <div className="max-w-xs truncate" title={entry.userAgent || ''}>{entry.userAgent}</div>
+                  {entry.requestId && (
+                    <button
+                      onClick={() => updateQuery({ requestId: entry.requestId })}
+                      className="font-mono text-blue-600 hover:underline"
+                      title="Show every entry of this request"
+                    >
+                      {entry.requestId.slice(0, 8)}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* PAGER */}
+      {pagination.totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {firstRow}–{lastRow} of {pagination.total}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => updateQuery({ page: pagination.page - 1 })}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              onClick={() => updateQuery({ page: pagination.page + 1 })}
+              disabled={pagination.page >= pagination.totalPages}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,281 @@
+/**
+ * CATEGORIES COMPONENT
+ * 
+ * Admin screen for the organization's asset categories.
+ * It displays:
+ * - A form to create a category
+ * - Table of all categories with their number of assets
+ * - Rename (inline) and delete buttons
+ * - Custom fields of each category (expandable, see CategoryFields.jsx)
+ * 
+ * Every asset needs a category, so deleting a category that still has assets
+ * asks where to move them first (DELETE /api/categories/:id?reassignTo=...).
+ * 
+ * Only rendered for users with the 'categories:manage' permission (see App.jsx).
+ */
+
+import { Fragment, useEffect, useState } from 'react';
+import api from '../api/axios';
+import CategoryFields from './CategoryFields';
+
+const Categories = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - categories: array of { id, name, assetCount, fields } from the API
+   * - loading: true while the first fetch is running
+   * - newName / isSubmitting: the "create category" form
+   * - editing: { id, name } of the category being renamed (null when none)
+   * - deleting: { id, reassignTo } of a used category being deleted (null when none)
+   * - expandedId: category whose custom fields are shown (null when none)
+   */
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  /**
+   * FETCH CATEGORIES
+   */
+  const fetchCategories = async () => {
+    try {
+      const { data } = await api.get('/categories');
+      setCategories(data);
+    } catch (err) {
+      console.error("Fetch categories error:", err);
+      alert(err.response?.data?.error || "Failed to load categories");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the categories once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchCategories();
+    })();
+  }, []);
+
+  /**
+   * CREATE CATEGORY HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/categories', { name: newName });
+      setNewName('');
+      await fetchCategories();
+    } catch (err) {
+      console.error("Create category error:", err);
+      alert(err.response?.data?.error || "Failed to create category");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * RENAME HANDLER
+   * 
+   * Saves the name typed in the row being edited.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleRename = async (e) => {
+    e.preventDefault();
+
+    try {
+      await api.patch(`/categories/${editing.id}`, { name: editing.name });
+      setEditing(null);
+      await fetchCategories();
+    } catch (err) {
+      console.error("Rename category error:", err);
+      alert(err.response?.data?.error || "Failed to rename category");
+    }
+  };
+
+  /**
+   * DELETE HANDLER
+   * 
+   * - Unused category: confirm, then delete
+   * - Used category: open the "move assets to" picker in its row instead
+   * 
+   * @param {Object} category - The category to delete
+   */
+  const handleDelete = async (category) => {
+    if (category.assetCount > 0) {
+      const other = categories.find(c => c.id !== category.id);
+      if (!other) {
+        alert("Create another category first - its assets need somewhere to go");
+        return;
+      }
+      setDeleting({ id: category.id, reassignTo: other.id });
+      return;
+    }
+
+    if (!window.confirm(`Delete the category "${category.name}"?`)) return;
+    await deleteCategory(category.id);
+  };
+
+  /**
+   * DELETE REQUEST
+   * 
+   * @param {string} id - Category to delete
+   * @param {string} [reassignTo] - Category that receives its assets
+   */
+  const deleteCategory = async (id, reassignTo) => {
+    try {
+      await api.delete(`/categories/${id}`, { params: reassignTo ? { reassignTo } : {} });
+      setDeleting(null);
+      await fetchCategories();
+    } catch (err) {
+      console.error("Delete category error:", err);
+      alert(err.response?.data?.error || "Failed to delete category");
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading categories...</div>;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">Categories</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Group this organization's assets. Every asset belongs to one category.
+      </p>
+
+      {/* CREATE FORM */}
+      <form onSubmit={handleCreate} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 flex flex-col sm:flex-row gap-3">
+        <input
+          required
+          placeholder="Category name (e.g. Vehicles)"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          value={newName}
+          onChange={e => setNewName(e.target.value)}
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Creating...' : '+ Add category'}
+        </button>
+      </form>
+
+      {/* CATEGORIES TABLE */}
+      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Name</th>
+              <th className="px-6 py-4 text-left font-semibold">Assets</th>
+              <th className="px-6 py-4 text-left font-semibold">Fields</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {categories.map((category) => (
+              <Fragment key={category.id}>
+                <tr className="hover:bg-gray-50 transition">
+                  {/* Name - an input while renaming */}
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                    {editing?.id === category.id ? (
+                      <form onSubmit={handleRename} className="flex gap-2">
+                        <input
+                          required
+                          autoFocus
+                          className="flex-1 px-3 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 outline-none"
+                          value={editing.name}
+                          onChange={e => setEditing({ ...editing, name: e.target.value })}
+                        />
+                        <button type="submit" className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md">
+                          Save
+                        </button>
+                        <button type="button" onClick={() => setEditing(null)} className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md">
+                          Cancel
+                        </button>
+                      </form>
+                    ) : category.name}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{category.assetCount}</td>
+                  <td className="px-6 py-4 text-sm">
+                    <button
+                      onClick={() => setExpandedId(expandedId === category.id ? null : category.id)}
+                      className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md"
+                    >
+                      {category.fields.length} field(s) {expandedId === category.id ? '▲' : '▼'}
+                    </button>
+                  </td>
+
+                  {/* Actions - or the "move assets to" picker while deleting a used category */}
+                  <td className="px-6 py-4 text-sm font-medium">
+                    {deleting?.id === category.id ? (
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-gray-600">Move {category.assetCount} asset(s) to</span>
+                        <select
+                          value={deleting.reassignTo}
+                          onChange={e => setDeleting({ ...deleting, reassignTo: e.target.value })}
+                          className="px-2 py-1 border border-gray-300 rounded-md bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          {categories.filter(c => c.id !== category.id).map(c => (
+                            <option key={c.id} value={c.id}>{c.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => deleteCategory(category.id, deleting.reassignTo)}
+                          className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Move and delete
+                        </button>
+                        <button onClick={() => setDeleting(null)} className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md">
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setEditing({ id: category.id, name: category.name })}
+                          className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => handleDelete(category)}
+                          className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+
+                {/* Custom fields of the expanded category */}
+                {expandedId === category.id && (
+                  <tr>
+                    <td colSpan={4} className="px-6 py-4 bg-gray-50">
+                      <CategoryFields category={category} onChange={fetchCategories} />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+            {categories.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-6 py-10 text-center text-sm text-gray-500">No categories yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
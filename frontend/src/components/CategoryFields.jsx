@@ -0,0 +1,187 @@
+/**
+ * CATEGORY FIELDS COMPONENT
+ * 
+ * Custom fields of one category, shown below its row on the Categories screen:
+ * - List of the fields with their type and options
+ * - Required / optional toggle and delete button per field
+ * - A form to add a field (label, type, options for choice lists)
+ * 
+ * The asset forms show these fields for every asset of the category
+ * (see CustomFieldInputs.jsx). Deleting a field also deletes its values.
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+
+// Field types (CustomFieldType in schema.prisma) and how they are called in the UI
+const TYPE_LABELS = {
+  TEXT: 'Text',
+  NUMBER: 'Number',
+  DATE: 'Date',
+  ENUM: 'Choice list',
+  BOOLEAN: 'Yes / no'
+};
+
+// Empty "add field" form
+const emptyField = { label: '', type: 'TEXT', required: false, options: '' };
+
+/**
+ * CATEGORY FIELDS COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.category - Category with its fields (from GET /api/categories)
+ * @param {Function} props.onChange - Called after a change, to reload the categories
+ */
+const CategoryFields = ({ category, onChange }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - newField: the "add field" form (options = comma-separated text)
+   * - isSubmitting: true while a field is being added
+   */
+  const [newField, setNewField] = useState(emptyField);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * ADD FIELD HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await api.post(`/categories/${category.id}/fields`, {
+        label: newField.label,
+        type: newField.type,
+        required: newField.required,
+        position: category.fields.length, // New fields go last
+        ...(newField.type === 'ENUM' && {
+          options: newField.options.split(',').map(option => option.trim()).filter(Boolean)
+        })
+      });
+      setNewField(emptyField);
+      await onChange();
+    } catch (err) {
+      console.error("Create field error:", err);
+      alert(err.response?.data?.error || "Failed to add field");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * REQUIRED TOGGLE HANDLER
+   * 
+   * @param {Object} field - The field to change
+   */
+  const handleToggleRequired = async (field) => {
+    try {
+      await api.patch(`/categories/${category.id}/fields/${field.id}`, { required: !field.required });
+      await onChange();
+    } catch (err) {
+      console.error("Update field error:", err);
+      alert(err.response?.data?.error || "Failed to update field");
+    }
+  };
+
+  /**
+   * DELETE FIELD HANDLER
+   * 
+   * @param {Object} field - The field to delete
+   */
+  const handleDelete = async (field) => {
+    if (!window.confirm(`Delete the field "${field.label}"? Its values are removed from every asset of "${category.name}".`)) return;
+
+    try {
+      await api.delete(`/categories/${category.id}/fields/${field.id}`);
+      await onChange();
+    } catch (err) {
+      console.error("Delete field error:", err);
+      alert(err.response?.data?.error || "Failed to delete field");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* FIELDS LIST */}
+      {category.fields.length === 0 ? (
+        <p className="text-sm text-gray-500">No custom fields yet - assets of this category only have the standard fields.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 bg-white rounded-lg ring-1 ring-gray-200">
+          {category.fields.map(field => (
+            <li key={field.id} className="px-4 py-2 flex flex-wrap items-center gap-3 text-sm">
+              <span className="font-medium text-gray-900">{field.label}</span>
+              <span className="font-mono text-xs text-gray-400">{field.key}</span>
+              <span className="text-gray-500">
+                {TYPE_LABELS[field.type]}
+                {field.type === 'ENUM' && `: ${field.options.join(', ')}`}
+              </span>
+              <div className="ml-auto flex gap-2">
+                <button
+                  onClick={() => handleToggleRequired(field)}
+                  className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md"
+                >
+                  {field.required ? 'Required' : 'Optional'}
+                </button>
+                <button
+                  onClick={() => handleDelete(field)}
+                  className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* ADD FIELD FORM */}
+      <form onSubmit={handleCreate} className="flex flex-col sm:flex-row flex-wrap gap-2">
+        <input
+          required
+          placeholder="Field label (e.g. RAM (GB))"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 outline-none"
+          value={newField.label}
+          onChange={e => setNewField({ ...newField, label: e.target.value })}
+        />
+        <select
+          className="px-2 py-1 border border-gray-300 rounded-md bg-white outline-none focus:ring-2 focus:ring-blue-500"
+          value={newField.type}
+          onChange={e => setNewField({ ...newField, type: e.target.value })}
+        >
+          {Object.entries(TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        {newField.type === 'ENUM' && (
+          <input
+            required
+            placeholder="Options, comma-separated"
+            className="flex-1 px-3 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 outline-none"
+            value={newField.options}
+            onChange={e => setNewField({ ...newField, options: e.target.value })}
+          />
+        )}
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={newField.required}
+            onChange={e => setNewField({ ...newField, required: e.target.checked })}
+          />
+          Required
+        </label>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-3 py-1 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Adding...' : '+ Add field'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CategoryFields;
@@ -0,0 +1,183 @@
+/**
+ * CHECK-OUT MODAL COMPONENT
+ * 
+ * Hands an asset to someone (POST /api/assets/:id/checkout):
+ * - a member of the organization (picked from GET /api/assignees)
+ * - or an external person, by name (contractor, visitor...)
+ * with an optional expected return date and note.
+ * 
+ * The Dashboard mounts it only while an asset is being checked out, so the
+ * form always starts empty.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+// Today as "YYYY-MM-DD" - the earliest due date
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * CHECK-OUT MODAL COMPONENT
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.asset - The asset to check out
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Function} props.onRefresh - Callback to refresh assets list
+ */
+const CheckoutModal = ({ asset, onClose, onRefresh }) => {
+  /**
+   * FORM STATE
+   * 
+   * - mode: 'member' or 'external' - who receives the asset
+   * - assignees: active members of the organization ({ id, email })
+   */
+  const [mode, setMode] = useState('member');
+  const [formData, setFormData] = useState({ userId: '', externalName: '', dueDate: '', note: '' });
+  const [assignees, setAssignees] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Members to pick from, once when the modal opens
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get('/assignees');
+        setAssignees(data);
+      } catch (err) {
+        console.error("Fetch members error:", err);
+      }
+    })();
+  }, []);
+
+  /**
+   * FORM SUBMISSION HANDLER
+   * 
+   * Sends userId OR externalName (never both), and the optional fields
+   * only when filled in.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await api.post(`/assets/${asset.id}/checkout`, {
+        ...(mode === 'member' ? { userId: formData.userId } : { externalName: formData.externalName }),
+        ...(formData.dueDate && { dueDate: formData.dueDate }),
+        ...(formData.note && { note: formData.note })
+      });
+      onRefresh();
+      onClose();
+    } catch (err) {
+      console.error("Check-out error:", err);
+      alert(err.response?.data?.error || "Failed to check out asset");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* MODAL BACKDROP/OVERLAY */}
+      <div className="absolute inset-0 bg-gray-900/60 backdrop-blur-sm" onClick={onClose}></div>
+
+      {/* MODAL CONTENT */}
+      <div className="relative bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100">
+        {/* MODAL HEADER */}
+        <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">Check Out</h2>
+            <p className="text-sm text-gray-500">{asset.name} <span className="font-mono">({asset.serialNumber})</span></p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl cursor-pointer">
+            &times;
+          </button>
+        </div>
+
+        {/* FORM */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {/* Who receives it */}
+          <div className="flex gap-4 text-sm">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={mode === 'member'} onChange={() => setMode('member')} />
+              Member
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={mode === 'external'} onChange={() => setMode('external')} />
+              Someone else
+            </label>
+          </div>
+
+          {mode === 'member' ? (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Member</label>
+              <select
+                required
+                className={inputClass}
+                value={formData.userId}
+                onChange={e => setFormData({ ...formData, userId: e.target.value })}
+              >
+                <option value="" disabled>Select a member</option>
+                {assignees.map(user => <option key={user.id} value={user.id}>{user.email}</option>)}
+              </select>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Name</label>
+              <input
+                required
+                maxLength={100}
+                placeholder="e.g. Jane Doe (contractor)"
+                className={inputClass}
+                value={formData.externalName}
+                onChange={e => setFormData({ ...formData, externalName: e.target.value })}
+              />
+            </div>
+          )}
+
+          {/* Expected return date - optional */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Return by (optional)</label>
+            <input
+              type="date"
+              min={today()}
+              className={inputClass}
+              value={formData.dueDate}
+              onChange={e => setFormData({ ...formData, dueDate: e.target.value })}
+            />
+          </div>
+
+          {/* Note - optional */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Note (optional)</label>
+            <textarea
+              rows={2}
+              maxLength={500}
+              className={inputClass}
+              value={formData.note}
+              onChange={e => setFormData({ ...formData, note: e.target.value })}
+            />
+          </div>
+
+          {/* Form Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={onClose} className="flex-1 py-2 text-gray-600 hover:bg-gray-50 rounded-lg">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex-1 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : 'Check Out'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CheckoutModal;
@@ -0,0 +1,96 @@
+/**
+ * CUSTOM FIELD INPUTS COMPONENT
+ * 
+ * Renders the custom fields of the selected category inside the asset forms
+ * (AddAssetModal, EditAssetModal). Which inputs appear depends on the
+ * category: a "Laptops" category may ask for RAM and OS version, "Vehicles"
+ * for a plate number.
+ * 
+ * One input per field type:
+ * - TEXT: text box
+ * - NUMBER: number box
+ * - DATE: date picker (value "YYYY-MM-DD")
+ * - ENUM: dropdown of the field's options
+ * - BOOLEAN: checkbox
+ * 
+ * The browser checks required fields; the backend validates every value again.
+ */
+
+/**
+ * CUSTOM FIELD INPUTS COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Object[]} props.fields - Field definitions of the category ({ key, label, type, required, options })
+ * @param {Object} props.values - Current values, keyed by field key
+ * @param {Function} props.onChange - Called with the new values object
+ */
+const CustomFieldInputs = ({ fields, values, onChange }) => {
+  if (fields.length === 0) return null;
+
+  /**
+   * Update one value, keeping the others.
+   * 
+   * @param {string} key - Field key
+   * @param {*} value - New value
+   */
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white";
+
+  return (
+    <div className="space-y-4 border-t border-gray-100 pt-4">
+      {fields.map(field => {
+        const value = values[field.key] ?? '';
+
+        // Checkbox: label next to the box
+        if (field.type === 'BOOLEAN') {
+          return (
+            <label key={field.key} className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-gray-300"
+                checked={value === true}
+                onChange={e => setValue(field.key, e.target.checked)}
+              />
+              {field.label}
+            </label>
+          );
+        }
+
+        return (
+          <div key={field.key}>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">
+              {field.label}
+              {field.required && <span className="text-red-500"> *</span>}
+            </label>
+
+            {field.type === 'ENUM' ? (
+              <select
+                required={field.required}
+                className={inputClass}
+                value={value}
+                onChange={e => setValue(field.key, e.target.value)}
+              >
+                <option value="">{field.required ? 'Select...' : '-'}</option>
+                {field.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            ) : (
+              <input
+                required={field.required}
+                type={field.type === 'NUMBER' ? 'number' : field.type === 'DATE' ? 'date' : 'text'}
+                step={field.type === 'NUMBER' ? 'any' : undefined}
+                className={inputClass}
+                value={value}
+                onChange={e => setValue(field.key, e.target.value)}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CustomFieldInputs;
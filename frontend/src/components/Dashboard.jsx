@@ -3,10 +3,15 @@
  * 
  * This is the main component shown after user logs in.
  * It displays:
- * - Statistics cards (total assets, active, maintenance)
- * - Table of all assets
+ * - Statistics cards (total assets, then one per status of the organization)
+ * - Table of assets, one page at a time, with their category and location
+ * - Search box with type-ahead, status, category and location filters, sortable columns and a pager
  * - Add asset button
  * - Edit and Delete functionality for each asset
+ * - Who has each asset ("Assigned to", with an Overdue badge past the
+ *   return date), and Check out / Check in buttons
+ * - Overdue maintenance: open work orders past their due date, and a
+ *   Maintenance button that opens a work order on an asset
  * 
  * This component demonstrates:
  * - Fetching data from API
@@ -15,6 +20,10 @@
  * - Event handling
  * - React Hooks (useState, useEffect)
  * - CRUD operations (Create, Read, Update, Delete)
+ * 
+ * The backend does the paging, sorting and filtering (GET /api/assets):
+ * only the current page is ever held in state, so this works the same
+ * for 20 assets or 20,000.
  */
 
 // Import React Hooks
@@ -25,9 +34,62 @@ import { useEffect, useState } from 'react';
 // Import configured API client
 import api from '../api/axios';
 
+// Permission helper - hides actions the user's role does not allow
+import { can } from '../utils/permissions';
+
+// Breadcrumb of a location for the Location column
+import { formatLocation } from '../utils/locations';
+
+// Labels and badge colors of the organization's statuses
+import { findStatus, badgeClass, isRetired } from '../utils/statuses';
+
 // Import child components (modals for adding and editing assets)
 import AddAssetModal from './AddAssetModal';
 import EditAssetModal from './EditAssetModal';
+import AssetSearch from './AssetSearch';
+import CheckoutModal from './CheckoutModal';
+import WorkOrderModal from './WorkOrderModal';
+
+/**
+ * INITIAL LIST QUERY
+ * 
+ * Sent as query parameters to GET /api/assets. Empty filters are left out.
+ */
+const initialQuery = {
+  page: 1,
+  pageSize: 25,
+  sort: 'name',
+  order: 'asc',
+  status: '',
+  categoryId: '',
+  locationId: '', // Also matches the locations below it
+  q: '',
+  fields: {} // Custom field filters of the selected category: { key: value }
+};
+
+/**
+ * Query parameters for a list query - empty filters ('' = no filter) are dropped.
+ * Custom field filters become field.<key>=value.
+ * 
+ * @param {Object} listQuery - See initialQuery
+ * @returns {Object}
+ */
+const toParams = ({ fields, ...listQuery }) => Object.fromEntries([
+  ...Object.entries(listQuery),
+  ...Object.entries(fields).map(([key, value]) => [`field.${key}`, value])
+].filter(([, value]) => value !== ''));
+
+/**
+ * SORTABLE COLUMNS
+ * 
+ * Table header label -> ?sort= value accepted by the backend.
+ */
+const columns = [
+  { label: 'Name', sort: 'name' },
+  { label: 'Category', sort: 'category' },
+  { label: 'Status', sort: 'status' },
+  { label: 'Serial Number', sort: 'serialNumber' },
+];
 
 /**
  * DASHBOARD COMPONENT FUNCTION
@@ -42,9 +104,15 @@ const Dashboard = () => {
    * useState() creates state variables that trigger re-renders when changed.
    * 
    * State variables:
-   * 1. assets - array of asset objects from API
+   * 1. assets - asset objects of the current page
    * 2. loading - boolean, true while fetching data
    * 3. isModalOpen - boolean, controls AddAssetModal visibility
+   * 4. categories - the organization's categories (filter and asset forms)
+   *    locations - the organization's locations (filter, Location column and asset forms)
+   *    statuses - the organization's statuses (filter, badges, statistics and asset forms)
+   * 5. query - page, sort and filters sent to the API (see initialQuery)
+   * 6. pagination / summary - totals returned with the page
+   * 7. overdueWork - the first overdue work orders and how many there are
    * 
    * State updates cause React to re-render the component automatically!
    */
@@ -53,25 +121,37 @@ const Dashboard = () => {
   const [isModalOpen, setIsModalOpen] = useState(false); // Add modal starts closed
   const [isEditModalOpen, setIsEditModalOpen] = useState(false); // Edit modal starts closed
   const [selectedAsset, setSelectedAsset] = useState(null); // Asset to edit (null when not editing)
+  const [categories, setCategories] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [query, setQuery] = useState(initialQuery);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 0 });
+  const [summary, setSummary] = useState({ total: 0 });
+  const [checkoutAsset, setCheckoutAsset] = useState(null); // Asset being checked out (null when none)
+  const [overdueWork, setOverdueWork] = useState({ data: [], total: 0 });
+  const [maintenanceAsset, setMaintenanceAsset] = useState(null); // Asset getting a work order (null when none)
 
   /**
    * FETCH ASSETS FROM API
    * 
-   * This function makes an API call to get all assets.
+   * This function makes an API call to get one page of assets.
    * It's async because API calls are asynchronous (take time).
    * 
    * Flow:
-   * 1. Make GET request to /api/assets
-   * 2. Backend returns assets for user's organization
-   * 3. Update assets state with the data
+   * 1. Make GET request to /api/assets with the page, sort and filters
+   * 2. Backend returns { data, pagination, summary } for user's organization
+   * 3. Update state with the page and the totals
    * 4. Set loading to false (data loaded)
    * 
    * This function is called:
    * - On component mount (useEffect)
    * - After adding new asset (onRefresh callback)
    * - After deleting asset (handleDelete)
+   * - When the page, sort or a filter changes (updateQuery)
+   * 
+   * @param {Object} listQuery - Page, sort and filters (see initialQuery)
    */
-  const fetchAssets = async () => {
+  const fetchAssets = async (listQuery) => {
     try {
       /**
        * API GET REQUEST
@@ -82,20 +162,34 @@ const Dashboard = () => {
        * await waits for the promise to resolve (get the response).
        * 
        * Destructuring: const { data } = response
-       * Extracts the data property (the actual assets array).
+       * Extracts the data property (the response envelope).
+       */
+      let { data } = await api.get('/assets', { params: toParams(listQuery) });
+
+      /**
+       * PAGE OUT OF RANGE
+       * 
+       * Deleting the last asset of the last page leaves that page empty:
+       * go back to the new last page instead of showing an empty table.
        */
-      const { data } = await api.get('/assets');
+      if (data.data.length === 0 && listQuery.page > 1 && data.pagination.totalPages > 0) {
+        const lastPage = { ...listQuery, page: data.pagination.totalPages };
+        setQuery(lastPage);
+        ({ data } = await api.get('/assets', { params: toParams(lastPage) }));
+      }
 
       /**
        * UPDATE STATE
        * 
-       * setAssets(data) updates the assets state variable.
+       * setAssets(data.data) updates the assets state variable.
        * This triggers React to re-render the component with new data.
        * 
        * setLoading(false) indicates data has loaded.
        * This hides the loading message.
        */
-      setAssets(data);
+      setAssets(data.data);
+      setPagination(data.pagination);
+      setSummary(data.summary);
       setLoading(false);
     } catch (err) {
       /**
@@ -111,6 +205,125 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * FETCH CATEGORIES
+   * 
+   * Used by the filter and the category picker of the asset forms.
+   * A failure isn't fatal - the table still works without them.
+   */
+  const fetchCategories = async () => {
+    try {
+      const { data } = await api.get('/categories');
+      setCategories(data);
+    } catch (err) {
+      console.error("Fetch categories error:", err);
+    }
+  };
+
+  /**
+   * FETCH LOCATIONS
+   * 
+   * Used by the filter, the Location column and the location picker of the
+   * asset forms. A failure isn't fatal either.
+   */
+  const fetchLocations = async () => {
+    try {
+      const { data } = await api.get('/locations');
+      setLocations(data);
+    } catch (err) {
+      console.error("Fetch locations error:", err);
+    }
+  };
+
+  /**
+   * FETCH STATUSES
+   * 
+   * The organization's statuses, in display order (GET /api/asset-statuses):
+   * filter choices, badge labels and colors, statistics cards and the
+   * choices of the asset forms. A failure isn't fatal either - badges
+   * then show the raw status keys.
+   */
+  const fetchStatuses = async () => {
+    try {
+      const { data } = await api.get('/asset-statuses');
+      setStatuses(data);
+    } catch (err) {
+      console.error("Fetch statuses error:", err);
+    }
+  };
+
+  /**
+   * FETCH OVERDUE WORK ORDERS
+   * 
+   * The 5 most overdue open work orders, for the panel above the table
+   * (the Maintenance page has them all). A failure isn't fatal either.
+   */
+  const fetchOverdueWork = async () => {
+    try {
+      const { data } = await api.get('/work-orders', { params: { overdue: 'true', pageSize: 5 } });
+      setOverdueWork({ data: data.data, total: data.pagination.total });
+    } catch (err) {
+      console.error("Fetch overdue work orders error:", err);
+    }
+  };
+
+  /**
+   * CHANGE PAGE, SORT OR FILTERS
+   * 
+   * Merges the changes into the query and fetches again.
+   * Any change other than the page itself starts again on page 1.
+   * 
+   * @param {Object} changes - e.g. { status: 'active' } or { page: 3 }
+   */
+  const updateQuery = async (changes) => {
+    const next = { ...query, page: 1, ...changes };
+    setQuery(next);
+    await fetchAssets(next);
+  };
+
+  /**
+   * SORT HANDLER
+   * 
+   * Clicking the sorted column flips the direction,
+   * clicking another column sorts by it, ascending.
+   * 
+   * @param {string} sort - Column to sort by (e.g. 'name')
+   */
+  const handleSort = (sort) => {
+    const order = query.sort === sort && query.order === 'asc' ? 'desc' : 'asc';
+    updateQuery({ sort, order });
+  };
+
+  /**
+   * CUSTOM FIELD FILTER HANDLER
+   * 
+   * Text inputs call this when they lose focus (or on Enter), not on every
+   * keystroke - unchanged values don't refetch.
+   * 
+   * @param {string} key - Field key
+   * @param {string} value - Filter value ('' = no filter)
+   */
+  const handleFieldFilter = (key, value) => {
+    if ((query.fields[key] || '') === value) return;
+    updateQuery({ fields: { ...query.fields, [key]: value } });
+  };
+
+  /**
+   * SEARCH SUGGESTION PICKED
+   * 
+   * Users who can edit open the asset; others see it in the table
+   * (filtered by its serial number, unique in the organization).
+   * 
+   * @param {Object} asset - Result of GET /api/assets/search
+   */
+  const handleSearchSelect = (asset) => {
+    if (can('assets:write')) {
+      handleEdit(asset);
+    } else {
+      updateQuery({ q: asset.serialNumber });
+    }
+  };
+
   /**
    * EDIT ASSET HANDLER
    * 
@@ -147,9 +360,10 @@ const Dashboard = () => {
      * Returns true if user clicks OK, false if Cancel.
      * 
      * If user cancels, return early (don't delete).
-     * This prevents accidental deletions.
+     * This prevents accidental deletions - and an admin can still restore
+     * a deleted asset from the Trash page.
      */
-    if (!window.confirm("Are you sure you want to delete this asset?")) return;
+    if (!window.confirm("Move this asset to the trash?")) return;
 
     try {
       /**
@@ -170,7 +384,7 @@ const Dashboard = () => {
        * We could also update state directly (remove from array),
        * but fetching ensures we have the latest data from server.
        */
-      await fetchAssets();
+      await fetchAssets(query);
     } catch (err) {
       /**
        * ERROR HANDLING
@@ -183,6 +397,27 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * CHECK-IN HANDLER
+   * 
+   * Closes the asset's assignment (POST /api/assets/:id/checkin) - it stays
+   * in the asset's custody history.
+   * 
+   * @param {Object} asset - A checked-out asset
+   */
+  const handleCheckin = async (asset) => {
+    const holder = asset.assignment.assignee.email || asset.assignment.assignee.name || 'its holder';
+    if (!window.confirm(`Check in "${asset.name}" from ${holder}?`)) return;
+
+    try {
+      await api.post(`/assets/${asset.id}/checkin`);
+      await fetchAssets(query);
+    } catch (err) {
+      console.error("Check-in failed:", err);
+      alert(err.response?.data?.error || "Failed to check in asset");
+    }
+  };
+
   /**
    * USE EFFECT HOOK - COMPONENT LIFECYCLE
    * 
@@ -195,15 +430,16 @@ const Dashboard = () => {
    * - Like componentDidMount in class components
    * 
    * IIFE (Immediately Invoked Function Expression):
-   * (async () => { await fetchAssets(); })()
+   * (async () => { await fetchAssets(initialQuery); })()
    * - Wraps async function so we can use await
    * - Executes immediately
    * 
-   * This fetches assets when component first loads.
+   * This fetches the first page, the categories, the locations, the statuses
+   * and the overdue work orders when component first loads.
    */
   useEffect(() => {
     (async () => {
-      await fetchAssets();
+      await Promise.all([fetchAssets(initialQuery), fetchCategories(), fetchLocations(), fetchStatuses(), fetchOverdueWork()]);
     })();
   }, []); // Empty array = run once on mount
 
@@ -219,25 +455,38 @@ const Dashboard = () => {
   if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading assets...</div>;
 
   /**
-   * CALCULATE STATISTICS
-   * 
-   * Compute statistics from assets array:
-   * - Total: length of array
-   * - Active: filter assets with status 'active', get length
-   * - Maintenance: filter assets with status 'maintenance', get length
+   * PERMISSIONS FOR THE CURRENT USER
    * 
-   * Array.filter() creates new array with items matching condition.
-   * .length gets the count.
+   * - canWrite: ADMIN and MEMBER can add and edit assets
+   * - canDelete: only ADMIN can delete
+   * - VIEWER gets neither, so the Actions column is hidden entirely
+   */
+  const canWrite = can('assets:write');
+  const canDelete = can('assets:delete');
+  const showActions = canWrite || canDelete;
+
+  /**
+   * STATISTICS
    * 
-   * This runs on every render, but it's fast (just counting).
-   * For large datasets, you might want to memoize this with useMemo().
+   * Counted by the backend for the whole organization (the "summary" of
+   * GET /api/assets) - the table only holds one page, so counting it
+   * here would be wrong. One card per status, in the organization's order.
    */
   const stats = [
-    { name: 'Total Assets', value: assets.length },
-    { name: 'Active', value: assets.filter(a => a.status === 'active').length },
-    { name: 'Maintenance', value: assets.filter(a => a.status === 'maintenance').length },
+    { name: 'Total Assets', value: summary.total },
+    ...statuses.map(status => ({ name: status.label, value: summary[status.key] ?? 0 }))
   ];
 
+  const hasFilters = query.status !== '' || query.categoryId !== '' || query.locationId !== '' || query.q !== ''
+    || Object.values(query.fields).some(value => value !== '');
+
+  // Custom fields of the filtered category - each can be filtered on too
+  const filterFields = categories.find(category => category.id === query.categoryId)?.fields || [];
+  // Location ID -> location, for the breadcrumbs of the Location column
+  const locationsById = new Map(locations.map(location => [location.id, location]));
+  const firstRow = (pagination.page - 1) * query.pageSize + 1;
+  const lastRow = firstRow + assets.length - 1;
+
   /**
    * JSX RENDER
    * 
@@ -247,15 +496,9 @@ const Dashboard = () => {
     <div className="px-4 sm:px-6 lg:px-8">
       {/* HEADER SECTION */}
       <div className="sm:flex sm:items-center">
-        {/* Title and Organization Badge */}
+        {/* Title - the organization is shown in the navigation bar */}
         <div className="sm:flex-auto">
           <h1 className="text-2xl font-bold text-gray-900">Assets</h1>
-          {/* Organization Name Badge */}
-          <div className="flex gap-2 mt-1">
-            <span className="text-[10px] bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full">
-              Org: {localStorage.getItem('orgName') || 'N/A'}
-            </span>
-          </div>
         </div>
         
         {/* Add Asset Button */}
@@ -265,22 +508,25 @@ const Dashboard = () => {
           - When clicked, sets isModalOpen to true
           - This opens the AddAssetModal component
         */}
-        <div className="mt-4 sm:ml-16 sm:mt-0 sm:flex-none">
-          <button
-            onClick={() => setIsModalOpen(true)}
-            className="cursor-pointer rounded-lg bg-blue-600 px-4 py-2 text-sm font-semibold text-white shadow-md hover:bg-blue-700 transition"
-          >
-            + Add asset
-          </button>
-        </div>
+        {canWrite && (
+          <div className="mt-4 sm:ml-16 sm:mt-0 sm:flex-none">
+            <button
+              onClick={() => setIsModalOpen(true)}
+              className="cursor-pointer rounded-lg bg-blue-600 px-4 py-2 text-sm font-semibold text-white shadow-md hover:bg-blue-700 transition"
+            >
+              + Add asset
+            </button>
+          </div>
+        )}
       </div>
 
       {/* STATISTICS CARDS */}
       {/* 
-        Grid layout: 1 column on mobile, 3 columns on larger screens (sm:grid-cols-3)
+        Grid layout: 1 column on mobile, 3 columns on larger screens (sm:grid-cols-3),
+        4 on wide ones (lg:grid-cols-4) - organizations with many statuses get more rows
         Responsive design using Tailwind's breakpoint prefixes
       */}
-      <div className="mt-8 grid grid-cols-1 gap-5 sm:grid-cols-3">
+      <div className="mt-8 grid grid-cols-1 gap-5 sm:grid-cols-3 lg:grid-cols-4">
         {/**
          * MAP OVER STATS ARRAY
          * 
@@ -300,16 +546,135 @@ const Dashboard = () => {
         ))}
       </div>
 
+      {/* OVERDUE MAINTENANCE - hidden when nothing is overdue */}
+      {overdueWork.total > 0 && (
+        <div className="mt-8 bg-white shadow-sm ring-1 ring-red-200 rounded-lg p-4">
+          <h2 className="text-sm font-semibold text-red-700">
+            Overdue maintenance ({overdueWork.total})
+          </h2>
+          <ul className="mt-2 divide-y divide-gray-100">
+            {overdueWork.data.map(workOrder => (
+              <li key={workOrder.id} className="py-2 flex justify-between gap-4 text-sm">
+                <span className="text-gray-900">
+                  {workOrder.title}
+                  <span className="ml-2 text-gray-500">{workOrder.asset.name}</span>
+                  <span className="ml-1 text-xs font-mono text-gray-500">({workOrder.asset.serialNumber})</span>
+                </span>
+                <span className="text-gray-500 whitespace-nowrap">
+                  {workOrder.assignee?.email && `${workOrder.assignee.email} · `}
+                  Due {new Date(`${workOrder.dueDate}T00:00:00`).toLocaleDateString()}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {overdueWork.total > overdueWork.data.length && (
+            <p className="mt-2 text-xs text-gray-500">See the Maintenance page for all of them.</p>
+          )}
+        </div>
+      )}
+
+      {/* FILTER BAR */}
+      {/* 
+        Every change is sent to the API (updateQuery) and starts on page 1.
+        '' in a select means "no filter".
+      */}
+      <div className="mt-8 flex flex-col sm:flex-row gap-3">
+        {/* Type-ahead suggestions while typing, Enter filters the table */}
+        <AssetSearch onSubmit={text => updateQuery({ q: text })} onSelect={handleSearchSelect} />
+        <select
+          value={query.status}
+          onChange={e => updateQuery({ status: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+        >
+          <option value="">All statuses</option>
+          {statuses.map(status => (
+            <option key={status.key} value={status.key}>{status.label}</option>
+          ))}
+        </select>
+        <select
+          value={query.categoryId}
+          onChange={e => updateQuery({ categoryId: e.target.value, fields: {} })} // Field keys belong to one category
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+        >
+          <option value="">All categories</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>{category.name}</option>
+          ))}
+        </select>
+        {/* A location also shows the assets of the locations below it */}
+        {locations.length > 0 && (
+          <select
+            value={query.locationId}
+            onChange={e => updateQuery({ locationId: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+          >
+            <option value="">All locations</option>
+            {locations.map(location => (
+              <option key={location.id} value={location.id}>
+                {'  '.repeat(location.depth)}{location.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/* CUSTOM FIELD FILTERS - only once a category is selected */}
+      {/* 
+        Choices and yes/no filter as soon as they change; text, number and date
+        inputs when they lose focus or on Enter. The key resets them when the
+        category changes.
+      */}
+      {filterFields.length > 0 && (
+        <div className="mt-3 flex flex-wrap gap-3">
+          {filterFields.map(field => (
+            field.type === 'ENUM' || field.type === 'BOOLEAN' ? (
+              <select
+                key={`${query.categoryId}-${field.key}`}
+                value={query.fields[field.key] || ''}
+                onChange={e => handleFieldFilter(field.key, e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+              >
+                <option value="">{field.label}: any</option>
+                {field.type === 'ENUM'
+                  ? field.options.map(option => <option key={option} value={option}>{option}</option>)
+                  : [<option key="true" value="true">{field.label}: yes</option>, <option key="false" value="false">{field.label}: no</option>]}
+              </select>
+            ) : (
+              <input
+                key={`${query.categoryId}-${field.key}`}
+                type={field.type === 'NUMBER' ? 'number' : field.type === 'DATE' ? 'date' : 'text'}
+                step={field.type === 'NUMBER' ? 'any' : undefined}
+                placeholder={field.label}
+                title={field.label}
+                defaultValue={query.fields[field.key] || ''}
+                onBlur={e => handleFieldFilter(field.key, e.target.value.trim())}
+                onKeyDown={e => e.key === 'Enter' && e.currentTarget.blur()}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+              />
+            )
+          ))}
+        </div>
+      )}
+
       {/* ASSETS TABLE */}
-      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+      <div className="mt-4 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
           {/* Table Header */}
           <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
             <tr>
-              <th className="px-6 py-4 text-left font-semibold">Name</th>
-              <th className="px-6 py-4 text-left font-semibold">Status</th>
-              <th className="px-6 py-4 text-left font-semibold">Serial Number</th>
-              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+              {/* Sortable headers - the arrow shows the current sort */}
+              {columns.map(column => (
+                <th key={column.sort} className="px-6 py-4 text-left font-semibold">
+                  <button onClick={() => handleSort(column.sort)} className="uppercase tracking-wider hover:text-gray-900">
+                    {column.label}
+                    {query.sort === column.sort && (query.order === 'asc' ? ' ▲' : ' ▼')}
+                  </button>
+                </th>
+              ))}
+              {/* Not sortable: where the asset is and who has it now */}
+              <th className="px-6 py-4 text-left font-semibold">Location</th>
+              <th className="px-6 py-4 text-left font-semibold">Assigned to</th>
+              {showActions && <th className="px-6 py-4 text-left font-semibold">Actions</th>}
             </tr>
           </thead>
           
@@ -325,8 +690,8 @@ const Dashboard = () => {
              */}
             {assets.length === 0 ? (
               <tr>
-                <td colSpan="4" className="py-12 text-center text-gray-400 italic">
-                  No assets found for this tenant.
+                <td colSpan={showActions ? 7 : 6} className="py-12 text-center text-gray-400 italic">
+                  {hasFilters ? 'No assets match these filters.' : 'No assets found for this tenant.'}
                 </td>
               </tr>
             ) : (
@@ -340,64 +705,128 @@ const Dashboard = () => {
                 <tr key={asset.id} className="hover:bg-gray-50 transition">
                   {/* Asset Name */}
                   <td className="px-6 py-4 text-sm font-medium text-gray-900">{asset.name}</td>
+
+                  {/* Category - included by GET /api/assets */}
+                  <td className="px-6 py-4 text-sm text-gray-500">{asset.category?.name}</td>
                   
                   {/* Status Badge */}
                   {/* 
-                    Conditional className using template literal and ternary operator.
-                    If status is 'active', use green colors, otherwise red.
+                    Label and color come from the organization's status definitions
+                    (badgeClass in utils/statuses.js). A status deleted since - or not
+                    loaded yet - shows its key, in gray.
                     
                     Template literal: `string ${expression} string`
-                    Ternary: condition ? valueIfTrue : valueIfFalse
                   */}
                   <td className="px-6 py-4">
-                    <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${
-                      asset.status === 'active' 
-                        ? 'bg-green-100 text-green-700' 
-                        : 'bg-red-100 text-red-700'
-                    }`}>
-                      {asset.status}
+                    <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${badgeClass(findStatus(statuses, asset.status))}`}>
+                      {findStatus(statuses, asset.status)?.label || asset.status}
                     </span>
                   </td>
                   
                   {/* Serial Number */}
                   {/* font-mono = monospace font (good for codes/IDs) */}
                   <td className="px-6 py-4 text-sm text-gray-500 font-mono">{asset.serialNumber}</td>
+
+                  {/* Location - breadcrumb from the top of the tree (HQ › Building A › Room 101) */}
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {locationsById.has(asset.locationId)
+                      ? formatLocation(locationsById.get(asset.locationId))
+                      : <span className="text-gray-400">-</span>}
+                  </td>
+
+                  {/* Assigned To - the open assignment, included by GET /api/assets */}
+                  {/* Overdue: the expected return date has passed (computed by the backend) */}
+                  <td className="px-6 py-4 text-sm text-gray-500">
+                    {asset.assignment ? (
+                      <div>
+                        <div className="text-gray-900">
+                          {asset.assignment.assignee.email || asset.assignment.assignee.name || '(deleted user)'}
+                        </div>
+                        {asset.assignment.dueDate && (
+                          <div className="text-xs">
+                            Due {new Date(`${asset.assignment.dueDate}T00:00:00`).toLocaleDateString()}
+                            {asset.assignment.overdue && (
+                              <span className="ml-2 px-2 py-0.5 rounded-md text-[10px] font-bold uppercase bg-red-100 text-red-700">
+                                Overdue
+                              </span>
+                            )}
+                          </div>
+                        )}
+                      </div>
+                    ) : (
+                      <span className="text-gray-400">-</span>
+                    )}
+                  </td>
                   
                   {/* Actions Column - Edit and Delete Buttons */}
                   {/* 
                     This column contains action buttons for each asset row.
                     We use flexbox to display buttons side by side with spacing.
+                    Each button only renders if the user's role allows the action.
                   */}
-                  <td className="px-6 py-4 text-sm font-medium">
-                    <div className="flex gap-2">
-                      {/* Edit Button */}
-                      {/* 
-                        onClick={() => handleEdit(asset)}
-                        - Arrow function passes the entire asset object to handleEdit
-                        - This opens the edit modal with the asset's current data pre-filled
-                      */}
-                      <button
-                        onClick={() => handleEdit(asset)}
-                        className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
-                      >
-                        Edit
-                      </button>
-                      
-                      {/* Delete Button */}
-                      {/* 
-                        onClick={() => handleDelete(asset.id)}
-                        - Arrow function passes asset.id to handleDelete
-                        - Wrapped in arrow function so it doesn't execute immediately
-                        - Only runs when button is clicked
-                      */}
-                      <button
-                        onClick={() => handleDelete(asset.id)}
-                        className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
-                      >
-                        Delete
-                      </button>
-                    </div>
-                  </td>
+                  {showActions && (
+                    <td className="px-6 py-4 text-sm font-medium">
+                      <div className="flex gap-2">
+                        {/* Edit Button */}
+                        {/* 
+                          onClick={() => handleEdit(asset)}
+                          - Arrow function passes the entire asset object to handleEdit
+                          - This opens the edit modal with the asset's current data pre-filled
+                        */}
+                        {canWrite && (
+                          <button
+                            onClick={() => handleEdit(asset)}
+                            className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        
+                        {/* Check Out / Check In Button - retired assets can't be checked out */}
+                        {canWrite && (asset.assignment ? (
+                          <button
+                            onClick={() => handleCheckin(asset)}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Check in
+                          </button>
+                        ) : !isRetired(statuses, asset.status) && (
+                          <button
+                            onClick={() => setCheckoutAsset(asset)}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Check out
+                          </button>
+                        ))}
+
+                        {/* Maintenance Button - opens a work order, the asset goes into maintenance */}
+                        {canWrite && !isRetired(statuses, asset.status) && (
+                          <button
+                            onClick={() => setMaintenanceAsset(asset)}
+                            className="text-amber-700 hover:text-amber-900 bg-amber-50 hover:bg-amber-100 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Maintenance
+                          </button>
+                        )}
+
+                        {/* Delete Button */}
+                        {/* 
+                          onClick={() => handleDelete(asset.id)}
+                          - Arrow function passes asset.id to handleDelete
+                          - Wrapped in arrow function so it doesn't execute immediately
+                          - Only runs when button is clicked
+                        */}
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(asset.id)}
+                            className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  )}
                 </tr>
               ))
             )}
@@ -405,6 +834,33 @@ const Dashboard = () => {
         </table>
       </div>
 
+      {/* PAGER */}
+      {/* Hidden when everything fits on one page */}
+      {pagination.totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {firstRow}–{lastRow} of {pagination.total}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => updateQuery({ page: pagination.page - 1 })}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              onClick={() => updateQuery({ page: pagination.page + 1 })}
+              disabled={pagination.page >= pagination.totalPages}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* ADD ASSET MODAL */}
       {/* 
         This is a child component that shows a modal dialog for adding assets.
@@ -413,6 +869,9 @@ const Dashboard = () => {
         - isOpen: Controls whether modal is visible (true/false)
         - onClose: Callback function to close the modal
         - onRefresh: Callback function to refresh assets list after adding
+        - categories: Choices for the category picker
+        - locations: Choices for the location picker
+        - statuses: Choices for the status picker (the default one is preselected)
         
         Component communication pattern:
         - Parent (Dashboard) controls modal visibility with state
@@ -422,7 +881,10 @@ const Dashboard = () => {
       <AddAssetModal 
         isOpen={isModalOpen} 
         onClose={() => setIsModalOpen(false)} 
-        onRefresh={fetchAssets} 
+        onRefresh={() => fetchAssets(query)} 
+        categories={categories}
+        locations={locations}
+        statuses={statuses}
       />
 
       {/* EDIT ASSET MODAL */}
@@ -434,6 +896,9 @@ const Dashboard = () => {
         - onClose: Callback function to close the modal (also clears selectedAsset)
         - onRefresh: Callback function to refresh assets list after updating
         - asset: The asset object to edit (contains current data to pre-fill form)
+        - categories: Choices for the category picker
+        - locations: Choices for the location picker
+        - statuses: The current status and those the workflow allows from it
         
         Component communication pattern:
         - Parent (Dashboard) controls modal visibility and selected asset with state
@@ -446,9 +911,32 @@ const Dashboard = () => {
           setIsEditModalOpen(false);
           setSelectedAsset(null); // Clear selected asset when closing
         }} 
-        onRefresh={fetchAssets}
+        onRefresh={() => fetchAssets(query)}
         asset={selectedAsset}
+        categories={categories}
+        locations={locations}
+        statuses={statuses}
       />
+
+      {/* CHECK-OUT MODAL */}
+      {/* Mounted only while an asset is being checked out - the form starts empty every time */}
+      {checkoutAsset && (
+        <CheckoutModal
+          asset={checkoutAsset}
+          onClose={() => setCheckoutAsset(null)}
+          onRefresh={() => fetchAssets(query)}
+        />
+      )}
+
+      {/* WORK ORDER MODAL */}
+      {/* Mounted only while a work order is being opened, like the check-out modal */}
+      {maintenanceAsset && (
+        <WorkOrderModal
+          asset={maintenanceAsset}
+          onClose={() => setMaintenanceAsset(null)}
+          onRefresh={() => Promise.all([fetchAssets(query), fetchOverdueWork()])}
+        />
+      )}
     </div>
   );
 };
@@ -4,9 +4,13 @@
  * This component displays a modal dialog for editing existing assets.
  * 
  * Features:
- * - Form with name, serial number, and status fields (pre-filled with current data)
+ * - Form with name, serial number, category, location, and status fields (pre-filled with current data)
+ * - The custom fields of the asset's category (CustomFieldInputs)
  * - Controlled form inputs (React state)
  * - API call to update asset
+ * - History tab: every change made to the asset, with revert (AssetHistory)
+ * - Custody tab: who had the asset, and when (AssetCustody)
+ * - Moves tab: where the asset has been (AssetMovements)
  * - Loading state during submission
  * - Closes and refreshes parent on success
  * 
@@ -18,6 +22,11 @@
 
 import { useState, useEffect } from 'react';
 import api from '../api/axios';
+import CustomFieldInputs from './CustomFieldInputs';
+import AssetHistory from './AssetHistory';
+import AssetCustody from './AssetCustody';
+import AssetMovements from './AssetMovements';
+import LocationPicker from './LocationPicker';
 
 /**
  * EDIT ASSET MODAL COMPONENT
@@ -26,11 +35,14 @@ import api from '../api/axios';
  * @param {boolean} props.isOpen - Controls modal visibility
  * @param {Function} props.onClose - Callback to close modal
  * @param {Function} props.onRefresh - Callback to refresh assets list
- * @param {Object} props.asset - The asset object to edit (contains id, name, serialNumber, status)
+ * @param {Object} props.asset - The asset object to edit (contains id, name, serialNumber, status, categoryId, locationId, customFields)
+ * @param {Object[]} props.categories - The organization's categories (picker choices)
+ * @param {Object[]} props.locations - The organization's locations (picker choices)
+ * @param {Object[]} props.statuses - The organization's statuses (with their allowed transitions)
  * 
  * Props are passed from parent component (Dashboard).
  */
-const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
+const EditAssetModal = ({ isOpen, onClose, onRefresh, asset, categories = [], locations = [], statuses = [] }) => {
   /**
    * FORM STATE MANAGEMENT
    * 
@@ -42,10 +54,28 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
    */
   const [formData, setFormData] = useState({ 
     name: '', 
-    status: 'active', 
-    serialNumber: '' 
+    status: '', 
+    serialNumber: '',
+    categoryId: '',
+    locationId: '',
+    customFields: {}
   });
 
+  // Custom fields of the selected category
+  const fields = categories.find(category => category.id === formData.categoryId)?.fields || [];
+
+  /**
+   * STATUS CHOICES
+   * 
+   * The asset's current status, then those the organization's workflow
+   * allows it to move to (its transitions) - the backend refuses any other
+   * move. A status deleted since is still shown, by its key.
+   */
+  const currentStatus = statuses.find(status => status.key === asset?.status);
+  const statusChoices = currentStatus
+    ? statuses.filter(status => status.key === currentStatus.key || currentStatus.transitions.includes(status.key))
+    : [{ key: asset?.status, label: asset?.status }, ...statuses];
+
   /**
    * SUBMISSION LOADING STATE
    * 
@@ -57,6 +87,29 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
    */
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Shown tab: 'details' (the form), 'history', 'custody' or 'moves'
+  const [tab, setTab] = useState('details');
+
+  /**
+   * CLOSE HANDLER
+   * 
+   * The next asset opened starts on the form again.
+   */
+  const handleClose = () => {
+    setTab('details');
+    onClose();
+  };
+
+  /**
+   * AFTER A REVERT
+   * 
+   * The asset changed - refresh the table and close, like after saving.
+   */
+  const handleReverted = () => {
+    onRefresh();
+    handleClose();
+  };
+
   /**
    * EFFECT HOOK - PRE-FILL FORM WHEN ASSET CHANGES
    * 
@@ -74,8 +127,11 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
     if (asset && isOpen) {
       setFormData({
         name: asset.name || '',
-        status: asset.status || 'active',
-        serialNumber: asset.serialNumber || ''
+        status: asset.status || '',
+        serialNumber: asset.serialNumber || '',
+        categoryId: asset.categoryId || '',
+        locationId: asset.locationId || '',
+        customFields: asset.customFields || {}
       });
     }
   }, [asset, isOpen]);
@@ -126,18 +182,31 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
        * Template literal: `/assets/${asset.id}`
        * Inserts asset.id into the URL path.
        * Example: asset.id = "123" -> PATCH /api/assets/123
+       * 
+       * customFields: one entry per field of the selected category.
+       * An emptied input is sent as null, which removes the stored value.
+       * 
+       * locationId: null takes the asset out of its location. A different
+       * location is recorded in the asset's movement history (Moves tab).
        */
-      await api.patch(`/assets/${asset.id}`, formData);
+      await api.patch(`/assets/${asset.id}`, {
+        ...formData,
+        locationId: formData.locationId || null,
+        customFields: Object.fromEntries(fields.map(field => [
+          field.key,
+          formData.customFields[field.key] ?? (field.type === 'BOOLEAN' ? false : null) // Unticked box = false
+        ]))
+      });
 
       /**
        * SUCCESS ACTIONS
        * 
        * After successful update:
        * 1. onRefresh() - Tell parent to refresh assets list
-       * 2. onClose() - Close the modal
+       * 2. handleClose() - Close the modal
        */
       onRefresh();
-      onClose();
+      handleClose();
     } catch (err) {
       /**
        * ERROR HANDLING
@@ -191,12 +260,12 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
       {/* MODAL BACKDROP/OVERLAY */}
       {/* 
         Semi-transparent dark overlay behind modal.
-        Clicking it closes the modal (onClick={onClose}).
+        Clicking it closes the modal (onClick={handleClose}).
         
         bg-gray-900/60 = dark gray with 60% opacity
         backdrop-blur-sm = slight blur effect (modern look)
       */}
-      <div className="absolute inset-0 bg-gray-900/60 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="absolute inset-0 bg-gray-900/60 backdrop-blur-sm" onClick={handleClose}></div>
       
       {/* MODAL CONTENT */}
       {/* 
@@ -211,96 +280,153 @@ const EditAssetModal = ({ isOpen, onClose, onRefresh, asset }) => {
         <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center">
           <h2 className="text-xl font-bold text-gray-800">Edit Asset</h2>
           {/* Close Button (X) */}
-          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl cursor-pointer">
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600 text-2xl cursor-pointer">
             &times;
           </button>
         </div>
 
-        {/* FORM */}
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
-          {/* Asset Name Field */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-1">Asset Name</label>
-            {/* 
-              Controlled input:
-              - value={formData.name} - shows current state value (pre-filled from asset)
-              - onChange updates state with new value
-              - required - HTML5 validation (browser shows error if empty)
+        {/* TABS - the form, the asset's history, its custody history or its movement history */}
+        <div className="px-6 border-b border-gray-100 flex gap-4 text-sm font-medium">
+          {[['details', 'Details'], ['history', 'History'], ['custody', 'Custody'], ['moves', 'Moves']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setTab(value)}
+              className={`py-2 border-b-2 ${tab === value ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'history' ? (
+          <div className="p-6 max-h-[80vh] overflow-y-auto">
+            <AssetHistory assetId={asset.id} onReverted={handleReverted} />
+          </div>
+        ) : tab === 'custody' ? (
+          <div className="p-6 max-h-[80vh] overflow-y-auto">
+            <AssetCustody assetId={asset.id} />
+          </div>
+        ) : tab === 'moves' ? (
+          <div className="p-6 max-h-[80vh] overflow-y-auto">
+            <AssetMovements assetId={asset.id} />
+          </div>
+        ) : (
+          /* FORM */
+          <form onSubmit={handleSubmit} className="p-6 space-y-4 max-h-[80vh] overflow-y-auto">
+            {/* Asset Name Field */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Asset Name</label>
+              {/* 
+                Controlled input:
+                - value={formData.name} - shows current state value (pre-filled from asset)
+                - onChange updates state with new value
+                - required - HTML5 validation (browser shows error if empty)
               
-              Spread operator (...formData):
-              - Keeps existing formData properties
-              - Only updates the 'name' property
-            */}
-            <input 
-              required
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
-              value={formData.name}
-              onChange={e => setFormData({...formData, name: e.target.value})}
+                Spread operator (...formData):
+                - Keeps existing formData properties
+                - Only updates the 'name' property
+              */}
+              <input 
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                value={formData.name}
+                onChange={e => setFormData({...formData, name: e.target.value})}
+              />
+            </div>
+
+            {/* Serial Number Field */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Serial Number</label>
+              <input 
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                value={formData.serialNumber}
+                onChange={e => setFormData({...formData, serialNumber: e.target.value})}
+              />
+            </div>
+
+            {/* Category Dropdown - moves the asset to another category */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Category</label>
+              <select 
+                required
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+                value={formData.categoryId}
+                onChange={e => setFormData({...formData, categoryId: e.target.value})}
+              >
+                {categories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Custom fields of the selected category */}
+            <CustomFieldInputs
+              fields={fields}
+              values={formData.customFields}
+              onChange={customFields => setFormData({...formData, customFields})}
             />
-          </div>
 
-          {/* Serial Number Field */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-1">Serial Number</label>
-            <input 
-              required
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
-              value={formData.serialNumber}
-              onChange={e => setFormData({...formData, serialNumber: e.target.value})}
+            {/* Location - moving the asset adds an entry to the Moves tab */}
+            <LocationPicker
+              locations={locations}
+              value={formData.locationId}
+              onChange={locationId => setFormData({...formData, locationId})}
             />
-          </div>
 
-          {/* Status Dropdown */}
-          <div>
-            <label className="block text-sm font-semibold text-gray-700 mb-1">Status</label>
-            {/* 
-              Select dropdown:
-              - value={formData.status} - controlled component (pre-filled from asset)
-              - onChange updates status in state
-              - Options: active, maintenance, retired
-            */}
-            <select 
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
-              value={formData.status}
-              onChange={e => setFormData({...formData, status: e.target.value})}
-            >
-              <option value="active">Active</option>
-              <option value="maintenance">Maintenance</option>
-              <option value="retired">Retired</option>
-            </select>
-          </div>
+            {/* Status Dropdown */}
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Status</label>
+              {/* 
+                Select dropdown:
+                - value={formData.status} - controlled component (pre-filled from asset)
+                - onChange updates status in state
+                - Options: statusChoices (current status and allowed moves)
+              */}
+              <select 
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+                value={formData.status}
+                onChange={e => setFormData({...formData, status: e.target.value})}
+              >
+                {statusChoices.map(status => (
+                  <option key={status.key} value={status.key}>{status.label}</option>
+                ))}
+              </select>
+            </div>
 
-          {/* Form Buttons */}
-          <div className="flex gap-3 pt-4">
-            {/* Cancel Button */}
-            {/* 
-              type="button" - prevents form submission
-              onClick={onClose} - closes modal without saving
-            */}
-            <button type="button" onClick={onClose} className="flex-1 py-2 text-gray-600 hover:bg-gray-50 rounded-lg">
-              Cancel
-            </button>
+            {/* Form Buttons */}
+            <div className="flex gap-3 pt-4">
+              {/* Cancel Button */}
+              {/* 
+                type="button" - prevents form submission
+                onClick={handleClose} - closes modal without saving
+              */}
+              <button type="button" onClick={handleClose} className="flex-1 py-2 text-gray-600 hover:bg-gray-50 rounded-lg">
+                Cancel
+              </button>
             
-            {/* Submit Button */}
-            {/* 
-              type="submit" - submits the form (triggers handleSubmit)
-              disabled={isSubmitting} - disables during submission
-              - Prevents double submissions
-              - Visual feedback (opacity-50 when disabled)
+              {/* Submit Button */}
+              {/* 
+                type="submit" - submits the form (triggers handleSubmit)
+                disabled={isSubmitting} - disables during submission
+                - Prevents double submissions
+                - Visual feedback (opacity-50 when disabled)
               
-              Conditional text:
-              - Shows "Updating..." while submitting
-              - Shows "Update Asset" normally
-            */}
-            <button 
-              type="submit" 
-              disabled={isSubmitting}
-              className="flex-1 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 disabled:opacity-50"
-            >
-              {isSubmitting ? 'Updating...' : 'Update Asset'}
-            </button>
-          </div>
-        </form>
+                Conditional text:
+                - Shows "Updating..." while submitting
+                - Shows "Update Asset" normally
+              */}
+              <button 
+                type="submit" 
+                disabled={isSubmitting}
+                className="flex-1 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isSubmitting ? 'Updating...' : 'Update Asset'}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
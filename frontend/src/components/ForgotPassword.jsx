@@ -0,0 +1,96 @@
+/**
+ * FORGOT PASSWORD COMPONENT
+ * 
+ * Opened from the "Forgot password?" link of the Login screen.
+ * The user enters their email and the backend emails a reset link:
+ *   http://localhost:5173/?reset=<token>
+ * 
+ * The backend answers the same way for every email (so nobody can find out
+ * which emails have an account) - we simply show that message.
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * FORGOT PASSWORD COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.initialEmail - Email already typed on the Login screen
+ * @param {Function} props.onBack - Called when the user goes back to login
+ */
+const ForgotPassword = ({ initialEmail, onBack }) => {
+  const [email, setEmail] = useState(initialEmail || '');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * FORM SUBMISSION HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      alert("Please enter your email");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const { data } = await api.post('/auth/forgot-password', { email });
+      setMessage(data.message);
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to request password reset");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Reset password</h2>
+
+        {/* CONFIRMATION - same text whether or not the account exists */}
+        {message ? (
+          <p className="mt-6 text-center text-sm text-gray-600">{message}</p>
+        ) : (
+          <>
+            <p className="text-center text-sm text-gray-500 mb-8">
+              Enter your email and we'll send you a link to choose a new password.
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <input
+                className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder="Email"
+              />
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+              >
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          </>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-500">
+          <button
+            type="button"
+            onClick={onBack}
+            className="font-semibold text-blue-600 hover:text-blue-800"
+          >
+            Back to login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
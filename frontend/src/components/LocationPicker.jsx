@@ -0,0 +1,45 @@
+/**
+ * LOCATION PICKER COMPONENT
+ * 
+ * Where an asset is, inside the asset forms (AddAssetModal, EditAssetModal):
+ * a dropdown of the organization's locations, each indented under its
+ * parent, with the full path of the chosen one below it as a breadcrumb
+ * ("HQ › Building A › Room 101").
+ * 
+ * The location is optional - "No location" sends null.
+ */
+
+import { formatLocation } from '../utils/locations';
+
+/**
+ * LOCATION PICKER COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Object[]} props.locations - The organization's locations, in tree order (GET /api/locations)
+ * @param {string} props.value - Selected location ID ('' for none)
+ * @param {Function} props.onChange - Called with the new location ID ('' for none)
+ */
+const LocationPicker = ({ locations, value, onChange }) => {
+  const selected = locations.find(location => location.id === value);
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-1">Location</label>
+      <select
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+        value={value}
+        onChange={e => onChange(e.target.value)}
+      >
+        <option value="">No location</option>
+        {locations.map(location => (
+          <option key={location.id} value={location.id}>
+            {'  '.repeat(location.depth)}{location.name}
+          </option>
+        ))}
+      </select>
+      {selected && <p className="mt-1 text-xs text-gray-500">{formatLocation(selected)}</p>}
+    </div>
+  );
+};
+
+export default LocationPicker;
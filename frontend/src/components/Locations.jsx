@@ -0,0 +1,270 @@
+/**
+ * LOCATIONS COMPONENT
+ * 
+ * Admin screen for the organization's locations: a tree of any depth
+ * (site → building → room...) where assets are placed.
+ * It displays:
+ * - A form to create a location, at the top or under another one
+ * - The tree, each location indented under its parent, with its number of assets
+ * - Edit (rename and/or move under another parent, inline) and delete buttons
+ * 
+ * A location can only be deleted once it's empty: no locations below it and
+ * no assets in it (the API answers 409 otherwise).
+ * 
+ * Only rendered for users with the 'locations:manage' permission (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * A location and every location below it - where it can't be moved.
+ * 
+ * @param {Object[]} locations - From GET /api/locations
+ * @param {string} id
+ * @returns {Set<string>}
+ */
+const subtreeIds = (locations, id) => {
+  const ids = new Set([id]);
+  // The API lists parents before their children, so one pass is enough
+  for (const location of locations) {
+    if (ids.has(location.parentId)) ids.add(location.id);
+  }
+  return ids;
+};
+
+/**
+ * OPTIONS OF A PARENT PICKER
+ * 
+ * Every location, indented by depth, plus "Top level".
+ * 
+ * @param {Object} props
+ * @param {Object[]} props.locations - Locations to offer
+ */
+const ParentOptions = ({ locations }) => (
+  <>
+    <option value="">Top level</option>
+    {locations.map(location => (
+      <option key={location.id} value={location.id}>
+        {'  '.repeat(location.depth)}{location.name}
+      </option>
+    ))}
+  </>
+);
+
+const Locations = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - locations: array of { id, name, parentId, path, depth, assetCount, childCount }
+   *   from the API, in tree order (each location right after its parent)
+   * - loading: true while the first fetch is running
+   * - form / isSubmitting: the "create location" form ({ name, parentId })
+   * - editing: { id, name, parentId } of the location being edited (null when none)
+   */
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ name: '', parentId: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  /**
+   * FETCH LOCATIONS
+   */
+  const fetchLocations = async () => {
+    try {
+      const { data } = await api.get('/locations');
+      setLocations(data);
+    } catch (err) {
+      console.error("Fetch locations error:", err);
+      alert(err.response?.data?.error || "Failed to load locations");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fetch the locations once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchLocations();
+    })();
+  }, []);
+
+  /**
+   * CREATE LOCATION HANDLER
+   * 
+   * The parent stays selected, so several rooms can be added to the same
+   * building in a row.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/locations', { name: form.name, parentId: form.parentId || null });
+      setForm({ ...form, name: '' });
+      await fetchLocations();
+    } catch (err) {
+      console.error("Create location error:", err);
+      alert(err.response?.data?.error || "Failed to create location");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * SAVE HANDLER
+   * 
+   * Saves the name and parent chosen in the row being edited.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      await api.patch(`/locations/${editing.id}`, { name: editing.name, parentId: editing.parentId || null });
+      setEditing(null);
+      await fetchLocations();
+    } catch (err) {
+      console.error("Update location error:", err);
+      alert(err.response?.data?.error || "Failed to update location");
+    }
+  };
+
+  /**
+   * DELETE HANDLER
+   * 
+   * @param {Object} location - The location to delete
+   */
+  const handleDelete = async (location) => {
+    if (location.childCount > 0 || location.assetCount > 0) {
+      alert("Move its locations and assets elsewhere first - only an empty location can be deleted");
+      return;
+    }
+    if (!window.confirm(`Delete the location "${location.path.join(' / ')}"?`)) return;
+
+    try {
+      await api.delete(`/locations/${location.id}`);
+      await fetchLocations();
+    } catch (err) {
+      console.error("Delete location error:", err);
+      alert(err.response?.data?.error || "Failed to delete location");
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading locations...</div>;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">Locations</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Where this organization's assets are: sites, buildings, rooms... nested as deep as you need.
+      </p>
+
+      {/* CREATE FORM */}
+      <form onSubmit={handleCreate} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 flex flex-col sm:flex-row gap-3">
+        <input
+          required
+          placeholder="Location name (e.g. Room 101)"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          value={form.name}
+          onChange={e => setForm({ ...form, name: e.target.value })}
+        />
+        <select
+          value={form.parentId}
+          onChange={e => setForm({ ...form, parentId: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg bg-white outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <ParentOptions locations={locations} />
+        </select>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Creating...' : '+ Add location'}
+        </button>
+      </form>
+
+      {/* LOCATIONS TREE */}
+      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Name</th>
+              <th className="px-6 py-4 text-left font-semibold">Assets</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {locations.map((location) => (
+              <tr key={location.id} className="hover:bg-gray-50 transition">
+                {/* Name - indented by depth, or the edit form */}
+                <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                  {editing?.id === location.id ? (
+                    <form onSubmit={handleSave} className="flex flex-wrap gap-2">
+                      <input
+                        required
+                        autoFocus
+                        className="flex-1 px-3 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 outline-none"
+                        value={editing.name}
+                        onChange={e => setEditing({ ...editing, name: e.target.value })}
+                      />
+                      {/* It can't go under itself or one of its own sub-locations */}
+                      <select
+                        value={editing.parentId}
+                        onChange={e => setEditing({ ...editing, parentId: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded-md bg-white outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <ParentOptions locations={locations.filter(l => !subtreeIds(locations, location.id).has(l.id))} />
+                      </select>
+                      <button type="submit" className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md">
+                        Save
+                      </button>
+                      <button type="button" onClick={() => setEditing(null)} className="text-gray-600 hover:bg-gray-100 px-3 py-1 rounded-md">
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <span style={{ paddingLeft: `${location.depth * 1.5}rem` }}>
+                      {location.depth > 0 && <span className="text-gray-400 mr-1">└</span>}
+                      {location.name}
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{location.assetCount}</td>
+                <td className="px-6 py-4 text-sm font-medium">
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setEditing({ id: location.id, name: location.name, parentId: location.parentId ?? '' })}
+                      className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(location)}
+                      className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {locations.length === 0 && (
+              <tr>
+                <td colSpan={3} className="px-6 py-10 text-center text-sm text-gray-500">No locations yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Locations;
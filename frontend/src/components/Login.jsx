@@ -10,10 +10,17 @@
  * - API call to backend
  * - Token storage in localStorage
  * - Callback to parent component on success
+ * - "Create organization" mode (self-service signup via /auth/register)
+ * - "Forgot password?" link (see ForgotPassword.jsx)
+ * - "Sign in with SSO" mode: the organization's identity provider (OpenID Connect)
+ * - Second login step for two-factor authentication (see MfaChallenge.jsx)
  */
 
 import { useState } from 'react';
 import api from '../api/axios';
+import { storeSession } from '../utils/session';
+import ForgotPassword from './ForgotPassword';
+import MfaChallenge from './MfaChallenge';
 
 /**
  * LOGIN COMPONENT FUNCTION
@@ -44,6 +51,42 @@ const Login = ({ onLoginSuccess }) => {
   const [email, setEmail] = useState('admin@acme.com');
   const [password, setPassword] = useState('password123');
 
+  /**
+   * SCREEN MODE
+   * 
+   * - 'login': existing users sign in
+   * - 'register': create a new organization (tenant) and its first admin user
+   * - 'forgot': request a password reset link by email
+   * - 'sso': single sign-on, the user enters their organization's slug
+   * 
+   * organizationName is only used in 'register' mode, orgSlug in 'sso' mode.
+   */
+  const [mode, setMode] = useState('login');
+  const [organizationName, setOrganizationName] = useState('');
+  const [orgSlug, setOrgSlug] = useState('');
+
+  /**
+   * MFA CHALLENGE
+   * 
+   * Set when the password was right but a second factor is needed:
+   * { mfaRequired | mfaSetupRequired, mfaToken } from the login response.
+   */
+  const [challenge, setChallenge] = useState(null);
+
+  /**
+   * SWITCH BETWEEN LOGIN AND "CREATE ORGANIZATION"
+   * 
+   * The pre-filled development credentials only make sense for login,
+   * so we clear the fields when switching to register mode.
+   */
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    if (nextMode === 'register') {
+      setEmail('');
+      setPassword('');
+    }
+  };
+
   /**
    * LOGIN FORM SUBMISSION HANDLER
    * 
@@ -115,22 +158,14 @@ const Login = ({ onLoginSuccess }) => {
        */
       const { data } = await api.post('/auth/login', { email, password });
 
-      /**
-       * STORE AUTHENTICATION DATA
-       * 
-       * localStorage persists data in browser storage.
-       * It survives page refreshes and browser restarts.
-       * 
-       * We store:
-       * - token: JWT token for authenticated requests
-       * - orgId: Organization ID for multi-tenant filtering
-       * 
-       * Note: localStorage is accessible to JavaScript, so don't store sensitive data!
-       * JWT tokens are okay because they expire and are signed.
-       */
-      localStorage.setItem('token', data.token);
-      localStorage.setItem('orgId', data.user.orgId);
-      localStorage.setItem('orgName', data.user.orgName);
+      // Two-factor authentication: no session yet, ask for the code first
+      if (data.mfaRequired || data.mfaSetupRequired) {
+        setChallenge(data);
+        return;
+      }
+
+      // Save token and organization info (see utils/session.js)
+      storeSession(data);
 
       /**
        * NOTIFY PARENT COMPONENT
@@ -161,24 +196,147 @@ const Login = ({ onLoginSuccess }) => {
     }
   };
 
+  /**
+   * REGISTER FORM SUBMISSION HANDLER
+   * 
+   * Creates a new organization with the current user as its admin.
+   * The backend answers with the same payload as login, so the user
+   * is signed in immediately.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    // Same client-side checks as login, plus organization name and password length
+    if (!organizationName.trim() || !email || !password) {
+      alert("Please fill in organization name, email and password");
+      return;
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      alert("Please enter a valid email address");
+      return;
+    }
+
+    if (password.length < 8) {
+      alert("Password must be at least 8 characters");
+      return;
+    }
+
+    try {
+      const { data } = await api.post('/auth/register', { organizationName, email, password });
+      storeSession(data);
+      onLoginSuccess();
+    } catch (err) {
+      // 409 = organization name, slug or email already taken
+      const errorMessage = err.response?.data?.error || "Registration failed. Check if backend is running on port 5000";
+      alert(errorMessage);
+    }
+  };
+
+  /**
+   * SINGLE SIGN-ON
+   * 
+   * This is a full page navigation, not an API call: the backend redirects the
+   * browser to the identity provider, which later sends it back to
+   * "/?sso=<code>" (handled by SsoCallback.jsx).
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSso = (e) => {
+    e.preventDefault();
+
+    const slug = orgSlug.trim().toLowerCase();
+    if (!slug) {
+      alert("Please enter your organization's ID");
+      return;
+    }
+
+    window.location.assign(`${api.defaults.baseURL}/auth/sso/${encodeURIComponent(slug)}/start`);
+  };
+
   /**
    * JSX RENDER
    * 
    * Returns the login form UI.
    * JSX is like HTML but with JavaScript expressions in {}.
    */
+  // Second login step (code from the authenticator app, or MFA setup)
+  if (challenge) {
+    return (
+      <MfaChallenge
+        challenge={challenge}
+        onSuccess={onLoginSuccess}
+        onCancel={() => setChallenge(null)}
+      />
+    );
+  }
+
+  // "Forgot password?" has its own screen
+  if (mode === 'forgot') {
+    return <ForgotPassword initialEmail={email} onBack={() => switchMode('login')} />;
+  }
+
+  // Single sign-on only needs the organization
+  if (mode === 'sso') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+          <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Sign in with SSO</h2>
+          <p className="text-center text-sm text-gray-500 mb-8">
+            Enter your organization ID (e.g. acme-corp) - you'll continue at your company's login page.
+          </p>
+          <form onSubmit={handleSso} className="space-y-6">
+            <input
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+              value={orgSlug}
+              onChange={e => setOrgSlug(e.target.value)}
+              placeholder="Organization ID"
+            />
+            <button type="submit" className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors">
+              Continue
+            </button>
+          </form>
+          <p className="mt-6 text-center text-sm">
+            <button
+              type="button"
+              onClick={() => switchMode('login')}
+              className="font-semibold text-blue-600 hover:text-blue-800"
+            >
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
       {/* Login Card Container */}
       <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
-        <h2 className="text-2xl font-bold text-center text-gray-800 mb-8">Tenant Login</h2>
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-8">
+          {mode === 'login' ? 'Tenant Login' : 'Create Organization'}
+        </h2>
         
-        {/* Login Form */}
+        {/* Login / Register Form */}
         {/* 
-          onSubmit={handleLogin} - when form is submitted, run handleLogin
+          onSubmit - runs handleLogin or handleRegister depending on the mode
           className="space-y-6" - vertical spacing between form elements
         */}
-        <form onSubmit={handleLogin} className="space-y-6">
+        <form onSubmit={mode === 'login' ? handleLogin : handleRegister} className="space-y-6">
+          {/* Organization Name Field (register mode only) */}
+          {mode === 'register' && (
+            <input 
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+              value={organizationName} 
+              onChange={e => setOrganizationName(e.target.value)} 
+              placeholder="Organization name" 
+            />
+          )}
+
           {/* Email Input Field */}
           {/* 
             Controlled component pattern:
@@ -212,9 +370,42 @@ const Login = ({ onLoginSuccess }) => {
             className includes hover effects for better UX
           */}
           <button type="submit" className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors">
-            Login
+            {mode === 'login' ? 'Login' : 'Create organization'}
           </button>
         </form>
+
+        {/* Forgot Password + SSO Links (login mode only) */}
+        {mode === 'login' && (
+          <p className="mt-4 flex justify-center gap-4 text-sm">
+            <button
+              type="button"
+              onClick={() => switchMode('forgot')}
+              className="text-gray-500 hover:text-blue-600"
+            >
+              Forgot password?
+            </button>
+            <button
+              type="button"
+              onClick={() => switchMode('sso')}
+              className="text-gray-500 hover:text-blue-600"
+            >
+              Sign in with SSO
+            </button>
+          </p>
+        )}
+
+        {/* Mode Switch Link */}
+        {/* type="button" so it never submits the form */}
+        <p className="mt-6 text-center text-sm text-gray-500">
+          {mode === 'login' ? "New here? " : "Already have an account? "}
+          <button
+            type="button"
+            onClick={() => switchMode(mode === 'login' ? 'register' : 'login')}
+            className="font-semibold text-blue-600 hover:text-blue-800"
+          >
+            {mode === 'login' ? 'Create organization' : 'Back to login'}
+          </button>
+        </p>
       </div>
     </div>
   );
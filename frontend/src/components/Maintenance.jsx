@@ -0,0 +1,321 @@
+/**
+ * MAINTENANCE COMPONENT
+ * 
+ * Work orders of the organization (GET /api/work-orders), one page at a time:
+ * - Open ones first, the soonest due first, with an Overdue badge past their due date
+ * - Status filter and "Overdue only"
+ * - Open a work order on an asset (search box), edit, complete or cancel one
+ *   (users with 'assets:write')
+ * - Below, the recurring maintenance plans that open work orders by
+ *   themselves (MaintenancePlans - only with 'maintenance:manage')
+ * 
+ * Opening a work order puts its asset in maintenance; closing its last open
+ * work order puts it back in service (the backend does both).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { can } from '../utils/permissions';
+import AssetSearch from './AssetSearch';
+import WorkOrderModal from './WorkOrderModal';
+import MaintenancePlans from './MaintenancePlans';
+
+// First page: open work orders
+const initialQuery = { page: 1, pageSize: 25, status: 'OPEN', overdue: false };
+
+// Colors of the status badges
+const STATUS_STYLES = {
+  OPEN: 'bg-amber-100 text-amber-700',
+  DONE: 'bg-green-100 text-green-700',
+  CANCELLED: 'bg-gray-100 text-gray-600'
+};
+
+/**
+ * A "YYYY-MM-DD" date in the user's format (parsed as a local date, so it
+ * isn't shifted by the time zone).
+ * 
+ * @param {string} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString();
+
+const Maintenance = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - workOrders / pagination: the current page
+   * - query: { page, pageSize, status ('' = all), overdue }
+   * - newFor: asset a work order is being opened on (null when none)
+   * - editing: work order being edited (null when none)
+   * - busyId: work order being completed or cancelled (its buttons are disabled)
+   */
+  const [workOrders, setWorkOrders] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 0 });
+  const [query, setQuery] = useState(initialQuery);
+  const [loading, setLoading] = useState(true);
+  const [newFor, setNewFor] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  /**
+   * FETCH ONE PAGE OF WORK ORDERS
+   * 
+   * @param {Object} listQuery - See initialQuery
+   */
+  const fetchWorkOrders = async (listQuery) => {
+    const { status, overdue, ...params } = listQuery;
+    try {
+      const { data } = await api.get('/work-orders', {
+        params: { ...params, ...(status && { status }), ...(overdue && { overdue: 'true' }) }
+      });
+      setWorkOrders(data.data);
+      setPagination(data.pagination);
+    } catch (err) {
+      console.error("Fetch work orders error:", err);
+      alert(err.response?.data?.error || "Failed to load work orders");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First page, once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchWorkOrders(initialQuery);
+    })();
+  }, []);
+
+  /**
+   * CHANGE PAGE OR FILTERS
+   * 
+   * Any change other than the page itself starts again on page 1.
+   * 
+   * @param {Object} changes - e.g. { status: 'DONE' } or { page: 3 }
+   */
+  const updateQuery = async (changes) => {
+    const next = { ...query, page: 1, ...changes };
+    setQuery(next);
+    await fetchWorkOrders(next);
+  };
+
+  /**
+   * COMPLETE HANDLER
+   * 
+   * Asks for the cost (optional) - it can still be changed later with Edit.
+   * 
+   * @param {Object} workOrder
+   */
+  const handleComplete = async (workOrder) => {
+    const answer = window.prompt(`Complete "${workOrder.title}" on ${workOrder.asset.name}.\nCost (optional):`, '');
+    if (answer === null) return; // Dismissed
+    if (answer.trim() !== '' && !(Number(answer) >= 0)) {
+      alert("The cost must be a number of at least 0");
+      return;
+    }
+
+    setBusyId(workOrder.id);
+    try {
+      await api.post(`/work-orders/${workOrder.id}/complete`, answer.trim() === '' ? {} : { cost: Number(answer) });
+      await fetchWorkOrders(query);
+    } catch (err) {
+      console.error("Complete work order error:", err);
+      alert(err.response?.data?.error || "Failed to complete work order");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * CANCEL HANDLER
+   * 
+   * @param {Object} workOrder
+   */
+  const handleCancel = async (workOrder) => {
+    if (!window.confirm(`Cancel "${workOrder.title}" on ${workOrder.asset.name}?`)) return;
+
+    setBusyId(workOrder.id);
+    try {
+      await api.post(`/work-orders/${workOrder.id}/cancel`);
+      await fetchWorkOrders(query);
+    } catch (err) {
+      console.error("Cancel work order error:", err);
+      alert(err.response?.data?.error || "Failed to cancel work order");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading work orders...</div>;
+
+  const canWrite = can('assets:write');
+  const firstRow = (pagination.page - 1) * query.pageSize + 1;
+  const lastRow = firstRow + workOrders.length - 1;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">Maintenance</h1>
+      <p className="mt-1 text-sm text-gray-500">
+        Work orders on this organization's assets - an asset is in maintenance while it has open ones.
+      </p>
+
+      {/* FILTER BAR - and, for writers, the asset to open a work order on */}
+      <div className="mt-6 flex flex-col sm:flex-row gap-3">
+        {canWrite && (
+          // Picking an asset opens the form; Enter alone does nothing
+          <AssetSearch onSubmit={() => {}} onSelect={setNewFor} />
+        )}
+        <select
+          value={query.status}
+          onChange={e => updateQuery({ status: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+        >
+          <option value="OPEN">Open</option>
+          <option value="DONE">Completed</option>
+          <option value="CANCELLED">Cancelled</option>
+          <option value="">All statuses</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={query.overdue}
+            onChange={e => updateQuery({ overdue: e.target.checked })}
+          />
+          Overdue only
+        </label>
+      </div>
+      {canWrite && <p className="mt-1 text-xs text-gray-500">Search an asset above to open a work order on it.</p>}
+
+      {/* WORK ORDERS TABLE */}
+      <div className="mt-4 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Work order</th>
+              <th className="px-6 py-4 text-left font-semibold">Asset</th>
+              <th className="px-6 py-4 text-left font-semibold">Due</th>
+              <th className="px-6 py-4 text-left font-semibold">Assignee</th>
+              <th className="px-6 py-4 text-left font-semibold">Status</th>
+              <th className="px-6 py-4 text-left font-semibold">Cost</th>
+              {canWrite && <th className="px-6 py-4 text-left font-semibold">Actions</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {workOrders.length === 0 ? (
+              <tr>
+                <td colSpan={canWrite ? 7 : 6} className="px-6 py-10 text-center text-gray-500">No work orders.</td>
+              </tr>
+            ) : workOrders.map(workOrder => (
+              <tr key={workOrder.id} className="hover:bg-gray-50 transition">
+                {/* Title - and the plan that opened it, if any */}
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{workOrder.title}</div>
+                  {workOrder.plan && <div className="text-xs text-gray-500">Plan: {workOrder.plan.name}</div>}
+                  {workOrder.notes && <div className="text-xs text-gray-500 whitespace-pre-line">{workOrder.notes}</div>}
+                </td>
+                <td className="px-6 py-4">
+                  <div className="text-sm text-gray-900">{workOrder.asset.name}</div>
+                  <div className="text-xs font-mono text-gray-500">{workOrder.asset.serialNumber}</div>
+                </td>
+                {/* Overdue: computed by the backend */}
+                <td className="px-6 py-4 text-sm text-gray-500 whitespace-nowrap">
+                  {workOrder.dueDate ? formatDate(workOrder.dueDate) : <span className="text-gray-400">-</span>}
+                  {workOrder.overdue && (
+                    <span className="ml-2 px-2 py-0.5 rounded-md text-[10px] font-bold uppercase bg-red-100 text-red-700">
+                      Overdue
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {workOrder.assignee ? workOrder.assignee.email : <span className="text-gray-400">-</span>}
+                </td>
+                <td className="px-6 py-4">
+                  <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${STATUS_STYLES[workOrder.status]}`}>
+                    {workOrder.status}
+                  </span>
+                  {workOrder.closedAt && (
+                    <div className="mt-1 text-xs text-gray-500">
+                      {new Date(workOrder.closedAt).toLocaleDateString()}{workOrder.closedBy && ` · ${workOrder.closedBy}`}
+                    </div>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {workOrder.cost !== null ? workOrder.cost.toFixed(2) : <span className="text-gray-400">-</span>}
+                </td>
+                {canWrite && (
+                  <td className="px-6 py-4 text-sm font-medium">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setEditing(workOrder)}
+                        className="text-blue-600 hover:text-blue-900 bg-blue-50 hover:bg-blue-100 px-3 py-1 rounded-md transition duration-200"
+                      >
+                        Edit
+                      </button>
+                      {workOrder.status === 'OPEN' && (
+                        <>
+                          <button
+                            onClick={() => handleComplete(workOrder)}
+                            disabled={busyId === workOrder.id}
+                            className="text-green-700 hover:text-green-900 bg-green-50 hover:bg-green-100 px-3 py-1 rounded-md transition duration-200 disabled:opacity-50"
+                          >
+                            Complete
+                          </button>
+                          <button
+                            onClick={() => handleCancel(workOrder)}
+                            disabled={busyId === workOrder.id}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200 disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* PAGER */}
+      {pagination.totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {firstRow}–{lastRow} of {pagination.total}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => updateQuery({ page: pagination.page - 1 })}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              onClick={() => updateQuery({ page: pagination.page + 1 })}
+              disabled={pagination.page >= pagination.totalPages}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* RECURRING PLANS - admins; a new plan may open work orders at once */}
+      {can('maintenance:manage') && <MaintenancePlans onWorkOrdersChanged={() => fetchWorkOrders(query)} />}
+
+      {/* WORK ORDER MODALS - mounted only while open, so the form starts fresh */}
+      {newFor && (
+        <WorkOrderModal asset={newFor} onClose={() => setNewFor(null)} onRefresh={() => fetchWorkOrders(query)} />
+      )}
+      {editing && (
+        <WorkOrderModal workOrder={editing} onClose={() => setEditing(null)} onRefresh={() => fetchWorkOrders(query)} />
+      )}
+    </div>
+  );
+};
+
+export default Maintenance;
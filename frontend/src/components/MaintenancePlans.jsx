@@ -0,0 +1,325 @@
+/**
+ * MAINTENANCE PLANS COMPONENT
+ * 
+ * Admin section of the Maintenance page: recurring maintenance
+ * (GET /api/maintenance-plans). Each plan opens a work order - for one
+ * asset, or for every asset of a category - whenever it is due:
+ * - every N days, or
+ * - every N months, on the day of the month of its start date
+ * It displays:
+ * - A form to create a plan
+ * - The plans with their schedule, next due date and open work orders
+ * - Pause / resume and delete buttons (deleting a plan keeps its work orders)
+ * 
+ * Only rendered for users with the 'maintenance:manage' permission (see Maintenance.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import AssetSearch from './AssetSearch';
+
+// Today as "YYYY-MM-DD" - the earliest start date
+const today = () => new Date().toISOString().slice(0, 10);
+
+// An empty "create plan" form
+const emptyForm = { name: '', description: '', target: 'category', categoryId: '', asset: null, frequency: 'MONTHS', interval: 1, startDate: '', assigneeId: '' };
+
+/**
+ * A plan's schedule, as text.
+ * 
+ * @param {Object} plan - { frequency, interval, dayOfMonth }
+ * @returns {string} e.g. "Every 3 months, on day 15"
+ */
+const formatSchedule = (plan) => {
+  const unit = plan.frequency === 'DAYS' ? 'day' : 'month';
+  const every = plan.interval === 1 ? `Every ${unit}` : `Every ${plan.interval} ${unit}s`;
+  return plan.frequency === 'MONTHS' ? `${every}, on day ${plan.dayOfMonth}` : every;
+};
+
+/**
+ * MAINTENANCE PLANS COMPONENT FUNCTION
+ * 
+ * @param {Object} props
+ * @param {Function} props.onWorkOrdersChanged - Called when saving a plan may have opened work orders
+ */
+const MaintenancePlans = ({ onWorkOrdersChanged }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - plans: from the API, the soonest due first (paused plans last)
+   * - categories / assignees: choices of the form
+   * - form / isSubmitting: the "create plan" form (see emptyForm)
+   */
+  const [plans, setPlans] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [assignees, setAssignees] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * FETCH PLANS
+   */
+  const fetchPlans = async () => {
+    try {
+      const { data } = await api.get('/maintenance-plans');
+      setPlans(data);
+    } catch (err) {
+      console.error("Fetch maintenance plans error:", err);
+      alert(err.response?.data?.error || "Failed to load maintenance plans");
+    }
+  };
+
+  // Plans and the form's choices, once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchPlans();
+      try {
+        const [categoriesResponse, assigneesResponse] = await Promise.all([api.get('/categories'), api.get('/assignees')]);
+        setCategories(categoriesResponse.data);
+        setAssignees(assigneesResponse.data);
+      } catch (err) {
+        console.error("Fetch plan form choices error:", err);
+      }
+    })();
+  }, []);
+
+  /**
+   * CREATE PLAN HANDLER
+   * 
+   * A plan starting today opens its work orders right away.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.target === 'asset' && !form.asset) {
+      alert("Search and pick the asset first");
+      return;
+    }
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/maintenance-plans', {
+        name: form.name,
+        ...(form.description && { description: form.description }),
+        ...(form.target === 'asset' ? { assetId: form.asset.id } : { categoryId: form.categoryId }),
+        frequency: form.frequency,
+        interval: Number(form.interval),
+        ...(form.startDate && { startDate: form.startDate }),
+        ...(form.assigneeId && { assigneeId: form.assigneeId })
+      });
+      setForm(emptyForm);
+      await fetchPlans();
+      onWorkOrdersChanged();
+    } catch (err) {
+      console.error("Create maintenance plan error:", err);
+      alert(err.response?.data?.error || "Failed to create maintenance plan");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * PAUSE / RESUME HANDLER
+   * 
+   * A resumed plan that is overdue opens one work order at once.
+   * 
+   * @param {Object} plan
+   */
+  const handleToggle = async (plan) => {
+    try {
+      await api.patch(`/maintenance-plans/${plan.id}`, { isActive: !plan.isActive });
+      await fetchPlans();
+      onWorkOrdersChanged();
+    } catch (err) {
+      console.error("Update maintenance plan error:", err);
+      alert(err.response?.data?.error || "Failed to update maintenance plan");
+    }
+  };
+
+  /**
+   * DELETE HANDLER
+   * 
+   * @param {Object} plan
+   */
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete the plan "${plan.name}"? Its work orders are kept.`)) return;
+
+    try {
+      await api.delete(`/maintenance-plans/${plan.id}`);
+      await fetchPlans();
+    } catch (err) {
+      console.error("Delete maintenance plan error:", err);
+      alert(err.response?.data?.error || "Failed to delete maintenance plan");
+    }
+  };
+
+  const inputClass = "px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none bg-white";
+
+  return (
+    <div className="mt-12">
+      <h2 className="text-xl font-bold text-gray-900">Maintenance plans</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Recurring work: when a plan is due it opens a work order for its asset, or for each asset of its category.
+      </p>
+
+      {/* CREATE FORM */}
+      {/* The asset search is its own form, so it sits above the plan form rather than inside it */}
+      <div className="mt-4 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 space-y-3">
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="font-semibold text-gray-700">Applies to</span>
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={form.target === 'category'} onChange={() => setForm({ ...form, target: 'category' })} />
+            Every asset of a category
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={form.target === 'asset'} onChange={() => setForm({ ...form, target: 'asset' })} />
+            One asset
+          </label>
+        </div>
+
+        {form.target === 'asset' && (
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            <AssetSearch onSubmit={() => {}} onSelect={asset => setForm({ ...form, asset })} />
+            <span className="text-sm text-gray-600">
+              {form.asset
+                ? <>{form.asset.name} <span className="font-mono text-gray-500">({form.asset.serialNumber})</span></>
+                : <span className="text-gray-400">No asset picked</span>}
+            </span>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-3">
+          {form.target === 'category' && (
+            <select
+              required
+              value={form.categoryId}
+              onChange={e => setForm({ ...form, categoryId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="" disabled>Category</option>
+              {categories.map(category => <option key={category.id} value={category.id}>{category.name}</option>)}
+            </select>
+          )}
+          <input
+            required
+            maxLength={100}
+            placeholder="Plan name (e.g. Oil change)"
+            className={`${inputClass} flex-1 min-w-48`}
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+          />
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            Every
+            <input
+              required
+              type="number"
+              min="1"
+              max={form.frequency === 'DAYS' ? 3650 : 120}
+              className={`${inputClass} w-20`}
+              value={form.interval}
+              onChange={e => setForm({ ...form, interval: e.target.value })}
+            />
+            <select
+              value={form.frequency}
+              onChange={e => setForm({ ...form, frequency: e.target.value })}
+              className={inputClass}
+            >
+              <option value="DAYS">days</option>
+              <option value="MONTHS">months</option>
+            </select>
+          </div>
+          {/* Also sets the day of the month of a monthly plan */}
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Starting
+            <input
+              type="date"
+              min={today()}
+              className={inputClass}
+              value={form.startDate}
+              onChange={e => setForm({ ...form, startDate: e.target.value })}
+            />
+          </label>
+          <select
+            value={form.assigneeId}
+            onChange={e => setForm({ ...form, assigneeId: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">Nobody assigned</option>
+            {assignees.map(user => <option key={user.id} value={user.id}>{user.email}</option>)}
+          </select>
+          <input
+            maxLength={1000}
+            placeholder="Instructions (optional)"
+            className={`${inputClass} w-full`}
+            value={form.description}
+            onChange={e => setForm({ ...form, description: e.target.value })}
+          />
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Creating...' : '+ Add plan'}
+          </button>
+        </form>
+      </div>
+
+      {/* PLANS TABLE */}
+      <div className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Plan</th>
+              <th className="px-6 py-4 text-left font-semibold">Applies to</th>
+              <th className="px-6 py-4 text-left font-semibold">Schedule</th>
+              <th className="px-6 py-4 text-left font-semibold">Next due</th>
+              <th className="px-6 py-4 text-left font-semibold">Open</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {plans.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-6 py-10 text-center text-sm text-gray-500">No maintenance plans yet.</td>
+              </tr>
+            ) : plans.map(plan => (
+              <tr key={plan.id} className={`hover:bg-gray-50 transition ${plan.isActive ? '' : 'opacity-60'}`}>
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{plan.name}</div>
+                  {plan.assignee && <div className="text-xs text-gray-500">{plan.assignee.email}</div>}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {plan.asset ? plan.asset.name : `Category: ${plan.category.name}`}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{formatSchedule(plan)}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {plan.isActive ? new Date(`${plan.nextDueDate}T00:00:00`).toLocaleDateString() : 'Paused'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{plan.openWorkOrders}</td>
+                <td className="px-6 py-4 text-sm font-medium">
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleToggle(plan)}
+                      className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                    >
+                      {plan.isActive ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(plan)}
+                      className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MaintenancePlans;
@@ -0,0 +1,103 @@
+/**
+ * MFA CHALLENGE COMPONENT
+ * 
+ * Second step of the login when the backend answers with an MFA challenge
+ * instead of a session (see backend services/session.js signIn):
+ * - { mfaRequired, mfaToken }: enter a code from the app (or a recovery code)
+ * - { mfaSetupRequired, mfaToken }: the organization requires MFA and the user
+ *   has to set it up before getting in
+ * 
+ * The mfaToken is short-lived (5 minutes by default) - after that the user
+ * has to start over with their password.
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+import { storeSession } from '../utils/session';
+import MfaSetup from './MfaSetup';
+
+/**
+ * MFA CHALLENGE COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Login response ({ mfaRequired | mfaSetupRequired, mfaToken })
+ * @param {Function} props.onSuccess - Called once the session is stored
+ * @param {Function} props.onCancel - Back to the login form
+ */
+const MfaChallenge = ({ challenge, onSuccess, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { mfaToken } = challenge;
+
+  /**
+   * VERIFY HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const { data } = await api.post('/auth/mfa/verify', { mfaToken, code });
+      storeSession(data);
+      onSuccess();
+    } catch (err) {
+      alert(err.response?.data?.error || "Verification failed");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">Two-factor authentication</h2>
+
+        {challenge.mfaSetupRequired ? (
+          <>
+            <p className="text-sm text-gray-500 mb-4">
+              Your organization requires two-factor authentication. Set it up to continue.
+            </p>
+            <MfaSetup
+              onStart={async () => (await api.post('/auth/mfa/setup', { mfaToken })).data}
+              onConfirm={async (setupCode) => (await api.post('/auth/mfa/enable', { mfaToken, code: setupCode })).data}
+              onDone={(data) => { storeSession(data); onSuccess(); }}
+            />
+          </>
+        ) : (
+          <form onSubmit={handleVerify} className="space-y-6">
+            <p className="text-sm text-gray-500">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <input
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all text-center tracking-widest"
+              value={code}
+              onChange={e => setCode(e.target.value)}
+              placeholder="123456"
+              autoComplete="one-time-code"
+              autoFocus
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting || !code}
+              className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+            >
+              {isSubmitting ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-500">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="font-semibold text-blue-600 hover:text-blue-800"
+          >
+            Back to login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MfaChallenge;
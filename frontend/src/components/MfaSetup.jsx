@@ -0,0 +1,144 @@
+/**
+ * MFA SETUP COMPONENT
+ * 
+ * Walks the user through two-factor enrolment:
+ * 1. Get a secret from the backend, shown as a QR code (and as text)
+ * 2. The user scans it with an authenticator app and types the first code
+ * 3. The backend turns MFA on and returns recovery codes to save
+ * 
+ * Used from two places with different endpoints:
+ * - Security page (logged in): /account/mfa/setup + /account/mfa/enable
+ * - Login, when the organization requires MFA: /auth/mfa/setup + /auth/mfa/enable
+ * so the API calls are passed in as props.
+ */
+
+import { useState } from 'react';
+import RecoveryCodes from './RecoveryCodes';
+
+/**
+ * MFA SETUP COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onStart - () => Promise<{ qrCode, secret }>
+ * @param {Function} props.onConfirm - (code) => Promise<{ recoveryCodes, ... }>
+ * @param {Function} props.onDone - Called with the confirm response once the codes are saved
+ * @param {Function} [props.onCancel] - Called when the user gives up
+ */
+const MfaSetup = ({ onStart, onConfirm, onDone, onCancel }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - setup: { qrCode, secret } once started (null before)
+   * - result: response of onConfirm (contains recoveryCodes) once enabled
+   */
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleStart = async () => {
+    setIsSubmitting(true);
+    try {
+      setSetup(await onStart());
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to start two-factor setup");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * CONFIRM HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      setResult(await onConfirm(code));
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to enable two-factor authentication");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // STEP 3 - show the recovery codes
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onDone(result)} />;
+  }
+
+  // STEP 1 - explain and start
+  if (!setup) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Protect your account with a 6-digit code from an authenticator app
+          (Google Authenticator, 1Password, Authy, ...) in addition to your password.
+        </p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={handleStart}
+            disabled={isSubmitting}
+            className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+          >
+            {isSubmitting ? 'Starting...' : 'Set up two-factor authentication'}
+          </button>
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-4 py-2 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  // STEP 2 - scan and confirm
+  return (
+    <form onSubmit={handleConfirm} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+      </p>
+      <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+      <p className="text-xs text-center text-gray-500">
+        Can't scan? Enter this key manually:
+        <span className="block mt-1 font-mono text-gray-800 break-all">{setup.secret}</span>
+      </p>
+      <input
+        className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all text-center tracking-widest"
+        value={code}
+        onChange={e => setCode(e.target.value)}
+        placeholder="123456"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSubmitting || !code}
+          className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+        >
+          {isSubmitting ? 'Verifying...' : 'Enable'}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default MfaSetup;
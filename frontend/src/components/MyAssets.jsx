@@ -0,0 +1,91 @@
+/**
+ * MY ASSETS COMPONENT
+ * 
+ * The assets checked out to the logged-in user (GET /api/assets/mine),
+ * the soonest due first, with an Overdue badge past the return date.
+ * 
+ * Read-only: whoever manages the assets checks them in when they are
+ * returned. Shown to every role (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+const MyAssets = () => {
+  const [assets, setAssets] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Load once when the component mounts
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get('/assets/mine');
+        setAssets(data.data);
+      } catch (err) {
+        console.error("Fetch my assets error:", err);
+        alert(err.response?.data?.error || "Failed to load your assets");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading your assets...</div>;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">My Assets</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Assets checked out to you. Return them by their due date.
+        </p>
+      </div>
+
+      {/* ASSETS TABLE */}
+      <div className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Asset</th>
+              <th className="px-6 py-4 text-left font-semibold">Category</th>
+              <th className="px-6 py-4 text-left font-semibold">Checked out</th>
+              <th className="px-6 py-4 text-left font-semibold">Due</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {assets.length === 0 ? (
+              <tr>
+                <td colSpan="4" className="px-6 py-10 text-center text-gray-500">No assets are checked out to you.</td>
+              </tr>
+            ) : assets.map(asset => (
+              <tr key={asset.id} className="hover:bg-gray-50 transition">
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{asset.name}</div>
+                  <div className="text-xs font-mono text-gray-500">{asset.serialNumber}</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{asset.category?.name}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  <div>{new Date(asset.assignment.checkedOutAt).toLocaleDateString()}</div>
+                  {asset.assignment.checkoutNote && <div className="text-xs italic">{asset.assignment.checkoutNote}</div>}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  {asset.assignment.dueDate
+                    ? new Date(`${asset.assignment.dueDate}T00:00:00`).toLocaleDateString()
+                    : <span className="text-gray-400">-</span>}
+                  {asset.assignment.overdue && (
+                    <span className="ml-2 px-2 py-0.5 rounded-md text-[10px] font-bold uppercase bg-red-100 text-red-700">
+                      Overdue
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MyAssets;
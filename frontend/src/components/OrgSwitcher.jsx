@@ -0,0 +1,86 @@
+/**
+ * ORGANIZATION SWITCHER COMPONENT
+ * 
+ * Shown in the navigation bar (see App.jsx). One account can belong to
+ * several organizations, each with its own role:
+ * - One organization: just its name
+ * - Several: a dropdown to move to another one
+ * 
+ * Switching calls POST /api/auth/switch-org, which returns a new session
+ * (tokens, role and permissions of the other organization).
+ * Organizations that only accept single sign-on send the user to their
+ * identity provider instead.
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+import { getMemberships, storeSession } from '../utils/session';
+
+/**
+ * ORG SWITCHER COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Function} props.onSwitched - Called after the new session is stored
+ */
+const OrgSwitcher = ({ onSwitched }) => {
+  const [isSwitching, setIsSwitching] = useState(false);
+
+  const memberships = getMemberships();
+  const orgId = localStorage.getItem('orgId');
+
+  /**
+   * SWITCH HANDLER
+   * 
+   * The old refresh token is sent along so the backend can end that session.
+   * 
+   * @param {string} targetOrgId - Organization picked in the dropdown
+   */
+  const handleSwitch = async (targetOrgId) => {
+    const target = memberships.find(membership => membership.orgId === targetOrgId);
+    if (!target) return;
+
+    if (target.ssoRequired) {
+      window.location.assign(`${api.defaults.baseURL}/auth/sso/${encodeURIComponent(target.orgSlug)}/start`);
+      return;
+    }
+
+    setIsSwitching(true);
+    try {
+      const { data } = await api.post('/auth/switch-org', {
+        orgId: targetOrgId,
+        refreshToken: localStorage.getItem('refreshToken')
+      });
+      storeSession(data);
+      onSwitched();
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to switch organization");
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  if (memberships.length < 2) {
+    return (
+      <span className="text-xs bg-blue-100 text-blue-700 px-2 py-0.5 rounded-full">
+        {localStorage.getItem('orgName') || 'N/A'}
+      </span>
+    );
+  }
+
+  return (
+    <select
+      value={orgId}
+      disabled={isSwitching}
+      onChange={e => handleSwitch(e.target.value)}
+      className="px-2 py-1 bg-blue-50 border border-blue-200 text-blue-700 text-sm font-medium rounded-md outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+    >
+      {memberships.map(membership => (
+        <option key={membership.orgId} value={membership.orgId}>
+          {membership.orgName} ({membership.role}{membership.ssoRequired ? ', SSO' : ''})
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default OrgSwitcher;
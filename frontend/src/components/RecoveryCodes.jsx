@@ -0,0 +1,55 @@
+/**
+ * RECOVERY CODES COMPONENT
+ * 
+ * Shows freshly generated two-factor recovery codes.
+ * The backend only stores their hashes, so this is the ONLY time the user
+ * can see them - each code works once if the authenticator app is lost.
+ */
+
+/**
+ * RECOVERY CODES COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string[]} props.codes - The recovery codes
+ * @param {Function} props.onDone - Called when the user confirms they saved them
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  // Copy all codes at once, one per line
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+    } catch {
+      alert("Could not copy - please write the codes down");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one can be used once to log in
+        if you lose access to your authenticator app. They won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-4 font-mono text-sm text-gray-800">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex-1 py-2 border border-gray-300 text-gray-700 font-medium rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="flex-1 py-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors"
+        >
+          I saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,112 @@
+/**
+ * RESET PASSWORD COMPONENT
+ * 
+ * Shown when the app is opened from a password reset email link:
+ *   http://localhost:5173/?reset=<token>
+ * 
+ * Flow:
+ * 1. The user chooses a new password
+ * 2. The backend checks the token (single use, expiring), saves the password
+ *    and signs the user out of every session
+ * 3. The user goes back to the Login screen
+ */
+
+import { useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * RESET PASSWORD COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} props.token - Reset token from the URL
+ * @param {Function} props.onDone - Called when the user leaves this screen
+ */
+const ResetPassword = ({ token, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Success message from the backend (null until the password is changed)
+  const [message, setMessage] = useState(null);
+
+  /**
+   * FORM SUBMISSION HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < 8) {
+      alert("Password must be at least 8 characters");
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      alert("Passwords do not match");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const { data } = await api.post('/auth/reset-password', { token, password });
+      setMessage(data.message);
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to reset password");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-8">Choose a new password</h2>
+
+        {/* SUCCESS STATE */}
+        {message ? (
+          <div className="text-center">
+            <p className="text-sm text-gray-600">{message}</p>
+            <button onClick={onDone} className="mt-6 text-sm font-semibold text-blue-600 hover:text-blue-800">
+              Go to login
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <input
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              placeholder="New password"
+            />
+            <input
+              className="w-full px-4 py-3 bg-gray-50 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+              type="password"
+              value={confirmPassword}
+              onChange={e => setConfirmPassword(e.target.value)}
+              placeholder="Confirm new password"
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="w-full py-3 bg-blue-600 hover:bg-blue-700 text-white font-semibold rounded-lg shadow-md transition-colors disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : 'Set new password'}
+            </button>
+            <p className="text-center text-sm text-gray-500">
+              <button
+                type="button"
+                onClick={onDone}
+                className="font-semibold text-blue-600 hover:text-blue-800"
+              >
+                Cancel
+              </button>
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
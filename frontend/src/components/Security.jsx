@@ -0,0 +1,205 @@
+/**
+ * SECURITY COMPONENT
+ * 
+ * Account security page, available to every user:
+ * - Two-factor authentication: set up, new recovery codes, disable
+ * - Organization security (only with the 'organization:manage' permission):
+ *   require two-factor authentication for every user, single sign-on
+ *   (see SsoSettings.jsx)
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+import { can } from '../utils/permissions';
+import MfaSetup from './MfaSetup';
+import RecoveryCodes from './RecoveryCodes';
+import SsoSettings from './SsoSettings';
+
+const Security = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - mfa: { enabled, requiredByOrganization, recoveryCodesRemaining, canChange } (null while loading)
+   *   canChange is false in a single sign-on session: changes need a password login
+   * - newCodes: freshly generated recovery codes to show once
+   * - organization: { requireMfa, ... } (admins only)
+   */
+  const [mfa, setMfa] = useState(null);
+  const [newCodes, setNewCodes] = useState(null);
+  const [organization, setOrganization] = useState(null);
+
+  const canManageOrganization = can('organization:manage');
+
+  /**
+   * FETCH TWO-FACTOR STATUS
+   */
+  const fetchMfa = async () => {
+    try {
+      const { data } = await api.get('/account/mfa');
+      setMfa(data);
+    } catch (err) {
+      console.error("Fetch MFA status error:", err);
+      alert(err.response?.data?.error || "Failed to load two-factor status");
+    }
+  };
+
+  /**
+   * FETCH ORGANIZATION SETTINGS (admins only)
+   */
+  const fetchOrganization = async () => {
+    try {
+      const { data } = await api.get('/organization');
+      setOrganization(data);
+    } catch (err) {
+      console.error("Fetch organization error:", err);
+    }
+  };
+
+  // Fetch the status once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await Promise.all([fetchMfa(), canManageOrganization && fetchOrganization()]);
+    })();
+  }, [canManageOrganization]);
+
+  /**
+   * ACTIONS THAT NEED A CURRENT CODE
+   * 
+   * Disabling MFA and replacing recovery codes ask for a code, so a stolen
+   * session alone can't weaken the account.
+   */
+  const askForCode = () => window.prompt("Enter a code from your authenticator app (or a recovery code)");
+
+  const handleNewCodes = async () => {
+    const code = askForCode();
+    if (!code) return;
+
+    try {
+      const { data } = await api.post('/account/mfa/recovery-codes', { code });
+      setNewCodes(data.recoveryCodes);
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to create recovery codes");
+    }
+  };
+
+  const handleDisable = async () => {
+    const code = askForCode();
+    if (!code) return;
+
+    try {
+      await api.post('/account/mfa/disable', { code });
+      await fetchMfa();
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to disable two-factor authentication");
+    }
+  };
+
+  /**
+   * REQUIRE MFA TOGGLE (admins only)
+   * 
+   * Turning it on signs out every user without two-factor authentication.
+   */
+  const handleRequireMfa = async (requireMfa) => {
+    if (requireMfa && !window.confirm(
+      'Every user will have to use two-factor authentication. Users without it will be signed out and asked to set it up at their next login. Continue?'
+    )) return;
+
+    try {
+      const { data } = await api.patch('/organization', { requireMfa });
+      setOrganization(data);
+      await fetchMfa();
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to update organization");
+    }
+  };
+
+  if (!mfa) {
+    return <div className="p-10 text-center text-gray-500 animate-pulse">Loading security settings...</div>;
+  }
+
+  return (
+    <div className="space-y-6 max-w-2xl">
+      {/* TWO-FACTOR AUTHENTICATION */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-800">Two-factor authentication</h2>
+          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${
+            mfa.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+          }`}>
+            {mfa.enabled ? 'Enabled' : 'Off'}
+          </span>
+        </div>
+
+        {newCodes && (
+          <RecoveryCodes codes={newCodes} onDone={() => { setNewCodes(null); fetchMfa(); }} />
+        )}
+
+        {!mfa.canChange && (
+          <p className="text-sm text-gray-600">
+            You signed in with single sign-on. Log in with your password to change two-factor settings.
+          </p>
+        )}
+
+        {mfa.canChange && !newCodes && mfa.enabled && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {mfa.recoveryCodesRemaining} unused recovery code{mfa.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={handleNewCodes}
+                className="px-4 py-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                New recovery codes
+              </button>
+              <button
+                onClick={handleDisable}
+                disabled={mfa.requiredByOrganization}
+                title={mfa.requiredByOrganization ? 'Required by your organization' : undefined}
+                className="px-4 py-2 text-sm font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50 disabled:hover:bg-transparent"
+              >
+                Disable
+              </button>
+            </div>
+          </div>
+        )}
+
+        {mfa.canChange && !newCodes && !mfa.enabled && (
+          <MfaSetup
+            onStart={async () => (await api.post('/account/mfa/setup')).data}
+            onConfirm={async (code) => (await api.post('/account/mfa/enable', { code })).data}
+            onDone={fetchMfa}
+          />
+        )}
+      </div>
+
+      {/* ORGANIZATION SECURITY (admins only) */}
+      {canManageOrganization && organization && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Organization security</h2>
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              checked={organization.requireMfa}
+              onChange={e => handleRequireMfa(e.target.checked)}
+              className="mt-1"
+            />
+            <span className="text-sm text-gray-700">
+              Require two-factor authentication for all users of {organization.name}
+              {!mfa.enabled && (
+                <span className="block text-xs text-gray-500">Set it up on your own account first.</span>
+              )}
+            </span>
+          </label>
+        </div>
+      )}
+
+      {/* SINGLE SIGN-ON (admins only) */}
+      {canManageOrganization && organization && (
+        <SsoSettings organization={organization} onOrganizationChange={setOrganization} />
+      )}
+    </div>
+  );
+};
+
+export default Security;
@@ -0,0 +1,83 @@
+/**
+ * SSO CALLBACK COMPONENT
+ * 
+ * Shown when the backend sends the browser back from the identity provider:
+ *   http://localhost:5173/?sso=<one-time code>
+ *   http://localhost:5173/?sso_error=<message>
+ * 
+ * Flow:
+ * 1. The one-time code is traded for a session (POST /auth/sso/exchange)
+ * 2. The session is stored - or, if two-factor authentication is needed,
+ *    the MFA step is shown (see MfaChallenge.jsx)
+ * 
+ * The code works once and only for about a minute.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import api from '../api/axios';
+import { storeSession } from '../utils/session';
+import MfaChallenge from './MfaChallenge';
+
+/**
+ * SSO CALLBACK COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {string} [props.code] - One-time code from "?sso="
+ * @param {string} [props.error] - Message from "?sso_error=" (login refused)
+ * @param {Function} props.onSuccess - Called once the session is stored
+ * @param {Function} props.onCancel - Back to the login form
+ */
+const SsoCallback = ({ code, error: initialError, onSuccess, onCancel }) => {
+  const [error, setError] = useState(initialError || '');
+
+  // MFA step ({ mfaRequired | mfaSetupRequired, mfaToken })
+  const [challenge, setChallenge] = useState(null);
+
+  /**
+   * The code is single-use: StrictMode runs effects twice in development,
+   * so a ref makes sure it is only sent once.
+   */
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (!code || exchanged.current) return;
+    exchanged.current = true;
+
+    api.post('/auth/sso/exchange', { code })
+      .then(({ data }) => {
+        if (data.mfaRequired || data.mfaSetupRequired) {
+          setChallenge(data);
+          return;
+        }
+        storeSession(data);
+        onSuccess();
+      })
+      .catch(err => setError(err.response?.data?.error || "Single sign-on failed"));
+  }, [code, onSuccess]);
+
+  if (challenge) {
+    return <MfaChallenge challenge={challenge} onSuccess={onSuccess} onCancel={onCancel} />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+      <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 border border-gray-100">
+        <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">Single sign-on</h2>
+
+        {/* ERROR STATE - refused by the provider, domain not allowed, expired code, ... */}
+        {error ? (
+          <div className="mt-6 text-center">
+            <p className="text-sm text-red-600">{error}</p>
+            <button onClick={onCancel} className="mt-6 text-sm font-semibold text-blue-600 hover:text-blue-800">
+              Back to login
+            </button>
+          </div>
+        ) : (
+          <p className="mt-6 text-center text-gray-500 animate-pulse">Signing you in...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
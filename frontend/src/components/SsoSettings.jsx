@@ -0,0 +1,207 @@
+/**
+ * SSO SETTINGS COMPONENT
+ * 
+ * Single sign-on with the organization's identity provider (OpenID Connect),
+ * shown on the Security page to admins ('organization:manage'):
+ * - Provider settings: issuer URL, client ID and secret
+ * - Which email domains may sign in, and the role of new users
+ *   (created automatically at their first SSO login)
+ * - "Disable password login": everyone has to use SSO
+ * 
+ * The client secret is write-only - the backend only tells us whether one is saved.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+// Same roles as the backend (see config/roles.js)
+const ROLES = ['ADMIN', 'MEMBER', 'VIEWER'];
+
+/**
+ * SSO SETTINGS COMPONENT FUNCTION
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} props.organization - { name, slug, passwordLoginDisabled, ... }
+ * @param {Function} props.onOrganizationChange - Called with the updated organization
+ */
+const SsoSettings = ({ organization, onOrganizationChange }) => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - settings: saved settings from the backend (null while loading)
+   * - form: the fields being edited (allowedDomains as comma-separated text)
+   */
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  /**
+   * Copy saved settings into the form (the secret field always starts empty).
+   */
+  const applySettings = (data) => {
+    setSettings(data);
+    setForm({
+      enabled: data.enabled,
+      issuer: data.issuer,
+      clientId: data.clientId,
+      clientSecret: '',
+      allowedDomains: data.allowedDomains.join(', '),
+      defaultRole: data.defaultRole
+    });
+  };
+
+  // Fetch the settings once when the component mounts
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get('/organization/sso');
+        applySettings(data);
+      } catch (err) {
+        console.error("Fetch SSO settings error:", err);
+      }
+    })();
+  }, []);
+
+  /**
+   * SAVE HANDLER
+   * 
+   * Enabling SSO makes the backend contact the issuer, so typos are reported here.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { data } = await api.put('/organization/sso', {
+        ...form,
+        allowedDomains: form.allowedDomains.split(',').map(domain => domain.trim()).filter(Boolean)
+      });
+      applySettings(data);
+
+      // Disabling SSO turns password login back on
+      if (!data.enabled && organization.passwordLoginDisabled) {
+        onOrganizationChange({ ...organization, passwordLoginDisabled: false });
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to save single sign-on settings");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * PASSWORD LOGIN TOGGLE
+   * 
+   * The backend only allows it once SSO works for the admin's own account,
+   * so nobody gets locked out.
+   */
+  const handlePasswordLogin = async (passwordLoginDisabled) => {
+    if (passwordLoginDisabled && !window.confirm(
+      'Users will no longer be able to sign in with a password, only with single sign-on. Continue?'
+    )) return;
+
+    try {
+      const { data } = await api.patch('/organization', { passwordLoginDisabled });
+      onOrganizationChange(data);
+    } catch (err) {
+      alert(err.response?.data?.error || "Failed to update organization");
+    }
+  };
+
+  if (!form) {
+    return null;
+  }
+
+  const inputClass = "w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-800">Single sign-on</h2>
+        <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${
+          settings.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+        }`}>
+          {settings.enabled ? 'Enabled' : 'Off'}
+        </span>
+      </div>
+
+      {/* Values the admin needs in the identity provider's console */}
+      <div className="mb-4 text-sm text-gray-600 space-y-1">
+        <p>Redirect URI: <code className="bg-gray-100 px-1 rounded">{settings.redirectUri}</code></p>
+        <p>Organization ID (users enter it on the login page): <code className="bg-gray-100 px-1 rounded">{organization.slug}</code></p>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-3">
+        <input
+          className={inputClass}
+          value={form.issuer}
+          onChange={e => setForm({ ...form, issuer: e.target.value })}
+          placeholder="Issuer URL, e.g. https://acme.okta.com"
+        />
+        <input
+          className={inputClass}
+          value={form.clientId}
+          onChange={e => setForm({ ...form, clientId: e.target.value })}
+          placeholder="Client ID"
+        />
+        <input
+          className={inputClass}
+          type="password"
+          value={form.clientSecret}
+          onChange={e => setForm({ ...form, clientSecret: e.target.value })}
+          placeholder={settings.hasClientSecret ? 'Client secret (saved - leave empty to keep it)' : 'Client secret'}
+        />
+        <input
+          className={inputClass}
+          value={form.allowedDomains}
+          onChange={e => setForm({ ...form, allowedDomains: e.target.value })}
+          placeholder="Allowed email domains, e.g. acme.com, acme.co.uk"
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Role of new users
+          <select
+            value={form.defaultRole}
+            onChange={e => setForm({ ...form, defaultRole: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+          >
+            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={e => setForm({ ...form, enabled: e.target.checked })}
+          />
+          Enable single sign-on
+        </label>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </form>
+
+      {/* PASSWORD LOGIN - only once SSO is on */}
+      {settings.enabled && (
+        <label className="mt-6 pt-4 border-t border-gray-100 flex items-start gap-3">
+          <input
+            type="checkbox"
+            checked={organization.passwordLoginDisabled}
+            onChange={e => handlePasswordLogin(e.target.checked)}
+            className="mt-1"
+          />
+          <span className="text-sm text-gray-700">
+            Disable password login - everyone signs in with single sign-on
+            <span className="block text-xs text-gray-500">Sign in with SSO yourself first.</span>
+          </span>
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default SsoSettings;
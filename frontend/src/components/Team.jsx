@@ -0,0 +1,455 @@
+/**
+ * TEAM COMPONENT
+ * 
+ * Admin screen for managing the users of the current organization.
+ * It displays:
+ * - A form to invite a colleague by email (they choose their own password)
+ * - A form to add a user directly (email, initial password, role)
+ * - Table of all users with role picker, two-factor status, activate/deactivate,
+ *   two-factor reset, unlock (after too many failed logins) and remove
+ * - Table of invitations with their status and a revoke button
+ * 
+ * Only rendered for users with the 'users:manage' permission (see App.jsx).
+ * The backend enforces the same permission on every /api/users route.
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * AVAILABLE ROLES
+ * 
+ * Must match the Role enum on the backend (prisma/schema.prisma).
+ */
+const ROLES = ['ADMIN', 'MEMBER', 'VIEWER'];
+
+const emptyForm = { email: '', password: '', role: 'MEMBER' };
+const emptyInvite = { email: '', role: 'MEMBER' };
+
+/**
+ * INVITATION STATUS COLORS
+ * 
+ * Status is computed by the backend: pending, accepted, revoked or expired.
+ */
+const inviteStatusClasses = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  accepted: 'bg-green-100 text-green-700',
+  revoked: 'bg-gray-200 text-gray-600',
+  expired: 'bg-gray-200 text-gray-600',
+};
+
+const Team = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - users: array of users from the API
+   * - loading: true while the first fetch is running
+   * - formData: the "add user" form fields
+   * - isSubmitting: disables the add button while saving
+   * - invitations / inviteData / isInviting: same, for email invitations
+   */
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [invitations, setInvitations] = useState([]);
+  const [inviteData, setInviteData] = useState(emptyInvite);
+  const [isInviting, setIsInviting] = useState(false);
+
+  // The logged-in admin cannot edit or delete their own account
+  const currentUserId = localStorage.getItem('userId');
+
+  /**
+   * FETCH USERS FROM API
+   * 
+   * GET /api/users returns only users of the admin's organization.
+   */
+  const fetchUsers = async () => {
+    try {
+      const { data } = await api.get('/users');
+      setUsers(data);
+    } catch (err) {
+      console.error("Fetch users error:", err);
+      alert(err.response?.data?.error || "Failed to load users");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * FETCH INVITATIONS FROM API
+   * 
+   * GET /api/invitations returns the organization's invitations, newest first.
+   */
+  const fetchInvitations = async () => {
+    try {
+      const { data } = await api.get('/invitations');
+      setInvitations(data);
+    } catch (err) {
+      console.error("Fetch invitations error:", err);
+    }
+  };
+
+  // Fetch users and invitations once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await Promise.all([fetchUsers(), fetchInvitations()]);
+    })();
+  }, []);
+
+  /**
+   * INVITE HANDLER
+   * 
+   * The backend emails a single-use link; the invitee picks their own password.
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setIsInviting(true);
+
+    try {
+      await api.post('/invitations', inviteData);
+      setInviteData(emptyInvite);
+      await fetchInvitations();
+    } catch (err) {
+      console.error("Invite error:", err);
+      alert(err.response?.data?.error || "Failed to send invitation");
+    } finally {
+      setIsInviting(false);
+    }
+  };
+
+  /**
+   * REVOKE INVITATION HANDLER
+   * 
+   * @param {string} id - Invitation ID
+   */
+  const handleRevoke = async (id) => {
+    try {
+      await api.delete(`/invitations/${id}`);
+      await fetchInvitations();
+    } catch (err) {
+      console.error("Revoke invitation error:", err);
+      alert(err.response?.data?.error || "Failed to revoke invitation");
+    }
+  };
+
+  /**
+   * ADD USER HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/users', formData);
+      setFormData(emptyForm);
+      await fetchUsers();
+    } catch (err) {
+      console.error("Create user error:", err);
+      alert(err.response?.data?.error || "Failed to add user");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * UPDATE USER HANDLER
+   * 
+   * Sends a partial update (PATCH) - either { role } or { isActive }.
+   * 
+   * @param {string} id - User ID
+   * @param {Object} changes - Fields to update
+   */
+  const handleUpdate = async (id, changes) => {
+    try {
+      await api.patch(`/users/${id}`, changes);
+      await fetchUsers();
+    } catch (err) {
+      console.error("Update user error:", err);
+      alert(err.response?.data?.error || "Failed to update user");
+    }
+  };
+
+  /**
+   * REMOVE USER HANDLER
+   * 
+   * Removes the user from this organization. Their account is deleted too
+   * unless they belong to another organization - asks for confirmation first.
+   * 
+   * @param {Object} user - The user to remove
+   */
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Remove ${user.email} from the organization? This cannot be undone.`)) return;
+
+    try {
+      await api.delete(`/users/${user.id}`);
+      await fetchUsers();
+    } catch (err) {
+      console.error("Remove user error:", err);
+      alert(err.response?.data?.error || "Failed to remove user");
+    }
+  };
+
+  /**
+   * RESET TWO-FACTOR HANDLER
+   * 
+   * For users who lost their authenticator app and recovery codes.
+   * They are signed out and can log in with their password only
+   * (or must set up two-factor again if the organization requires it).
+   * 
+   * @param {Object} user - The user whose two-factor authentication is reset
+   */
+  const handleResetMfa = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? They will be signed out.`)) return;
+
+    try {
+      await api.delete(`/users/${user.id}/mfa`);
+      await fetchUsers();
+    } catch (err) {
+      console.error("Reset MFA error:", err);
+      alert(err.response?.data?.error || "Failed to reset two-factor authentication");
+    }
+  };
+
+  /**
+   * UNLOCK HANDLER
+   * 
+   * Accounts are locked for a while after too many failed logins.
+   * 
+   * @param {Object} user - The locked user
+   */
+  const handleUnlock = async (user) => {
+    try {
+      await api.post(`/users/${user.id}/unlock`);
+      await fetchUsers();
+    } catch (err) {
+      console.error("Unlock user error:", err);
+      alert(err.response?.data?.error || "Failed to unlock account");
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading team...</div>;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <h1 className="text-2xl font-bold text-gray-900">Team</h1>
+      <p className="mt-1 text-sm text-gray-500">Manage who can access this organization and what they can do.</p>
+
+      {/* INVITE FORM */}
+      {/* Preferred way to onboard: the colleague receives a link and sets their own password */}
+      <form onSubmit={handleInvite} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 flex flex-col sm:flex-row gap-3">
+        <input
+          required
+          type="email"
+          placeholder="Colleague's email"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          value={inviteData.email}
+          onChange={e => setInviteData({ ...inviteData, email: e.target.value })}
+        />
+        <select
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+          value={inviteData.role}
+          onChange={e => setInviteData({ ...inviteData, role: e.target.value })}
+        >
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={isInviting}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isInviting ? 'Sending...' : 'Send invite'}
+        </button>
+      </form>
+
+      {/* ADD USER FORM */}
+      {/* Inline form: email, initial password and role on one row (stacked on mobile) */}
+      <form onSubmit={handleAdd} className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl p-4 flex flex-col sm:flex-row gap-3">
+        <input
+          required
+          type="email"
+          placeholder="Email"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          value={formData.email}
+          onChange={e => setFormData({ ...formData, email: e.target.value })}
+        />
+        <input
+          required
+          type="password"
+          minLength={8}
+          placeholder="Initial password"
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+          value={formData.password}
+          onChange={e => setFormData({ ...formData, password: e.target.value })}
+        />
+        <select
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white"
+          value={formData.role}
+          onChange={e => setFormData({ ...formData, role: e.target.value })}
+        >
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? 'Adding...' : '+ Add user'}
+        </button>
+      </form>
+
+      {/* USERS TABLE */}
+      <div className="mt-8 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Email</th>
+              <th className="px-6 py-4 text-left font-semibold">Role</th>
+              <th className="px-6 py-4 text-left font-semibold">Status</th>
+              <th className="px-6 py-4 text-left font-semibold">2FA</th>
+              <th className="px-6 py-4 text-left font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {users.map((user) => {
+              const isSelf = user.id === currentUserId;
+              const isLocked = user.lockedUntil && new Date(user.lockedUntil) > new Date();
+              return (
+                <tr key={user.id} className="hover:bg-gray-50 transition">
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                    {user.email} {isSelf && <span className="text-xs text-gray-400">(you)</span>}
+                  </td>
+
+                  {/* Role Picker - disabled for your own account */}
+                  <td className="px-6 py-4">
+                    <select
+                      disabled={isSelf}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm bg-white disabled:opacity-50"
+                      value={user.role}
+                      onChange={e => handleUpdate(user.id, { role: e.target.value })}
+                    >
+                      {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+
+                  {/* Status Badge */}
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${
+                      user.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+                    }`}>
+                      {user.isActive ? 'active' : 'deactivated'}
+                    </span>
+                    {isLocked && (
+                      <span
+                        title={`Too many failed logins - locked until ${new Date(user.lockedUntil).toLocaleTimeString()}`}
+                        className="ml-2 px-2 py-1 rounded-md text-[10px] font-bold uppercase bg-orange-100 text-orange-700"
+                      >
+                        locked
+                      </span>
+                    )}
+                  </td>
+
+                  {/* Two-factor Badge */}
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${
+                      user.mfaEnabled ? 'bg-green-100 text-green-700' : 'bg-gray-200 text-gray-600'
+                    }`}>
+                      {user.mfaEnabled ? 'on' : 'off'}
+                    </span>
+                  </td>
+
+                  {/* Actions - hidden for your own account */}
+                  <td className="px-6 py-4 text-sm font-medium">
+                    {!isSelf && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => handleUpdate(user.id, { isActive: !user.isActive })}
+                          className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          {user.isActive ? 'Deactivate' : 'Reactivate'}
+                        </button>
+                        {isLocked && (
+                          <button
+                            onClick={() => handleUnlock(user)}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {user.mfaEnabled && (
+                          <button
+                            onClick={() => handleResetMfa(user)}
+                            className="text-gray-700 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-md transition duration-200"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDelete(user)}
+                          className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* INVITATIONS TABLE - only shown once at least one invitation exists */}
+      {invitations.length > 0 && (
+        <>
+          <h2 className="mt-10 text-lg font-bold text-gray-900">Invitations</h2>
+          <div className="mt-4 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+                <tr>
+                  <th className="px-6 py-4 text-left font-semibold">Email</th>
+                  <th className="px-6 py-4 text-left font-semibold">Role</th>
+                  <th className="px-6 py-4 text-left font-semibold">Status</th>
+                  <th className="px-6 py-4 text-left font-semibold">Expires</th>
+                  <th className="px-6 py-4 text-left font-semibold">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 bg-white">
+                {invitations.map((invitation) => (
+                  <tr key={invitation.id} className="hover:bg-gray-50 transition">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{invitation.email}</td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{invitation.role}</td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 rounded-md text-[10px] font-bold uppercase ${inviteStatusClasses[invitation.status]}`}>
+                        {invitation.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-500">{new Date(invitation.expiresAt).toLocaleString()}</td>
+                    <td className="px-6 py-4 text-sm font-medium">
+                      {invitation.status === 'pending' && (
+                        <button
+                          onClick={() => handleRevoke(invitation.id)}
+                          className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-md transition duration-200"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Team;
@@ -0,0 +1,233 @@
+/**
+ * TRASH COMPONENT
+ * 
+ * Admin screen for deleted assets (GET /api/assets/trash). Deleting an asset
+ * on the Assets page only moves it here; from this page an admin can:
+ * - Restore it (POST /api/assets/trash/:id/restore)
+ * - Delete it for good (DELETE /api/assets/trash/:id)
+ * 
+ * Assets left in the trash are deleted for good automatically after the
+ * retention period (retentionDays, set on the server).
+ * 
+ * Only rendered for users with the 'assets:trash' permission (see App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+// First page of the trash
+const initialQuery = { page: 1, pageSize: 25 };
+
+/**
+ * Who deleted an asset, as text.
+ * 
+ * @param {Object|null} deletedBy - { type: 'user', email } or { type: 'apiKey', name }
+ * @returns {string}
+ */
+const formatDeletedBy = (deletedBy) => {
+  if (!deletedBy) return '(deleted user)';
+  if (deletedBy.type === 'apiKey') return `API key ${deletedBy.name || '(revoked)'}`;
+  return deletedBy.email || '(former member)';
+};
+
+const Trash = () => {
+  /**
+   * COMPONENT STATE
+   * 
+   * - assets: the current page of the trash
+   * - pagination: { page, total, totalPages } of that page
+   * - query: { page, pageSize }
+   * - retentionDays: how long assets stay in the trash
+   * - busyId: asset being restored or deleted (its buttons are disabled)
+   */
+  const [assets, setAssets] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, totalPages: 0 });
+  const [query, setQuery] = useState(initialQuery);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  /**
+   * FETCH ONE PAGE OF THE TRASH
+   * 
+   * @param {Object} listQuery - { page, pageSize }
+   */
+  const fetchTrash = async (listQuery) => {
+    try {
+      const { data } = await api.get('/assets/trash', { params: listQuery });
+      setAssets(data.data);
+      setPagination(data.pagination);
+      setRetentionDays(data.retentionDays);
+    } catch (err) {
+      console.error("Fetch trash error:", err);
+      alert(err.response?.data?.error || "Failed to load the trash");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // First page, once when the component mounts
+  useEffect(() => {
+    (async () => {
+      await fetchTrash(initialQuery);
+    })();
+  }, []);
+
+  /**
+   * Go to another page.
+   * 
+   * @param {number} page
+   */
+  const goToPage = async (page) => {
+    const next = { ...query, page };
+    setQuery(next);
+    await fetchTrash(next);
+  };
+
+  /**
+   * Reload the current page after a restore or delete - or the previous
+   * page when the last asset of this one is gone.
+   */
+  const refresh = async () => {
+    const page = assets.length === 1 && query.page > 1 ? query.page - 1 : query.page;
+    await goToPage(page);
+  };
+
+  /**
+   * RESTORE HANDLER
+   * 
+   * The server refuses (409) while another asset uses the same serial number.
+   * 
+   * @param {Object} asset
+   */
+  const handleRestore = async (asset) => {
+    setBusyId(asset.id);
+    try {
+      await api.post(`/assets/trash/${asset.id}/restore`);
+      await refresh();
+    } catch (err) {
+      console.error("Restore failed:", err);
+      alert(err.response?.data?.error || "Failed to restore asset");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * PERMANENT DELETE HANDLER
+   * 
+   * Can't be undone: the asset and its history are gone.
+   * 
+   * @param {Object} asset
+   */
+  const handlePurge = async (asset) => {
+    if (!window.confirm(`Permanently delete "${asset.name}" and its history? This cannot be undone.`)) return;
+
+    setBusyId(asset.id);
+    try {
+      await api.delete(`/assets/trash/${asset.id}`);
+      await refresh();
+    } catch (err) {
+      console.error("Permanent delete failed:", err);
+      alert(err.response?.data?.error || "Failed to delete asset");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) return <div className="p-10 text-center text-gray-500 animate-pulse">Loading trash...</div>;
+
+  const firstRow = (pagination.page - 1) * query.pageSize + 1;
+  const lastRow = firstRow + assets.length - 1;
+
+  return (
+    <div className="px-4 sm:px-6 lg:px-8">
+      {/* HEADER SECTION */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Deleted assets can be restored for {retentionDays} days, then they are deleted for good.
+        </p>
+      </div>
+
+      {/* TRASHED ASSETS TABLE */}
+      <div className="mt-6 bg-white shadow-sm ring-1 ring-gray-200 rounded-xl overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50 text-gray-600 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-4 text-left font-semibold">Asset</th>
+              <th className="px-6 py-4 text-left font-semibold">Category</th>
+              <th className="px-6 py-4 text-left font-semibold">Deleted</th>
+              <th className="px-6 py-4 text-left font-semibold">Deleted for good on</th>
+              <th className="px-6 py-4 text-right font-semibold">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 bg-white">
+            {assets.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-10 text-center text-gray-500">The trash is empty.</td>
+              </tr>
+            ) : assets.map(asset => (
+              <tr key={asset.id} className="hover:bg-gray-50 transition">
+                <td className="px-6 py-4">
+                  <div className="text-sm font-medium text-gray-900">{asset.name}</div>
+                  <div className="text-xs font-mono text-gray-500">{asset.serialNumber}</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{asset.category?.name}</td>
+                <td className="px-6 py-4 text-sm text-gray-500">
+                  <div>{new Date(asset.deletedAt).toLocaleString()}</div>
+                  <div className="text-xs">{formatDeletedBy(asset.deletedBy)}</div>
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-500">{new Date(asset.purgeAt).toLocaleDateString()}</td>
+                <td className="px-6 py-4 text-right text-sm font-medium space-x-3 whitespace-nowrap">
+                  <button
+                    onClick={() => handleRestore(asset)}
+                    disabled={busyId === asset.id}
+                    className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(asset)}
+                    disabled={busyId === asset.id}
+                    className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                  >
+                    Delete forever
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* PAGER */}
+      {pagination.totalPages > 1 && (
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {firstRow}–{lastRow} of {pagination.total}
+          </span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => goToPage(pagination.page - 1)}
+              disabled={pagination.page <= 1}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              onClick={() => goToPage(pagination.page + 1)}
+              disabled={pagination.page >= pagination.totalPages}
+              className="px-3 py-1 border border-gray-300 bg-white rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
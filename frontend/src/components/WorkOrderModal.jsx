@@ -0,0 +1,220 @@
+/**
+ * WORK ORDER MODAL COMPONENT
+ * 
+ * Two uses:
+ * - Open a work order on an asset (POST /api/work-orders) - the asset goes
+ *   into the organization's maintenance status until its work orders are closed
+ * - Edit a work order (PATCH /api/work-orders/:id): title, due date,
+ *   assignee, notes and cost - only the notes and cost once it is closed
+ * 
+ * Its parent mounts it only while it is open, so the form always starts
+ * from the work order (or empty).
+ */
+
+import { useEffect, useState } from 'react';
+import api from '../api/axios';
+
+/**
+ * WORK ORDER MODAL COMPONENT
+ * 
+ * @param {Object} props - Component props
+ * @param {Object} [props.asset] - The asset to open a work order on (new work order)
+ * @param {Object} [props.workOrder] - The work order to edit
+ * @param {Function} props.onClose - Callback to close modal
+ * @param {Function} props.onRefresh - Callback to refresh the list after saving
+ */
+const WorkOrderModal = ({ asset, workOrder, onClose, onRefresh }) => {
+  const isOpen = !workOrder || workOrder.status === 'OPEN';
+  const target = workOrder ? workOrder.asset : asset;
+
+  /**
+   * FORM STATE
+   * 
+   * Empty strings are sent as null (no due date, nobody assigned...).
+   * - assignees: active members of the organization ({ id, email })
+   * - statuses: the organization's asset statuses (new work order only)
+   */
+  const [formData, setFormData] = useState({
+    title: workOrder?.title || '',
+    dueDate: workOrder?.dueDate || '',
+    assigneeId: workOrder?.assignee?.id || '',
+    notes: workOrder?.notes || '',
+    cost: workOrder?.cost ?? ''
+  });
+  const [assignees, setAssignees] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Members to pick from - and, for a new work order, the statuses - once when the modal opens
+  useEffect(() => {
+    (async () => {
+      try {
+        const { data } = await api.get('/assignees');
+        setAssignees(data);
+        if (!workOrder) {
+          const { data: statusList } = await api.get('/asset-statuses');
+          setStatuses(statusList);
+        }
+      } catch (err) {
+        console.error("Fetch work order form choices error:", err);
+      }
+    })();
+  }, [workOrder]);
+
+  // Where a new work order puts the asset: the first maintenance status - unless it is in one already
+  const maintenanceStatus = !workOrder && statuses.find(status => status.key === asset.status)?.kind !== 'MAINTENANCE'
+    ? statuses.find(status => status.kind === 'MAINTENANCE')
+    : null;
+
+  /**
+   * FORM SUBMISSION HANDLER
+   * 
+   * @param {Event} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    const fields = {
+      title: formData.title,
+      dueDate: formData.dueDate || null,
+      assigneeId: formData.assigneeId || null,
+      notes: formData.notes || null
+    };
+    const cost = formData.cost === '' ? null : Number(formData.cost);
+
+    try {
+      if (!workOrder) {
+        await api.post('/work-orders', { assetId: asset.id, ...fields });
+      } else if (isOpen) {
+        await api.patch(`/work-orders/${workOrder.id}`, { ...fields, cost });
+      } else {
+        await api.patch(`/work-orders/${workOrder.id}`, { notes: fields.notes, cost });
+      }
+      onRefresh();
+      onClose();
+    } catch (err) {
+      console.error("Save work order error:", err);
+      alert(err.response?.data?.error || "Failed to save work order");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = "w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none bg-white disabled:bg-gray-50 disabled:text-gray-500";
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* MODAL BACKDROP/OVERLAY */}
+      <div className="absolute inset-0 bg-gray-900/60 backdrop-blur-sm" onClick={onClose}></div>
+
+      {/* MODAL CONTENT */}
+      <div className="relative bg-white w-full max-w-md rounded-2xl shadow-2xl overflow-hidden border border-gray-100">
+        {/* MODAL HEADER */}
+        <div className="px-6 py-4 border-b border-gray-100 flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-bold text-gray-800">{workOrder ? 'Work Order' : 'New Work Order'}</h2>
+            <p className="text-sm text-gray-500">{target.name} <span className="font-mono">({target.serialNumber})</span></p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl cursor-pointer">
+            &times;
+          </button>
+        </div>
+
+        {/* FORM */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {/* A new work order changes the asset's status - say so up front */}
+          {maintenanceStatus && (
+            <p className="text-sm text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+              The asset will be "{maintenanceStatus.label}" until its work orders are completed or cancelled.
+            </p>
+          )}
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Title</label>
+            <input
+              required
+              maxLength={100}
+              disabled={!isOpen}
+              placeholder="e.g. Replace the battery"
+              className={inputClass}
+              value={formData.title}
+              onChange={e => setFormData({ ...formData, title: e.target.value })}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Due (optional)</label>
+              <input
+                type="date"
+                disabled={!isOpen}
+                className={inputClass}
+                value={formData.dueDate}
+                onChange={e => setFormData({ ...formData, dueDate: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Assignee</label>
+              <select
+                disabled={!isOpen}
+                className={inputClass}
+                value={formData.assigneeId}
+                onChange={e => setFormData({ ...formData, assigneeId: e.target.value })}
+              >
+                <option value="">Nobody</option>
+                {/* A former member stays selected until changed */}
+                {workOrder?.assignee && !assignees.some(user => user.id === workOrder.assignee.id) && (
+                  <option value={workOrder.assignee.id}>{workOrder.assignee.email}</option>
+                )}
+                {assignees.map(user => <option key={user.id} value={user.id}>{user.email}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Notes (optional)</label>
+            <textarea
+              rows={3}
+              maxLength={1000}
+              className={inputClass}
+              value={formData.notes}
+              onChange={e => setFormData({ ...formData, notes: e.target.value })}
+            />
+          </div>
+
+          {/* Cost - usually known once the work is done (see Complete) */}
+          {workOrder && (
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Cost (optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                className={inputClass}
+                value={formData.cost}
+                onChange={e => setFormData({ ...formData, cost: e.target.value })}
+              />
+            </div>
+          )}
+
+          {/* Form Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button type="button" onClick={onClose} className="flex-1 py-2 text-gray-600 hover:bg-gray-50 rounded-lg">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="flex-1 py-2 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isSubmitting ? 'Saving...' : workOrder ? 'Save' : 'Open Work Order'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default WorkOrderModal;
@@ -0,0 +1,14 @@
+/**
+ * LOCATION HELPERS
+ * 
+ * GET /api/locations returns each location with its path: the names from the
+ * top of the tree down to it (['HQ', 'Building A', 'Room 101']).
+ */
+
+/**
+ * BREADCRUMB OF A LOCATION
+ * 
+ * @param {Object} location - From GET /api/locations
+ * @returns {string} "HQ › Building A › Room 101"
+ */
+export const formatLocation = (location) => location.path.join(' › ');
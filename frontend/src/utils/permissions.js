@@ -0,0 +1,33 @@
+/**
+ * PERMISSION HELPERS
+ * 
+ * At login the backend sends the list of permissions granted by the user's role
+ * (e.g. ['assets:read', 'assets:write']). Login.jsx stores it in localStorage.
+ * 
+ * Components use can() to hide buttons the user is not allowed to use.
+ * This is only a UI convenience - the backend enforces every permission anyway.
+ */
+
+/**
+ * READ STORED PERMISSIONS
+ * 
+ * JSON.parse() turns the stored string back into an array.
+ * Falls back to an empty array if nothing is stored or the value is corrupted.
+ * 
+ * @returns {string[]}
+ */
+export const getPermissions = () => {
+  try {
+    return JSON.parse(localStorage.getItem('permissions')) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Check whether the logged-in user has a permission.
+ * 
+ * @param {string} permission - e.g. 'assets:delete'
+ * @returns {boolean}
+ */
+export const can = (permission) => getPermissions().includes(permission);
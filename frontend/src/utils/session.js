@@ -0,0 +1,55 @@
+/**
+ * SESSION STORAGE HELPERS
+ * 
+ * Every sign-in endpoint (login, register, accepting an invitation, ...)
+ * returns the same payload: { token, refreshToken, user, memberships }.
+ * storeSession() saves it in localStorage in one place.
+ */
+
+/**
+ * STORE AUTHENTICATION DATA
+ * 
+ * localStorage persists data in browser storage.
+ * It survives page refreshes and browser restarts.
+ * 
+ * We store:
+ * - token: Short-lived JWT access token for authenticated requests
+ * - refreshToken: Used by api/axios.js to get a new access token when it expires
+ * - userId: Lets screens recognise the current user (e.g. "(you)" in Team)
+ * - orgId: Organization ID for multi-tenant filtering
+ * - orgName: Shown in the navigation bar
+ * - role / permissions: Used to hide actions the user cannot perform
+ *   (see utils/permissions.js) - they belong to the current organization
+ * - memberships: The user's organizations, for the switcher (see OrgSwitcher.jsx)
+ * 
+ * Note: localStorage is accessible to JavaScript, so don't store sensitive data!
+ * JWT tokens are okay because they expire and are signed.
+ * 
+ * @param {Object} data - Response body of a sign-in endpoint
+ */
+export const storeSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('userId', data.user.id);
+  localStorage.setItem('orgId', data.user.orgId);
+  localStorage.setItem('orgName', data.user.orgName);
+  localStorage.setItem('role', data.user.role);
+  localStorage.setItem('permissions', JSON.stringify(data.user.permissions));
+  localStorage.setItem('memberships', JSON.stringify(data.memberships));
+};
+
+/**
+ * READ STORED MEMBERSHIPS
+ * 
+ * Same fallback as getPermissions(): an empty array if nothing is stored
+ * or the value is corrupted.
+ * 
+ * @returns {Object[]} [{ orgId, orgName, orgSlug, role, ssoRequired }]
+ */
+export const getMemberships = () => {
+  try {
+    return JSON.parse(localStorage.getItem('memberships')) || [];
+  } catch {
+    return [];
+  }
+};
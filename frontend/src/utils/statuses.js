@@ -0,0 +1,62 @@
+/**
+ * ASSET STATUS HELPERS
+ * 
+ * GET /api/asset-statuses returns the organization's statuses, in display
+ * order: { key, label, color, kind, isDefault, transitions, ... }.
+ * Assets only store the key - these helpers turn it into a label and a badge.
+ */
+
+/**
+ * BADGE CLASSES PER COLOR
+ * 
+ * One entry per color the backend accepts (STATUS_COLORS in
+ * backend/src/services/assetStatuses.js). The class names are written out
+ * in full so Tailwind finds them when it builds the CSS.
+ */
+const BADGE_CLASSES = {
+  gray: 'bg-gray-100 text-gray-700',
+  red: 'bg-red-100 text-red-700',
+  orange: 'bg-orange-100 text-orange-700',
+  amber: 'bg-amber-100 text-amber-700',
+  yellow: 'bg-yellow-100 text-yellow-700',
+  green: 'bg-green-100 text-green-700',
+  teal: 'bg-teal-100 text-teal-700',
+  blue: 'bg-blue-100 text-blue-700',
+  indigo: 'bg-indigo-100 text-indigo-700',
+  purple: 'bg-purple-100 text-purple-700',
+  pink: 'bg-pink-100 text-pink-700'
+};
+
+// Colors to choose from when defining a status
+export const STATUS_COLORS = Object.keys(BADGE_CLASSES);
+
+// What each kind of status means (AssetStatusKind in the backend)
+export const STATUS_KINDS = {
+  IN_SERVICE: 'In service',
+  MAINTENANCE: 'Maintenance',
+  RETIRED: 'Retired'
+};
+
+/**
+ * @param {Object[]} statuses - From GET /api/asset-statuses
+ * @param {string} key - An asset's status
+ * @returns {Object|undefined}
+ */
+export const findStatus = (statuses, key) => statuses.find(status => status.key === key);
+
+/**
+ * BADGE CLASSES OF A STATUS
+ * 
+ * @param {Object|undefined} status - From findStatus() (undefined for a key that no longer exists)
+ * @returns {string} Tailwind classes - gray for an unknown status
+ */
+export const badgeClass = (status) => BADGE_CLASSES[status?.color] || BADGE_CLASSES.gray;
+
+/**
+ * Check whether an asset's status is a retired one: no check-out, no work orders.
+ * 
+ * @param {Object[]} statuses - From GET /api/asset-statuses
+ * @param {string} key - An asset's status
+ * @returns {boolean}
+ */
+export const isRetired = (statuses, key) => findStatus(statuses, key)?.kind === 'RETIRED';